@@ -22,6 +22,8 @@ export function createReadFile(motorConfig) {
         required: ['repo', 'path']
       }
     },
+    readOnly: true,
+    workspace: input => input.repo,
 
     async execute({ repo, path }, { logger = defaultLogger } = {}) {
       const workDir = resolveWorkspace(motorConfig.workspacesDir, repo)
@@ -51,6 +53,7 @@ export function createWriteFile(motorConfig) {
         required: ['repo', 'path', 'content']
       }
     },
+    workspace: input => input.repo,
 
     async execute({ repo, path, content }, { logger = defaultLogger } = {}) {
       const workDir = resolveWorkspace(motorConfig.workspacesDir, repo)
@@ -79,6 +82,8 @@ export function createListFiles(motorConfig) {
         required: ['repo']
       }
     },
+    readOnly: true,
+    workspace: input => input.repo,
 
     async execute({ repo, path = '.' }, { logger = defaultLogger } = {}) {
       const workDir = resolveWorkspace(motorConfig.workspacesDir, repo)
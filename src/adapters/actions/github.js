@@ -88,6 +88,7 @@ export function createGithubSetupWorkspace(motorConfig) {
         required: ['repo']
       }
     },
+    workspace: input => input.repo,
 
     async execute({ repo, branch }, { logger = defaultLogger } = {}) {
       const workDir = resolveWorkspace(motorConfig.workspacesDir, repo)
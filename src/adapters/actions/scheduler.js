@@ -0,0 +1,217 @@
+import { parseSchedule, parseRunAt } from '../scheduler/cron-phrase.js'
+import defaultLogger from '../../infrastructure/logger.js'
+
+/**
+ * Format a fire time in the scheduler's timezone for the LLM to relay.
+ * @param {Date|null} date
+ * @param {string} timezone - IANA timezone ('' = server local time)
+ * @returns {string}
+ */
+function formatRunTime(date, timezone) {
+  if (!date) return 'not scheduled'
+  const formatted = date.toLocaleString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    ...(timezone ? { timeZone: timezone } : {})
+  })
+  return `${formatted} (${timezone || 'server time'})`
+}
+
+/** Human-readable schedule: cron expression or one-shot time, plus the watched tool */
+function describeSchedule(task, timezone) {
+  const schedule = task.runAt
+    ? `once at ${formatRunTime(new Date(task.runAt), timezone)}`
+    : `cron "${task.cronExpr}"`
+  return task.tool ? `${schedule}, watching ${task.tool} (on ${task.trigger})` : schedule
+}
+
+function requireChat(context) {
+  if (!context?.chatId) {
+    throw new Error('Scheduler tools need a chat to deliver reminders to')
+  }
+}
+
+/**
+ * Create the schedule_task tool.
+ * @param {Scheduler} scheduler
+ */
+export function createScheduleTask(scheduler) {
+  return {
+    definition: {
+      name: 'schedule_task',
+      description: 'Schedule a reminder or task for the current chat, either recurring or one-off. When it fires, `message` is delivered to you as if the user had just sent it, so phrase it as the instruction to act on (e.g. "Remind me to check the deploy logs"). `schedule` accepts recurring phrases like "every weekday at 8", "every Monday at 9am", "every 2 hours", "every month on the 1st at 10" or a 5-field cron expression, and one-off times like "in 2 hours", "tomorrow at 9", "on March 3rd at 10:00" (one-off tasks remove themselves after firing). Returns the task ID and the next fire time.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          schedule: { type: 'string', description: 'When to fire: a recurring phrase ("every day at 18:30"), a 5-field cron expression ("0 9 * * 1") or a one-off time ("in 20 minutes", "friday at 5pm")' },
+          message: { type: 'string', description: 'Instruction delivered to you when the task fires' },
+          description: { type: 'string', description: 'Short human-readable label (default: message)' }
+        },
+        required: ['schedule', 'message']
+      }
+    },
+
+    async execute({ schedule, message, description }, { logger = defaultLogger, context = {} } = {}) {
+      requireChat(context)
+
+      // Recurring phrases win; anything else is tried as a one-off time
+      const cronExpr = parseSchedule(schedule)
+      const runAt = cronExpr ? null : parseRunAt(schedule, { timezone: scheduler.timezone })
+      if (!cronExpr && !runAt) {
+        throw new Error(`Could not understand schedule "${schedule}". Use a phrase like "every weekday at 8", a 5-field cron expression (minute hour day-of-month month day-of-week), or a future one-off time like "in 2 hours" or "tomorrow at 9".`)
+      }
+
+      const id = await scheduler.add({
+        ...(cronExpr ? { cronExpr } : { runAt: runAt.getTime() }),
+        message,
+        description,
+        chatId: context.chatId,
+        userId: context.userId,
+        channel: context.channel
+      })
+
+      logger.info('motor', 'schedule_task_created', { id, cronExpr, runAt: runAt?.getTime(), chatId: context.chatId })
+
+      const task = scheduler.get(id)
+      return [
+        `Scheduled task ${id}`,
+        `Description: ${task?.description || description || message}`,
+        cronExpr ? `Cron: ${cronExpr}` : 'One-off: removed after it fires',
+        `Next run: ${formatRunTime(scheduler.nextRun(id), scheduler.timezone)}`
+      ].join('\n')
+    }
+  }
+}
+
+/**
+ * Create the schedule_watch tool.
+ * @param {Scheduler} scheduler
+ */
+export function createScheduleWatch(scheduler) {
+  return {
+    definition: {
+      name: 'schedule_watch',
+      description: 'Watch something on a recurring schedule without waking you every time: runs one of your tools (e.g. fetch_url or run_command) with fixed input and only reports back when its output changes, or when it starts matching a pattern. With action "agent" (default) the old and new output are delivered to you together with `message`; with action "notify" the output is sent to the chat directly, without you. The first run only records a baseline. The scheduler tools (schedule_task, schedule_watch, list_scheduled_tasks, cancel_scheduled_task) and side-effect-only tools (write_file, github_setup_workspace) cannot be watched. `schedule` must be recurring ("every 30 minutes", "every day at 9" or a 5-field cron expression).',
+      input_schema: {
+        type: 'object',
+        properties: {
+          schedule: { type: 'string', description: 'How often to check: a recurring phrase or a 5-field cron expression' },
+          tool: { type: 'string', description: 'Name of the tool to run, e.g. "fetch_url"' },
+          tool_input: { type: 'object', description: 'Input passed to the tool on every run, e.g. {"url": "https://example.com/status"}' },
+          trigger: { type: 'string', enum: ['change', 'match'], description: '"change" (default): report when the output differs from the last run. "match": report when the output starts matching `pattern`' },
+          pattern: { type: 'string', description: 'Case-insensitive regular expression, required for trigger "match"' },
+          action: { type: 'string', enum: ['agent', 'notify'], description: '"agent" (default): hand the output to you with `message`. "notify": send it to the chat as-is' },
+          message: { type: 'string', description: 'Instruction delivered to you with the output when the check triggers (action "agent")' },
+          description: { type: 'string', description: 'Short human-readable label' }
+        },
+        required: ['schedule', 'tool', 'tool_input']
+      }
+    },
+
+    async execute({ schedule, tool, tool_input, trigger, pattern, action, message, description }, { logger = defaultLogger, context = {} } = {}) {
+      requireChat(context)
+
+      const cronExpr = parseSchedule(schedule)
+      if (!cronExpr) {
+        throw new Error(`Could not understand recurring schedule "${schedule}". Use a phrase like "every 30 minutes" or "every day at 9", or a 5-field cron expression.`)
+      }
+
+      const id = await scheduler.add({
+        cronExpr,
+        tool,
+        toolInput: tool_input,
+        trigger,
+        pattern,
+        action,
+        message,
+        description,
+        chatId: context.chatId,
+        userId: context.userId,
+        channel: context.channel
+      })
+
+      logger.info('motor', 'schedule_watch_created', { id, cronExpr, tool, chatId: context.chatId })
+
+      const task = scheduler.get(id)
+      return [
+        `Scheduled watch ${id}`,
+        `Description: ${task?.description || description || tool}`,
+        `Cron: ${cronExpr}`,
+        `Reports: ${task?.trigger === 'match' ? `when output matches /${task.pattern}/` : 'when output changes'}, ${task?.action === 'notify' ? 'straight to the chat' : 'to you'}`,
+        `Next run: ${formatRunTime(scheduler.nextRun(id), scheduler.timezone)}`
+      ].join('\n')
+    }
+  }
+}
+
+/**
+ * Create the list_scheduled_tasks tool.
+ * @param {Scheduler} scheduler
+ */
+export function createListScheduledTasks(scheduler) {
+  return {
+    definition: {
+      name: 'list_scheduled_tasks',
+      description: 'List the scheduled reminders and tasks for the current chat, with their IDs, schedules and next fire times.',
+      input_schema: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    readOnly: true,
+
+    async execute(input, { context = {} } = {}) {
+      requireChat(context)
+
+      const tasks = scheduler.list().filter(t => t.chatId === context.chatId)
+      if (tasks.length === 0) return 'No scheduled tasks for this chat.'
+
+      const lines = tasks.map(t => {
+        const timezone = t.timezone || scheduler.timezone
+        const schedule = `- ${t.id}: ${t.description} — ${describeSchedule(t, timezone)}`
+        if (t.paused) return `${schedule} (paused)`
+        return t.runAt ? schedule : `${schedule}, next run ${formatRunTime(scheduler.nextRun(t.id), timezone)}`
+      })
+      return `${tasks.length} scheduled task${tasks.length === 1 ? '' : 's'}:\n${lines.join('\n')}`
+    }
+  }
+}
+
+/**
+ * Create the cancel_scheduled_task tool.
+ * @param {Scheduler} scheduler
+ */
+export function createCancelScheduledTask(scheduler) {
+  return {
+    definition: {
+      name: 'cancel_scheduled_task',
+      description: 'Cancel a scheduled reminder or task in the current chat by ID. Use list_scheduled_tasks first to find the ID.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Task ID returned by schedule_task or list_scheduled_tasks' }
+        },
+        required: ['id']
+      }
+    },
+
+    async execute({ id }, { logger = defaultLogger, context = {} } = {}) {
+      requireChat(context)
+
+      // Only tasks that belong to this chat can be cancelled from it
+      const task = scheduler.get(id)
+      if (!task || task.chatId !== context.chatId) {
+        throw new Error(`Scheduled task not found: ${id}`)
+      }
+
+      await scheduler.remove(id)
+      logger.info('motor', 'schedule_task_cancelled', { id, chatId: context.chatId })
+      return `Cancelled scheduled task ${id} (${task.description})`
+    }
+  }
+}
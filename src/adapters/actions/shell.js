@@ -23,6 +23,7 @@ export function createRunCommand(motorConfig) {
         required: ['repo', 'command']
       }
     },
+    workspace: input => input.repo,
 
     async execute({ repo, command, timeout_ms }, { logger = defaultLogger } = {}) {
       const workDir = resolveWorkspace(motorConfig.workspacesDir, repo)
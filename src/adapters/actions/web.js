@@ -53,6 +53,7 @@ export const searchWeb = {
       required: ['query']
     }
   },
+  readOnly: true,
 
   async execute({ query }, { logger = defaultLogger } = {}) {
     const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`
@@ -108,6 +109,7 @@ export const fetchUrl = {
       required: ['url']
     }
   },
+  readOnly: true,
 
   async execute({ url }, { logger = defaultLogger } = {}) {
     validateUrl(url)
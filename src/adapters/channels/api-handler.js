@@ -2,21 +2,30 @@ import crypto from 'node:crypto'
 import { readdir, stat, readFile, unlink } from 'node:fs/promises'
 import { join } from 'node:path'
 import { URL } from 'node:url'
-import { MESSAGE_IN, MESSAGE_OUT } from '../../infrastructure/events.js'
+import {
+  MESSAGE_IN, MESSAGE_OUT, MESSAGE_DELTA, THINKING_START, TOOL_STARTED, TOOL_COMPLETED,
+  TASK_QUEUED, TASK_PROGRESS, TASK_COMPLETED, TASK_FAILED, TASK_CANCELLED,
+} from '../../infrastructure/events.js'
 import defaultLogger from '../../infrastructure/logger.js'
 import { validateBearer, checkRateLimit, extractIp } from './api-auth.js'
 import { createRouter, pathToRegex } from './api-router.js'
+import { CATCH_UP_POLICIES } from '../scheduler/scheduler.js'
+
+// Comment line sent on idle event streams so proxies keep the connection open
+const SSE_HEARTBEAT_MS = 15_000
 
 /**
  * APIHandler — Generic REST API for KenoBot.
  *
  * Not a channel — mounted on HTTPChannel via delegation in _route().
- * All 20 endpoints across 7 groups: discovery, health/stats, conversations,
+ * All 22 endpoints across 7 groups: discovery, health/stats, conversations,
  * memory, scheduler, sleep cycle, tasks.
  *
  * Auth: Bearer API key (Authorization: Bearer kb-xxx).
  * Rate limiting: sliding window per IP.
  * Session IDs: api-{chatId} (resolves to data/sessions/api-{id}.jsonl).
+ * Streaming: POST /conversations/:id/messages with Accept: text/event-stream
+ * answers with Server-Sent Events instead of a single JSON reply.
  */
 export default class APIHandler {
   constructor({
@@ -147,7 +156,9 @@ export default class APIHandler {
       { method: 'GET',    pattern: pathToRegex('/api/v1/memory/patterns'),               handler: this._handleGetPatterns },
       { method: 'GET',    pattern: pathToRegex('/api/v1/scheduler'),                     handler: this._handleListScheduler },
       { method: 'POST',   pattern: pathToRegex('/api/v1/scheduler'),                     handler: this._handleCreateSchedulerTask },
+      { method: 'PATCH',  pattern: pathToRegex('/api/v1/scheduler/:id'),                 handler: this._handleUpdateSchedulerTask },
       { method: 'DELETE', pattern: pathToRegex('/api/v1/scheduler/:id'),                 handler: this._handleDeleteSchedulerTask },
+      { method: 'GET',    pattern: pathToRegex('/api/v1/scheduler/:id/runs'),            handler: this._handleGetSchedulerRuns },
       { method: 'GET',    pattern: pathToRegex('/api/v1/sleep-cycle'),                   handler: this._handleGetSleepCycle },
       { method: 'POST',   pattern: pathToRegex('/api/v1/sleep-cycle/run'),               handler: this._handleRunSleepCycle },
       { method: 'GET',    pattern: pathToRegex('/api/v1/tasks/active'),                  handler: this._handleGetActiveTasks },
@@ -176,11 +187,14 @@ export default class APIHandler {
         'GET  /api/v1/memory/patterns',
         'GET  /api/v1/scheduler',
         'POST /api/v1/scheduler',
+        'PATCH /api/v1/scheduler/:id',
         'DELETE /api/v1/scheduler/:id',
+        'GET  /api/v1/scheduler/:id/runs',
         'GET  /api/v1/sleep-cycle',
         'POST /api/v1/sleep-cycle/run',
         'GET  /api/v1/tasks/active',
         'GET  /api/v1/tasks/:id/events',
+        'GET  /api/v1/signals (WebSocket)',
       ],
       auth: 'Authorization: Bearer <API_KEY> (all except /health and /)',
     })
@@ -310,6 +324,10 @@ export default class APIHandler {
         'Daily or monthly budget exceeded', 'Check your budget limits in config.', true)
     }
 
+    if (req.headers.accept?.includes('text/event-stream')) {
+      return this._streamMessage(res, id, body.content)
+    }
+
     try {
       const text = await this._waitForResponse(id, body.content)
       this._ok(res, { role: 'assistant', content: text })
@@ -335,6 +353,8 @@ export default class APIHandler {
       }
       throw err
     }
+    // Running summary of older messages, if one was written
+    await unlink(join(sessionsDir, `${sessionId}.summary.json`)).catch(() => {})
 
     res.writeHead(204)
     res.end()
@@ -374,24 +394,72 @@ export default class APIHandler {
       return this._err(res, 400, 'INVALID_BODY', 'Failed to read request body')
     }
 
-    const { cronExpr, message, description } = body
-    if (!cronExpr || !message) {
-      return this._err(res, 400, 'MISSING_FIELD', 'cronExpr and message are required')
+    const { cronExpr, runAt, message, description, catchUp, timezone, tool, toolInput, trigger, pattern, action } = body
+    if ((!cronExpr && runAt == null) || (!message && !tool)) {
+      return this._err(res, 400, 'MISSING_FIELD', 'cronExpr (or runAt) and message (or tool) are required')
+    }
+    if (toolInput !== undefined && (typeof toolInput !== 'object' || toolInput === null || Array.isArray(toolInput))) {
+      return this._err(res, 400, 'INVALID_FIELD', 'toolInput must be an object')
+    }
+
+    if (catchUp && !CATCH_UP_POLICIES.includes(catchUp)) {
+      return this._err(res, 400, 'INVALID_FIELD', `Invalid catchUp policy: ${catchUp}`, `Use one of: ${CATCH_UP_POLICIES.join(', ')}`)
     }
 
     let taskId
     try {
       taskId = await this._scheduler.add({
-        cronExpr, message, description: description || '',
+        cronExpr, runAt, message, description: description || '', catchUp, timezone,
+        tool, toolInput, trigger, pattern, action,
         chatId: 'api-scheduled', userId: 'api', channel: 'telegram',
       })
     } catch (err) {
+      if (tool) {
+        return this._err(res, 400, 'INVALID_FIELD', err.message, 'Tool jobs need a cronExpr, a registered tool, trigger change|match and action agent|notify')
+      }
+      if (runAt != null) {
+        return this._err(res, 400, 'INVALID_RUN_AT', err.message, 'Provide a future ISO 8601 timestamp or epoch milliseconds')
+      }
       return this._err(res, 400, 'INVALID_CRON', err.message, 'Provide a valid 5-field cron expression')
     }
 
     this._ok(res, { id: taskId }, 201)
   }
 
+  async _handleUpdateSchedulerTask(req, res, { id }) {
+    let body
+    try {
+      body = await this._readBody(req)
+    } catch {
+      return this._err(res, 400, 'INVALID_BODY', 'Failed to read request body')
+    }
+
+    if (!this._scheduler.get(id)) {
+      return this._err(res, 404, 'NOT_FOUND', `Scheduler task ${id} not found`)
+    }
+
+    const { paused, ...changes } = body
+    const editable = ['cronExpr', 'runAt', 'message', 'description', 'timezone', 'catchUp', 'toolInput', 'trigger', 'pattern', 'action']
+    const unknown = Object.keys(changes).filter(key => !editable.includes(key))
+    if (unknown.length > 0) {
+      return this._err(res, 400, 'INVALID_FIELD', `Unknown field: ${unknown[0]}`, `Editable fields: ${editable.join(', ')}, paused`)
+    }
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      return this._err(res, 400, 'INVALID_FIELD', 'paused must be a boolean')
+    }
+
+    try {
+      if (Object.keys(changes).length > 0) await this._scheduler.update(id, changes)
+      if (paused === true) await this._scheduler.pause(id)
+      if (paused === false) await this._scheduler.resume(id)
+    } catch (err) {
+      return this._err(res, 400, 'INVALID_FIELD', err.message)
+    }
+
+    const nextRun = this._scheduler.nextRun(id)
+    this._ok(res, { task: this._scheduler.get(id), nextRun: nextRun ? nextRun.getTime() : null })
+  }
+
   async _handleDeleteSchedulerTask(req, res, { id }) {
     try {
       await this._scheduler.remove(id)
@@ -402,6 +470,15 @@ export default class APIHandler {
     res.end()
   }
 
+  async _handleGetSchedulerRuns(req, res, { id }) {
+    const runs = this._scheduler.runs(id)
+    if (!runs) {
+      return this._err(res, 404, 'NOT_FOUND', `Scheduler task ${id} not found`)
+    }
+    const { lastRunAt = null, lastStatus = null } = this._scheduler.get(id) || {}
+    this._ok(res, { id, lastRunAt, lastStatus, runs })
+  }
+
   async _handleGetSleepCycle(req, res) {
     const state = this._sleepCycle.getState()
     this._ok(res, state)
@@ -424,14 +501,107 @@ export default class APIHandler {
     this._ok(res, { taskId: id, events })
   }
 
+  // ─── Server-Sent Events ───────────────────────────────────────────────────
+
+  /**
+   * Send a message and stream the agent's work as Server-Sent Events.
+   *
+   * Events: typing, delta, tool_start, tool_end, message, task_progress,
+   * task_end, error. The stream closes after `message`, unless the reply
+   * handed off to a background task (`message.taskId` is set); then it stays
+   * open for task_progress and closes after task_end.
+   * Bus listeners are removed when the client disconnects; the agent still
+   * finishes the turn and saves it to the conversation.
+   * @private
+   */
+  async _streamMessage(res, chatId, content) {
+    this._addCors(res)
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    })
+
+    const send = (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+    const finish = (event, data) => {
+      send(event, data)
+      res.end()
+    }
+
+    let typing = false
+    let replied = false
+    let taskId = null
+    let taskEnd = null
+
+    // A background task can in theory end before the reply is written
+    const endTask = (data) => {
+      if (data.taskId !== taskId) return
+      if (replied) finish('task_end', data)
+      else taskEnd = data
+    }
+
+    const listeners = [
+      [THINKING_START, () => { if (!typing) { typing = true; send('typing', {}) } }],
+      [MESSAGE_DELTA, ({ delta, text }) => send('delta', { delta, text })],
+      [TOOL_STARTED, ({ id, name, input }) => send('tool_start', { id, name, input })],
+      [TOOL_COMPLETED, ({ id, name, result, isError }) => send('tool_end', { id, name, result, isError })],
+      [TASK_QUEUED, (task) => { if (!replied) taskId = task.taskId }],
+      [TASK_PROGRESS, (task) => { if (task.taskId === taskId) send('task_progress', { taskId, text: task.text }) }],
+      [TASK_COMPLETED, (task) => endTask({ taskId: task.taskId, status: 'completed', text: task.text })],
+      [TASK_FAILED, (task) => endTask({ taskId: task.taskId, status: 'failed', error: task.error })],
+      [TASK_CANCELLED, (task) => endTask({ taskId: task.taskId, status: 'cancelled' })],
+    ].map(([type, fn]) => [type, (payload) => {
+      if (payload.chatId === chatId && payload.channel === 'api') fn(payload)
+    }])
+
+    const controller = new AbortController()
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': ping\n\n')
+    }, SSE_HEARTBEAT_MS)
+
+    for (const [type, fn] of listeners) this._bus.on(type, fn)
+
+    // Fires on normal end and on client disconnect
+    res.on('close', () => {
+      clearInterval(heartbeat)
+      for (const [type, fn] of listeners) this._bus.off(type, fn)
+      controller.abort()
+    })
+
+    try {
+      const text = await this._waitForResponse(chatId, content, { signal: controller.signal })
+      replied = true
+      if (!taskId) return finish('message', { role: 'assistant', content: text })
+
+      send('message', { role: 'assistant', content: text, taskId })
+      if (taskEnd) finish('task_end', taskEnd)
+    } catch (error) {
+      if (error.message === 'aborted') {
+        this._logger.info('api', 'stream_client_disconnected', { chatId })
+        return
+      }
+      if (error.message === 'timeout') {
+        return finish('error', {
+          code: 'GATEWAY_TIMEOUT', message: 'Agent did not respond in time',
+          hint: 'The request timed out. Try again.', retryable: true,
+        })
+      }
+      finish('error', { code: 'INTERNAL_ERROR', message: error.message, hint: '', retryable: false })
+    }
+  }
+
   // ─── Chat bus bridge ──────────────────────────────────────────────────────
 
   /**
    * Fire message:in on bus and wait for message:out response.
    * Reuses the same pattern as HTTPChannel._waitForResponse().
+   * Aborting `signal` stops waiting and frees the conversation.
    * @private
    */
-  _waitForResponse(chatId, text) {
+  _waitForResponse(chatId, text, { signal } = {}) {
     return new Promise((resolve, reject) => {
       const requestId = crypto.randomUUID()
       const timeout = setTimeout(() => {
@@ -443,6 +613,13 @@ export default class APIHandler {
       this._pendingRequests.set(requestId, { resolve, reject, timeout, chatId })
       this._activeChats.add(chatId)
 
+      signal?.addEventListener('abort', () => {
+        if (!this._pendingRequests.delete(requestId)) return
+        clearTimeout(timeout)
+        this._activeChats.delete(chatId)
+        reject(new Error('aborted'))
+      }, { once: true })
+
       this._bus.fire(MESSAGE_IN, {
         text,
         chatId,
@@ -493,7 +670,7 @@ export default class APIHandler {
 
   _addCors(res) {
     res.setHeader('Access-Control-Allow-Origin', this._corsOrigin)
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS')
     res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
   }
 
@@ -0,0 +1,86 @@
+import net from 'node:net'
+import { chmod, rm } from 'node:fs/promises'
+import defaultLogger from '../../infrastructure/logger.js'
+import TerminalChannel from './terminal.js'
+
+/**
+ * ChatSocketServer - lets `kenobot chat` attach to a running instance
+ *
+ * Listens on a Unix socket (mode 0600, so only the bot's OS user can
+ * connect) and runs a TerminalChannel over each connection. The client
+ * only pipes its terminal to the socket; prompts, rendering and the tool
+ * trace come from the server. Output is ANSI-styled; clients that are
+ * not on a TTY strip the codes themselves.
+ */
+export default class ChatSocketServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bus
+   * @param {string} options.path - Socket file path
+   * @param {Object} [options.logger]
+   */
+  constructor({ bus, path, logger }) {
+    this._bus = bus
+    this._path = path
+    this._logger = logger || defaultLogger
+    this._server = null
+    this._clients = new Set() // { socket, channel }
+  }
+
+  get path() {
+    return this._path
+  }
+
+  async start() {
+    // A socket file left by a crash would make listen() fail with EADDRINUSE
+    await rm(this._path, { force: true })
+
+    this._server = net.createServer((socket) => this._attach(socket))
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject)
+      this._server.listen(this._path, () => {
+        this._server.removeListener('error', reject)
+        resolve()
+      })
+    })
+    await chmod(this._path, 0o600)
+
+    this._logger.info('terminal', 'chat_socket_listening', { path: this._path })
+  }
+
+  async stop() {
+    const server = this._server
+    this._server = null
+    for (const client of this._clients) await this._detach(client)
+    if (server) await new Promise(resolve => server.close(resolve))
+    await rm(this._path, { force: true })
+  }
+
+  /** @private */
+  async _attach(socket) {
+    // Accepted while stopping: close() waits for every connection to end
+    if (!this._server) {
+      socket.destroy()
+      return
+    }
+
+    const channel = new TerminalChannel(this._bus, { input: socket, output: socket, color: true, logger: this._logger })
+    const client = { socket, channel }
+    this._clients.add(client)
+
+    channel.on('close', () => this._detach(client))
+    socket.on('close', () => this._detach(client))
+    socket.on('error', () => this._detach(client))
+
+    await channel.start()
+    this._logger.info('terminal', 'chat_attached', { clients: this._clients.size })
+  }
+
+  /** @private */
+  async _detach(client) {
+    if (!this._clients.delete(client)) return
+    await client.channel.stop()
+    client.socket.end()
+    this._logger.info('terminal', 'chat_detached', { clients: this._clients.size })
+  }
+}
@@ -0,0 +1,242 @@
+import EventEmitter from 'node:events'
+import defaultLogger from '../../infrastructure/logger.js'
+
+export const GATEWAY_URL = 'wss://gateway.discord.gg/?v=10&encoding=json'
+
+export const INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_MESSAGES: 1 << 9,
+  DIRECT_MESSAGES: 1 << 12,
+  MESSAGE_CONTENT: 1 << 15, // privileged: enable it in the Developer Portal
+}
+
+const DEFAULT_INTENTS = INTENTS.GUILDS | INTENTS.GUILD_MESSAGES | INTENTS.DIRECT_MESSAGES | INTENTS.MESSAGE_CONTENT
+
+const OP = {
+  dispatch: 0,
+  heartbeat: 1,
+  identify: 2,
+  resume: 6,
+  reconnect: 7,
+  invalidSession: 9,
+  hello: 10,
+  heartbeatAck: 11,
+}
+
+// Reconnecting cannot fix these: bad token, bad shard, bad or disallowed intents
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013, 4014])
+
+// The session is gone: identify again instead of resuming
+const SESSION_CLOSE_CODES = new Set([4007, 4009])
+
+/**
+ * DiscordGateway - minimal Discord Gateway (v10) client over WebSocket.
+ *
+ * Identifies, keeps the heartbeat, and once connected reconnects on drops
+ * (resuming the session when Discord allows it). Every dispatch is emitted as
+ * `dispatch` (type, data), e.g. ('MESSAGE_CREATE', message).
+ *
+ * DiscordChannel only needs connect(), close() and the `dispatch` event,
+ * so tests replace the whole gateway with a local fake. `WebSocket` is
+ * injectable too (defaults to the global one, Node 22+).
+ */
+export default class DiscordGateway extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Bot token
+   * @param {number} [options.intents] - Gateway intents bitfield
+   * @param {string} [options.url] - Gateway URL
+   * @param {Function} [options.WebSocket] - WebSocket constructor
+   * @param {number} [options.reconnectDelayMs] - Wait before reconnecting
+   * @param {Object} [options.logger]
+   */
+  constructor({ token, intents = DEFAULT_INTENTS, url = GATEWAY_URL, WebSocket = globalThis.WebSocket, reconnectDelayMs = 5000, logger }) {
+    super()
+    this._token = token
+    this._intents = intents
+    this._url = url
+    this._WebSocket = WebSocket
+    this._reconnectDelayMs = reconnectDelayMs
+    this._logger = logger || defaultLogger
+
+    this._ws = null
+    this._seq = null
+    this._sessionId = null
+    this._resumeUrl = null
+    this._heartbeat = null
+    this._awaitingAck = false
+    this._reconnectTimer = null
+    this._closing = false
+    this._pending = null // { resolve, reject } until the first READY
+  }
+
+  /**
+   * Open the connection and identify.
+   * @returns {Promise<Object>} READY data (`user` is the bot account)
+   */
+  connect() {
+    if (!this._WebSocket) {
+      return Promise.reject(new Error('No WebSocket implementation available (Node 22+ required)'))
+    }
+    this._closing = false
+    return new Promise((resolve, reject) => {
+      this._pending = { resolve, reject }
+      this._open(this._url)
+    })
+  }
+
+  /**
+   * Close the connection for good (no reconnect).
+   */
+  close() {
+    this._closing = true
+    clearTimeout(this._reconnectTimer)
+    this._stopHeartbeat()
+    this._ws?.close(1000)
+    this._ws = null
+    this._pending?.reject(new Error('Discord gateway closed'))
+    this._pending = null
+  }
+
+  // ─── Internals ────────────────────────────────────────────────────────────
+
+  /** @private */
+  _open(url) {
+    const ws = new this._WebSocket(url)
+    this._ws = ws
+    ws.addEventListener('message', (event) => {
+      if (ws !== this._ws) return
+      let packet
+      try {
+        packet = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      this._onPacket(packet)
+    })
+    ws.addEventListener('close', (event) => {
+      if (ws === this._ws) this._onClose(event.code)
+    })
+  }
+
+  /** @private */
+  _onPacket({ op, d, s, t }) {
+    if (s != null) this._seq = s
+
+    switch (op) {
+      case OP.hello:
+        this._startHeartbeat(d.heartbeat_interval)
+        if (this._sessionId) {
+          this._send(OP.resume, { token: this._token, session_id: this._sessionId, seq: this._seq })
+        } else {
+          this._send(OP.identify, {
+            token: this._token,
+            intents: this._intents,
+            properties: { os: process.platform, browser: 'kenobot', device: 'kenobot' },
+          })
+        }
+        break
+      case OP.heartbeatAck:
+        this._awaitingAck = false
+        break
+      case OP.heartbeat:
+        this._send(OP.heartbeat, this._seq)
+        break
+      case OP.reconnect:
+        this._logger.info('discord', 'gateway_reconnect_requested')
+        this._reconnect()
+        break
+      case OP.invalidSession:
+        // d: whether the session can still be resumed
+        if (!d) this._resetSession()
+        this._logger.warn('discord', 'gateway_invalid_session', { resumable: !!d })
+        this._reconnect()
+        break
+      case OP.dispatch:
+        this._onDispatch(t, d)
+        break
+    }
+  }
+
+  /** @private */
+  _onDispatch(type, data) {
+    if (type === 'READY') {
+      this._sessionId = data.session_id
+      this._resumeUrl = data.resume_gateway_url
+      this._logger.info('discord', 'gateway_ready', { user: data.user?.username, guilds: data.guilds?.length ?? 0 })
+      this._pending?.resolve(data)
+      this._pending = null
+    } else if (type === 'RESUMED') {
+      this._logger.info('discord', 'gateway_resumed')
+    }
+    this.emit('dispatch', type, data)
+  }
+
+  /** @private */
+  _onClose(code) {
+    this._stopHeartbeat()
+    this._ws = null
+    if (this._closing) return
+
+    // Before the first READY there is nothing to resume: let connect() fail
+    if (this._pending || FATAL_CLOSE_CODES.has(code)) {
+      const error = new Error(`Discord gateway closed with ${code}${code === 4014 ? ' (enable the Message Content intent)' : ''}`)
+      error.code = code
+      this._logger.error('discord', 'gateway_closed', { code, fatal: true })
+      this._pending?.reject(error)
+      this._pending = null
+      return
+    }
+
+    if (SESSION_CLOSE_CODES.has(code)) this._resetSession()
+    this._logger.warn('discord', 'gateway_closed', { code, reconnectInMs: this._reconnectDelayMs })
+    this._reconnectTimer = setTimeout(() => {
+      this._open(this._sessionId && this._resumeUrl ? `${this._resumeUrl}/?v=10&encoding=json` : this._url)
+    }, this._reconnectDelayMs)
+  }
+
+  /**
+   * Drop the current socket without waiting for its close event (a zombie
+   * connection may never deliver one) and go through the reconnect path.
+   * @private
+   */
+  _reconnect() {
+    const ws = this._ws
+    this._onClose(4000)
+    ws?.close(4000)
+  }
+
+  /** @private */
+  _startHeartbeat(intervalMs) {
+    this._stopHeartbeat()
+    this._awaitingAck = false
+    this._heartbeat = setInterval(() => {
+      if (this._awaitingAck) {
+        // No ACK since the last beat: the connection is a zombie
+        this._logger.warn('discord', 'gateway_heartbeat_missed')
+        this._reconnect()
+        return
+      }
+      this._awaitingAck = true
+      this._send(OP.heartbeat, this._seq)
+    }, intervalMs)
+  }
+
+  /** @private */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeat)
+    this._heartbeat = null
+  }
+
+  /** @private */
+  _resetSession() {
+    this._sessionId = null
+    this._resumeUrl = null
+    this._seq = null
+  }
+
+  /** @private */
+  _send(op, d) {
+    this._ws?.send(JSON.stringify({ op, d }))
+  }
+}
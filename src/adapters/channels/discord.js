@@ -0,0 +1,187 @@
+import BaseChannel from './base.js'
+import DiscordGateway from './discord-gateway.js'
+import { THINKING_START, MESSAGE_OUT } from '../../infrastructure/events.js'
+import { markdownToDiscord, splitMessage, MAX_MESSAGE_LENGTH } from '../../infrastructure/format/discord.js'
+// logger inherited from BaseChannel via this.logger
+
+const API_BASE = 'https://discord.com/api/v10'
+
+// Discord requires bot user agents in this form
+const USER_AGENT = 'DiscordBot (https://github.com/rodacato/kenobot, 1.0)'
+
+/**
+ * DiscordChannel - Discord bot integration (Gateway for events, REST for replies)
+ *
+ * Inherits permission checking, rate limiting and bus wiring from BaseChannel.
+ * `chatId` is the Discord channel ID (a DM channel for direct messages), so
+ * `allowedChatIds` lists channels where anyone may talk to the bot.
+ *
+ * Guild channels follow the Telegram group rules: authorized users are always
+ * answered, everyone else only when they mention the bot or reply to it.
+ * The mention is stripped from the text. Direct messages skip this gate.
+ *
+ * Replies are converted with markdownToDiscord() and split at Discord's
+ * 2000-character limit. Mentions in replies never ping anyone.
+ *
+ * `config.gateway` replaces the Discord Gateway connection (anything with
+ * connect(), close() and a `dispatch` (type, data) event), which lets tests
+ * drive the channel without a network.
+ */
+export default class DiscordChannel extends BaseChannel {
+  constructor(bus, config) {
+    super(bus, config)
+    this._token = config.token
+    this._apiBase = config.apiBase || API_BASE
+    this._gateway = config.gateway || new DiscordGateway({ token: config.token, logger: this.logger })
+    this._botUser = null
+  }
+
+  async start() {
+    this.logger.info('discord', 'starting')
+
+    this._onDispatch = (type, data) => {
+      if (type !== 'MESSAGE_CREATE') return
+      this._handleMessage(data).catch(error => {
+        this.logger.error('discord', 'message_failed', { chatId: data.channel_id, error: error.message })
+      })
+    }
+    this._gateway.on('dispatch', this._onDispatch)
+
+    try {
+      const ready = await this._gateway.connect()
+      this._botUser = ready.user
+      this.logger.info('discord', 'bot_authenticated', { username: ready.user.username, id: ready.user.id })
+    } catch (error) {
+      this._gateway.off('dispatch', this._onDispatch)
+      this.logger.error('discord', 'authentication_failed', {
+        error: error.message,
+        code: error.code,
+        hint: 'Check that DISCORD_BOT_TOKEN is valid and the Message Content intent is enabled in the Developer Portal'
+      })
+      throw new Error(`Discord connection failed: ${error.message}. Check your DISCORD_BOT_TOKEN in .env`)
+    }
+
+    // Store handler references for cleanup in stop()
+    this._onThinking = async ({ chatId, channel }) => {
+      if (channel !== this.name) return
+      try {
+        await this._request('POST', `/channels/${chatId}/typing`)
+      } catch { /* ignore typing failures */ }
+    }
+
+    this._onMessageOut = async ({ chatId, text, channel }) => {
+      if (channel !== this.name) return
+      await this._safeSend(chatId, text)
+    }
+
+    this.bus.on(THINKING_START, this._onThinking)
+    this.bus.on(MESSAGE_OUT, this._onMessageOut)
+    this.logger.info('discord', 'started')
+  }
+
+  async stop() {
+    this.logger.info('discord', 'stopping')
+    this.bus.off(THINKING_START, this._onThinking)
+    this.bus.off(MESSAGE_OUT, this._onMessageOut)
+    this._gateway.off('dispatch', this._onDispatch)
+    this._gateway.close()
+  }
+
+  /**
+   * @param {string} chatId - Discord channel ID
+   * @param {string} text - Markdown
+   */
+  async send(chatId, text) {
+    const chunks = splitMessage(markdownToDiscord(text), MAX_MESSAGE_LENGTH)
+    for (const content of chunks) {
+      await this._request('POST', `/channels/${chatId}/messages`, {
+        content,
+        allowed_mentions: { parse: [] }
+      })
+    }
+  }
+
+  get name() {
+    return 'discord'
+  }
+
+  /**
+   * Turn a MESSAGE_CREATE into a bus message: skip bots, apply guild rules, publish.
+   * @param {Object} msg - Discord message object
+   * @private
+   */
+  async _handleMessage(msg) {
+    if (msg.author.bot || msg.author.id === this._botUser?.id) return
+
+    const text = this._resolveGuildText(msg)
+    if (!text) return
+
+    this._publishMessage({
+      text,
+      chatId: msg.channel_id,
+      userId: msg.author.id,
+      timestamp: Date.now(),
+      metadata: {
+        username: msg.author.username,
+        displayName: msg.author.global_name,
+        chatType: msg.guild_id ? 'guild' : 'dm',
+        ...(msg.guild_id && { guildId: msg.guild_id })
+      }
+    })
+  }
+
+  /**
+   * In guild channels: respond to authorized users always, others only on mention/reply.
+   * @returns {string|null} Text with the bot mention stripped, or null to ignore the message
+   * @private
+   */
+  _resolveGuildText(msg) {
+    const text = msg.content || ''
+    if (!msg.guild_id) return text
+
+    const botId = this._botUser?.id
+    const isAuthorizedUser = this.config.allowedUsers?.includes(msg.author.id)
+    const isReply = msg.referenced_message?.author?.id === botId
+    const isMention = msg.mentions?.some(user => user.id === botId)
+
+    // Skip if not authorized and not a mention/reply
+    if (!isAuthorizedUser && !isReply && !isMention) return null
+
+    // Strip <@botId> / <@!botId> from message text
+    return text.replace(new RegExp(`<@!?${botId}>`, 'g'), '').trim()
+  }
+
+  /**
+   * Call the Discord REST API. Waits out one 429 before giving up.
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [body]
+   * @returns {Promise<Object|null>} Parsed JSON, or null for empty responses
+   * @private
+   */
+  async _request(method, path, body, { retried = false } = {}) {
+    const res = await fetch(`${this._apiBase}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bot ${this._token}`,
+        'User-Agent': USER_AGENT,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      ...(body && { body: JSON.stringify(body) })
+    })
+
+    if (res.status === 429 && !retried) {
+      const { retry_after: retryAfter = 1 } = await res.json().catch(() => ({}))
+      this.logger.warn('discord', 'rate_limited', { path, retryAfter })
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
+      return this._request(method, path, body, { retried: true })
+    }
+
+    if (!res.ok) {
+      const detail = await res.json().catch(() => ({}))
+      throw new Error(`Discord API ${res.status}: ${detail.message || res.statusText}`)
+    }
+
+    return res.status === 204 ? null : res.json()
+  }
+}
@@ -7,6 +7,7 @@ import BaseChannel from './base.js'
 import { MESSAGE_IN, MESSAGE_OUT } from '../../infrastructure/events.js'
 // logger inherited from BaseChannel via this.logger
 import { getStatus } from '../../infrastructure/health.js'
+import { SIGNALS_PATH } from './signal-stream.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const pkg = JSON.parse(await readFile(join(__dirname, '..', '..', '..', 'package.json'), 'utf8'))
@@ -21,6 +22,10 @@ const pkg = JSON.parse(await readFile(join(__dirname, '..', '..', '..', 'package
  * Two session modes:
  * - Transient (no chat_id): each request is standalone, no history
  * - Persistent (with chat_id): maintains conversation history across requests
+ *
+ * With the REST API enabled, /api/* is delegated to APIHandler and WebSocket
+ * upgrades on /api/v1/signals to SignalStream. Other adapters can mount
+ * their own endpoints with addRoute() (e.g. the Telegram webhook).
  */
 export default class HTTPChannel extends BaseChannel {
   constructor(bus, config) {
@@ -31,16 +36,36 @@ export default class HTTPChannel extends BaseChannel {
     this._sockets = new Set()
     this._stats = config.stats || null
     this._apiHandler = config.apiHandler || null
+    this._signalStream = config.signalStream || null
+    this._routes = new Map() // 'METHOD /path' → handler(req, res)
   }
 
   get name() { return 'http' }
 
+  /**
+   * Serve an exact method + path with a handler from another adapter.
+   * Works before or after start().
+   *
+   * @param {string} method - e.g. 'POST'
+   * @param {string} path - Path without query string
+   * @param {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void} handler
+   * @returns {Function} Call to remove the route
+   */
+  addRoute(method, path, handler) {
+    const key = `${method} ${path}`
+    this._routes.set(key, handler)
+    return () => {
+      if (this._routes.get(key) === handler) this._routes.delete(key)
+    }
+  }
+
   async start() {
     this._responseHandler = (msg) => this._handleBusResponse(msg)
     this.bus.on(MESSAGE_OUT, this._responseHandler)
     this._apiHandler?.subscribe(this.bus)
 
     this.server = createServer((req, res) => this._route(req, res))
+    this.server.on('upgrade', (req, socket, head) => this._routeUpgrade(req, socket, head))
     this.server.on('connection', (socket) => {
       this._sockets.add(socket)
       socket.on('close', () => this._sockets.delete(socket))
@@ -59,6 +84,7 @@ export default class HTTPChannel extends BaseChannel {
 
   async stop() {
     this._apiHandler?.unsubscribe()
+    this._signalStream?.close()
 
     if (this._responseHandler) {
       this.bus.off(MESSAGE_OUT, this._responseHandler)
@@ -89,6 +115,8 @@ export default class HTTPChannel extends BaseChannel {
    * @private
    */
   _route(req, res) {
+    const route = this._routes.get(`${req.method} ${req.url.split('?')[0]}`)
+    if (route) return route(req, res)
     if (this._apiHandler && req.url.startsWith('/api/')) {
       return this._apiHandler.handle(req, res)
     }
@@ -105,6 +133,18 @@ export default class HTTPChannel extends BaseChannel {
     res.end(JSON.stringify({ error: 'not found' }))
   }
 
+  /**
+   * Route WebSocket upgrade requests.
+   * @private
+   */
+  _routeUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if (this._signalStream && pathname === SIGNALS_PATH) {
+      return this._signalStream.handleUpgrade(req, socket, head)
+    }
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n')
+  }
+
   /**
    * Handle POST /webhook — validate, process, return agent response.
    * @private
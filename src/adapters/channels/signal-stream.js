@@ -0,0 +1,206 @@
+import crypto from 'node:crypto'
+import { URL } from 'node:url'
+import defaultLogger from '../../infrastructure/logger.js'
+import { validateBearer } from './api-auth.js'
+import { OPCODES, acceptKey, encodeFrame, closePayload, FrameReader } from './ws-protocol.js'
+
+export const SIGNALS_PATH = '/api/v1/signals'
+
+// A client that cannot keep up is dropped instead of buffering without bound
+const MAX_BUFFERED_BYTES = 1024 * 1024
+const PING_INTERVAL_MS = 30_000
+
+/**
+ * SignalStream — WebSocket feed of nervous-system signals.
+ *
+ * Not a channel — mounted on HTTPChannel, which hands it upgrade requests
+ * for GET /api/v1/signals. Every signal NervousSystem.fire() delivers is
+ * sent to each client whose filter matches, as one JSON text message
+ * (Signal.toJSON(): type, source, traceId, timestamp, payload).
+ *
+ * Auth: the APIHandler key, as `Authorization: Bearer <key>`, or for
+ * browsers (which cannot set WebSocket headers) as the subprotocols
+ * `bearer, <key>`.
+ *
+ * Filters: `type`, `source` and `traceId` query parameters, comma-separated.
+ * A type ending in `*` matches a prefix (`task:*`). Clients can replace
+ * their filter by sending `{ "type": [...], "source": [...], "traceId": "..." }`.
+ */
+export default class SignalStream {
+  constructor({ bus, apiKey, logger, maxClients = 10 }) {
+    this._bus = bus
+    this._apiKey = apiKey
+    this._logger = logger || defaultLogger
+    this._maxClients = maxClients
+    this._clients = new Set()
+  }
+
+  get clientCount() {
+    return this._clients.size
+  }
+
+  /**
+   * Complete the WebSocket handshake for an HTTP upgrade request.
+   * Called by HTTPChannel for upgrades on SIGNALS_PATH.
+   *
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:stream').Duplex} socket
+   * @param {Buffer} [head] - Bytes already read past the request headers
+   */
+  handleUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key']
+    if (req.method !== 'GET' || req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      return rejectUpgrade(socket, 400, 'Bad Request')
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+      .split(',').map(p => p.trim()).filter(Boolean)
+
+    if (!this._isAuthorized(req, protocols)) {
+      this._logger.warn('api', 'signal_stream_rejected', { reason: 'unauthorized' })
+      return rejectUpgrade(socket, 401, 'Unauthorized')
+    }
+    if (this._clients.size >= this._maxClients) {
+      return rejectUpgrade(socket, 503, 'Service Unavailable')
+    }
+
+    const response = [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    ]
+    if (protocols[0] === 'bearer') response.push('Sec-WebSocket-Protocol: bearer')
+    socket.write(response.join('\r\n') + '\r\n\r\n')
+
+    const { searchParams } = new URL(req.url, 'http://localhost')
+    const client = {
+      id: crypto.randomUUID(),
+      socket,
+      filter: toFilter({
+        type: searchParams.getAll('type').join(','),
+        source: searchParams.getAll('source').join(','),
+        traceId: searchParams.get('traceId'),
+      }),
+      reader: new FrameReader(),
+      closed: false,
+    }
+
+    client.untap = this._bus.tap((signal) => this._deliver(client, signal))
+    client.ping = setInterval(() => this._send(client, OPCODES.ping), PING_INTERVAL_MS)
+    this._clients.add(client)
+
+    socket.on('data', (chunk) => this._onData(client, chunk))
+    socket.on('close', () => this._drop(client))
+    socket.on('error', () => this._drop(client))
+    if (head?.length) this._onData(client, head)
+
+    this._logger.info('api', 'signal_stream_connected', { clientId: client.id, clients: this._clients.size })
+  }
+
+  /**
+   * Close every client (server shutting down). Called by HTTPChannel.stop().
+   */
+  close() {
+    for (const client of this._clients) this._close(client, 1001, 'server shutting down')
+  }
+
+  // ─── Internals ────────────────────────────────────────────────────────────
+
+  /** @private */
+  _isAuthorized(req, protocols) {
+    if (req.headers['authorization']) return validateBearer(req, this._apiKey)
+    if (protocols[0] !== 'bearer' || !protocols[1]) return false
+    return validateBearer({ headers: { authorization: `Bearer ${protocols[1]}` } }, this._apiKey)
+  }
+
+  /** @private */
+  _deliver(client, signal) {
+    if (client.closed || !matches(client.filter, signal)) return
+
+    if (client.socket.writableLength > MAX_BUFFERED_BYTES) {
+      this._logger.warn('api', 'signal_stream_slow_client', { clientId: client.id })
+      return this._close(client, 1013, 'too slow')
+    }
+
+    let json
+    try {
+      json = JSON.stringify(signal)
+    } catch {
+      json = JSON.stringify({ ...signal.toJSON(), payload: null })
+    }
+    this._send(client, OPCODES.text, json)
+  }
+
+  /** @private */
+  _onData(client, chunk) {
+    let messages
+    try {
+      messages = client.reader.push(chunk)
+    } catch (error) {
+      return this._close(client, error.closeCode || 1002, error.message)
+    }
+
+    for (const { opcode, payload } of messages) {
+      if (opcode === OPCODES.ping) this._send(client, OPCODES.pong, payload)
+      else if (opcode === OPCODES.close) this._close(client, 1000)
+      else if (opcode === OPCODES.text) this._updateFilter(client, payload.toString())
+    }
+  }
+
+  /** @private */
+  _updateFilter(client, text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch {
+      return
+    }
+    if (data && typeof data === 'object' && !Array.isArray(data)) client.filter = toFilter(data)
+  }
+
+  /** @private */
+  _send(client, opcode, payload) {
+    if (client.closed) return
+    client.socket.write(encodeFrame(opcode, payload))
+  }
+
+  /** @private */
+  _close(client, code, reason = '') {
+    if (client.closed) return
+    this._send(client, OPCODES.close, closePayload(code, reason))
+    this._drop(client)
+    client.socket.end()
+  }
+
+  /** @private */
+  _drop(client) {
+    if (!this._clients.delete(client)) return
+    client.closed = true
+    client.untap()
+    clearInterval(client.ping)
+    this._logger.info('api', 'signal_stream_disconnected', { clientId: client.id, clients: this._clients.size })
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`)
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean)
+  return value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []
+}
+
+function toFilter({ type, source, traceId } = {}) {
+  return { types: toList(type), sources: toList(source), traceId: traceId || null }
+}
+
+function matches(filter, signal) {
+  if (filter.traceId && signal.traceId !== filter.traceId) return false
+  if (filter.sources.length > 0 && !filter.sources.includes(signal.source)) return false
+  if (filter.types.length === 0) return true
+  return filter.types.some(type => type.endsWith('*')
+    ? signal.type.startsWith(type.slice(0, -1))
+    : signal.type === type)
+}
@@ -1,12 +1,35 @@
 import { Bot } from 'grammy'
+import crypto from 'node:crypto'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
 import BaseChannel from './base.js'
-import { THINKING_START, MESSAGE_OUT, NOTIFICATION } from '../../infrastructure/events.js'
+import { THINKING_START, MESSAGE_OUT, MESSAGE_DELTA, NOTIFICATION, NOTIFICATION_ACTION } from '../../infrastructure/events.js'
 import { markdownToHTML } from '../../infrastructure/format/telegram.js'
 // logger inherited from BaseChannel via this.logger
 
 // Duplicated from loop.js intentionally — adapters cannot import application layer
 const CANCEL_PATTERN = /^(para|stop|cancel|cancelar)$/i
 
+// Slash commands are answered on their own, never merged into a batch
+const COMMAND_PATTERN = /^\/[a-z_]+(@\w+)?(\s|$)/i
+
+const MEDIA_UPDATES = ['message:photo', 'message:document', 'message:voice', 'message:audio']
+
+// Bot API getFile refuses anything larger
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024
+
+// Streamed previews are plain text cut to one message; the final edit is chunked
+const MAX_PREVIEW_CHARS = 4000
+
+// Updates are small JSON documents; anything bigger is not from Telegram
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024
+
+// Telegram only delivers webhooks to these ports
+const WEBHOOK_PORTS = ['', '443', '80', '88', '8443']
+
+// Reply-thread bookkeeping kept in memory; replying to a forgotten bot message starts a new thread
+const MAX_THREAD_MESSAGES = 1000
+
 /**
  * TelegramChannel - Telegram Bot API integration via grammy
  *
@@ -17,21 +40,61 @@ const CANCEL_PATTERN = /^(para|stop|cancel|cancelar)$/i
  * `debounceMs` are accumulated and processed as a single request. This
  * prevents the bot from replying to each fragment when the user hits Enter
  * mid-thought. Cancel commands bypass the buffer immediately.
+ *
+ * Media: photos, documents, voice notes and audio are downloaded into
+ * `<dataDir>/attachments/<chatId>/` and published with a typed `attachments`
+ * array; the caption becomes the message text. Albums arrive as separate
+ * updates and are merged by the debounce buffer.
+ *
+ * Buttons: notifications with `buttons` are sent with an inline keyboard.
+ * Presses from the owner (first allowed user) in their own chat fire
+ * NOTIFICATION_ACTION with the button data; anyone else gets "Not allowed".
+ *
+ * Commands: `config.commands` ([{ command, description }]) is registered with
+ * setMyCommands on start so Telegram shows them in the command menu.
+ *
+ * Streaming: on the first message:delta of a response the channel posts the
+ * partial text, then edits it at most every `streamEditMs` as text arrives.
+ * The message:out with the same streamId makes the last edit with the clean,
+ * formatted reply. `streamEditMs: 0` ignores deltas (the full reply is sent once).
+ *
+ * Webhook mode: with `config.webhook` ({ server, url, secretToken }) the
+ * channel does not poll. It mounts POST /telegram/<hash of the secret> on
+ * the HTTPChannel `server`, registers `<url>/telegram/...` with setWebhook,
+ * and feeds each update whose X-Telegram-Bot-Api-Secret-Token matches into
+ * the same handlers. Without a `secretToken` one is derived from the bot token.
+ *
+ * Thread sessions (opt-in, `config.threadSessions`): in groups, a message in
+ * a forum topic gets `threadId: 'topic-<message_thread_id>'`, and a reply to
+ * one of the bot's messages gets the thread of that message, or starts
+ * `reply-<message id>`. The loop keeps a separate session per thread, and
+ * replies carrying the threadId are posted in the topic, or as a reply to the
+ * latest message of the reply chain.
  */
 export default class TelegramChannel extends BaseChannel {
   constructor(bus, config) {
     super(bus, config)
     this.bot = new Bot(config.token)
     this._debounceMs = config.debounceMs ?? 1500
-    this._debounceBuffers = new Map() // chatId → { timer, texts[], meta }
+    this._debounceBuffers = new Map() // chatId or `chatId~threadId` → { timer, texts[], attachments[], meta }
+    this._attachmentsDir = join(config.dataDir || './data', 'attachments')
+    this._commands = config.commands || []
+    this._streamEditMs = config.streamEditMs ?? 1000
+    this._streams = new Map() // streamId → { chatId, messageId, text, shownText, lastEditAt, timer, queue, failed, closed }
+    this._webhook = config.webhook ? resolveWebhook(config.webhook, config.token) : null
+    this._removeWebhookRoute = null
+    this._threadSessions = config.threadSessions === true
+    this._threadsByMessage = new Map() // `${chatId}:${messageId}` → threadId (bot messages in reply threads)
+    this._threadReplyTo = new Map() // `${chatId}~${threadId}` → latest user message_id of the reply thread
   }
 
   async start() {
     this.logger.info('telegram', 'starting')
 
     // Validate bot token by calling getMe
+    let botInfo
     try {
-      const botInfo = await this.bot.api.getMe()
+      botInfo = await this.bot.api.getMe()
       this.logger.info('telegram', 'bot_authenticated', {
         username: botInfo.username,
         id: botInfo.id,
@@ -46,63 +109,51 @@ export default class TelegramChannel extends BaseChannel {
       throw new Error(`Telegram authentication failed: ${error.message}. Check your TELEGRAM_BOT_TOKEN in .env`)
     }
 
-    // Handle incoming text messages
-    this.bot.on('message:text', async (ctx) => {
-      const chatType = ctx.chat.type
-      const isGroup = chatType === 'group' || chatType === 'supergroup'
-      let text = ctx.message.text
-
-      // In groups: respond to authorized users always, others only on mention/reply
-      if (isGroup) {
-        const userId = String(ctx.from.id)
-        const isAuthorizedUser = this.config.allowedUsers.includes(userId)
-        const botId = ctx.me.id
-        const botUsername = ctx.me.username
-        const isReply = ctx.message.reply_to_message?.from?.id === botId
-        const isMention = botUsername && text.includes(`@${botUsername}`)
-
-        // Skip if not authorized and not a mention/reply
-        if (!isAuthorizedUser && !isReply && !isMention) return
-
-        // Strip @botname from message text
-        if (isMention && botUsername) {
-          text = text.replace(new RegExp(`@${botUsername}\\b`, 'gi'), '').trim()
-        }
-      }
-
-      this._bufferOrPublish({
-        text,
-        chatId: String(ctx.chat.id),
-        userId: String(ctx.from.id),
-        timestamp: Date.now(),
-        metadata: {
-          username: ctx.from.username,
-          firstName: ctx.from.first_name,
-          chatType
-        }
-      })
-    })
+    // Handle incoming text messages, and media with their captions
+    this.bot.on('message:text', (ctx) => this._handleIncoming(ctx, ctx.message.text))
+    this.bot.on(MEDIA_UPDATES, (ctx) => this._handleIncoming(ctx, ctx.message.caption || '', { media: true }))
+    this.bot.on('callback_query:data', (ctx) => this._handleCallback(ctx))
 
     // Store handler references for cleanup in stop()
-    this._onThinking = async ({ chatId, channel }) => {
+    this._onThinking = async ({ chatId, channel, threadId }) => {
       if (channel !== this.name) return
+      const topic = topicOf(threadId)
       try {
-        await this.bot.api.sendChatAction(chatId, 'typing')
+        await this.bot.api.sendChatAction(chatId, 'typing', topic ? { message_thread_id: topic } : undefined)
       } catch { /* ignore typing failures */ }
     }
 
-    this._onMessageOut = async ({ chatId, text, channel }) => {
+    this._onMessageOut = async ({ chatId, text, channel, streamId, threadId }) => {
       if (channel !== this.name) return
-      await this._safeSend(chatId, text)
+      if (streamId && this._streams.has(streamId)) {
+        await this._finishStream(streamId, text)
+        return
+      }
+      await this._safeSend(chatId, text, threadId ? { threadId } : {})
     }
 
-    this._onNotification = async ({ chatId, text }) => {
-      await this._safeSend(chatId, text)
+    this._onMessageDelta = ({ chatId, text, channel, streamId, threadId }) => {
+      if (channel !== this.name || !text) return
+      this._updateStream(streamId, chatId, text, threadId)
+    }
+
+    this._onNotification = async ({ chatId, text, buttons }) => {
+      await this._safeSend(chatId, text, buttons ? { buttons } : {})
     }
 
     this.bus.on(THINKING_START, this._onThinking)
     this.bus.on(MESSAGE_OUT, this._onMessageOut)
     this.bus.on(NOTIFICATION, this._onNotification)
+    if (this._streamEditMs > 0) this.bus.on(MESSAGE_DELTA, this._onMessageDelta)
+
+    if (this._webhook) {
+      // Webhook updates go straight to handleUpdate(), which needs the bot info bot.start() would fetch
+      this.bot.botInfo = botInfo
+      await this._registerCommands()
+      await this._startWebhook()
+      this.logger.info('telegram', 'started', { mode: 'webhook' })
+      return
+    }
 
     // Explicitly delete webhook before starting polling (Grammy requires this)
     // Catch 404 errors as they just mean no webhook was configured
@@ -119,6 +170,8 @@ export default class TelegramChannel extends BaseChannel {
       }
     }
 
+    await this._registerCommands()
+
     // Start polling (should not attempt to delete webhook again if we already did it)
     await this.bot.start({
       onStart: (botInfo) => {
@@ -133,34 +186,411 @@ export default class TelegramChannel extends BaseChannel {
 
   async stop() {
     // Flush any pending debounce buffers — do not lose messages on shutdown
-    for (const chatId of this._debounceBuffers.keys()) {
-      this._flushBuffer(chatId)
+    for (const key of this._debounceBuffers.keys()) {
+      this._flushBuffer(key)
     }
     this.logger.info('telegram', 'stopping')
     this.bus.off(THINKING_START, this._onThinking)
     this.bus.off(MESSAGE_OUT, this._onMessageOut)
     this.bus.off(NOTIFICATION, this._onNotification)
+    this.bus.off(MESSAGE_DELTA, this._onMessageDelta)
+    for (const stream of this._streams.values()) clearTimeout(stream.timer)
+    this._streams.clear()
+    this._removeWebhookRoute?.()
+    this._removeWebhookRoute = null
     await this.bot.stop()
   }
 
-  async send(chatId, text) {
+  /**
+   * Mount the secret-path route on the HTTP server and point Telegram at it.
+   * The webhook stays registered after stop(): Telegram keeps queueing
+   * updates until the next start, and polling mode deletes it.
+   * @private
+   */
+  async _startWebhook() {
+    const { server, url, path, secretToken } = this._webhook
+    this._removeWebhookRoute = server.addRoute('POST', path, (req, res) => this._handleWebhook(req, res))
+
+    try {
+      await this.bot.api.setWebhook(`${url}${path}`, { secret_token: secretToken, drop_pending_updates: true })
+    } catch (error) {
+      this._removeWebhookRoute()
+      this._removeWebhookRoute = null
+      throw new Error(`Telegram setWebhook failed: ${error.message}. Check TELEGRAM_WEBHOOK_URL in .env`)
+    }
+    // The path embeds a secret: log the public base URL only
+    this.logger.info('telegram', 'webhook_set', { url })
+  }
+
+  /**
+   * POST from Telegram: check the secret token, acknowledge, then run the
+   * update through the bot's handlers.
+   * @private
+   */
+  async _handleWebhook(req, res) {
+    const token = req.headers['x-telegram-bot-api-secret-token']
+    if (!safeEqual(token, this._webhook.secretToken)) {
+      this.logger.warn('telegram', 'webhook_rejected', { reason: 'invalid secret token' })
+      res.writeHead(401).end()
+      return
+    }
+
+    let update
+    try {
+      update = JSON.parse(await readBody(req, MAX_WEBHOOK_BODY_BYTES))
+    } catch {
+      res.writeHead(400).end()
+      return
+    }
+
+    // Answer before handling: Telegram resends updates that are not acknowledged quickly
+    res.writeHead(200).end()
+    try {
+      await this.bot.handleUpdate(update)
+    } catch (error) {
+      this.logger.error('telegram', 'update_failed', { updateId: update.update_id, error: error.message })
+    }
+  }
+
+  /**
+   * Register the command menu with BotFather. Failure is not fatal:
+   * commands still work when typed, only the menu is missing.
+   * @private
+   */
+  async _registerCommands() {
+    if (this._commands.length === 0) return
+
+    try {
+      await this.bot.api.setMyCommands(this._commands)
+      this.logger.info('telegram', 'commands_registered', { count: this._commands.length })
+    } catch (error) {
+      this.logger.warn('telegram', 'commands_register_failed', { error: error.message })
+    }
+  }
+
+  /**
+   * @param {string} chatId
+   * @param {string} text - Markdown
+   * @param {Object} [options]
+   * @param {Array<Array<{text: string, data: string}>>} [options.buttons] - Inline keyboard rows, attached to the last chunk
+   * @param {number} [options.editMessageId] - Replace this message with the first chunk instead of sending it
+   * @param {string} [options.threadId] - Post in this forum topic or reply thread
+   */
+  async send(chatId, text, { buttons, editMessageId, threadId } = {}) {
     const html = markdownToHTML(text)
     const chunks = this._chunkMessage(html, 4000)
+    const keyboard = buttons && {
+      reply_markup: {
+        inline_keyboard: buttons.map(row => row.map(b => ({ text: b.text, callback_data: b.data })))
+      }
+    }
+
+    const thread = this._threadOptions(chatId, threadId)
 
-    for (const chunk of chunks) {
+    for (const [i, chunk] of chunks.entries()) {
+      const extra = i === chunks.length - 1 ? keyboard : undefined
+      if (i === 0 && editMessageId) {
+        await this._editFinal(chatId, editMessageId, chunk, extra)
+        continue
+      }
+      let sent
       try {
-        await this.bot.api.sendMessage(chatId, chunk, { parse_mode: 'HTML' })
+        sent = await this.bot.api.sendMessage(chatId, chunk, { parse_mode: 'HTML', ...thread, ...extra })
       } catch {
         // HTML parse failed — fall back to plain text
-        await this.bot.api.sendMessage(chatId, chunk)
+        sent = await this.bot.api.sendMessage(chatId, chunk, { ...thread, ...extra })
+      }
+      this._trackThreadMessage(chatId, threadId, sent?.message_id)
+    }
+  }
+
+  /**
+   * sendMessage options that place a reply in its thread (null outside threads).
+   * @private
+   */
+  _threadOptions(chatId, threadId) {
+    if (!threadId) return null
+    const topic = topicOf(threadId)
+    if (topic) return { message_thread_id: topic }
+
+    // Reply threads: answer the latest user message, or the bot message that started the thread
+    const replyTo = this._threadReplyTo.get(`${chatId}~${threadId}`) ?? Number(threadId.slice('reply-'.length))
+    return { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } }
+  }
+
+  /**
+   * Remember which reply thread a bot message belongs to, so replying to it
+   * continues that thread.
+   * @private
+   */
+  _trackThreadMessage(chatId, threadId, messageId) {
+    if (!threadId || topicOf(threadId) || !messageId) return
+    remember(this._threadsByMessage, `${chatId}:${messageId}`, threadId)
+  }
+
+  /**
+   * Thread of an incoming group message (see class docs), or null for the main chat.
+   * @private
+   */
+  _resolveThread(ctx, chatId) {
+    if (!this._threadSessions) return null
+    const chatType = ctx.chat.type
+    if (chatType !== 'group' && chatType !== 'supergroup') return null
+
+    const msg = ctx.message
+    if (msg.is_topic_message && msg.message_thread_id) return `topic-${msg.message_thread_id}`
+
+    const replied = msg.reply_to_message
+    if (!replied || replied.from?.id !== ctx.me.id) return null
+
+    const threadId = this._threadsByMessage.get(`${chatId}:${replied.message_id}`) ?? `reply-${replied.message_id}`
+    remember(this._threadReplyTo, `${chatId}~${threadId}`, msg.message_id)
+    return threadId
+  }
+
+  /**
+   * Edit a streamed message into its final HTML form.
+   * @private
+   */
+  async _editFinal(chatId, messageId, chunk, extra) {
+    try {
+      await this.bot.api.editMessageText(chatId, messageId, chunk, { parse_mode: 'HTML', ...extra })
+    } catch (error) {
+      if (isNotModified(error)) return
+      // HTML parse failed — fall back to plain text
+      try {
+        await this.bot.api.editMessageText(chatId, messageId, chunk, { ...extra })
+      } catch (plainError) {
+        if (!isNotModified(plainError)) throw plainError
+      }
+    }
+  }
+
+  /**
+   * Record new streamed text: post it on the first delta, otherwise schedule
+   * a throttled edit. Telegram calls for one stream run one at a time.
+   * @private
+   */
+  _updateStream(streamId, chatId, text, threadId) {
+    const existing = this._streams.get(streamId)
+    if (existing) {
+      existing.text = text
+      this._scheduleEdit(existing)
+      return
+    }
+
+    const stream = { chatId, threadId, messageId: null, text, shownText: '', lastEditAt: 0, timer: null, failed: false, closed: false }
+    stream.queue = this._postStream(stream)
+    this._streams.set(streamId, stream)
+  }
+
+  /** @private */
+  async _postStream(stream) {
+    try {
+      const thread = this._threadOptions(stream.chatId, stream.threadId)
+      const sent = thread
+        ? await this.bot.api.sendMessage(stream.chatId, preview(stream.text), thread)
+        : await this.bot.api.sendMessage(stream.chatId, preview(stream.text))
+      stream.messageId = sent.message_id
+      this._trackThreadMessage(stream.chatId, stream.threadId, sent.message_id)
+      stream.shownText = stream.text
+      stream.lastEditAt = Date.now()
+    } catch (error) {
+      // Keep quiet until message:out, which then sends the reply normally
+      stream.failed = true
+      this.logger.warn('telegram', 'stream_post_failed', { chatId: stream.chatId, error: error.message })
+      return
+    }
+    this._scheduleEdit(stream)
+  }
+
+  /** @private */
+  _scheduleEdit(stream) {
+    if (stream.timer || stream.closed || stream.failed || stream.messageId === null) return
+    if (stream.text === stream.shownText) return
+
+    const wait = Math.max(0, stream.lastEditAt + this._streamEditMs - Date.now())
+    stream.timer = setTimeout(() => {
+      stream.timer = null
+      stream.queue = stream.queue.then(() => this._editStream(stream))
+    }, wait)
+  }
+
+  /** @private */
+  async _editStream(stream) {
+    const text = stream.text
+    if (stream.failed || text === stream.shownText) return
+
+    try {
+      await this.bot.api.editMessageText(stream.chatId, stream.messageId, preview(text))
+      stream.shownText = text
+    } catch (error) {
+      if (!isNotModified(error)) {
+        this.logger.warn('telegram', 'stream_edit_failed', { chatId: stream.chatId, error: error.message })
       }
     }
+    stream.lastEditAt = Date.now()
+    this._scheduleEdit(stream)
+  }
+
+  /**
+   * Replace the streamed preview with the final reply (tags stripped, formatted).
+   * Falls back to a normal send when the preview never made it to the chat.
+   * @private
+   */
+  async _finishStream(streamId, text) {
+    const stream = this._streams.get(streamId)
+    this._streams.delete(streamId)
+    stream.closed = true
+    clearTimeout(stream.timer)
+
+    await stream.queue
+    const thread = stream.threadId ? { threadId: stream.threadId } : {}
+    if (stream.failed) {
+      await this._safeSend(stream.chatId, text, thread)
+      return
+    }
+    // Overflow chunks of a long reply are new messages and must land in the thread too
+    await this._safeSend(stream.chatId, text, { ...thread, editMessageId: stream.messageId })
   }
 
   get name() {
     return 'telegram'
   }
 
+  /**
+   * Turn an incoming update into a message: apply group rules, download media,
+   * then buffer or publish.
+   *
+   * @param {Object} ctx - grammy context
+   * @param {string} rawText - Message text or media caption
+   * @param {Object} [opts]
+   * @param {boolean} [opts.media] - Update carries a file to download
+   * @private
+   */
+  async _handleIncoming(ctx, rawText, { media = false } = {}) {
+    const chatType = ctx.chat.type
+    const text = this._resolveGroupText(ctx, rawText)
+    if (text === null) return
+
+    const chatId = String(ctx.chat.id)
+    const userId = String(ctx.from.id)
+    const threadId = this._resolveThread(ctx, chatId)
+
+    let attachments
+    if (media) {
+      // Check before downloading: strangers must not be able to fill the disk
+      if (!this._isAllowed(userId, chatId)) {
+        this.logger.warn('channel', 'auth_rejected', { userId, chatId, channel: this.name })
+        return
+      }
+      attachments = [await this._downloadAttachment(ctx.message, chatId)]
+    }
+
+    this._bufferOrPublish({
+      text,
+      chatId,
+      ...(threadId && { threadId }),
+      userId,
+      timestamp: Date.now(),
+      ...(attachments && { attachments }),
+      metadata: {
+        username: ctx.from.username,
+        firstName: ctx.from.first_name,
+        chatType
+      }
+    })
+  }
+
+  /**
+   * Inline keyboard press: acknowledge it and hand the button data to the bus.
+   * @param {Object} ctx - grammy context with callbackQuery
+   * @private
+   */
+  async _handleCallback(ctx) {
+    const userId = String(ctx.from.id)
+    const chatId = String(ctx.chat?.id ?? ctx.from.id)
+
+    // Buttons only go out on owner notifications, so only the owner may press them
+    const owner = this.config.allowedUsers?.[0]
+    if (!owner || userId !== owner || chatId !== owner) {
+      this.logger.warn('channel', 'auth_rejected', { userId, chatId, channel: this.name })
+      await ctx.answerCallbackQuery({ text: 'Not allowed' }).catch(() => {})
+      return
+    }
+
+    // Answer first so the button stops spinning even if a listener is slow
+    await ctx.answerCallbackQuery().catch(() => {})
+    this.bus.fire(NOTIFICATION_ACTION, {
+      data: ctx.callbackQuery.data,
+      chatId,
+      userId,
+      channel: this.name
+    }, { source: this.name })
+  }
+
+  /**
+   * In groups: respond to authorized users always, others only on mention/reply.
+   * @returns {string|null} Text with @botname stripped, or null to ignore the update
+   * @private
+   */
+  _resolveGroupText(ctx, text) {
+    const chatType = ctx.chat.type
+    if (chatType !== 'group' && chatType !== 'supergroup') return text
+
+    const userId = String(ctx.from.id)
+    const isAuthorizedUser = this.config.allowedUsers?.includes(userId)
+    const botId = ctx.me.id
+    const botUsername = ctx.me.username
+    const isReply = ctx.message.reply_to_message?.from?.id === botId
+    const isMention = botUsername && text.includes(`@${botUsername}`)
+
+    // Skip if not authorized and not a mention/reply
+    if (!isAuthorizedUser && !isReply && !isMention) return null
+
+    // Strip @botname from message text
+    if (isMention) {
+      return text.replace(new RegExp(`@${botUsername}\\b`, 'gi'), '').trim()
+    }
+    return text
+  }
+
+  /**
+   * Download the file of a media message into the chat's attachments directory.
+   * Failures do not drop the message: the attachment is returned with an `error`.
+   *
+   * @param {Object} msg - Telegram message with photo, document, voice or audio
+   * @param {string} chatId
+   * @returns {Promise<{type: string, fileName: string, mimeType: string, size: number, path?: string, duration?: number, error?: string}>}
+   * @private
+   */
+  async _downloadAttachment(msg, chatId) {
+    const { fileId, ...attachment } = describeMedia(msg)
+
+    if (attachment.size > MAX_DOWNLOAD_BYTES) {
+      this.logger.warn('telegram', 'attachment_too_large', { chatId, fileName: attachment.fileName, size: attachment.size })
+      return { ...attachment, error: 'file is larger than 20 MB' }
+    }
+
+    try {
+      const file = await this.bot.api.getFile(fileId)
+      const res = await fetch(`https://api.telegram.org/file/bot${this.config.token}/${file.file_path}`)
+      if (!res.ok) throw new Error(`download failed with status ${res.status}`)
+      const data = Buffer.from(await res.arrayBuffer())
+
+      const dir = join(this._attachmentsDir, chatId)
+      const path = join(dir, `${msg.message_id}-${attachment.fileName.replace(/[^\w.-]/g, '_')}`)
+      await mkdir(dir, { recursive: true })
+      await writeFile(path, data)
+
+      this.logger.info('telegram', 'attachment_saved', { chatId, type: attachment.type, size: data.length })
+      return { ...attachment, size: data.length, path }
+    } catch (error) {
+      this.logger.error('telegram', 'attachment_failed', { chatId, fileName: attachment.fileName, error: error.message })
+      return { ...attachment, error: error.message }
+    }
+  }
+
   /**
    * Buffer message or publish immediately.
    *
@@ -178,49 +608,65 @@ export default class TelegramChannel extends BaseChannel {
       return
     }
 
-    const { chatId } = message
+    // One buffer per session: threads of a chat are batched separately
+    const { chatId, threadId } = message
+    const key = threadId ? `${chatId}~${threadId}` : chatId
 
-    // Cancel commands bypass debounce — flush any pending batch first so the
-    // cancel arrives after all prior content, maintaining causal order
-    if (CANCEL_PATTERN.test(message.text.trim())) {
-      this._flushBuffer(chatId)
+    // Cancel and slash commands bypass debounce — flush any pending batch first
+    // so the command arrives after all prior content, maintaining causal order
+    const trimmed = message.text.trim()
+    if (CANCEL_PATTERN.test(trimmed) || COMMAND_PATTERN.test(trimmed)) {
+      this._flushBuffer(key)
       this._publishMessage(message)
       return
     }
 
-    const existing = this._debounceBuffers.get(chatId)
+    const existing = this._debounceBuffers.get(key)
     if (existing) {
       clearTimeout(existing.timer)
-      existing.texts.push(message.text)
+      if (message.text) existing.texts.push(message.text)
+      existing.attachments.push(...(message.attachments || []))
       // Let the user know the bot received this message while still accumulating
-      try { this.bot.api.sendChatAction(chatId, 'typing') } catch { /* ignore */ }
+      const topic = topicOf(threadId)
+      try { this.bot.api.sendChatAction(chatId, 'typing', topic ? { message_thread_id: topic } : undefined) } catch { /* ignore */ }
     } else {
-      this._debounceBuffers.set(chatId, { texts: [message.text], meta: message })
+      this._debounceBuffers.set(key, {
+        texts: message.text ? [message.text] : [],
+        attachments: [...(message.attachments || [])],
+        meta: message
+      })
     }
 
-    const entry = this._debounceBuffers.get(chatId)
-    entry.timer = setTimeout(() => this._flushBuffer(chatId), this._debounceMs)
+    const entry = this._debounceBuffers.get(key)
+    entry.timer = setTimeout(() => this._flushBuffer(key), this._debounceMs)
   }
 
   /**
-   * Flush the debounce buffer for a chat, joining accumulated texts and firing
-   * a single MESSAGE_IN event.
+   * Flush the debounce buffer for a chat (or one of its threads), joining
+   * accumulated texts and attachments and firing a single MESSAGE_IN event.
    *
-   * @param {string} chatId
+   * @param {string} key - chatId, or `chatId~threadId`
    * @private
    */
-  _flushBuffer(chatId) {
-    const entry = this._debounceBuffers.get(chatId)
+  _flushBuffer(key) {
+    const entry = this._debounceBuffers.get(key)
     if (!entry) return
-    this._debounceBuffers.delete(chatId)
+    this._debounceBuffers.delete(key)
     clearTimeout(entry.timer)
     const text = entry.texts.join('\n')
     this.logger.debug('telegram', 'debounce_flushed', {
-      chatId,
+      chatId: entry.meta.chatId,
+      threadId: entry.meta.threadId,
       messageCount: entry.texts.length,
+      attachments: entry.attachments.length || undefined,
       totalLength: text.length
     })
-    this._publishMessage({ ...entry.meta, text })
+    const { attachments, ...meta } = entry.meta
+    this._publishMessage({
+      ...meta,
+      text,
+      ...(entry.attachments.length > 0 && { attachments: entry.attachments })
+    })
   }
 
   /**
@@ -265,3 +711,134 @@ export default class TelegramChannel extends BaseChannel {
     return chunks
   }
 }
+
+/**
+ * Attachment fields for a media message, plus the Telegram file_id to fetch.
+ * Photos come in several sizes; the last one is the largest.
+ */
+function describeMedia(msg) {
+  if (msg.photo) {
+    const photo = msg.photo.at(-1)
+    return { type: 'image', fileId: photo.file_id, fileName: `photo-${msg.message_id}.jpg`, mimeType: 'image/jpeg', size: photo.file_size || 0 }
+  }
+  if (msg.voice) {
+    const { voice } = msg
+    return { type: 'voice', fileId: voice.file_id, fileName: `voice-${msg.message_id}.ogg`, mimeType: voice.mime_type || 'audio/ogg', size: voice.file_size || 0, duration: voice.duration }
+  }
+  if (msg.audio) {
+    const { audio } = msg
+    return { type: 'audio', fileId: audio.file_id, fileName: audio.file_name || `audio-${msg.message_id}`, mimeType: audio.mime_type || 'audio/mpeg', size: audio.file_size || 0, duration: audio.duration }
+  }
+  const doc = msg.document
+  const mimeType = doc.mime_type || 'application/octet-stream'
+  return {
+    type: mimeType.startsWith('image/') ? 'image' : 'document',
+    fileId: doc.file_id,
+    fileName: doc.file_name || `document-${msg.message_id}`,
+    mimeType,
+    size: doc.file_size || 0
+  }
+}
+
+/**
+ * Problems with a webhook configuration, as readable strings (empty when valid).
+ * Used at startup and by `kenobot doctor`.
+ *
+ * @param {Object} webhook
+ * @param {string} webhook.url - Public base URL of the HTTP server
+ * @param {string} [webhook.secretToken]
+ * @returns {string[]}
+ */
+export function validateWebhookConfig({ url, secretToken }) {
+  const problems = []
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return [`TELEGRAM_WEBHOOK_URL is not a valid URL: ${url || '(empty)'}`]
+  }
+
+  if (parsed.protocol !== 'https:') problems.push('TELEGRAM_WEBHOOK_URL must use https (Telegram only delivers to HTTPS)')
+  if (!WEBHOOK_PORTS.includes(parsed.port)) problems.push('TELEGRAM_WEBHOOK_URL port must be 443, 80, 88 or 8443')
+  if (parsed.search || parsed.hash) problems.push('TELEGRAM_WEBHOOK_URL must not have a query string or fragment')
+  if (['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname)) {
+    problems.push('TELEGRAM_WEBHOOK_URL must be the public address (e.g. the tunnel hostname), not localhost')
+  }
+  if (secretToken && !/^[A-Za-z0-9_-]{1,256}$/.test(secretToken)) {
+    problems.push('TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 characters)')
+  }
+  return problems
+}
+
+/**
+ * Route path for a secret token. Hashed so the token itself never appears in URLs or proxy logs.
+ * @param {string} secretToken
+ * @returns {string}
+ */
+export function webhookPath(secretToken) {
+  return `/telegram/${sha256(secretToken).slice(0, 32)}`
+}
+
+/**
+ * Fill in derived webhook settings; throws on an invalid configuration.
+ * @param {Object} webhook - { server, url, secretToken? }
+ * @param {string} botToken
+ */
+function resolveWebhook({ server, url, secretToken }, botToken) {
+  const problems = validateWebhookConfig({ url, secretToken })
+  if (problems.length > 0) throw new Error(problems.join('; '))
+  if (!server) throw new Error('Telegram webhook mode needs the HTTP server (HTTP_ENABLED=true)')
+
+  const secret = secretToken || sha256(`kenobot-webhook:${botToken}`)
+  return { server, url: url.replace(/\/+$/, ''), secretToken: secret, path: webhookPath(secret) }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string') return false
+  const left = Buffer.from(a)
+  const right = Buffer.from(b)
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > maxBytes) {
+        req.destroy()
+        reject(new Error('body too large'))
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+function preview(text) {
+  return text.length > MAX_PREVIEW_CHARS ? `${text.slice(0, MAX_PREVIEW_CHARS)}…` : text
+}
+
+// Telegram rejects edits that leave the message unchanged
+function isNotModified(error) {
+  return /message is not modified/i.test(error?.description || error?.message || '')
+}
+
+/** Forum topic id of a `topic-<id>` threadId, or null */
+function topicOf(threadId) {
+  return threadId?.startsWith('topic-') ? Number(threadId.slice('topic-'.length)) : null
+}
+
+/** Set a key on a Map used as a bounded cache: the oldest entry goes first */
+function remember(map, key, value) {
+  map.delete(key)
+  map.set(key, value)
+  if (map.size > MAX_THREAD_MESSAGES) map.delete(map.keys().next().value)
+}
@@ -0,0 +1,160 @@
+import { createInterface } from 'node:readline'
+import BaseChannel from './base.js'
+import { THINKING_START, MESSAGE_OUT, TOOL_STARTED, TOOL_COMPLETED } from '../../infrastructure/events.js'
+import { markdownToANSI } from '../../infrastructure/format/terminal.js'
+// logger inherited from BaseChannel via this.logger
+
+const EXIT_PATTERN = /^\/(exit|quit)$/i
+
+// Tool inputs and results are cut to one short line in the trace
+const TRACE_CHARS = 100
+
+/**
+ * TerminalChannel - line-based chat over a pair of streams
+ *
+ * `kenobot chat` runs it on stdin/stdout in-process, and ChatSocketServer
+ * runs one per client on the socket of a running instance. Every line is
+ * a message; replies are rendered with markdownToANSI().
+ *
+ * Sessions persist like any channel: the loop keys them by
+ * `terminal-<chatId>` (default chatId: `local`), so in-process and
+ * attached chats continue the same conversation.
+ *
+ * Tool trace: tool:started / tool:completed for this chat are printed as
+ * one dimmed line each while the reply is being worked on.
+ *
+ * `/exit`, Ctrl+C or end of input emits `close`; the owner decides what to stop.
+ */
+export default class TerminalChannel extends BaseChannel {
+  /**
+   * @param {Object} bus
+   * @param {Object} config
+   * @param {import('node:stream').Readable} config.input
+   * @param {import('node:stream').Writable} config.output
+   * @param {string} [config.chatId] - Session key (default: 'local')
+   * @param {boolean} [config.color] - ANSI styling (default: output is a TTY)
+   * @param {string} [config.prompt]
+   */
+  constructor(bus, config) {
+    super(bus, config)
+    this._input = config.input
+    this._output = config.output
+    this._chatId = config.chatId || 'local'
+    this._color = config.color ?? !!config.output.isTTY
+    this._prompt = config.prompt ?? this._style('bold', 'you › ')
+    this._rl = null
+  }
+
+  get name() {
+    return 'terminal'
+  }
+
+  // Local access only: the process's own stdin, or a socket file only its OS user can open
+  _isAllowed() { return true }
+
+  async start() {
+    this._rl = createInterface({
+      input: this._input,
+      output: this._output,
+      prompt: this._prompt,
+      terminal: !!this._output.isTTY,
+    })
+    this._rl.on('line', (line) => this._onLine(line))
+    this._rl.on('SIGINT', () => this._rl.close())
+    this._rl.on('close', () => {
+      if (!this._rl) return // closed by stop()
+      this._rl = null
+      this.emit('close')
+    })
+
+    // Store handler references for cleanup in stop()
+    this._onThinking = ({ chatId, channel }) => {
+      if (!this._isOwn(channel, chatId)) return
+      this._write(this._style('dim', 'thinking…'))
+    }
+
+    this._onMessageOut = async ({ chatId, text, channel }) => {
+      if (!this._isOwn(channel, chatId)) return
+      await this._safeSend(chatId, text)
+    }
+
+    this._onToolStarted = ({ chatId, channel, name, input }) => {
+      if (!this._isOwn(channel, chatId)) return
+      this._write(this._style('dim', `⚙ ${name} ${clip(JSON.stringify(input ?? {}))}`))
+    }
+
+    this._onToolCompleted = ({ chatId, channel, name, result, isError }) => {
+      if (!this._isOwn(channel, chatId)) return
+      const summary = clip(String(result ?? '').split('\n')[0])
+      this._write(this._style('dim', `${isError ? '✗' : '✓'} ${name} ${summary}`))
+    }
+
+    this.bus.on(THINKING_START, this._onThinking)
+    this.bus.on(MESSAGE_OUT, this._onMessageOut)
+    this.bus.on(TOOL_STARTED, this._onToolStarted)
+    this.bus.on(TOOL_COMPLETED, this._onToolCompleted)
+
+    this._rl.prompt()
+  }
+
+  async stop() {
+    this.bus.off(THINKING_START, this._onThinking)
+    this.bus.off(MESSAGE_OUT, this._onMessageOut)
+    this.bus.off(TOOL_STARTED, this._onToolStarted)
+    this.bus.off(TOOL_COMPLETED, this._onToolCompleted)
+    const rl = this._rl
+    this._rl = null
+    rl?.close()
+  }
+
+  /**
+   * @param {string} chatId
+   * @param {string} text - Markdown
+   */
+  async send(chatId, text) {
+    this._write(`\n${markdownToANSI(text, { color: this._color })}\n`)
+    this._rl?.prompt()
+  }
+
+  /** @private */
+  _onLine(line) {
+    const text = line.trim()
+    if (!text) {
+      this._rl?.prompt()
+      return
+    }
+    if (EXIT_PATTERN.test(text)) {
+      this._rl?.close()
+      return
+    }
+
+    this._publishMessage({
+      text,
+      chatId: this._chatId,
+      userId: 'terminal',
+      timestamp: Date.now(),
+      metadata: { chatType: 'private' }
+    })
+  }
+
+  /** @private */
+  _isOwn(channel, chatId) {
+    return channel === this.name && chatId === this._chatId
+  }
+
+  /** @private */
+  _write(text) {
+    if (this._output.writable) this._output.write(`${text}\n`)
+  }
+
+  /** @private */
+  _style(name, text) {
+    if (!this._color) return text
+    const codes = { bold: [1, 22], dim: [2, 22] }[name]
+    return `\x1b[${codes[0]}m${text}\x1b[${codes[1]}m`
+  }
+}
+
+function clip(text) {
+  return text.length > TRACE_CHARS ? `${text.slice(0, TRACE_CHARS - 1)}…` : text
+}
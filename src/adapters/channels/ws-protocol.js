@@ -0,0 +1,165 @@
+import crypto from 'node:crypto'
+
+/**
+ * Minimal WebSocket (RFC 6455) framing for server-side endpoints.
+ *
+ * Covers what a push-style endpoint needs: the upgrade handshake, unmasked
+ * server frames, and reading masked client frames (text, ping, close).
+ * No extensions (permessage-deflate is never negotiated).
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+export const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA,
+}
+
+/**
+ * Sec-WebSocket-Accept value for a client's Sec-WebSocket-Key.
+ * @param {string} key
+ * @returns {string}
+ */
+export function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64')
+}
+
+/**
+ * Encode a single unfragmented server frame (servers never mask).
+ * @param {number} opcode - One of OPCODES
+ * @param {string|Buffer} [payload]
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload)
+  let header
+
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length])
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(data.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(data.length), 2)
+  }
+
+  return Buffer.concat([header, data])
+}
+
+/**
+ * Close frame payload: 2-byte status code plus optional reason.
+ * @param {number} code
+ * @param {string} [reason]
+ * @returns {Buffer}
+ */
+export function closePayload(code, reason = '') {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+  payload.writeUInt16BE(code, 0)
+  payload.write(reason, 2)
+  return payload
+}
+
+/**
+ * Incremental reader for client frames.
+ *
+ * Feed socket chunks with push(); it returns the complete messages they
+ * finish. Fragmented messages are joined. Throws when a client breaks the
+ * protocol (unmasked frame, oversized message) — callers close with 1002/1009.
+ */
+export class FrameReader {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxMessageBytes] - Largest accepted message
+   */
+  constructor({ maxMessageBytes = 64 * 1024 } = {}) {
+    this._buffer = Buffer.alloc(0)
+    this._fragments = []
+    this._fragmentOpcode = null
+    this._maxMessageBytes = maxMessageBytes
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @returns {Array<{ opcode: number, payload: Buffer }>}
+   */
+  push(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk])
+    const messages = []
+
+    let frame
+    while ((frame = this._readFrame())) {
+      const { fin, opcode, payload } = frame
+
+      // Control frames may arrive between fragments
+      if (opcode >= OPCODES.close) {
+        messages.push({ opcode, payload })
+        continue
+      }
+
+      if (opcode !== OPCODES.continuation) this._fragmentOpcode = opcode
+      this._fragments.push(payload)
+
+      const size = this._fragments.reduce((sum, part) => sum + part.length, 0)
+      if (size > this._maxMessageBytes) throw protocolError('message too big', 1009)
+
+      if (fin) {
+        messages.push({ opcode: this._fragmentOpcode, payload: Buffer.concat(this._fragments) })
+        this._fragments = []
+        this._fragmentOpcode = null
+      }
+    }
+
+    return messages
+  }
+
+  /** @private */
+  _readFrame() {
+    const buf = this._buffer
+    if (buf.length < 2) return null
+
+    const fin = (buf[0] & 0x80) !== 0
+    const opcode = buf[0] & 0x0F
+    const masked = (buf[1] & 0x80) !== 0
+    let length = buf[1] & 0x7F
+    let offset = 2
+
+    if (!masked) throw protocolError('client frames must be masked', 1002)
+
+    if (length === 126) {
+      if (buf.length < 4) return null
+      length = buf.readUInt16BE(2)
+      offset = 4
+    } else if (length === 127) {
+      if (buf.length < 10) return null
+      const big = buf.readBigUInt64BE(2)
+      if (big > BigInt(this._maxMessageBytes)) throw protocolError('message too big', 1009)
+      length = Number(big)
+      offset = 10
+    }
+
+    if (length > this._maxMessageBytes) throw protocolError('message too big', 1009)
+    if (buf.length < offset + 4 + length) return null
+
+    const mask = buf.subarray(offset, offset + 4)
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length))
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4]
+
+    this._buffer = buf.subarray(offset + 4 + length)
+    return { fin, opcode, payload }
+  }
+}
+
+function protocolError(message, closeCode) {
+  const error = new Error(message)
+  error.closeCode = closeCode
+  return error
+}
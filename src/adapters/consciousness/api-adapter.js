@@ -7,12 +7,15 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Uses the Gemini API directly via @google/genai SDK.
  * Same contract as CLIConsciousnessAdapter: call(systemPrompt, taskPrompt) → string.
  * Faster than CLI adapter (no spawn overhead, direct HTTP).
+ * Token usage of each call goes to `onUsage({ model, inputTokens, outputTokens })`.
+ * A `responseSchema` is sent as Gemini's `responseJsonSchema` (JSON mode).
  */
 export default class APIConsciousnessAdapter {
-  constructor({ model = 'gemini-2.0-flash', timeout = 30000, logger = defaultLogger } = {}) {
+  constructor({ model = 'gemini-2.0-flash', timeout = 30000, logger = defaultLogger, onUsage = null } = {}) {
     this.model = model
     this.timeout = timeout
     this.logger = logger
+    this.onUsage = onUsage
 
     if (!process.env.GEMINI_API_KEY) {
       throw new Error('GEMINI_API_KEY is required for gemini-api consciousness adapter')
@@ -25,9 +28,11 @@ export default class APIConsciousnessAdapter {
    * Execute a one-shot consciousness call via API.
    * @param {string} systemPrompt - Expert profile system prompt
    * @param {string} taskPrompt - The task/question to evaluate
+   * @param {Object} [options]
+   * @param {Object} [options.responseSchema] - JSON Schema the reply must match
    * @returns {Promise<string>} Raw text response
    */
-  async call(systemPrompt, taskPrompt) {
+  async call(systemPrompt, taskPrompt, { responseSchema } = {}) {
     const controller = new AbortController()
     const timer = setTimeout(() => controller.abort(), this.timeout)
 
@@ -36,10 +41,19 @@ export default class APIConsciousnessAdapter {
         model: this.model,
         contents: [{ role: 'user', parts: [{ text: taskPrompt }] }],
         config: {
-          systemInstruction: systemPrompt
+          systemInstruction: systemPrompt,
+          ...(responseSchema && { responseMimeType: 'application/json', responseJsonSchema: responseSchema })
         }
       })
 
+      if (response.usageMetadata) {
+        this.onUsage?.({
+          model: this.model,
+          inputTokens: response.usageMetadata.promptTokenCount || 0,
+          outputTokens: response.usageMetadata.candidatesTokenCount || 0
+        })
+      }
+
       return (response.text || '').trim()
     } catch (error) {
       if (error.name === 'AbortError') {
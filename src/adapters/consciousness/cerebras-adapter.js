@@ -6,12 +6,15 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Uses the Cerebras Inference API (OpenAI-compatible) via native fetch.
  * Same contract as other adapters: call(systemPrompt, taskPrompt) → string.
  * No extra dependencies — uses Node.js built-in fetch.
+ * Token usage of each call goes to `onUsage({ model, inputTokens, outputTokens })`.
+ * A `responseSchema` is sent as `response_format: { type: 'json_schema' }`.
  */
 export default class CerebrasConsciousnessAdapter {
-  constructor({ model = 'gpt-oss-120b', timeout = 30000, logger = defaultLogger } = {}) {
+  constructor({ model = 'gpt-oss-120b', timeout = 30000, logger = defaultLogger, onUsage = null } = {}) {
     this.model = model
     this.timeout = timeout
     this.logger = logger
+    this.onUsage = onUsage
 
     if (!process.env.CEREBRAS_API_KEY) {
       throw new Error('CEREBRAS_API_KEY is required for cerebras consciousness adapter')
@@ -24,9 +27,11 @@ export default class CerebrasConsciousnessAdapter {
    * Execute a one-shot consciousness call via Cerebras API.
    * @param {string} systemPrompt - Expert profile system prompt
    * @param {string} taskPrompt - The task/question to evaluate
+   * @param {Object} [options]
+   * @param {Object} [options.responseSchema] - JSON Schema the reply must match
    * @returns {Promise<string>} Raw text response
    */
-  async call(systemPrompt, taskPrompt) {
+  async call(systemPrompt, taskPrompt, { responseSchema } = {}) {
     const controller = new AbortController()
     const timer = setTimeout(() => controller.abort(), this.timeout)
 
@@ -44,7 +49,10 @@ export default class CerebrasConsciousnessAdapter {
             { role: 'user', content: taskPrompt }
           ],
           max_tokens: 512,
-          temperature: 0.1
+          temperature: 0.1,
+          ...(responseSchema && {
+            response_format: { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+          })
         }),
         signal: controller.signal
       })
@@ -55,6 +63,13 @@ export default class CerebrasConsciousnessAdapter {
       }
 
       const data = await response.json()
+      if (data.usage) {
+        this.onUsage?.({
+          model: this.model,
+          inputTokens: data.usage.prompt_tokens || 0,
+          outputTokens: data.usage.completion_tokens || 0
+        })
+      }
       return (data.choices?.[0]?.message?.content || '').trim()
     } catch (error) {
       if (error.name === 'AbortError') {
@@ -7,6 +7,8 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Wraps any CLI that accepts a prompt and returns text (gemini, claude, etc.).
  * NOT a provider — simpler contract: call(systemPrompt, taskPrompt) → string.
  * Spawn pattern from src/adapters/providers/gemini-cli.js.
+ * The CLI has no JSON mode: a `responseSchema` is left to the prompt
+ * and the gateway's validation.
  */
 export default class CLIConsciousnessAdapter {
   constructor({ command = 'gemini', model = 'gemini-2.0-flash', timeout = 30000, logger = defaultLogger } = {}) {
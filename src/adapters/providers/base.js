@@ -1,4 +1,5 @@
 import logger from '../../infrastructure/logger.js'
+import { parseStructured, schemaInstruction, retryInstruction, SchemaValidationError } from '../../infrastructure/structured-output.js'
 
 const RETRYABLE_STATUSES = [429, 500, 502, 503]
 
@@ -22,6 +23,24 @@ const REQUIRED_GETTERS = ['name']
  *   - adaptToolDefinitions(definitions) → adapted definitions
  *   - buildToolResultMessages(rawContent, results) → messages
  *   - get supportsTools → true
+ *
+ * Optional (attachments):
+ *   - get supportsImages → true: user messages may carry Anthropic-style
+ *     image/document blocks with base64 sources
+ *
+ * Optional (streaming):
+ *   - async *chatStream(messages, options) → yields { type: 'text', text } deltas,
+ *     then a final { type: 'done', response } with the same shape as chat()
+ *   - get supportsStreaming → true automatically when chatStream is defined
+ *
+ * Structured output (chat() only):
+ *   - options.responseSchema: a JSON Schema the reply must match. The response
+ *     then carries `data` (the parsed, validated value) next to `content`
+ *     (its JSON text); a reply that does not match throws SchemaValidationError.
+ *     Structured calls are one-shot: `tools` are not sent with them.
+ *   - get supportsResponseSchema → true when the provider maps the schema to a
+ *     native mechanism (forced tool, responseSchema, response_format). Others
+ *     call _chatWithSchemaFallback(): schema in the prompt, validate, retry once.
  */
 export default class BaseProvider {
   constructor() {
@@ -61,13 +80,59 @@ export default class BaseProvider {
   /**
    * Send messages to LLM and get response
    * @param {Array<{role: string, content: string|Array}>} messages - Conversation history
-   * @param {Object} options - Provider-specific options (model, temperature, tools, etc.)
-   * @returns {Promise<{content: string, toolCalls: Array|null, stopReason: string, rawContent: Array|null, usage?: Object}>}
+   * @param {Object} options - Provider-specific options (model, temperature, tools, responseSchema, etc.)
+   * @returns {Promise<{content: string, toolCalls: Array|null, stopReason: string, rawContent: Array|null, usage?: Object, data?: *}>}
    */
   async chat(messages, options = {}) {
     throw new Error('chat() must be implemented by subclass')
   }
 
+  /**
+   * Structured output for providers without a native mechanism: the schema
+   * is appended to the system prompt, the reply parsed and validated, and an
+   * invalid reply sent back with its errors for another attempt.
+   * Call from chat() when `options.responseSchema` is set.
+   * @protected
+   * @param {Array} messages
+   * @param {Object} options - chat() options including responseSchema
+   * @param {number} [maxAttempts]
+   * @returns {Promise<Object>} chat() response with `data`
+   * @throws {SchemaValidationError} When the last attempt still does not match
+   */
+  async _chatWithSchemaFallback(messages, options, maxAttempts = 2) {
+    const { responseSchema, systemSegments, tools, ...rest } = options
+    const chatOptions = { ...rest, system: [rest.system, schemaInstruction(responseSchema)].filter(Boolean).join('\n\n') }
+
+    let conversation = messages
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.chat(conversation, chatOptions)
+      try {
+        return this._withData(response, responseSchema)
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError) || attempt >= maxAttempts) throw error
+        logger.warn('provider', 'schema_retry', { provider: this.name, attempt, errors: error.errors.slice(0, 5) })
+        conversation = [
+          ...conversation,
+          { role: 'assistant', content: response.content || '' },
+          { role: 'user', content: retryInstruction(error) }
+        ]
+      }
+    }
+  }
+
+  /**
+   * Attach the validated value of a structured reply as `data`.
+   * @protected
+   * @param {Object} response - chat() response
+   * @param {Object} schema
+   * @param {*} [value] - Already parsed value (native tool input), else parsed from content
+   * @throws {SchemaValidationError}
+   */
+  _withData(response, schema, value = response.content) {
+    const data = parseStructured(value, schema)
+    return { ...response, content: typeof value === 'string' ? response.content : JSON.stringify(data), data }
+  }
+
   /**
    * Wrapper around chat() with exponential backoff retry for transient errors.
    * Retries on HTTP 429, 500, 502, 503. Max 3 attempts with 1s, 2s, 4s delays.
@@ -83,20 +148,50 @@ export default class BaseProvider {
 
         if (!isRetryable || isLastAttempt) throw error
 
-        const delayMs = this._retryDelay(attempt)
-        logger.warn('provider', 'retrying', {
-          provider: this.name,
-          attempt,
-          maxRetries,
-          status: error.status,
-          delayMs,
-          error: error.message
-        })
-        await new Promise(resolve => setTimeout(resolve, delayMs))
+        await this._waitBeforeRetry(attempt, maxRetries, error)
       }
     }
   }
 
+  /**
+   * Streaming counterpart of chatWithRetry().
+   * Retries only while nothing has been yielded: once text reached the
+   * caller, a retry would repeat it, so later failures are thrown.
+   */
+  async *chatStreamWithRetry(messages, options = {}, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      let started = false
+      try {
+        for await (const event of this.chatStream(messages, options)) {
+          started = true
+          yield event
+        }
+        return
+      } catch (error) {
+        const isRetryable = RETRYABLE_STATUSES.includes(error.status)
+        const isLastAttempt = attempt === maxRetries
+
+        if (started || !isRetryable || isLastAttempt) throw error
+
+        await this._waitBeforeRetry(attempt, maxRetries, error)
+      }
+    }
+  }
+
+  /** @private */
+  async _waitBeforeRetry(attempt, maxRetries, error) {
+    const delayMs = this._retryDelay(attempt)
+    logger.warn('provider', 'retrying', {
+      provider: this.name,
+      attempt,
+      maxRetries,
+      status: error.status,
+      delayMs,
+      error: error.message
+    })
+    await new Promise(resolve => setTimeout(resolve, delayMs))
+  }
+
   /**
    * Calculate retry delay in ms for a given attempt number.
    * Overridable for testing.
@@ -146,6 +241,32 @@ export default class BaseProvider {
     return false
   }
 
+  /**
+   * Whether this provider accepts image and PDF content blocks in user messages.
+   * Override to return true in multimodal providers.
+   * @returns {boolean}
+   */
+  get supportsImages() {
+    return false
+  }
+
+  /**
+   * Whether this provider maps `responseSchema` to a native structured-output
+   * mechanism (otherwise it falls back to prompt + validate + retry).
+   * @returns {boolean}
+   */
+  get supportsResponseSchema() {
+    return false
+  }
+
+  /**
+   * Whether this provider can stream text deltas via chatStream().
+   * @returns {boolean}
+   */
+  get supportsStreaming() {
+    return typeof this.chatStream === 'function'
+  }
+
   /**
    * Provider name for logging
    * @returns {string}
@@ -29,10 +29,27 @@ export default class CircuitBreakerProvider extends BaseProvider {
     return this.inner.name
   }
 
+  /** Model the provider answers with (CLI providers keep it in config). */
+  get model() {
+    return this.inner.model || this.inner.config?.model
+  }
+
   get supportsTools() {
     return this.inner.supportsTools
   }
 
+  get supportsImages() {
+    return this.inner.supportsImages
+  }
+
+  get supportsResponseSchema() {
+    return this.inner.supportsResponseSchema
+  }
+
+  get supportsStreaming() {
+    return this.inner.supportsStreaming
+  }
+
   adaptToolDefinitions(definitions) {
     return this.inner.adaptToolDefinitions(definitions)
   }
@@ -42,14 +59,7 @@ export default class CircuitBreakerProvider extends BaseProvider {
   }
 
   async chat(messages, options) {
-    if (this.state === 'OPEN') {
-      if (Date.now() - this.lastFailure >= this.cooldown) {
-        this.state = 'HALF_OPEN'
-        this.logger.info('provider', 'circuit_half_open', { provider: this.inner.name })
-      } else {
-        throw new CircuitBreakerOpenError(this.inner.name, this.cooldown - (Date.now() - this.lastFailure))
-      }
-    }
+    this._beforeCall()
 
     try {
       const result = await this.inner.chat(messages, options)
@@ -61,6 +71,29 @@ export default class CircuitBreakerProvider extends BaseProvider {
     }
   }
 
+  async *chatStream(messages, options) {
+    this._beforeCall()
+
+    try {
+      yield* this.inner.chatStream(messages, options)
+      this._onSuccess()
+    } catch (error) {
+      this._onFailure(error)
+      throw error
+    }
+  }
+
+  _beforeCall() {
+    if (this.state !== 'OPEN') return
+
+    if (Date.now() - this.lastFailure >= this.cooldown) {
+      this.state = 'HALF_OPEN'
+      this.logger.info('provider', 'circuit_half_open', { provider: this.inner.name })
+    } else {
+      throw new CircuitBreakerOpenError(this.inner.name, this.cooldown - (Date.now() - this.lastFailure))
+    }
+  }
+
   _onSuccess() {
     if (this.state === 'HALF_OPEN') {
       this.logger.info('provider', 'circuit_closed', {
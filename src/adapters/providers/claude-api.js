@@ -2,6 +2,14 @@ import Anthropic from '@anthropic-ai/sdk'
 import BaseProvider from './base.js'
 import { registerProvider } from './registry.js'
 import logger from '../../infrastructure/logger.js'
+import { schemaName } from '../../infrastructure/structured-output.js'
+
+// Model mapping: friendly names → API model IDs
+const MODEL_MAP = {
+  'opus': 'claude-opus-4-20250514',
+  'sonnet': 'claude-sonnet-4-5-20250929',
+  'haiku': 'claude-haiku-4-5-20251001'
+}
 
 /**
  * ClaudeAPIProvider - Direct API integration with Anthropic
@@ -12,6 +20,16 @@ import logger from '../../infrastructure/logger.js'
  * Supports two token types:
  * - API key (starts with "sk-ant-" then "api"): standard billing key from console.anthropic.com
  * - OAuth token (starts with "sk-ant-" then "oat"): from `claude setup-token`, uses your Claude.ai subscription
+ *
+ * Prompt caching: with `options.systemSegments`, the stable prefix (identity,
+ * rules, preferences) is sent as its own system block with a cache breakpoint,
+ * so tools + that prefix are read from cache on later calls. Cache reads and
+ * writes are reported in `usage` (`cache_read_input_tokens`,
+ * `cache_creation_input_tokens`); `input_tokens` counts only uncached input.
+ *
+ * Structured output: `options.responseSchema` becomes the input schema of a
+ * single tool the model is forced to call; its input is the response `data`.
+ * Schemas that are not objects are wrapped as `{ value }` and unwrapped.
  */
 export default class ClaudeAPIProvider extends BaseProvider {
   constructor(config) {
@@ -38,76 +56,166 @@ export default class ClaudeAPIProvider extends BaseProvider {
         : { apiKey: key }
     )
 
-    // Model mapping: friendly names → API model IDs
-    const modelMap = {
-      'opus': 'claude-opus-4-20250514',
-      'sonnet': 'claude-sonnet-4-5-20250929',
-      'haiku': 'claude-haiku-4-5-20251001'
-    }
-
-    this.model = modelMap[config.model] || config.model || modelMap.sonnet
+    this.model = MODEL_MAP[config.model] || config.model || MODEL_MAP.sonnet
     logger.info('claude-api', 'initialized', { model: this.model })
   }
 
   /**
    * Send messages to Claude and get response
    * @param {Array} messages - Array of {role: 'user'|'assistant', content: string|Array}
-   * @param {Object} options - Additional options (max_tokens, temperature, tools, etc.)
+   * @param {Object} options - Additional options (system, systemSegments, max_tokens, temperature, tools, etc.)
    * @returns {Object} {content: string, toolCalls: Array|null, stopReason: string, rawContent: Array, usage: object}
    */
   async chat(messages, options = {}) {
+    let response
     try {
-      const params = {
-        model: this.model,
-        max_tokens: options.max_tokens || 4096,
-        temperature: options.temperature,
-        messages
-      }
-
-      if (options.system) {
-        params.system = options.system
-      }
+      response = await this.client.messages.create(this._buildParams(messages, options))
+    } catch (error) {
+      throw this._wrapError(error)
+    }
+    return options.responseSchema
+      ? this._toStructuredResponse(response, options.responseSchema)
+      : this._toResponse(response)
+  }
 
-      if (options.tools?.length) {
-        params.tools = options.tools
-      }
+  /**
+   * Stream a response: yields text deltas as they arrive, then the full response.
+   * @param {Array} messages
+   * @param {Object} options - Same as chat()
+   * @yields {{type: 'text', text: string}|{type: 'done', response: Object}}
+   */
+  async *chatStream(messages, options = {}) {
+    try {
+      const stream = this.client.messages.stream(this._buildParams(messages, options))
 
-      const response = await this.client.messages.create(params)
-
-      const content = response.content
-        .filter(block => block.type === 'text')
-        .map(block => block.text)
-        .join('\n')
-
-      const toolCalls = response.content
-        .filter(block => block.type === 'tool_use')
-        .map(block => ({ id: block.id, name: block.name, input: block.input }))
-
-      return {
-        content,
-        toolCalls: toolCalls.length > 0 ? toolCalls : null,
-        stopReason: response.stop_reason,
-        rawContent: response.content,
-        usage: {
-          input_tokens: response.usage.input_tokens,
-          output_tokens: response.usage.output_tokens
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { type: 'text', text: event.delta.text }
         }
       }
+
+      yield { type: 'done', response: this._toResponse(await stream.finalMessage()) }
     } catch (error) {
-      logger.error('claude-api', 'request_failed', { error: error.message, status: error.status })
-      const wrapped = new Error(`Claude API error: ${error.message}`)
-      if (error.status) wrapped.status = error.status
-      throw wrapped
+      throw this._wrapError(error)
+    }
+  }
+
+  /** @private */
+  _buildParams(messages, options) {
+    const params = {
+      // options.model: per-call override (budget downgrade)
+      model: options.model ? MODEL_MAP[options.model] || options.model : this.model,
+      max_tokens: options.max_tokens || 4096,
+      temperature: options.temperature,
+      messages
+    }
+
+    if (options.systemSegments?.length) {
+      params.system = this._systemBlocks(options.systemSegments)
+    } else if (options.system) {
+      params.system = options.system
+    }
+
+    if (options.responseSchema) {
+      const name = schemaName(options.responseSchema)
+      params.tools = [{ name, description: 'Return the result.', input_schema: toolInputSchema(options.responseSchema) }]
+      params.tool_choice = { type: 'tool', name }
+    } else if (options.tools?.length) {
+      params.tools = options.tools
+    }
+
+    return params
+  }
+
+  /**
+   * System text blocks: the leading stable segments as one cached block,
+   * the rest (memory, working memory) as a plain block after it.
+   * @private
+   */
+  _systemBlocks(segments) {
+    const firstVolatile = segments.findIndex(s => !s.stable)
+    const cut = firstVolatile === -1 ? segments.length : firstVolatile
+    const stable = segments.slice(0, cut).map(s => s.text).join('\n')
+    const volatile = segments.slice(cut).map(s => s.text).join('\n')
+
+    const blocks = []
+    if (stable) blocks.push({ type: 'text', text: stable, cache_control: { type: 'ephemeral' } })
+    if (volatile) blocks.push({ type: 'text', text: volatile })
+    return blocks
+  }
+
+  /** @private */
+  _toResponse(response) {
+    const content = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n')
+
+    const toolCalls = response.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, input: block.input }))
+
+    return {
+      content,
+      toolCalls: toolCalls.length > 0 ? toolCalls : null,
+      stopReason: response.stop_reason,
+      rawContent: response.content,
+      usage: {
+        input_tokens: response.usage.input_tokens,
+        output_tokens: response.usage.output_tokens,
+        ...(response.usage.cache_creation_input_tokens && { cache_creation_input_tokens: response.usage.cache_creation_input_tokens }),
+        ...(response.usage.cache_read_input_tokens && { cache_read_input_tokens: response.usage.cache_read_input_tokens })
+      }
     }
   }
 
+  /**
+   * Response to a forced-tool call: the tool input is the structured value.
+   * @private
+   */
+  _toStructuredResponse(response, schema) {
+    const result = this._toResponse(response)
+    const input = result.toolCalls?.[0]?.input
+    const value = input === undefined ? result.content : (isObjectSchema(schema) ? input : input.value)
+    return this._withData({
+      ...result,
+      toolCalls: null,
+      stopReason: result.stopReason === 'tool_use' ? 'end_turn' : result.stopReason
+    }, schema, value)
+  }
+
+  /** @private */
+  _wrapError(error) {
+    logger.error('claude-api', 'request_failed', { error: error.message, status: error.status })
+    const wrapped = new Error(`Claude API error: ${error.message}`)
+    if (error.status) wrapped.status = error.status
+    return wrapped
+  }
+
   get supportsTools() {
     return true
   }
 
+  get supportsImages() {
+    return true
+  }
+
+  get supportsResponseSchema() {
+    return true
+  }
+
   get name() {
     return 'claude-api'
   }
 }
 
+// Tool input schemas must describe an object
+function isObjectSchema(schema) {
+  return schema.type === 'object'
+}
+
+function toolInputSchema(schema) {
+  return isObjectSchema(schema) ? schema : { type: 'object', properties: { value: schema }, required: ['value'] }
+}
+
 registerProvider('claude-api', (config) => new ClaudeAPIProvider(config))
@@ -21,6 +21,8 @@ export default class ClaudeCLIProvider extends BaseProvider {
    * Send message to Claude via CLI
    */
   async chat(messages, options = {}) {
+    if (options.responseSchema) return this._chatWithSchemaFallback(messages, options)
+
     const model = options.model || this.config.model
     const maxBudget = this.config.maxBudgetUsd || '5.0'
 
@@ -19,6 +19,8 @@ export default class CodexCLIProvider extends BaseProvider {
    * Send message to Codex via CLI
    */
   async chat(messages, options = {}) {
+    if (options.responseSchema) return this._chatWithSchemaFallback(messages, options)
+
     const model = options.model || this.config.model
 
     const prompt = this._buildPrompt(messages, options)
@@ -0,0 +1,188 @@
+import BaseProvider from './base.js'
+import defaultLogger from '../../infrastructure/logger.js'
+
+/**
+ * FallbackProvider - Decorator that tries an ordered chain of providers
+ *
+ * The first provider is the primary; when a call to it fails (including a
+ * CircuitBreakerOpenError while its breaker is open) the next one is tried,
+ * and so on. Wrap each provider in its own CircuitBreakerProvider so a dead
+ * provider is skipped at once instead of timing out on every message:
+ *   provider = new FallbackProvider([claudeBreaker, geminiBreaker, cerebrasBreaker])
+ *
+ * Each provider retries its own transient errors (chatWithRetry) before the
+ * next one is tried, so chatWithRetry() on the chain is just chat().
+ *
+ * Capabilities (tools, images, streaming) are the primary's. Tool definitions
+ * stay in the canonical Anthropic format until a call, where each provider
+ * adapts them itself; providers without tool support get none. Messages with
+ * image or document blocks skip fallbacks without `supportsImages`, which
+ * would drop the blocks and answer without seeing them. Fallbacks always use
+ * their own configured model.
+ *
+ * Tool result messages are built by the provider that requested the tools,
+ * and a conversation holding them stays on that provider: other providers
+ * could not read them. The response carries `provider` with the name of the
+ * provider that answered, and `model` when a fallback answered.
+ */
+export default class FallbackProvider extends BaseProvider {
+  constructor(providers, { logger = defaultLogger } = {}) {
+    super()
+    if (!providers?.length) throw new Error('FallbackProvider needs at least one provider')
+    this.providers = providers
+    this.logger = logger
+    // rawContent → provider that produced it; tool messages → provider that built them
+    this._producers = new WeakMap()
+    this._owners = new WeakMap()
+  }
+
+  get primary() {
+    return this.providers[0]
+  }
+
+  get name() {
+    return this.primary.name
+  }
+
+  get model() {
+    return this.primary.model
+  }
+
+  get supportsTools() {
+    return this.primary.supportsTools
+  }
+
+  get supportsImages() {
+    return this.primary.supportsImages
+  }
+
+  get supportsResponseSchema() {
+    return this.primary.supportsResponseSchema
+  }
+
+  get supportsStreaming() {
+    return this.primary.supportsStreaming
+  }
+
+  /** Definitions stay canonical; each provider adapts them per call. */
+  adaptToolDefinitions(definitions) {
+    return definitions
+  }
+
+  buildToolResultMessages(rawContent, results) {
+    const provider = this._producers.get(rawContent) || this.primary
+    const messages = provider.buildToolResultMessages(rawContent, results)
+    for (const message of messages) this._owners.set(message, provider)
+    return messages
+  }
+
+  async chat(messages, options = {}) {
+    const candidates = this._candidates(messages)
+    let lastError
+    for (const [i, provider] of candidates.entries()) {
+      try {
+        const response = await provider.chatWithRetry(messages, this._optionsFor(provider, options))
+        return this._tag(response, provider)
+      } catch (error) {
+        lastError = error
+        this._onFailure(provider, candidates[i + 1], error)
+      }
+    }
+    throw lastError
+  }
+
+  chatWithRetry(messages, options = {}) {
+    return this.chat(messages, options)
+  }
+
+  /**
+   * Falls back only while nothing has been yielded: once text reached the
+   * caller, switching providers would repeat or contradict it.
+   * Fallbacks without streaming answer with a single 'done' event.
+   */
+  async *chatStream(messages, options = {}) {
+    const candidates = this._candidates(messages)
+    let lastError
+    for (const [i, provider] of candidates.entries()) {
+      const providerOptions = this._optionsFor(provider, options)
+      let started = false
+      try {
+        if (!provider.supportsStreaming) {
+          const response = await provider.chatWithRetry(messages, providerOptions)
+          yield { type: 'done', response: this._tag(response, provider) }
+          return
+        }
+        for await (const event of provider.chatStreamWithRetry(messages, providerOptions)) {
+          started = true
+          yield event.type === 'done' ? { ...event, response: this._tag(event.response, provider) } : event
+        }
+        return
+      } catch (error) {
+        if (started) throw error
+        lastError = error
+        this._onFailure(provider, candidates[i + 1], error)
+      }
+    }
+    throw lastError
+  }
+
+  chatStreamWithRetry(messages, options = {}) {
+    return this.chatStream(messages, options)
+  }
+
+  /**
+   * Circuit breaker status of every provider in the chain, primary first.
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    return this.providers.map(p => (typeof p.getStatus === 'function' ? p.getStatus() : { provider: p.name }))
+  }
+
+  /** @private */
+  _candidates(messages) {
+    const owner = messages.map(m => this._owners.get(m)).findLast(Boolean)
+    if (owner) return [owner]
+    if (!messages.some(hasMediaBlocks)) return this.providers
+
+    const skipped = this.providers.filter(p => p !== this.primary && !p.supportsImages)
+    if (skipped.length > 0) {
+      this.logger.debug('provider', 'fallback_skipped_no_images', { providers: skipped.map(p => p.name) })
+    }
+    return this.providers.filter(p => !skipped.includes(p))
+  }
+
+  /** @private */
+  _optionsFor(provider, options) {
+    const { tools, model, ...rest } = options
+    return {
+      ...rest,
+      ...(provider === this.primary && model && { model }),
+      ...(tools && provider.supportsTools && { tools: provider.adaptToolDefinitions(tools) })
+    }
+  }
+
+  /** @private */
+  _tag(response, provider) {
+    if (response.rawContent && typeof response.rawContent === 'object') {
+      this._producers.set(response.rawContent, provider)
+    }
+    return {
+      ...response,
+      provider: provider.name,
+      ...(provider !== this.primary && provider.model && { model: provider.model })
+    }
+  }
+
+  /** @private */
+  _onFailure(provider, next, error) {
+    this.logger.warn('provider', 'provider_fallback', {
+      provider: provider.name,
+      next: next?.name || null,
+      error: error.message
+    })
+  }
+}
+
+function hasMediaBlocks(message) {
+  return Array.isArray(message.content) && message.content.some(b => b.type === 'image' || b.type === 'document')
+}
@@ -0,0 +1,170 @@
+import { createHash } from 'node:crypto'
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * Provider fixtures - shared by RecordingProvider and ReplayProvider
+ *
+ * A fixture is one provider call: `{dir}/{key}.json` holding the request
+ * (for reading) and the response (for replay). The key is a hash of the
+ * request reduced to what decides the answer, so a replay matches its
+ * recording regardless of provider dialect or run-to-run noise:
+ *
+ *   - messages flattened to text / tool call / tool result / file parts
+ *     (Anthropic blocks, OpenAI tool_calls and Gemini parts look alike)
+ *   - the stable system prompt (`systemSegments`), else the whole `system`
+ *   - tool names
+ *   - the response schema, when one is asked for
+ *   - timestamps, dates and UUIDs replaced with placeholders
+ *
+ * Model, max_tokens, temperature and the volatile system prompt (memory)
+ * are not part of the key.
+ */
+
+const NOISE = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<time>'],
+  [/\b\d{4}-\d{2}-\d{2}\b/g, '<date>']
+]
+
+/**
+ * Key for a provider request.
+ * @param {Array} messages - Messages as passed to chat()
+ * @param {Object} [options] - chat() options
+ * @returns {string} 16 hex characters
+ */
+export function requestKey(messages, options = {}) {
+  const stable = options.systemSegments?.filter(s => s.stable).map(s => s.text).join('\n')
+  const payload = {
+    system: normalizeText(stable ?? options.system ?? ''),
+    tools: toolNames(options.tools).sort(),
+    parts: flattenMessages(messages),
+    ...(options.responseSchema && { schema: options.responseSchema })
+  }
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16)
+}
+
+/**
+ * Read a fixture.
+ * @returns {Promise<Object|null>} null when there is none for the key
+ */
+export async function readFixture(dir, key) {
+  try {
+    return JSON.parse(await readFile(fixturePath(dir, key), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * Write a fixture, replacing any earlier recording of the same request.
+ * @returns {Promise<string>} File path
+ */
+export async function writeFixture(dir, key, fixture) {
+  await mkdir(dir, { recursive: true })
+  const file = fixturePath(dir, key)
+  await writeFile(file, JSON.stringify({ key, ...fixture }, null, 2) + '\n')
+  return file
+}
+
+/**
+ * Names of tool definitions in any provider's format.
+ * @param {Array} [tools]
+ * @returns {string[]}
+ */
+export function toolNames(tools = []) {
+  return tools.flatMap(tool =>
+    tool.functionDeclarations
+      ? tool.functionDeclarations.map(f => f.name)
+      : [tool.name || tool.function?.name].filter(Boolean))
+}
+
+export function fixturePath(dir, key) {
+  return join(dir, `${key}.json`)
+}
+
+/**
+ * Provider-neutral view of a conversation: one entry per text, tool call,
+ * tool result or file, in order. Message grouping and roles of tool
+ * results differ per provider, so only assistant/user text keeps its role.
+ */
+export function flattenMessages(messages) {
+  const parts = []
+  for (const message of messages) flattenMessage(message, parts)
+  return parts
+}
+
+function flattenMessage(message, parts) {
+  if (!message || typeof message !== 'object') return
+  const role = message.role === 'model' ? 'assistant' : message.role
+
+  // OpenAI tool / legacy function results
+  if (role === 'tool' || role === 'function') {
+    parts.push({ result: normalizeText(stringify(message.content)) })
+    return
+  }
+
+  const { content } = message
+  if (typeof content === 'string') {
+    pushText(parts, role, content)
+  } else if (Array.isArray(content)) {
+    for (const block of content) flattenBlock(block, role, parts)
+  } else if (content && typeof content === 'object') {
+    // A provider's raw assistant message wrapped by BaseProvider.buildToolResultMessages
+    flattenMessage(content, parts)
+  }
+
+  for (const call of message.tool_calls || []) {
+    parts.push({ call: call.function?.name, input: parseArguments(call.function?.arguments) })
+  }
+  if (message.function_call) {
+    parts.push({ call: message.function_call.name, input: parseArguments(message.function_call.arguments) })
+  }
+
+  // Gemini parts
+  for (const part of message.parts || []) {
+    if (part.text !== undefined) pushText(parts, role, part.text)
+    else if (part.functionCall) parts.push({ call: part.functionCall.name, input: part.functionCall.args || {} })
+    else if (part.functionResponse) parts.push({ result: normalizeText(stringify(part.functionResponse.response?.result)) })
+    else if (part.inlineData) parts.push({ file: part.inlineData.mimeType })
+  }
+}
+
+function flattenBlock(block, role, parts) {
+  if (typeof block === 'string') return pushText(parts, role, block)
+  switch (block?.type) {
+    case 'text': return pushText(parts, role, block.text)
+    case 'tool_use': return parts.push({ call: block.name, input: block.input || {} })
+    case 'tool_result': return parts.push({ result: normalizeText(stringify(block.content)) })
+    case 'image':
+    case 'document': return parts.push({ file: block.source?.media_type || block.type })
+    default: return pushText(parts, role, JSON.stringify(block))
+  }
+}
+
+function pushText(parts, role, text) {
+  const normalized = normalizeText(text)
+  if (normalized) parts.push({ role, text: normalized })
+}
+
+function parseArguments(raw) {
+  if (typeof raw !== 'string') return raw || {}
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+function stringify(value) {
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return value.map(b => (typeof b === 'string' ? b : b?.text ?? JSON.stringify(b))).join('\n')
+  return JSON.stringify(value ?? '')
+}
+
+function normalizeText(text = '') {
+  let result = String(text).trim()
+  for (const [pattern, placeholder] of NOISE) result = result.replace(pattern, placeholder)
+  return result
+}
@@ -3,11 +3,21 @@ import BaseProvider from './base.js'
 import { registerProvider } from './registry.js'
 import logger from '../../infrastructure/logger.js'
 
+// Model mapping: friendly names → API model IDs
+const MODEL_MAP = {
+  'flash': 'gemini-2.5-flash',
+  'pro': 'gemini-2.5-pro',
+  'flash-lite': 'gemini-2.5-flash-lite'
+}
+
 /**
  * GeminiAPIProvider - Direct API integration with Google Gemini
  *
  * Uses the official @google/genai SDK to call Gemini directly.
  * Requires GEMINI_API_KEY environment variable.
+ *
+ * Structured output: `options.responseSchema` is sent as `responseJsonSchema`
+ * with a JSON response MIME type.
  */
 export default class GeminiAPIProvider extends BaseProvider {
   constructor(config) {
@@ -20,13 +30,7 @@ export default class GeminiAPIProvider extends BaseProvider {
 
     this.client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY })
 
-    const modelMap = {
-      'flash': 'gemini-2.5-flash',
-      'pro': 'gemini-2.5-pro',
-      'flash-lite': 'gemini-2.5-flash-lite'
-    }
-
-    this.model = modelMap[config.model] || config.model || modelMap.flash
+    this.model = MODEL_MAP[config.model] || config.model || MODEL_MAP.flash
     logger.info('gemini-api', 'initialized', { model: this.model })
   }
 
@@ -37,67 +41,129 @@ export default class GeminiAPIProvider extends BaseProvider {
    * @returns {Object} {content, toolCalls, stopReason, rawContent, usage}
    */
   async chat(messages, options = {}) {
+    let result
     try {
-      const contents = this._convertMessages(messages)
+      const response = await this.client.models.generateContent(this._buildRequest(messages, options))
 
-      const config = {}
+      result = this._toResponse({
+        text: response.text || '',
+        functionCalls: response.functionCalls,
+        finishReason: response.candidates?.[0]?.finishReason,
+        content: response.candidates?.[0]?.content || null,
+        usageMetadata: response.usageMetadata
+      })
+    } catch (error) {
+      throw this._wrapError(error)
+    }
+    return options.responseSchema ? this._withData(result, options.responseSchema) : result
+  }
 
-      if (options.system) {
-        config.systemInstruction = options.system
-      }
+  /**
+   * Stream a response: yields text deltas as they arrive, then the full response.
+   * Chunks are merged into one model Content so tool calls work as with chat().
+   * @param {Array} messages
+   * @param {Object} options - Same as chat()
+   * @yields {{type: 'text', text: string}|{type: 'done', response: Object}}
+   */
+  async *chatStream(messages, options = {}) {
+    try {
+      const stream = await this.client.models.generateContentStream(this._buildRequest(messages, options))
 
-      if (options.max_tokens) {
-        config.maxOutputTokens = options.max_tokens
-      }
+      let text = ''
+      const functionCalls = []
+      const parts = []
+      let finishReason
+      let usageMetadata
 
-      if (options.temperature !== undefined) {
-        config.temperature = options.temperature
+      for await (const chunk of stream) {
+        const candidate = chunk.candidates?.[0]
+        if (chunk.text) {
+          text += chunk.text
+          yield { type: 'text', text: chunk.text }
+        }
+        if (chunk.functionCalls?.length) functionCalls.push(...chunk.functionCalls)
+        if (candidate?.content?.parts) parts.push(...candidate.content.parts)
+        if (candidate?.finishReason) finishReason = candidate.finishReason
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata
       }
 
-      if (options.tools?.length) {
-        config.tools = options.tools
+      yield {
+        type: 'done',
+        response: this._toResponse({
+          text,
+          functionCalls,
+          finishReason,
+          content: parts.length > 0 ? { role: 'model', parts } : null,
+          usageMetadata
+        })
       }
+    } catch (error) {
+      throw this._wrapError(error)
+    }
+  }
 
-      const response = await this.client.models.generateContent({
-        model: this.model,
-        contents,
-        config
-      })
+  /** @private */
+  _buildRequest(messages, options) {
+    const config = {}
+
+    if (options.system) {
+      config.systemInstruction = options.system
+    }
 
-      const content = response.text || ''
+    if (options.max_tokens) {
+      config.maxOutputTokens = options.max_tokens
+    }
 
-      const functionCalls = response.functionCalls
-      let toolCalls = null
+    if (options.temperature !== undefined) {
+      config.temperature = options.temperature
+    }
 
-      if (functionCalls?.length) {
-        toolCalls = functionCalls.map((fc, i) => ({
-          id: `gemini_call_${i}`,
-          name: fc.name,
-          input: fc.args || {}
-        }))
-      }
+    if (options.responseSchema) {
+      config.responseMimeType = 'application/json'
+      config.responseJsonSchema = options.responseSchema
+    } else if (options.tools?.length) {
+      config.tools = options.tools
+    }
 
-      const finishReason = response.candidates?.[0]?.finishReason || 'STOP'
-      const stopReason = finishReason === 'MAX_TOKENS' ? 'max_tokens' : 'end_turn'
-
-      return {
-        content,
-        toolCalls,
-        stopReason,
-        rawContent: response.candidates?.[0]?.content || null,
-        usage: {
-          input_tokens: response.usageMetadata?.promptTokenCount || 0,
-          output_tokens: response.usageMetadata?.candidatesTokenCount || 0
-        }
+    // options.model: per-call override (budget downgrade)
+    const model = options.model ? MODEL_MAP[options.model] || options.model : this.model
+    return { model, contents: this._convertMessages(messages), config }
+  }
+
+  /** @private */
+  _toResponse({ text, functionCalls, finishReason = 'STOP', content, usageMetadata }) {
+    let toolCalls = null
+
+    if (functionCalls?.length) {
+      toolCalls = functionCalls.map((fc, i) => ({
+        id: `gemini_call_${i}`,
+        name: fc.name,
+        input: fc.args || {}
+      }))
+    }
+
+    const stopReason = finishReason === 'MAX_TOKENS' ? 'max_tokens' : 'end_turn'
+
+    return {
+      content: text,
+      toolCalls,
+      stopReason,
+      rawContent: content,
+      usage: {
+        input_tokens: usageMetadata?.promptTokenCount || 0,
+        output_tokens: usageMetadata?.candidatesTokenCount || 0
       }
-    } catch (error) {
-      logger.error('gemini-api', 'request_failed', { error: error.message, status: error.status })
-      const wrapped = new Error(`Gemini API error: ${error.message}`)
-      if (error.status) wrapped.status = error.status
-      throw wrapped
     }
   }
 
+  /** @private */
+  _wrapError(error) {
+    logger.error('gemini-api', 'request_failed', { error: error.message, status: error.status })
+    const wrapped = new Error(`Gemini API error: ${error.message}`)
+    if (error.status) wrapped.status = error.status
+    return wrapped
+  }
+
   /**
    * Convert Anthropic-style messages to Gemini format.
    * @param {Array} messages
@@ -113,7 +179,7 @@ export default class GeminiAPIProvider extends BaseProvider {
         return { role, parts: msg.parts }
       }
 
-      // Anthropic content array (tool results)
+      // Anthropic content array (tool results, attachments)
       if (Array.isArray(msg.content)) {
         const parts = msg.content.map(block => {
           if (block.type === 'tool_result') {
@@ -127,6 +193,10 @@ export default class GeminiAPIProvider extends BaseProvider {
           if (block.type === 'text') {
             return { text: block.text }
           }
+          // Attachments: image and PDF blocks with base64 sources
+          if ((block.type === 'image' || block.type === 'document') && block.source?.type === 'base64') {
+            return { inlineData: { mimeType: block.source.media_type, data: block.source.data } }
+          }
           return { text: JSON.stringify(block) }
         })
         return { role, parts }
@@ -179,6 +249,14 @@ export default class GeminiAPIProvider extends BaseProvider {
     return true
   }
 
+  get supportsImages() {
+    return true
+  }
+
+  get supportsResponseSchema() {
+    return true
+  }
+
   get name() {
     return 'gemini-api'
   }
@@ -19,6 +19,8 @@ export default class GeminiCLIProvider extends BaseProvider {
    * Send message to Gemini via CLI
    */
   async chat(messages, options = {}) {
+    if (options.responseSchema) return this._chatWithSchemaFallback(messages, options)
+
     const model = options.model || this.config.model
 
     // Build prompt from system context + message history
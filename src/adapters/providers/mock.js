@@ -44,6 +44,8 @@ export default class MockProvider extends BaseProvider {
   }
 
   async chat(messages, options = {}) {
+    if (options.responseSchema) return this._chatWithSchemaFallback(messages, options)
+
     this._lastCall = { messages, options }
 
     const lastMessage = messages[messages.length - 1]
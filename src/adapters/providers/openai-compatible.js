@@ -0,0 +1,426 @@
+import BaseProvider from './base.js'
+import { registerProvider } from './registry.js'
+import logger from '../../infrastructure/logger.js'
+import { schemaName } from '../../infrastructure/structured-output.js'
+
+const TOOL_DIALECTS = ['tools', 'functions', 'none']
+const RESPONSE_FORMATS = ['json_schema', 'none']
+
+/**
+ * OpenAICompatibleProvider - Any server speaking the OpenAI chat-completions protocol
+ *
+ * Works with OpenAI itself and with local servers (llama.cpp, Ollama, vLLM,
+ * LM Studio) so the bot can run without leaving the LAN. Uses native fetch
+ * (no SDK dependency).
+ *
+ * Options (config.openaiCompatible, from OPENAI_COMPATIBLE_* env vars):
+ *   baseUrl     - API root including the version, e.g. http://192.168.1.20:11434/v1
+ *   apiKey      - Sent as a Bearer token when set (local servers usually need none)
+ *   headers     - Extra request headers
+ *   toolDialect - How the server takes tools:
+ *                   'tools'     — `tools` / `tool_calls` (current OpenAI API, vLLM, Ollama, llama.cpp)
+ *                   'functions' — legacy `functions` / `function_call`, one call per turn
+ *                   'none'      — no tool support
+ *   responseFormat - How the server takes `responseSchema`:
+ *                   'json_schema' — `response_format: { type: 'json_schema' }` (OpenAI, vLLM, Ollama, Cerebras)
+ *                   'none'        — schema in the prompt, validated and retried once
+ * The model is config.model (MODEL), passed through as-is.
+ *
+ * Subclasses for hosted services (CerebrasAPIProvider) pass fixed options
+ * (plus label and maxTokensParam) and keep the wire handling.
+ */
+export default class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config, options = config.openaiCompatible || {}) {
+    super()
+    this.config = config
+
+    const {
+      baseUrl, apiKey = '', headers = {}, toolDialect = 'tools', responseFormat = 'json_schema',
+      label = 'OpenAI-compatible API', maxTokensParam = 'max_tokens'
+    } = options
+
+    if (!baseUrl) {
+      throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for openai-compatible provider')
+    }
+    if (!TOOL_DIALECTS.includes(toolDialect)) {
+      throw new Error(`Unknown tool dialect: ${toolDialect} (expected ${TOOL_DIALECTS.join(', ')})`)
+    }
+    if (!RESPONSE_FORMATS.includes(responseFormat)) {
+      throw new Error(`Unknown response format: ${responseFormat} (expected ${RESPONSE_FORMATS.join(', ')})`)
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.apiKey = apiKey
+    this.headers = headers
+    this.toolDialect = toolDialect
+    this.responseFormat = responseFormat
+    this.label = label
+    this.maxTokensParam = maxTokensParam
+    this.model = this._resolveModel(config.model)
+
+    if (!this.model) {
+      throw new Error(`${this.name} provider needs a model (set MODEL)`)
+    }
+
+    logger.info(this.name, 'initialized', { model: this.model, baseUrl: this.baseUrl })
+  }
+
+  /**
+   * Model ID sent to the server. Subclasses map friendly names here.
+   * @protected
+   */
+  _resolveModel(model) {
+    return model
+  }
+
+  /**
+   * Send messages and get response
+   * @param {Array} messages - Array of {role: 'user'|'assistant', content: string|Array}
+   * @param {Object} options - Additional options (max_tokens, temperature, tools, etc.)
+   * @returns {Object} {content, toolCalls, stopReason, rawContent, usage}
+   */
+  async chat(messages, options = {}) {
+    if (options.responseSchema && !this.supportsResponseSchema) {
+      return this._chatWithSchemaFallback(messages, options)
+    }
+
+    let result
+    try {
+      const response = await this._post(this._buildBody(messages, options))
+      const data = await response.json()
+      const choice = data.choices[0]
+
+      result = this._toResponse(choice.message, choice.finish_reason, data.usage)
+    } catch (error) {
+      throw this._wrapError(error)
+    }
+    return options.responseSchema ? this._withData(result, options.responseSchema) : result
+  }
+
+  /**
+   * Stream a response over server-sent events: yields text deltas as they
+   * arrive, then the full response. Tool call fragments are reassembled by index.
+   * @param {Array} messages
+   * @param {Object} options - Same as chat()
+   * @yields {{type: 'text', text: string}|{type: 'done', response: Object}}
+   */
+  async *chatStream(messages, options = {}) {
+    try {
+      // Without include_usage, OpenAI and vLLM send no token counts when streaming
+      const response = await this._post({
+        ...this._buildBody(messages, options),
+        stream: true,
+        stream_options: { include_usage: true }
+      })
+
+      let content = ''
+      const toolCalls = []
+      let functionCall = null
+      let finishReason
+      let usage
+
+      for await (const data of readServerSentEvents(response.body)) {
+        const choice = data.choices?.[0]
+        const delta = choice?.delta || {}
+
+        if (delta.content) {
+          content += delta.content
+          yield { type: 'text', text: delta.content }
+        }
+
+        for (const tc of delta.tool_calls || []) {
+          const call = toolCalls[tc.index] ||= { id: tc.id, type: 'function', function: { name: '', arguments: '' } }
+          if (tc.id) call.id = tc.id
+          if (tc.function?.name) call.function.name += tc.function.name
+          if (tc.function?.arguments) call.function.arguments += tc.function.arguments
+        }
+
+        if (delta.function_call) {
+          functionCall ||= { name: '', arguments: '' }
+          if (delta.function_call.name) functionCall.name += delta.function_call.name
+          if (delta.function_call.arguments) functionCall.arguments += delta.function_call.arguments
+        }
+
+        if (choice?.finish_reason) finishReason = choice.finish_reason
+        if (data.usage) usage = data.usage
+      }
+
+      const message = { role: 'assistant', content }
+      if (toolCalls.length > 0) message.tool_calls = toolCalls.filter(Boolean)
+      if (functionCall) message.function_call = functionCall
+
+      yield { type: 'done', response: this._toResponse(message, finishReason, usage) }
+    } catch (error) {
+      throw this._wrapError(error)
+    }
+  }
+
+  /** @private */
+  _buildBody(messages, options) {
+    const body = {
+      // options.model: per-call override (budget downgrade)
+      model: options.model ? this._resolveModel(options.model) : this.model,
+      messages: this._convertMessages(messages, options.system)
+    }
+
+    if (options.max_tokens) {
+      body[this.maxTokensParam] = options.max_tokens
+    }
+
+    if (options.temperature !== undefined) {
+      body.temperature = options.temperature
+    }
+
+    if (options.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schemaName(options.responseSchema), schema: options.responseSchema }
+      }
+    } else if (options.tools?.length && this.supportsTools) {
+      body[this.toolDialect] = options.tools
+    }
+
+    return body
+  }
+
+  /** @private */
+  async _post(body) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this._requestHeaders(),
+      body: JSON.stringify(body)
+    })
+
+    if (!response.ok) {
+      const errorBody = await response.text()
+      const error = new Error(`${this.label} error: ${response.status} ${errorBody}`)
+      error.status = response.status
+      throw error
+    }
+
+    return response
+  }
+
+  /** @private */
+  _requestHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      ...this.headers
+    }
+  }
+
+  /** @private */
+  _toResponse(message, finishReason, usage) {
+    const content = message.content || ''
+
+    let toolCalls = null
+    if (message.tool_calls?.length) {
+      toolCalls = message.tool_calls.map(tc => ({
+        id: tc.id,
+        name: tc.function.name,
+        input: JSON.parse(tc.function.arguments)
+      }))
+    } else if (message.function_call) {
+      // Legacy dialect: one call per turn and no call IDs
+      toolCalls = [{
+        id: message.function_call.name,
+        name: message.function_call.name,
+        input: JSON.parse(message.function_call.arguments || '{}')
+      }]
+    }
+
+    const stopReasonMap = {
+      'stop': 'end_turn',
+      'tool_calls': 'tool_use',
+      'function_call': 'tool_use',
+      'length': 'max_tokens'
+    }
+
+    return {
+      content,
+      toolCalls,
+      stopReason: stopReasonMap[finishReason] || 'end_turn',
+      rawContent: message,
+      usage: {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0
+      }
+    }
+  }
+
+  /** @private */
+  _wrapError(error) {
+    if (error.status) return error
+    logger.error(this.name, 'request_failed', { error: error.message, status: error.status })
+    return new Error(`${this.label} error: ${error.message}`)
+  }
+
+  /**
+   * Convert Anthropic-style messages to OpenAI format.
+   * System prompt becomes a system message. Tool results are converted.
+   * @param {Array} messages
+   * @param {string} [system] - System prompt
+   * @returns {Array} OpenAI-format messages
+   * @private
+   */
+  _convertMessages(messages, system) {
+    const converted = []
+
+    if (system) {
+      converted.push({ role: 'system', content: system })
+    }
+
+    for (const msg of messages) {
+      // Already in OpenAI format (from buildToolResultMessages)
+      if (msg.role === 'tool' || msg.role === 'function') {
+        converted.push(msg)
+        continue
+      }
+
+      // Assistant message with tool_calls / function_call (from buildToolResultMessages)
+      if (msg.role === 'assistant' && (msg.tool_calls || msg.function_call)) {
+        converted.push(msg)
+        continue
+      }
+
+      // Anthropic-style array content (tool results from other providers or session history)
+      if (Array.isArray(msg.content)) {
+        const toolResults = msg.content.filter(b => b.type === 'tool_result')
+        if (toolResults.length > 0) {
+          for (const tr of toolResults) {
+            converted.push({
+              role: 'tool',
+              content: typeof tr.content === 'string' ? tr.content : JSON.stringify(tr.content),
+              tool_call_id: tr.tool_use_id
+            })
+          }
+          continue
+        }
+
+        // Other array content — extract text
+        const text = msg.content
+          .filter(b => b.type === 'text')
+          .map(b => b.text)
+          .join('\n')
+        converted.push({ role: msg.role, content: text || '' })
+        continue
+      }
+
+      converted.push({ role: msg.role, content: msg.content || '' })
+    }
+
+    return converted
+  }
+
+  /**
+   * Adapt tool definitions from Anthropic format to the server's dialect.
+   * @param {Array} definitions - [{name, description, input_schema}]
+   * @returns {Array} OpenAI `tools` (or legacy `functions`) format
+   */
+  adaptToolDefinitions(definitions) {
+    const functions = definitions.map(def => ({
+      name: def.name,
+      description: def.description,
+      parameters: def.input_schema
+    }))
+    if (this.toolDialect === 'functions') return functions
+    return functions.map(fn => ({ type: 'function', function: fn }))
+  }
+
+  /**
+   * Build tool result messages in OpenAI format.
+   * @param {Object} rawContent - Assistant message object (with content and tool_calls or function_call)
+   * @param {Array<{id: string, result: string, isError: boolean}>} results
+   * @returns {Array} Messages to append
+   */
+  buildToolResultMessages(rawContent, results) {
+    if (rawContent?.function_call) {
+      return [
+        { role: 'assistant', content: rawContent.content || '', function_call: rawContent.function_call },
+        ...results.map(r => ({ role: 'function', name: rawContent.function_call.name, content: r.result }))
+      ]
+    }
+
+    const messages = [
+      {
+        role: 'assistant',
+        content: rawContent?.content || '',
+        tool_calls: rawContent?.tool_calls || []
+      }
+    ]
+
+    for (const r of results) {
+      messages.push({
+        role: 'tool',
+        content: r.result,
+        tool_call_id: r.id
+      })
+    }
+
+    return messages
+  }
+
+  /**
+   * List the model IDs the server offers (GET {baseUrl}/models).
+   * Used by `kenobot doctor`.
+   * @returns {Promise<string[]>}
+   */
+  async listModels({ timeout = 5000 } = {}) {
+    return fetchModelIds(this.baseUrl, { headers: this._requestHeaders(), timeout })
+  }
+
+  get supportsTools() {
+    return this.toolDialect !== 'none'
+  }
+
+  get supportsResponseSchema() {
+    return this.responseFormat !== 'none'
+  }
+
+  get name() {
+    return 'openai-compatible'
+  }
+}
+
+/**
+ * GET {baseUrl}/models and return the model IDs.
+ * @param {string} baseUrl
+ * @param {{headers?: Object, timeout?: number}} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function fetchModelIds(baseUrl, { headers = {}, timeout = 5000 } = {}) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/models`, { headers, signal: AbortSignal.timeout(timeout) })
+  if (!response.ok) {
+    const error = new Error(`GET /models returned ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  const data = await response.json()
+  return (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean)
+}
+
+/**
+ * Parse a server-sent events body into JSON payloads, stopping at [DONE].
+ * @param {ReadableStream<Uint8Array>} body
+ * @yields {Object}
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue
+      const data = line.slice(5).trim()
+      if (data === '[DONE]') return
+      if (data) yield JSON.parse(data)
+    }
+  }
+}
+
+registerProvider('openai-compatible', (config) => new OpenAICompatibleProvider(config))
@@ -0,0 +1,90 @@
+import BaseProvider from './base.js'
+import { requestKey, writeFixture, toolNames } from './fixtures.js'
+import defaultLogger from '../../infrastructure/logger.js'
+
+/**
+ * RecordingProvider - Decorator that saves every exchange as a fixture
+ *
+ * Calls pass through to the wrapped provider unchanged; each response is
+ * written to `{dir}/{key}.json` with the request that produced it (see
+ * fixtures.js for the key). The `replay` provider serves them back offline:
+ *   provider = new RecordingProvider(claudeApi, { dir: 'test/fixtures/tools' })
+ *
+ * Enabled with PROVIDER_RECORD=true (fixtures in PROVIDER_FIXTURES_DIR).
+ * A fixture that cannot be written is logged, the response still returned.
+ */
+export default class RecordingProvider extends BaseProvider {
+  constructor(innerProvider, { dir, logger = defaultLogger } = {}) {
+    super()
+    if (!dir) throw new Error('RecordingProvider needs a fixtures directory')
+    this.inner = innerProvider
+    this.dir = dir
+    this.logger = logger
+  }
+
+  get name() {
+    return this.inner.name
+  }
+
+  get model() {
+    return this.inner.model || this.inner.config?.model
+  }
+
+  get supportsTools() {
+    return this.inner.supportsTools
+  }
+
+  get supportsImages() {
+    return this.inner.supportsImages
+  }
+
+  get supportsResponseSchema() {
+    return this.inner.supportsResponseSchema
+  }
+
+  get supportsStreaming() {
+    return this.inner.supportsStreaming
+  }
+
+  adaptToolDefinitions(definitions) {
+    return this.inner.adaptToolDefinitions(definitions)
+  }
+
+  buildToolResultMessages(rawContent, results) {
+    return this.inner.buildToolResultMessages(rawContent, results)
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.inner.chat(messages, options)
+    await this._record(messages, options, response)
+    return response
+  }
+
+  async *chatStream(messages, options = {}) {
+    for await (const event of this.inner.chatStream(messages, options)) {
+      if (event.type === 'done') await this._record(messages, options, event.response)
+      yield event
+    }
+  }
+
+  /** @private */
+  async _record(messages, options, response) {
+    const key = requestKey(messages, options)
+    const { systemSegments, tools, ...rest } = options
+    try {
+      const file = await writeFixture(this.dir, key, {
+        recordedAt: new Date().toISOString(),
+        provider: this.inner.name,
+        model: options.model || this.model || null,
+        request: {
+          messages,
+          options: { ...rest, ...(tools && { tools: toolNames(tools) }) }
+        },
+        response
+      })
+      this.logger.info('provider', 'fixture_recorded', { key, file })
+    } catch (error) {
+      this.logger.warn('provider', 'fixture_record_failed', { key, error: error.message })
+    }
+  }
+}
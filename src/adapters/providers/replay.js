@@ -0,0 +1,80 @@
+import BaseProvider from './base.js'
+import { registerProvider } from './registry.js'
+import { requestKey, readFixture, fixturePath, flattenMessages } from './fixtures.js'
+import logger from '../../infrastructure/logger.js'
+
+/**
+ * ReplayProvider - Serves recorded fixtures instead of calling a model
+ *
+ * Answers each request with the response RecordingProvider saved for it in
+ * PROVIDER_FIXTURES_DIR. A request that was never recorded throws
+ * ReplayMissError instead of answering: a replayed conversation that
+ * drifted from its recording must fail, not improvise.
+ *
+ * Tool definitions and tool result messages use the canonical (Anthropic)
+ * format; fixture keys ignore the dialect, so recordings from any provider
+ * replay here.
+ */
+export default class ReplayProvider extends BaseProvider {
+  constructor(config) {
+    super()
+    this.config = config
+    this.dir = config.fixtures?.dir
+    if (!this.dir) {
+      throw new Error('PROVIDER_FIXTURES_DIR is required for replay provider')
+    }
+    this.model = config.model
+  }
+
+  async chat(messages, options = {}) {
+    const key = requestKey(messages, options)
+    const fixture = await readFixture(this.dir, key)
+    if (!fixture) {
+      const error = new ReplayMissError(key, fixturePath(this.dir, key), lastText(messages))
+      logger.error('replay', 'fixture_missing', { key, file: error.file, lastMessage: error.lastMessage })
+      throw error
+    }
+    return fixture.response
+  }
+
+  /** Replays a recorded response as one text delta, then the response. */
+  async *chatStream(messages, options = {}) {
+    const response = await this.chat(messages, options)
+    if (response.content) yield { type: 'text', text: response.content }
+    yield { type: 'done', response }
+  }
+
+  get supportsTools() {
+    return true
+  }
+
+  get supportsImages() {
+    return true
+  }
+
+  get supportsResponseSchema() {
+    return true
+  }
+
+  get name() {
+    return 'replay'
+  }
+}
+
+export class ReplayMissError extends Error {
+  constructor(key, file, lastMessage) {
+    super(`No recorded response for request ${key} (expected ${file}). Re-record with PROVIDER_RECORD=true`)
+    this.name = 'ReplayMissError'
+    this.key = key
+    this.file = file
+    this.lastMessage = lastMessage
+  }
+}
+
+function lastText(messages) {
+  const last = flattenMessages(messages).at(-1)
+  const text = last?.text ?? last?.result ?? last?.call ?? ''
+  return text.length > 80 ? text.slice(0, 80) + '…' : text
+}
+
+registerProvider('replay', (config) => new ReplayProvider(config))
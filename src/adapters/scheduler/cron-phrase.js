@@ -0,0 +1,364 @@
+import cron from 'node-cron'
+
+/**
+ * cron-phrase - Turns natural schedule phrases into 5-field cron expressions
+ *
+ * Lets the LLM pass what the user said ("every weekday at 8") instead of
+ * hand-writing cron syntax. Raw cron expressions pass through unchanged.
+ *
+ * Supported phrases (case-insensitive, English):
+ *   every minute | every 15 minutes | every hour | every 2 hours
+ *   every day at 9am | daily at 18:30 | every morning | every night
+ *   every weekday at 8 | every weekend at 10:00
+ *   every monday at 9am | every mon and thu at noon | mondays at 7pm
+ *   every month on the 1st at 9 | monthly on the 15th
+ *
+ * Times default to 09:00 when omitted. Returns null when the phrase is not
+ * understood so callers can ask for an explicit cron expression.
+ *
+ * One-off phrases ("in 2 hours", "tomorrow at 9", "on March 3rd at 10:00")
+ * are handled by parseRunAt(), which returns an absolute fire time instead.
+ */
+
+const DAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+}
+
+const MONTHS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3,
+  april: 4, apr: 4, may: 5, june: 6, jun: 6, july: 7, jul: 7,
+  august: 8, aug: 8, september: 9, sep: 9, sept: 9, october: 10, oct: 10,
+  november: 11, nov: 11, december: 12, dec: 12
+}
+
+const UNIT_MS = {
+  minute: 60_000, min: 60_000,
+  hour: 3_600_000, hr: 3_600_000,
+  day: 86_400_000,
+  week: 604_800_000
+}
+
+const DEFAULT_TIME = { hour: 9, minute: 0 }
+
+const NAMED_TIMES = {
+  noon: { hour: 12, minute: 0 },
+  midday: { hour: 12, minute: 0 },
+  midnight: { hour: 0, minute: 0 },
+  morning: { hour: 9, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  night: { hour: 21, minute: 0 }
+}
+
+/**
+ * Parse a time expression ("9", "9am", "9:30 pm", "18:30", "noon").
+ * @param {string} text
+ * @returns {{hour: number, minute: number}|null}
+ */
+export function parseTime(text) {
+  const value = text.trim().toLowerCase()
+  if (NAMED_TIMES[value]) return NAMED_TIMES[value]
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/)
+  if (!match) return null
+
+  let hour = parseInt(match[1], 10)
+  const minute = match[2] ? parseInt(match[2], 10) : 0
+  const meridiem = match[3]?.replace(/\./g, '')
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null
+    if (meridiem === 'pm' && hour !== 12) hour += 12
+    if (meridiem === 'am' && hour === 12) hour = 0
+  }
+
+  if (hour > 23 || minute > 59) return null
+  return { hour, minute }
+}
+
+/**
+ * Convert a schedule phrase or cron expression into a validated cron expression.
+ * @param {string} input - e.g. "every weekday at 8" or "0 8 * * 1-5"
+ * @returns {string|null} 5-field cron expression, or null if not understood
+ */
+export function parseSchedule(input) {
+  if (typeof input !== 'string') return null
+  const raw = input.trim()
+  if (!raw) return null
+
+  if (isCronExpression(raw)) return raw
+
+  const phrase = raw.toLowerCase().replace(/[,.]+$/, '').replace(/\s+/g, ' ')
+  const expr = parsePhrase(phrase)
+  return expr && cron.validate(expr) ? expr : null
+}
+
+/**
+ * Convert a one-off time phrase into an absolute fire time.
+ * Wall-clock times are read in `timezone` (IANA, '' = server local time).
+ *
+ * Supported phrases (case-insensitive, English):
+ *   in 20 minutes | in an hour | in 2 hours and 30 minutes | in half an hour
+ *   at 17:30 | today at 5pm | tonight | tomorrow at 9 | tomorrow morning
+ *   on friday at 10 | next monday | on march 3rd at 10:00 | the 3rd of march
+ *   2026-03-03 10:00 | 2026-03-03T10:00:00Z
+ *
+ * A bare time or weekday that already passed today rolls over to its next
+ * occurrence; dates without a year roll over to next year.
+ *
+ * @param {string} input
+ * @param {object} [opts]
+ * @param {Date} [opts.now] - Reference time (default: now)
+ * @param {string} [opts.timezone] - IANA timezone for wall-clock times
+ * @returns {Date|null} null if not understood or not in the future
+ */
+export function parseRunAt(input, { now = new Date(), timezone = '' } = {}) {
+  if (typeof input !== 'string') return null
+  const phrase = input.trim().toLowerCase().replace(/[,.]+$/, '').replace(/\s+/g, ' ')
+  if (!phrase) return null
+
+  const ms = parseOneOff(phrase, now, timezone)
+  return ms !== null && ms > now.getTime() ? new Date(ms) : null
+}
+
+/** @private Five whitespace-separated fields accepted by node-cron */
+function isCronExpression(text) {
+  return text.split(/\s+/).length === 5 && cron.validate(text)
+}
+
+/** @private */
+function parsePhrase(phrase) {
+  // Interval schedules: every minute / every N minutes / every hour / every N hours
+  let match = phrase.match(/^every (\d+ )?(minute|minutes|min|mins)$/)
+  if (match) {
+    const n = match[1] ? parseInt(match[1], 10) : 1
+    if (n < 1 || n > 59) return null
+    return n === 1 ? '* * * * *' : `*/${n} * * * *`
+  }
+
+  match = phrase.match(/^every (\d+ )?(hour|hours|hr|hrs)$/)
+  if (match) {
+    const n = match[1] ? parseInt(match[1], 10) : 1
+    if (n < 1 || n > 23) return null
+    return n === 1 ? '0 * * * *' : `0 */${n} * * *`
+  }
+
+  // Split "<when> at <time>" (the time part is optional)
+  const [when, timeText] = splitTime(phrase)
+  const time = timeText ? parseTime(timeText) : null
+  if (timeText && !time) return null
+
+  // "every morning" / "every night" carry their own time
+  match = when.match(/^(?:every|each) (morning|evening|night)$/)
+  if (match) {
+    return at(time || NAMED_TIMES[match[1]], '*', '*')
+  }
+
+  if (/^(?:every day|each day|daily|everyday)$/.test(when)) {
+    return at(time || DEFAULT_TIME, '*', '*')
+  }
+
+  if (/^(?:every |each |on )?(?:weekday|weekdays)$/.test(when)) {
+    return at(time || DEFAULT_TIME, '*', '1-5')
+  }
+
+  if (/^(?:every |each |on )?(?:weekend|weekends)$/.test(when)) {
+    return at(time || DEFAULT_TIME, '*', '0,6')
+  }
+
+  match = when.match(/^(?:every month|each month|monthly)(?: on the| on)? (\d{1,2})(?:st|nd|rd|th)?$/)
+    || when.match(/^(?:on )?the (\d{1,2})(?:st|nd|rd|th)? (?:of )?(?:every|each) month$/)
+  if (match) {
+    const day = parseInt(match[1], 10)
+    if (day < 1 || day > 31) return null
+    return at(time || DEFAULT_TIME, String(day), '*')
+  }
+
+  if (/^(?:every month|each month|monthly)$/.test(when)) {
+    return at(time || DEFAULT_TIME, '1', '*')
+  }
+
+  const weekdays = parseWeekdays(when)
+  if (weekdays) {
+    return at(time || DEFAULT_TIME, '*', weekdays)
+  }
+
+  return null
+}
+
+/** @private Resolve a one-off phrase to epoch ms (not yet checked against now) */
+function parseOneOff(phrase, now, timezone) {
+  if (phrase.startsWith('in ')) return parseDuration(phrase.slice(3), now)
+
+  // Full ISO timestamp with an explicit offset needs no timezone handling
+  if (/^\d{4}-\d{2}-\d{2}t[\d:.]+(?:z|[+-]\d{2}:?\d{2})$/.test(phrase)) {
+    const ms = Date.parse(phrase.toUpperCase())
+    return Number.isFinite(ms) ? ms : null
+  }
+
+  const normalized = phrase
+    .replace(/^(\d{4}-\d{2}-\d{2})t(\d{1,2}:\d{2})(?::\d{2})?$/, '$1 $2')
+    .replace(/^at /, '')
+  const [when, timeText] = parseTime(normalized) ? ['', normalized] : splitTime(normalized)
+  const time = timeText ? parseTime(timeText) : null
+  if (timeText && !time) return null
+
+  const today = zonedParts(now, timezone)
+  const resolve = (date, fallbackTime, rollover = null) => {
+    let ms = zonedToEpoch(date, time || fallbackTime, timezone)
+    if (ms <= now.getTime() && rollover) ms = zonedToEpoch(rollover(date), time || fallbackTime, timezone)
+    return ms
+  }
+
+  if (when === '') return resolve(today, DEFAULT_TIME, d => addDays(d, 1))
+  if (when === 'today') return resolve(today, DEFAULT_TIME)
+  if (when === 'tonight') return resolve(today, NAMED_TIMES.night)
+
+  let match = when.match(/^(?:this )?(morning|evening|night)$/)
+  if (match) return resolve(today, NAMED_TIMES[match[1]])
+
+  match = when.match(/^tomorrow(?: (morning|evening|night))?$/)
+  if (match) return resolve(addDays(today, 1), match[1] ? NAMED_TIMES[match[1]] : DEFAULT_TIME)
+
+  match = when.match(/^(?:on |this |next )?([a-z]+)$/)
+  if (match && DAYS[match[1]] !== undefined) {
+    let delta = (DAYS[match[1]] - today.weekday + 7) % 7
+    if (delta === 0 && when.startsWith('next ')) delta = 7
+    return resolve(addDays(today, delta), DEFAULT_TIME, d => addDays(d, 7))
+  }
+
+  match = when.match(/^(?:on )?(\d{4})-(\d{2})-(\d{2})$/)
+  if (match) {
+    const date = validDate(+match[1], +match[2], +match[3])
+    return date ? resolve(date, DEFAULT_TIME) : null
+  }
+
+  // "march 3rd", "mar 3, 2027", "the 3rd of march", "3 march"
+  match = when.match(/^(?:on )?([a-z]+) (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/)
+  let month = match && MONTHS[match[1]]
+  let day = match && +match[2]
+  let year = match?.[3] && +match[3]
+  if (!month) {
+    match = when.match(/^(?:on )?(?:the )?(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+)(?:,? (\d{4}))?$/)
+    month = match && MONTHS[match[2]]
+    day = match && +match[1]
+    year = match?.[3] && +match[3]
+  }
+  if (month) {
+    const date = validDate(year || today.year, month, day)
+    if (!date) return null
+    return resolve(date, DEFAULT_TIME, year ? null : d => validDate(d.year + 1, d.month, d.day))
+  }
+
+  return null
+}
+
+/** @private "2 hours and 30 minutes" / "an hour" / "half an hour" → now + duration */
+function parseDuration(text, now) {
+  let total = 0
+  for (const part of text.split(/\s*(?:,|\band\b)\s*/).filter(Boolean)) {
+    if (/^(?:half an? hour|a half hour)$/.test(part)) {
+      total += UNIT_MS.minute * 30
+      continue
+    }
+    const match = part.match(/^(\d+|an?) (minute|min|hour|hr|day|week)s?$/)
+    if (!match) return null
+    const n = /^\d/.test(match[1]) ? parseInt(match[1], 10) : 1
+    total += n * UNIT_MS[match[2]]
+  }
+  return total > 0 ? now.getTime() + total : null
+}
+
+/** @private Calendar date + weekday + wall-clock time of `date` in `timezone` */
+function zonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23',
+    ...(timezone ? { timeZone: timezone } : {})
+  }).formatToParts(date)
+  const get = type => parts.find(p => p.type === type).value
+  return {
+    year: +get('year'),
+    month: +get('month'),
+    day: +get('day'),
+    hour: +get('hour'),
+    minute: +get('minute'),
+    weekday: DAYS[get('weekday').toLowerCase()]
+  }
+}
+
+/** @private Wall-clock date + time in `timezone` → epoch ms */
+function zonedToEpoch({ year, month, day }, { hour, minute }, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute)
+  const offsetAt = ms => {
+    const p = zonedParts(new Date(ms), timezone)
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60_000) * 60_000
+  }
+  // Second pass corrects guesses that land on the other side of a DST change
+  return wall - offsetAt(wall - offsetAt(wall))
+}
+
+/** @private */
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n))
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() }
+}
+
+/** @private null for impossible dates like February 30th */
+function validDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day))
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day ? { year, month, day } : null
+}
+
+/** @private Split "every monday at 9am" → ["every monday", "9am"] */
+function splitTime(phrase) {
+  const idx = phrase.lastIndexOf(' at ')
+  if (idx !== -1) return [phrase.slice(0, idx).trim(), phrase.slice(idx + 4).trim()]
+
+  // "daily 9am", "mondays 7pm" — trailing time without "at"
+  const trailing = phrase.match(/^(.*?) (\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2}|noon|midnight)$/)
+  if (trailing) return [trailing[1].trim(), trailing[2].trim()]
+
+  return [phrase, null]
+}
+
+/**
+ * @private "every mon and thu" / "mondays" / "on tuesdays, fridays" → "1,4"
+ * A bare "on tuesday" is a single day, not a recurrence (see parseRunAt).
+ */
+function parseWeekdays(when) {
+  const recurring = /^(?:every|each)\s/.test(when)
+  const body = when.replace(/^(?:every|each|on)\s+/, '')
+  const names = body.split(/\s*(?:,|\band\b|&|\/)\s*/).filter(Boolean)
+  if (names.length === 0) return null
+
+  const days = []
+  let plural = false
+  for (const name of names) {
+    const bare = name.replace(/^(?:every|each|on)\s+/, '')
+    let day = DAYS[bare]
+    if (day === undefined) {
+      day = DAYS[bare.replace(/s$/, '')]
+      plural = true
+    }
+    if (day === undefined) return null
+    if (!days.includes(day)) days.push(day)
+  }
+  if (!recurring && !plural) return null
+  return days.sort((a, b) => a - b).join(',')
+}
+
+/** @private Build "M H DOM * DOW" */
+function at({ hour, minute }, dayOfMonth, dayOfWeek) {
+  return `${minute} ${hour} ${dayOfMonth} * ${dayOfWeek}`
+}
@@ -2,8 +2,9 @@ import cron from 'node-cron'
 import { readFile, writeFile, mkdir } from 'node:fs/promises'
 import { join, dirname } from 'node:path'
 import { randomUUID } from 'node:crypto'
-import { MESSAGE_IN } from '../../infrastructure/events.js'
+import { MESSAGE_IN, MESSAGE_OUT } from '../../infrastructure/events.js'
 import defaultLogger from '../../infrastructure/logger.js'
+import { validateToolJob, checkToolJob, formatReport } from './tool-job.js'
 
 /**
  * Scheduler - Cron-based task scheduler with persistence
@@ -11,23 +12,54 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Tasks fire via the message bus as synthetic `message:in` events,
  * reusing the entire agent loop (context → provider → response → channel).
  *
+ * Two task types:
+ *   - recurring: `cronExpr` (5-field cron), runs until removed
+ *   - one-shot: `runAt` (epoch ms), fires once and then removes itself
+ *
  * Persistence: tasks stored in data/scheduler/tasks.json.
- * Loaded on startup, survive restarts.
+ * Loaded on startup, survive restarts. One-shots that came due while the
+ * bot was down fire during loadTasks() with a "(late)" marker.
+ *
+ * Run history: recurring tasks keep `lastRunAt`, `lastStatus` and the last
+ * `historySize` runs. Cron runs missed while the bot was down are handled by
+ * the task's `catchUp` policy at load time:
+ *   - skip (default): record them as skipped
+ *   - once: fire the most recent missed run, late
+ *   - all: fire every missed run, late (capped at MAX_CATCH_UP_RUNS)
+ *
+ * Tasks can be edited in place (same ID, history kept) and paused: a paused
+ * task has no running job but stays in tasks.json until resumed or removed.
+ *
+ * Tool jobs (`tool` set) are recurring tasks that call a ToolRegistry tool
+ * directly and only reach the agent or the chat when the output changes or
+ * matches a pattern. See tool-job.js.
  */
 const DEFAULT_MAX_TASKS = 50
+const DEFAULT_HISTORY_SIZE = 20
+
+export const CATCH_UP_POLICIES = ['skip', 'once', 'all']
+
+// A long outage on a frequent cron must not flood the chat
+const MAX_CATCH_UP_RUNS = 10
+const MAX_MISSED_SCAN = 1000
+
+// setTimeout overflows above 2^31-1 ms (~24.8 days); longer waits are chained
+const MAX_TIMER_DELAY = 2 ** 31 - 1
 
 export default class Scheduler {
-  constructor(bus, dataDir, { maxTasks = DEFAULT_MAX_TASKS, timezone = '', logger = defaultLogger } = {}) {
+  constructor(bus, dataDir, { maxTasks = DEFAULT_MAX_TASKS, historySize = DEFAULT_HISTORY_SIZE, timezone = '', toolRegistry = null, logger = defaultLogger } = {}) {
     this.bus = bus
+    this.toolRegistry = toolRegistry
     this.tasksFile = join(dataDir, 'scheduler', 'tasks.json')
     this.tasks = new Map()
     this.maxTasks = maxTasks
+    this.historySize = historySize
     this.timezone = timezone
     this.logger = logger
   }
 
   /**
-   * Load persisted tasks and start their cron jobs.
+   * Load persisted tasks, start their cron jobs and catch up on missed runs.
    */
   async loadTasks() {
     let data
@@ -39,25 +71,67 @@ export default class Scheduler {
     }
 
     const tasks = JSON.parse(data)
+    const overdue = []
     for (const task of tasks) {
+      if (task.runAt && !task.paused && task.runAt <= Date.now()) {
+        overdue.push(task)
+        continue
+      }
       this._startJob(task)
     }
-    this.logger.info('scheduler', 'tasks_loaded', { count: this.tasks.size })
+    this.logger.info('scheduler', 'tasks_loaded', { count: this.tasks.size, overdue: overdue.length })
+
+    for (const task of overdue) {
+      this._emit(task, { late: true })
+    }
+
+    let caughtUp = 0
+    for (const entry of this.tasks.values()) {
+      if (entry.cronExpr && !entry.paused && await this._catchUp(entry)) caughtUp++
+    }
+
+    if (overdue.length > 0 || caughtUp > 0) {
+      await this._persist()
+    }
   }
 
   /**
    * Add a new scheduled task.
+   * Pass either `cronExpr` (recurring) or `runAt` (one-shot), not both.
+   *
    * @param {object} opts - Task definition
-   * @param {string} opts.cronExpr - Cron expression (5-field)
+   * @param {string} [opts.cronExpr] - Cron expression (5-field)
+   * @param {number|string|Date} [opts.runAt] - One-shot fire time (epoch ms, ISO string or Date)
    * @param {string} opts.message - Message text to emit when task fires
    * @param {string} opts.description - Human-readable description
    * @param {string} opts.chatId - Target chat ID
    * @param {string} opts.userId - User who created the task
    * @param {string} opts.channel - Channel name (default: 'telegram')
+   * @param {string} [opts.catchUp] - Missed-run policy for cron tasks: skip | once | all (default: skip)
+   * @param {string} [opts.timezone] - IANA timezone for this task (default: scheduler timezone)
+   * @param {string} [opts.tool] - Tool job: ToolRegistry tool to run on each fire (cron only)
+   * @param {object} [opts.toolInput] - Fixed input passed to the tool
+   * @param {string} [opts.trigger] - Tool job: report on 'change' (default) or 'match'
+   * @param {string} [opts.pattern] - Tool job: case-insensitive regex for trigger 'match'
+   * @param {string} [opts.action] - Tool job: 'agent' (default, LLM sees the output) or 'notify' (sent as-is)
    * @returns {Promise<string>} Task ID
    */
-  async add({ cronExpr, message, description, chatId, userId, channel }) {
-    if (!cron.validate(cronExpr)) {
+  async add({ cronExpr, runAt, message, description, chatId, userId, channel, catchUp, timezone, tool, toolInput, trigger, pattern, action }) {
+    if (cronExpr && runAt != null) {
+      throw new Error('Provide either cronExpr or runAt, not both')
+    }
+
+    validateCatchUp(catchUp)
+    validateTimezone(timezone)
+    if (tool) {
+      if (runAt != null) throw new Error('Tool jobs are recurring; use cronExpr instead of runAt')
+      validateToolJob({ tool, trigger, pattern, action }, this.toolRegistry)
+    }
+
+    let when
+    if (runAt != null) {
+      when = toFutureTimestamp(runAt)
+    } else if (!cron.validate(cronExpr)) {
       throw new Error(`Invalid cron expression: ${cronExpr}`)
     }
 
@@ -67,21 +141,132 @@ export default class Scheduler {
 
     const task = {
       id: randomUUID(),
-      cronExpr,
+      ...(when ? { runAt: when } : { cronExpr, ...(catchUp && { catchUp }) }),
       message,
-      description: description || message,
+      description: description || message || `${tool} check`,
       chatId,
       userId,
       channel: channel || 'telegram',
+      ...(timezone && { timezone }),
+      ...(tool && {
+        tool,
+        toolInput: toolInput || {},
+        trigger: trigger || 'change',
+        ...(pattern && { pattern }),
+        action: action || 'agent'
+      }),
       createdAt: Date.now()
     }
 
     this._startJob(task)
     await this._persist()
-    this.logger.info('scheduler', 'task_added', { id: task.id, cron: cronExpr, description: task.description })
+    this.logger.info('scheduler', 'task_added', { id: task.id, cron: cronExpr, runAt: task.runAt, tool, description: task.description })
     return task.id
   }
 
+  /**
+   * Edit a task in place, keeping its ID and run history.
+   * Only the fields present in `changes` are modified.
+   *
+   * @param {string} id
+   * @param {object} changes
+   * @param {string} [changes.cronExpr] - New cron expression (recurring tasks)
+   * @param {number|string|Date} [changes.runAt] - New fire time (one-shot tasks)
+   * @param {string} [changes.message]
+   * @param {string} [changes.description]
+   * @param {string} [changes.timezone] - IANA timezone ('' = back to the scheduler default)
+   * @param {string} [changes.catchUp]
+   * @param {object} [changes.toolInput] - Tool jobs: new tool input (resets the stored output)
+   * @param {string} [changes.trigger] - Tool jobs
+   * @param {string} [changes.pattern] - Tool jobs
+   * @param {string} [changes.action] - Tool jobs
+   * @returns {Promise<object>} Updated task
+   */
+  async update(id, { cronExpr, runAt, message, description, timezone, catchUp, toolInput, trigger, pattern, action } = {}) {
+    const entry = this.tasks.get(id)
+    if (!entry) throw new Error(`Task not found: ${id}`)
+
+    if (cronExpr !== undefined) {
+      if (entry.runAt) throw new Error('One-shot tasks have no cron expression; change runAt instead')
+      if (!cron.validate(cronExpr)) throw new Error(`Invalid cron expression: ${cronExpr}`)
+    }
+    if (runAt !== undefined && !entry.runAt) {
+      throw new Error('Recurring tasks have no runAt; change cronExpr instead')
+    }
+    if (message !== undefined && !message && !entry.tool) {
+      throw new Error('message cannot be empty')
+    }
+    const toolChanges = { toolInput, trigger, pattern, action }
+    const changesTool = Object.values(toolChanges).some(v => v !== undefined)
+    if (changesTool) {
+      if (!entry.tool) throw new Error('Only tool jobs have toolInput, trigger, pattern or action')
+      validateToolJob({ ...entry, ...stripUndefined(toolChanges) }, this.toolRegistry)
+    }
+    validateCatchUp(catchUp)
+    validateTimezone(timezone)
+
+    const { job, ...task } = entry
+    Object.assign(task, {
+      ...(cronExpr !== undefined && { cronExpr }),
+      ...(runAt !== undefined && { runAt: toFutureTimestamp(runAt) }),
+      ...(message !== undefined && { message }),
+      ...(description !== undefined && { description: description || task.message || `${task.tool} check` }),
+      ...(timezone !== undefined && { timezone }),
+      ...(catchUp !== undefined && { catchUp }),
+      ...stripUndefined(toolChanges),
+      updatedAt: Date.now()
+    })
+    if (!task.timezone) delete task.timezone
+    if (!task.pattern) delete task.pattern
+    // New input means the old output is no longer comparable; next run sets a new baseline
+    if (toolInput !== undefined) {
+      delete task.lastResult
+      delete task.lastResultHash
+      delete task.lastMatched
+    }
+
+    job?.stop()
+    this._startJob(task)
+    await this._persist()
+    this.logger.info('scheduler', 'task_updated', { id, cron: task.cronExpr, runAt: task.runAt, timezone: task.timezone })
+    return toPublic(this.tasks.get(id))
+  }
+
+  /**
+   * Pause a task: stop its job but keep it (and its history) in tasks.json.
+   * @returns {Promise<object>} Updated task
+   */
+  async pause(id) {
+    const entry = this.tasks.get(id)
+    if (!entry) throw new Error(`Task not found: ${id}`)
+    if (entry.paused) return toPublic(entry)
+
+    entry.job?.stop()
+    entry.job = null
+    entry.paused = true
+    entry.updatedAt = Date.now()
+    await this._persist()
+    this.logger.info('scheduler', 'task_paused', { id })
+    return toPublic(entry)
+  }
+
+  /**
+   * Resume a paused task. Runs missed while paused are not caught up.
+   * @returns {Promise<object>} Updated task
+   */
+  async resume(id) {
+    const entry = this.tasks.get(id)
+    if (!entry) throw new Error(`Task not found: ${id}`)
+    if (!entry.paused) return toPublic(entry)
+
+    const { job, paused, ...task } = entry
+    task.updatedAt = Date.now()
+    this._startJob(task)
+    await this._persist()
+    this.logger.info('scheduler', 'task_resumed', { id })
+    return toPublic(this.tasks.get(id))
+  }
+
   /**
    * Remove a scheduled task by ID.
    */
@@ -89,17 +274,44 @@ export default class Scheduler {
     const entry = this.tasks.get(id)
     if (!entry) throw new Error(`Task not found: ${id}`)
 
-    entry.job.stop()
+    entry.job?.stop()
     this.tasks.delete(id)
     await this._persist()
     this.logger.info('scheduler', 'task_removed', { id })
   }
 
   /**
-   * List all tasks (without cron job references).
+   * List all tasks (without cron job references or run history).
    */
   list() {
-    return Array.from(this.tasks.values()).map(({ job, ...task }) => task)
+    return Array.from(this.tasks.values()).map(toPublic)
+  }
+
+  /**
+   * Get a single task by ID (without cron job reference or run history).
+   * @returns {object|null}
+   */
+  get(id) {
+    const entry = this.tasks.get(id)
+    return entry ? toPublic(entry) : null
+  }
+
+  /**
+   * Run history for a task, oldest first.
+   * @returns {Array<{scheduledFor: number, ranAt?: number, status: string, missed?: number, error?: string}>|null}
+   *   null if the task does not exist
+   */
+  runs(id) {
+    const entry = this.tasks.get(id)
+    return entry ? [...(entry.runs || [])] : null
+  }
+
+  /**
+   * Next time a task will fire.
+   * @returns {Date|null} null if the task does not exist, is paused or is not scheduled
+   */
+  nextRun(id) {
+    return this.tasks.get(id)?.job?.getNextRun() || null
   }
 
   /**
@@ -107,25 +319,184 @@ export default class Scheduler {
    */
   stop() {
     for (const { job } of this.tasks.values()) {
-      job.stop()
+      job?.stop()
     }
     this.logger.info('scheduler', 'stopped', { tasks: this.tasks.size })
   }
 
-  /** @private Start a cron job for a task */
+  /** @private Start a cron job (or one-shot timer) for a task; paused tasks get no job */
   _startJob(task) {
-    const opts = this.timezone ? { timezone: this.timezone } : {}
-    const job = cron.schedule(task.cronExpr, () => {
-      this.logger.info('scheduler', 'task_fired', { id: task.id, description: task.description })
-      this.bus.fire(MESSAGE_IN, {
-        text: task.message,
+    const entry = { ...task }
+
+    if (task.paused) {
+      entry.job = null
+    } else if (task.runAt) {
+      entry.job = this._startTimer(entry)
+    } else {
+      const timezone = task.timezone || this.timezone
+      const opts = timezone ? { timezone } : {}
+      entry.job = cron.schedule(task.cronExpr, async (ctx) => {
+        await this._run(entry, ctx?.date?.getTime() ?? Date.now())
+        this._persistQuietly(entry.id)
+      }, opts)
+    }
+
+    this.tasks.set(task.id, entry)
+  }
+
+  /**
+   * @private Apply the task's catchUp policy to cron runs missed while the bot was down.
+   * @returns {Promise<boolean>} true if any run was fired or recorded
+   */
+  async _catchUp(entry) {
+    // Runs before an edit or resume are not "missed"
+    const since = Math.max(entry.runs?.at(-1)?.scheduledFor ?? entry.createdAt, entry.updatedAt ?? 0)
+    const missed = this._missedRuns(entry, since)
+    if (missed.length === 0) return false
+
+    const policy = entry.catchUp || 'skip'
+    // A tool check only reflects the present, so it never runs more than once
+    const toRun = policy === 'skip' ? []
+      : policy === 'once' || entry.tool ? missed.slice(-1)
+        : missed.slice(-MAX_CATCH_UP_RUNS)
+    const skipped = missed.length - toRun.length
+
+    if (skipped > 0) {
+      this._record(entry, { scheduledFor: missed[skipped - 1], status: 'skipped', missed: skipped })
+    }
+    for (const scheduledFor of toRun) {
+      await this._run(entry, scheduledFor, { late: true })
+    }
+
+    this.logger.info('scheduler', 'missed_runs', { id: entry.id, missed: missed.length, policy, ran: toRun.length })
+    return true
+  }
+
+  /** @private Fire times between `since` (exclusive) and now */
+  _missedRuns(entry, since) {
+    const now = Date.now()
+    const missed = []
+    let cursor = new Date(since)
+    while (missed.length < MAX_MISSED_SCAN) {
+      const next = entry.job.timeMatcher.getNextMatch(cursor)
+      if (next.getTime() > now) break
+      missed.push(next.getTime())
+      cursor = next
+    }
+    return missed
+  }
+
+  /** @private Fire a recurring task and record the outcome in its history */
+  async _run(entry, scheduledFor, { late = false } = {}) {
+    if (entry.tool) return this._runTool(entry, scheduledFor, { late })
+
+    try {
+      this._emit(entry, { late })
+      this._record(entry, { scheduledFor, ranAt: Date.now(), status: late ? 'late' : 'ok' })
+    } catch (error) {
+      this.logger.error('scheduler', 'task_failed', { id: entry.id, error: error.message })
+      this._record(entry, { scheduledFor, ranAt: Date.now(), status: 'failed', error: error.message })
+    }
+  }
+
+  /**
+   * @private Run a tool job: call the tool, keep its output for the next diff
+   * and report only when the check triggers. Tool errors count as failed runs
+   * and leave the stored output untouched.
+   */
+  async _runTool(entry, scheduledFor, { late = false } = {}) {
+    const status = late ? 'late' : 'ok'
+    try {
+      const check = await checkToolJob(entry, this.toolRegistry, { logger: this.logger })
+      if (check.isError) {
+        this.logger.warn('scheduler', 'tool_job_error', { id: entry.id, tool: entry.tool, error: check.result })
+        this._record(entry, { scheduledFor, ranAt: Date.now(), status: 'failed', error: check.result })
+        return
+      }
+
+      Object.assign(entry, check.state)
+      if (check.triggered) {
+        this._report(entry, formatReport(entry, check), { late })
+      }
+      this._record(entry, { scheduledFor, ranAt: Date.now(), status, triggered: check.triggered })
+    } catch (error) {
+      this.logger.error('scheduler', 'task_failed', { id: entry.id, error: error.message })
+      this._record(entry, { scheduledFor, ranAt: Date.now(), status: 'failed', error: error.message })
+    }
+  }
+
+  /** @private Deliver a triggered tool job: through the agent, or straight to the chat */
+  _report(task, text, { late = false } = {}) {
+    this.logger.info('scheduler', 'tool_job_triggered', { id: task.id, tool: task.tool, action: task.action })
+    if (task.action === 'notify') {
+      this.bus.fire(MESSAGE_OUT, {
         chatId: task.chatId,
-        userId: task.userId,
-        channel: task.channel,
-        scheduled: true
+        text: late ? `(late) ${text}` : text,
+        channel: task.channel
       }, { source: 'scheduler' })
-    }, opts)
-    this.tasks.set(task.id, { ...task, job })
+      return
+    }
+    this._emit({ ...task, message: text }, { late })
+  }
+
+  /** @private Append to the bounded run history */
+  _record(entry, run) {
+    entry.runs = [...(entry.runs || []), run].slice(-this.historySize)
+    entry.lastStatus = run.status
+    if (run.ranAt) entry.lastRunAt = run.ranAt
+  }
+
+  /**
+   * @private One-shot timer exposing the same stop()/getNextRun() surface as a cron job.
+   * Fires once, then removes the task from the map and from disk.
+   */
+  _startTimer(task) {
+    let timer = null
+    // Resuming a one-shot whose time already passed fires it right away
+    const late = task.runAt <= Date.now()
+
+    const arm = () => {
+      const delay = task.runAt - Date.now()
+      if (delay > MAX_TIMER_DELAY) {
+        timer = setTimeout(arm, MAX_TIMER_DELAY)
+        return
+      }
+      timer = setTimeout(() => {
+        timer = null
+        this._emit(task, { late })
+        this.tasks.delete(task.id)
+        this._persistQuietly(task.id)
+      }, Math.max(delay, 0))
+    }
+    arm()
+
+    return {
+      stop: () => {
+        clearTimeout(timer)
+        timer = null
+      },
+      getNextRun: () => timer ? new Date(task.runAt) : null
+    }
+  }
+
+  /** @private Fire a task as a synthetic incoming message */
+  _emit(task, { late = false } = {}) {
+    this.logger.info('scheduler', 'task_fired', { id: task.id, description: task.description, ...(late && { late }) })
+    this.bus.fire(MESSAGE_IN, {
+      text: late ? `(late) ${task.message}` : task.message,
+      chatId: task.chatId,
+      userId: task.userId,
+      channel: task.channel,
+      scheduled: true,
+      ...(late && { late })
+    }, { source: 'scheduler' })
+  }
+
+  /** @private Persist from timer callbacks, where nobody awaits the result */
+  _persistQuietly(id) {
+    return this._persist().catch(error => {
+      this.logger.error('scheduler', 'persist_failed', { id, error: error.message })
+    })
   }
 
   /** @private Persist all tasks to JSON file */
@@ -139,3 +510,39 @@ export default class Scheduler {
     return this.tasks.size
   }
 }
+
+/** @throws if `runAt` is not a valid future time */
+function toFutureTimestamp(runAt) {
+  const when = runAt instanceof Date ? runAt.getTime() : (typeof runAt === 'number' ? runAt : Date.parse(runAt))
+  if (!Number.isFinite(when)) {
+    throw new Error(`Invalid runAt: ${runAt}`)
+  }
+  if (when <= Date.now()) {
+    throw new Error(`runAt is in the past: ${new Date(when).toISOString()}`)
+  }
+  return when
+}
+
+function validateCatchUp(catchUp) {
+  if (catchUp && !CATCH_UP_POLICIES.includes(catchUp)) {
+    throw new Error(`Invalid catchUp policy: ${catchUp} (expected ${CATCH_UP_POLICIES.join(', ')})`)
+  }
+}
+
+function validateTimezone(timezone) {
+  if (!timezone) return
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+  } catch {
+    throw new Error(`Invalid timezone: ${timezone}`)
+  }
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined))
+}
+
+/** Task as exposed to callers: no cron job reference, no run history */
+function toPublic({ job, runs, ...task }) {
+  return task
+}
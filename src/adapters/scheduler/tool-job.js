@@ -0,0 +1,127 @@
+import { createHash } from 'node:crypto'
+
+/**
+ * tool-job - Scheduled checks that call a tool directly instead of the agent
+ *
+ * A tool job runs a named ToolRegistry tool with fixed input on a cron and
+ * compares the output with the previous run. Only when the output changes
+ * (trigger: 'change') or starts matching a pattern (trigger: 'match') does it
+ * report — either through the agent (action: 'agent', a synthetic message the
+ * LLM reacts to) or straight to the chat (action: 'notify', no LLM call).
+ *
+ * The first run only records a baseline for 'change'. 'match' reports on the
+ * transition from not-matching to matching, so a site that stays down is
+ * reported once, not every run.
+ */
+
+export const TRIGGERS = ['change', 'match']
+export const ACTIONS = ['agent', 'notify']
+
+// Tools a job may not run: the scheduler tools would add or cancel tasks on
+// every tick, and the rest only perform a side effect with no output to diff
+export const EXCLUDED_TOOLS = [
+  'schedule_task',
+  'schedule_watch',
+  'list_scheduled_tasks',
+  'cancel_scheduled_task',
+  'write_file',
+  'github_setup_workspace'
+]
+
+// Stored on the task and quoted in reports; tool output beyond this is cut
+const MAX_RESULT_CHARS = 4000
+
+const DEFAULT_AGENT_PROMPT = 'A scheduled check found something new. Summarize what changed and whether it needs my attention.'
+
+/**
+ * Validate tool job fields before the task is stored.
+ * @param {object} job - { tool, trigger, pattern, action }
+ * @param {ToolRegistry|null} toolRegistry
+ * @throws {Error} on invalid configuration
+ */
+export function validateToolJob({ tool, trigger = 'change', pattern, action = 'agent' }, toolRegistry) {
+  if (!toolRegistry) {
+    throw new Error('Tool jobs need a tool registry')
+  }
+  if (!toolRegistry.has(tool)) {
+    throw new Error(`Unknown tool: ${tool}`)
+  }
+  if (EXCLUDED_TOOLS.includes(tool)) {
+    throw new Error(`Tool ${tool} cannot be watched (excluded: ${EXCLUDED_TOOLS.join(', ')})`)
+  }
+  if (!TRIGGERS.includes(trigger)) {
+    throw new Error(`Invalid trigger: ${trigger} (expected ${TRIGGERS.join(', ')})`)
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action} (expected ${ACTIONS.join(', ')})`)
+  }
+  if (trigger === 'match' && !pattern) {
+    throw new Error('trigger "match" needs a pattern')
+  }
+  if (pattern) {
+    try {
+      new RegExp(pattern, 'i')
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Run the tool and decide whether the result should be reported.
+ *
+ * @param {object} task - Tool job task (tool, toolInput, trigger, pattern, last* state)
+ * @param {ToolRegistry} toolRegistry
+ * @param {object} opts
+ * @param {object} opts.logger
+ * @returns {Promise<{result: string, isError: boolean, triggered: boolean, reason: string|null,
+ *   previous: string|null, state: {lastResult: string, lastResultHash: string, lastMatched: boolean}}>}
+ */
+export async function checkToolJob(task, toolRegistry, { logger }) {
+  const { result, isError } = await toolRegistry.executeTool(task.tool, task.toolInput || {}, {
+    logger,
+    context: { chatId: task.chatId, userId: task.userId, channel: task.channel }
+  })
+
+  const hash = createHash('sha256').update(result).digest('hex')
+  const matched = task.pattern ? new RegExp(task.pattern, 'i').test(result) : false
+
+  let reason = null
+  if (task.trigger === 'match') {
+    if (matched && !task.lastMatched) reason = `matched /${task.pattern}/`
+  } else if (task.lastResultHash && hash !== task.lastResultHash) {
+    reason = 'changed'
+  }
+
+  return {
+    result,
+    isError,
+    triggered: reason !== null,
+    reason,
+    previous: task.lastResult ?? null,
+    state: { lastResult: truncate(result), lastResultHash: hash, lastMatched: matched }
+  }
+}
+
+/**
+ * Text delivered when a check triggers.
+ * For 'notify' it goes to the chat as-is; for 'agent' it becomes the user turn.
+ */
+export function formatReport(task, { result, reason, previous }) {
+  const header = `${task.description} — ${task.tool} output ${reason}`
+
+  if (task.action === 'notify') {
+    return `${header}\n\n${truncate(result)}`
+  }
+
+  const lines = [task.message || DEFAULT_AGENT_PROMPT, '', `[Scheduled check: ${header}]`]
+  if (previous !== null && reason === 'changed') {
+    lines.push('', 'Previous output:', previous)
+  }
+  lines.push('', 'Current output:', truncate(result))
+  return lines.join('\n')
+}
+
+function truncate(text) {
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}\n[truncated]` : text
+}
@@ -24,6 +24,25 @@ export default class BaseStorage {
     throw new Error('saveSession() must be implemented by subclass')
   }
 
+  /**
+   * Load the running summary of a session's older messages
+   * @param {string} sessionId
+   * @returns {Promise<{text: string, until: number, messages: number, updatedAt: number}|null>}
+   *   until: timestamp of the newest message the summary covers
+   */
+  async loadSummary(sessionId) {
+    throw new Error('loadSummary() must be implemented by subclass')
+  }
+
+  /**
+   * Replace the running summary of a session
+   * @param {string} sessionId
+   * @param {{text: string, until: number, messages: number, updatedAt: number}} summary
+   */
+  async saveSummary(sessionId, summary) {
+    throw new Error('saveSummary() must be implemented by subclass')
+  }
+
   /**
    * Read a file's contents (for identity, skills, etc.)
    * @param {string} filePath
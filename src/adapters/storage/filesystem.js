@@ -1,19 +1,23 @@
-import { readFile, appendFile, mkdir } from 'node:fs/promises'
+import { readFile, writeFile, appendFile, mkdir, rename } from 'node:fs/promises'
 import { join } from 'node:path'
 import BaseStorage from './base.js'
 import defaultLogger from '../../infrastructure/logger.js'
 
-/** Only allow safe sessionId characters (e.g. telegram-123456789) */
-const SAFE_SESSION_ID = /^[a-zA-Z0-9_-]+$/
+/** Only allow safe sessionId characters (e.g. telegram-123456789, telegram--100123~topic-42) */
+const SAFE_SESSION_ID = /^[a-zA-Z0-9_-]+(~[a-zA-Z0-9_-]+)?$/
 
 /**
  * FilesystemStorage - JSONL file persistence for sessions
  *
  * Sessions stored as append-only JSONL files:
  *   data/sessions/telegram-123456789.jsonl
+ *   data/sessions/telegram--100123~topic-42.jsonl   (thread of a chat, see session-id.js)
  *
  * Each line is one JSON object:
  *   {"role":"user","content":"hello","timestamp":1707235200000}
+ *
+ * The running summary of older messages sits next to the session:
+ *   data/sessions/telegram-123456789.summary.json
  */
 export default class FilesystemStorage extends BaseStorage {
   constructor(config, { logger = defaultLogger } = {}) {
@@ -64,6 +68,34 @@ export default class FilesystemStorage extends BaseStorage {
     await appendFile(filepath, data, 'utf8')
   }
 
+  async loadSummary(sessionId) {
+    if (!SAFE_SESSION_ID.test(sessionId)) {
+      throw new Error(`Invalid sessionId: ${sessionId}`)
+    }
+    try {
+      return JSON.parse(await readFile(join(this.sessionsDir, `${sessionId}.summary.json`), 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      if (err instanceof SyntaxError) {
+        this.logger.warn('storage', 'corrupt_summary', { sessionId })
+        return null
+      }
+      throw err
+    }
+  }
+
+  async saveSummary(sessionId, summary) {
+    if (!SAFE_SESSION_ID.test(sessionId)) {
+      throw new Error(`Invalid sessionId: ${sessionId}`)
+    }
+    await this._ensureDir()
+
+    // Write then rename, so a reader never sees half a summary
+    const filepath = join(this.sessionsDir, `${sessionId}.summary.json`)
+    await writeFile(`${filepath}.tmp`, JSON.stringify(summary, null, 2) + '\n', 'utf8')
+    await rename(`${filepath}.tmp`, filepath)
+  }
+
   async readFile(filePath) {
     try {
       return await readFile(filePath, 'utf8')
@@ -9,6 +9,7 @@ import defaultLogger from '../../infrastructure/logger.js'
  *   {memoryDir}/MEMORY.md                  — global long-term facts
  *   {memoryDir}/YYYY-MM-DD.md              — global daily logs
  *   {memoryDir}/chats/{id}/                — per-chat memory
+ *   {memoryDir}/users/{id}/                — per-person memory
  *   {memoryDir}/working/{id}.md            — session scratchpad
  *   {memoryDir}/procedural/patterns.json   — learned behavioral patterns
  *
@@ -92,6 +93,41 @@ export default class MemoryStore {
     }
   }
 
+  // --- Per-person memory ---
+
+  /**
+   * Append to a person's daily log (data/memory/users/{userId}/YYYY-MM-DD.md).
+   */
+  async appendUserDaily(userId, entry) {
+    const userDir = join(this.memoryDir, 'users', userId)
+    await mkdir(userDir, { recursive: true })
+    const now = new Date()
+    const date = now.toISOString().slice(0, 10)
+    const time = now.toISOString().slice(11, 16)
+    const filepath = join(userDir, `${date}.md`)
+    const line = `## ${time} — ${entry}\n\n`
+    await appendFile(filepath, line, 'utf8')
+    this.logger.info('memory-store', 'user_daily_append', { userId, date, entry: entry.slice(0, 80) })
+  }
+
+  /**
+   * Get a person's recent daily logs.
+   */
+  async getUserRecentDays(userId, days = 3) {
+    return this._getRecentDaysFromDir(join(this.memoryDir, 'users', userId), days)
+  }
+
+  /**
+   * Get a person's long-term memory (data/memory/users/{userId}/MEMORY.md).
+   */
+  async getUserLongTermMemory(userId) {
+    try {
+      return await readFile(join(this.memoryDir, 'users', userId, 'MEMORY.md'), 'utf8')
+    } catch {
+      return ''
+    }
+  }
+
   // --- Chat context ---
 
   /**
@@ -248,6 +284,12 @@ export default class MemoryStore {
     }
   }
 
+  async writeDailyLog(filename, content) {
+    await this._ensureDir()
+    await writeFile(join(this.memoryDir, filename), content, 'utf8')
+    this.logger.info('memory-store', 'daily_log_written', { filename, sizeBytes: content.length })
+  }
+
   async deleteDailyLog(filename) {
     const { unlink } = await import('node:fs/promises')
     const filepath = join(this.memoryDir, filename)
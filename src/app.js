@@ -5,13 +5,20 @@ import NervousSystem from './domain/nervous/index.js'
 import { createTraceMiddleware, createLoggingMiddleware, createDeadSignalMiddleware } from './domain/nervous/middleware.js'
 import TelegramChannel from './adapters/channels/telegram.js'
 import HTTPChannel from './adapters/channels/http.js'
+import DiscordChannel from './adapters/channels/discord.js'
 import FilesystemStorage from './adapters/storage/filesystem.js'
 import MemoryStore from './adapters/storage/memory-store.js'
 import CognitiveSystem from './domain/cognitive/index.js'
 import ContextBuilder from './application/context.js'
 import AgentLoop from './application/loop.js'
+import CommandRouter, { COMMANDS } from './application/commands.js'
+import ModelRouter from './application/model-router.js'
+import ConversationSummarizer from './application/conversation-summarizer.js'
 import Scheduler from './adapters/scheduler/scheduler.js'
 import CircuitBreakerProvider from './adapters/providers/circuit-breaker.js'
+import FallbackProvider from './adapters/providers/fallback.js'
+import RecordingProvider from './adapters/providers/recording.js'
+import { createProvider } from './adapters/providers/registry.js'
 import Watchdog from './infrastructure/watchdog.js'
 import { writePid, removePid, getStatus } from './infrastructure/health.js'
 import { setupNotifications } from './infrastructure/notifications.js'
@@ -25,14 +32,18 @@ import { searchWeb, fetchUrl } from './adapters/actions/web.js'
 import { createRunCommand } from './adapters/actions/shell.js'
 import { createReadFile, createWriteFile, createListFiles } from './adapters/actions/file.js'
 import { createGithubSetupWorkspace } from './adapters/actions/github.js'
+import { createScheduleTask, createScheduleWatch, createListScheduledTasks, createCancelScheduledTask } from './adapters/actions/scheduler.js'
 import TaskStore from './adapters/storage/task-store.js'
 import APIHandler from './adapters/channels/api-handler.js'
+import SignalStream from './adapters/channels/signal-stream.js'
+import ChatSocketServer from './adapters/channels/chat-socket.js'
 import { ConsciousnessGateway } from './domain/consciousness/index.js'
 import CLIConsciousnessAdapter from './adapters/consciousness/cli-adapter.js'
 import APIConsciousnessAdapter from './adapters/consciousness/api-adapter.js'
 import CerebrasConsciousnessAdapter from './adapters/consciousness/cerebras-adapter.js'
 import ResponseTracker from './domain/nervous/response-tracker.js'
 import CostTracker from './domain/cognitive/utils/cost-tracker.js'
+import TransparencyManager from './domain/cognitive/utils/transparency.js'
 
 /**
  * Create a fully wired KenoBot application instance.
@@ -44,6 +55,7 @@ import CostTracker from './domain/cognitive/utils/cost-tracker.js'
  * @param {Object} provider - Provider instance (already created, e.g. from registry)
  * @param {Object} [options]
  * @param {Object} [options.logger] - Logger instance (default: new Logger per instance)
+ * @param {string} [options.pidFile] - PID file path (default: health.js DEFAULT_PID_FILE)
  */
 export function createApp(config, provider, options = {}) {
   // Per-instance logger (isolates log output between createApp() calls)
@@ -59,12 +71,29 @@ export function createApp(config, provider, options = {}) {
   // Wrap provider with circuit breaker
   const circuitBreaker = new CircuitBreakerProvider(provider, { ...config.circuitBreaker, logger })
 
+  // Fallback chain (PROVIDER_FALLBACKS): each fallback gets its own circuit breaker
+  const fallbacks = (config.providerFallbacks || []).map(({ provider: name, model }) =>
+    new CircuitBreakerProvider(createProvider(name, { ...config, model }), { ...config.circuitBreaker, logger })
+  )
+  const chain = fallbacks.length > 0
+    ? new FallbackProvider([circuitBreaker, ...fallbacks], { logger })
+    : circuitBreaker
+
+  // PROVIDER_RECORD: save every exchange as a fixture for the replay provider
+  const chatProvider = config.fixtures?.record
+    ? new RecordingProvider(chain, { dir: config.fixtures.dir, logger })
+    : chain
+
   // Watchdog + health checks
   const watchdog = new Watchdog(bus, { interval: config.watchdogInterval, logger })
 
   watchdog.registerCheck('provider', () => {
     const status = circuitBreaker.getStatus()
-    if (status.state === 'OPEN') return { status: 'fail', detail: `circuit OPEN, ${status.failures} failures` }
+    if (status.state === 'OPEN') {
+      const available = fallbacks.filter(f => f.getStatus().state !== 'OPEN').map(f => f.name)
+      if (available.length > 0) return { status: 'warn', detail: `circuit OPEN, falling back to ${available.join(', ')}` }
+      return { status: 'fail', detail: `circuit OPEN, ${status.failures} failures` }
+    }
     if (status.state === 'HALF_OPEN') return { status: 'warn', detail: 'circuit recovering' }
     return { status: 'ok', detail: `${status.failures} recent failures` }
   }, { critical: true })
@@ -89,7 +118,7 @@ export function createApp(config, provider, options = {}) {
 
   watchdog.registerCheck('cost', () => {
     const s = costTracker.getStats()
-    if (s.daily.percent >= 100) return { status: 'fail', detail: `daily budget exceeded: $${s.daily.cost.toFixed(2)}` }
+    if (s.daily.percent >= 100) return { status: 'fail', detail: `daily budget exceeded: $${s.daily.cost.toFixed(2)} (policy: ${s.policy})` }
     if (s.daily.percent >= 80) return { status: 'warn', detail: `daily budget at ${s.daily.percent.toFixed(0)}%` }
     return { status: 'ok', detail: `$${s.daily.cost.toFixed(2)}/$${s.daily.budget}` }
   })
@@ -105,12 +134,9 @@ export function createApp(config, provider, options = {}) {
   })
 
   // Notifications
-  setupNotifications(bus, config)
+  setupNotifications(bus, config, { logger })
 
   // Core components
-  const scheduler = config.enableScheduler === false
-    ? { loadTasks: async () => {}, stop() {}, list: () => [], get size() { return 0 } }
-    : new Scheduler(bus, config.dataDir, { timezone: config.timezone, logger })
   const storage = new FilesystemStorage(config, { logger })
 
   // Motor System: Tool registry for ReAct loop (created before Cognitive to wire into sleep cycle)
@@ -126,15 +152,30 @@ export function createApp(config, provider, options = {}) {
     toolRegistry.register(createGithubSetupWorkspace(config.motor))
   }
 
+  // Scheduler gets the registry so tool jobs can call tools without the agent
+  const scheduler = config.enableScheduler === false
+    ? { loadTasks: async () => {}, stop() {}, list: () => [], get: () => null, runs: () => null, get size() { return 0 } }
+    : new Scheduler(bus, config.dataDir, { timezone: config.timezone, toolRegistry, logger })
+  if (config.enableScheduler !== false) {
+    toolRegistry.register(createScheduleTask(scheduler))
+    toolRegistry.register(createScheduleWatch(scheduler))
+    toolRegistry.register(createListScheduledTasks(scheduler))
+    toolRegistry.register(createCancelScheduledTask(scheduler))
+  }
+
+  // Cost tracking: usage of every LLM call, persisted under dataDir, with the budget policy
+  const costTracker = new CostTracker({ ...config.cost, dataDir: config.dataDir, logger })
+
   // Consciousness Layer: fast secondary model for semantic evaluation
   const profilesDir = join(import.meta.dirname, '..', 'templates', 'experts')
 
-  function createConsciousnessAdapter({ provider, model, timeout }) {
+  function createConsciousnessAdapter({ provider, model, timeout }, context) {
+    const onUsage = usage => costTracker.record({ ...usage, provider, context })
     if (provider === 'gemini-api') {
-      return new APIConsciousnessAdapter({ model, timeout, logger })
+      return new APIConsciousnessAdapter({ model, timeout, logger, onUsage })
     }
     if (provider === 'cerebras-api') {
-      return new CerebrasConsciousnessAdapter({ model, timeout, logger })
+      return new CerebrasConsciousnessAdapter({ model, timeout, logger, onUsage })
     }
     return new CLIConsciousnessAdapter({
       command: provider === 'gemini-cli' ? 'gemini' : provider,
@@ -147,7 +188,7 @@ export function createApp(config, provider, options = {}) {
   const consciousnessEnabled = config.consciousness?.enabled !== false
   const consciousness = new ConsciousnessGateway({
     adapter: consciousnessEnabled
-      ? createConsciousnessAdapter(config.consciousness)
+      ? createConsciousnessAdapter(config.consciousness, 'consciousness')
       : null,
     profilesDir,
     logger,
@@ -158,7 +199,7 @@ export function createApp(config, provider, options = {}) {
   // Falls back to consciousness config if CONSOLIDATION_* vars are not set.
   const consolidationConsciousness = new ConsciousnessGateway({
     adapter: consciousnessEnabled
-      ? createConsciousnessAdapter(config.consolidation)
+      ? createConsciousnessAdapter(config.consolidation, 'sleep')
       : null,
     profilesDir,
     logger,
@@ -176,7 +217,7 @@ export function createApp(config, provider, options = {}) {
   const memoryStore = new MemoryStore(memoryDir, { logger })
   const cognitiveOpts = { logger, bus, toolRegistry, consciousness, consolidationConsciousness }
   cognitiveOpts.identityPath = join(memoryDir, 'identity')
-  const cognitive = new CognitiveSystem(config, memoryStore, circuitBreaker, cognitiveOpts)
+  const cognitive = new CognitiveSystem(config, memoryStore, chatProvider, cognitiveOpts)
   const memory = cognitive.getMemorySystem()
   const sleepCycle = cognitive.getSleepCycle()
   logger.info('system', 'cognitive_system_ready')
@@ -189,26 +230,38 @@ export function createApp(config, provider, options = {}) {
   // Motor System: Task persistence
   const taskStore = new TaskStore(config.dataDir, { logger })
 
-  // Observability: response metrics + cost tracking
+  // Observability: response metrics
   const responseTracker = new ResponseTracker()
-  const costTracker = new CostTracker({ logger })
 
   // ContextBuilder: Uses Cognitive System for identity and memory
   const contextBuilder = new ContextBuilder(config, storage, cognitive, { logger })
-  const agent = new AgentLoop(bus, circuitBreaker, contextBuilder, storage, memory, { logger, toolRegistry, taskStore, responseTracker })
+  // Running summary of the history that falls out of the token budget (CONTEXT_SUMMARY)
+  const summarizer = config.context?.maxTokens && config.context.summary !== 'off'
+    ? new ConversationSummarizer({
+        storage,
+        mode: config.context.summary,
+        minMessages: config.context.summaryMinMessages,
+        model: config.context.summaryModel,
+        consciousness,
+        provider: chatProvider,
+        costTracker,
+        logger
+      })
+    : null
+
+  // Built-in slash commands, answered before the LLM; /why reads what the agent recorded
+  const transparency = new TransparencyManager({ logger })
+  const commandRouter = new CommandRouter(bus, { cognitive, transparency, owner: config.telegram.allowedUsers?.[0], logger })
+  // Model tier per message (ROUTER_ENABLED); the consciousness gateway breaks ties
+  const modelRouter = config.router?.enabled
+    ? new ModelRouter({ ...config.router, consciousness, logger })
+    : null
+  const agent = new AgentLoop(bus, chatProvider, contextBuilder, storage, memory, { logger, toolRegistry, taskStore, responseTracker, costTracker, modelRouter, commandRouter, transparency, summarizer, toolConcurrency: config.toolConcurrency })
 
   // Channels
   const channels = []
 
-  const telegram = new TelegramChannel(bus, {
-    token: config.telegram.token,
-    allowedUsers: config.telegram.allowedUsers,
-    allowedChatIds: config.telegram.allowedChatIds,
-    debounceMs: config.telegram.debounceMs,
-    logger,
-  })
-  channels.push(telegram)
-
+  let httpChannel = null
   if (config.http?.enabled) {
     if (!config.http.webhookSecret) {
       throw new Error('WEBHOOK_SECRET is required when HTTP_ENABLED=true')
@@ -224,11 +277,50 @@ export function createApp(config, provider, options = {}) {
         storage, memory, scheduler, sleepCycle, agent, taskStore,
         costTracker, stats, logger,
       })
+      httpConfig.signalStream = new SignalStream({ bus, apiKey: config.api.apiKey, logger })
     }
 
-    channels.push(new HTTPChannel(bus, httpConfig))
+    httpChannel = new HTTPChannel(bus, httpConfig)
   }
 
+  if (config.telegram.token) {
+    // Telegram webhook mode: updates arrive on the HTTP server instead of long polling
+    if (config.telegram.webhookUrl && !httpChannel) {
+      throw new Error('HTTP_ENABLED=true is required when TELEGRAM_WEBHOOK_URL is set')
+    }
+
+    channels.push(new TelegramChannel(bus, {
+      token: config.telegram.token,
+      allowedUsers: config.telegram.allowedUsers,
+      allowedChatIds: config.telegram.allowedChatIds,
+      debounceMs: config.telegram.debounceMs,
+      streamEditMs: config.telegram.streamEditMs,
+      threadSessions: config.telegram.threadSessions,
+      dataDir: config.dataDir,
+      commands: COMMANDS,
+      ...(config.telegram.webhookUrl && {
+        webhook: { server: httpChannel, url: config.telegram.webhookUrl, secretToken: config.telegram.webhookSecret },
+      }),
+      logger,
+    }))
+  }
+
+  if (config.discord?.token) {
+    channels.push(new DiscordChannel(bus, {
+      token: config.discord.token,
+      allowedUsers: config.discord.allowedUsers,
+      allowedChatIds: config.discord.allowedChatIds,
+      logger,
+    }))
+  }
+
+  if (httpChannel) channels.push(httpChannel)
+
+  // `kenobot chat` attaches here; each client gets its own TerminalChannel
+  const chatSocket = config.chatSocket?.enabled
+    ? new ChatSocketServer({ bus, path: config.chatSocket.path, logger })
+    : null
+
   // Error handler
   bus.on(ERROR, ({ source, error }) => {
     logger.error('nervous', 'signal_error', {
@@ -244,14 +336,14 @@ export function createApp(config, provider, options = {}) {
   bus.on(TASK_STARTED, ({ taskId, chatId }) => {
     logger.info('motor', 'task_started', { taskId, chatId })
   })
-  bus.on(TASK_PROGRESS, ({ chatId, text, channel }) => {
-    bus.fire(MESSAGE_OUT, { chatId, text, channel }, { source: 'motor' })
+  bus.on(TASK_PROGRESS, ({ chatId, text, channel, threadId }) => {
+    bus.fire(MESSAGE_OUT, { chatId, text, channel, ...(threadId && { threadId }) }, { source: 'motor' })
   })
-  bus.on(TASK_COMPLETED, ({ chatId, text, channel }) => {
-    bus.fire(MESSAGE_OUT, { chatId, text, channel }, { source: 'motor' })
+  bus.on(TASK_COMPLETED, ({ chatId, text, channel, threadId }) => {
+    bus.fire(MESSAGE_OUT, { chatId, text, channel, ...(threadId && { threadId }) }, { source: 'motor' })
   })
-  bus.on(TASK_FAILED, ({ chatId, error, channel }) => {
-    bus.fire(MESSAGE_OUT, { chatId, text: `Task failed: ${error}`, channel }, { source: 'motor' })
+  bus.on(TASK_FAILED, ({ chatId, error, channel, threadId }) => {
+    bus.fire(MESSAGE_OUT, { chatId, text: `Task failed: ${error}`, channel, ...(threadId && { threadId }) }, { source: 'motor' })
   })
   bus.on(TASK_CANCELLED, ({ taskId, chatId }) => {
     logger.info('motor', 'task_cancelled', { taskId, chatId })
@@ -263,6 +355,10 @@ export function createApp(config, provider, options = {}) {
   })
   bus.on(APPROVAL_APPROVED, (payload) => {
     logger.info('approval', 'approved', { type: payload.type, prUrl: payload.prUrl })
+    if (payload.type !== 'self-improvement') return
+    sleepCycle.selfImprover.apply(payload)
+      .then(result => logger.info('approval', 'applied', { type: payload.type, ...result }))
+      .catch(error => logger.error('approval', 'apply_failed', { type: payload.type, error: error.message }))
   })
   bus.on(APPROVAL_REJECTED, (payload) => {
     logger.info('approval', 'rejected', { type: payload.type, prUrl: payload.prUrl })
@@ -276,8 +372,11 @@ export function createApp(config, provider, options = {}) {
       responses: responseTracker.getStats(),
       consciousness: consciousness.getStats(),
       cost: costTracker.getStats(),
+      ...(modelRouter && { router: modelRouter.getStats() }),
+      ...(summarizer && { summaries: summarizer.getStats() }),
       watchdog: watchdog.getStatus(),
       circuitBreaker: circuitBreaker.getStatus(),
+      ...(fallbacks.length > 0 && { fallbacks: fallbacks.map(f => f.getStatus()) }),
     }
   }
 
@@ -285,7 +384,8 @@ export function createApp(config, provider, options = {}) {
   let sleepInterval = null
 
   async function start() {
-    await writePid()
+    await writePid(options.pidFile)
+    await costTracker.load()
 
     // Embedding System (optional — initialized here because dynamic imports are async)
     if (config.embedding?.enabled) {
@@ -319,11 +419,13 @@ export function createApp(config, provider, options = {}) {
       }
     }
 
-    await scheduler.loadTasks()
-    logger.info('system', 'scheduler_loaded', { tasks: scheduler.size })
-
     await agent.start()
     await Promise.all(channels.map(ch => ch.start()))
+    if (chatSocket) await chatSocket.start()
+
+    // After agent + channels: overdue one-shot reminders fire while loading
+    await scheduler.loadTasks()
+    logger.info('system', 'scheduler_loaded', { tasks: scheduler.size })
     watchdog.start()
 
     // Sleep cycle: check every hour if it should run (default: 4am daily)
@@ -343,11 +445,12 @@ export function createApp(config, provider, options = {}) {
 
   async function stop() {
     if (sleepInterval) clearInterval(sleepInterval)
-    await removePid()
+    await removePid(options.pidFile)
     watchdog.stop()
     scheduler.stop()
     agent.stop()
     if (embeddingStore) await embeddingStore.close()
+    if (chatSocket) await chatSocket.stop()
     await Promise.all(channels.map(ch => ch.stop()))
   }
 
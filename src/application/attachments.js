@@ -0,0 +1,107 @@
+import { readFile } from 'node:fs/promises'
+import { extname } from 'node:path'
+
+/**
+ * Attachments - Turn channel attachments into provider message content
+ *
+ * Channels publish `attachments: [{ type, path, fileName, mimeType, size, duration?, error? }]`
+ * on MESSAGE_IN. This module builds the user turn sent to the provider:
+ *   - multimodal providers get Anthropic-style content blocks (image and PDF
+ *     `document` blocks with base64 data, plus text); providers adapt them
+ *   - text documents are inlined for every provider
+ *   - anything the provider cannot read becomes a one-line note with the saved path
+ *
+ * Session history stores only the text form (describeAttachments), never file data.
+ */
+
+const IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp'])
+
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.csv', '.tsv', '.json', '.yaml', '.yml', '.xml', '.html', '.log',
+  '.js', '.mjs', '.ts', '.py', '.rb', '.go', '.rs', '.java', '.sh', '.sql', '.toml', '.ini', '.env'
+])
+
+// Same cap as read_file
+const INLINE_MAX_CHARS = 50_000
+
+/**
+ * Build the provider content for a user message.
+ *
+ * @param {Object} message - { text, attachments? }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.multimodal] - Provider accepts image/document blocks
+ * @returns {Promise<string|Array<Object>>} Plain string when no blocks are needed
+ */
+export async function buildUserContent(message, { multimodal = false } = {}) {
+  const attachments = message.attachments || []
+  if (attachments.length === 0) return message.text
+
+  const blocks = []
+  const notes = []
+
+  for (const attachment of attachments) {
+    if (attachment.error || !attachment.path) {
+      notes.push(`[Attachment ${attachment.fileName} could not be downloaded: ${attachment.error || 'no file'}]`)
+      continue
+    }
+
+    if (isText(attachment)) {
+      notes.push(await inlineText(attachment))
+    } else if (multimodal && isImage(attachment)) {
+      blocks.push({ type: 'image', source: await base64Source(attachment) })
+    } else if (multimodal && attachment.mimeType === 'application/pdf') {
+      blocks.push({ type: 'document', source: await base64Source(attachment) })
+    } else {
+      notes.push(describeAttachment(attachment))
+    }
+  }
+
+  const text = [...notes, message.text].filter(Boolean).join('\n\n')
+  if (blocks.length === 0) return text
+
+  return text ? [...blocks, { type: 'text', text }] : blocks
+}
+
+/**
+ * Text form of a message with attachments, for session history and logs.
+ * @param {Object} message - { text, attachments? }
+ * @returns {string}
+ */
+export function describeAttachments(message) {
+  const attachments = message.attachments || []
+  if (attachments.length === 0) return message.text
+
+  const names = attachments.map(a => `${a.fileName} (${a.type})`).join(', ')
+  return [`[Attached: ${names}]`, message.text].filter(Boolean).join('\n')
+}
+
+function isImage(attachment) {
+  return attachment.type === 'image' && IMAGE_TYPES.has(attachment.mimeType)
+}
+
+function isText(attachment) {
+  if (attachment.type !== 'document') return false
+  return attachment.mimeType.startsWith('text/') || TEXT_EXTENSIONS.has(extname(attachment.fileName).toLowerCase())
+}
+
+async function base64Source(attachment) {
+  const data = await readFile(attachment.path)
+  return { type: 'base64', media_type: attachment.mimeType, data: data.toString('base64') }
+}
+
+async function inlineText(attachment) {
+  let content = await readFile(attachment.path, 'utf8')
+  if (content.length > INLINE_MAX_CHARS) {
+    content = `${content.slice(0, INLINE_MAX_CHARS)}\n[truncated: ${content.length} chars total]`
+  }
+  return `[Attached file: ${attachment.fileName}]\n\`\`\`\n${content}\n\`\`\``
+}
+
+function describeAttachment(attachment) {
+  const kb = Math.ceil(attachment.size / 1024)
+  if (attachment.type === 'voice' || attachment.type === 'audio') {
+    const length = attachment.duration ? `, ${attachment.duration}s` : ''
+    return `[${attachment.type === 'voice' ? 'Voice message' : 'Audio'}: ${attachment.fileName}${length}, saved at ${attachment.path}. No transcription is available]`
+  }
+  return `[Attached ${attachment.type}: ${attachment.fileName} (${attachment.mimeType}, ${kb} KB), saved at ${attachment.path}. This model cannot view it directly]`
+}
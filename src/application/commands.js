@@ -0,0 +1,209 @@
+import defaultLogger from '../infrastructure/logger.js'
+import { MESSAGE_OUT } from '../infrastructure/events.js'
+
+/**
+ * CommandRouter - Built-in slash commands answered without the LLM
+ *
+ * AgentLoop asks the router first; recognized commands are answered here
+ * deterministically and never reach the provider or session history.
+ * Unknown commands (e.g. /start) return false and go to the LLM as text.
+ *
+ *   /why            — what memory went into the last response (TransparencyManager)
+ *   /memory         — memory stats and the most recent facts
+ *   /tasks          — active background tasks
+ *   /forget <text>  — remove facts containing <text> (owner only)
+ *   /sleep          — run the sleep cycle now (owner only)
+ *
+ * The owner is the first TELEGRAM_ALLOWED_USERS entry, or whoever sits at the
+ * local terminal; other senders get a refusal for owner-only commands.
+ *
+ * COMMANDS is the channel-facing list (Telegram registers it with setMyCommands).
+ */
+
+export const COMMANDS = [
+  { command: 'why', description: 'Explain my last response' },
+  { command: 'memory', description: 'Memory stats and recent facts' },
+  { command: 'tasks', description: 'List active background tasks' },
+  { command: 'forget', description: 'Forget facts containing some text' },
+  { command: 'sleep', description: 'Run the sleep cycle now' }
+]
+
+// "/cmd", "/cmd args", "/cmd@botname args" (Telegram appends the bot name in groups)
+const COMMAND_PATTERN = /^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i
+
+// Commands that change global memory or start heavy work
+const OWNER_ONLY = new Set(['forget', 'sleep'])
+
+const RECENT_FACTS = 5
+const FACT_LINE = /^## \d{2}:\d{2} — (.+)$/
+
+export default class CommandRouter {
+  /**
+   * @param {Object} bus - NervousSystem
+   * @param {Object} deps
+   * @param {Object} deps.cognitive - CognitiveSystem (memory + sleep cycle)
+   * @param {Object} deps.transparency - TransparencyManager (records responses for /why)
+   * @param {string|null} [deps.owner] - User ID allowed to run owner-only commands
+   * @param {Object} [deps.logger]
+   */
+  constructor(bus, { cognitive, transparency, owner = null, logger = defaultLogger } = {}) {
+    this.bus = bus
+    this.cognitive = cognitive
+    this.transparency = transparency
+    this.owner = owner ? String(owner) : null
+    this.logger = logger
+
+    this._handlers = {
+      why: this._why,
+      memory: this._memory,
+      tasks: this._tasks,
+      forget: this._forget,
+      sleep: this._sleep
+    }
+  }
+
+  /**
+   * Parse a command from message text.
+   * @param {string} text
+   * @returns {{ name: string, args: string }|null} null when the text is not a built-in command
+   */
+  parse(text) {
+    const match = text?.trim().match(COMMAND_PATTERN)
+    if (!match) return null
+
+    const name = match[1].toLowerCase()
+    if (!this._handlers[name]) return null
+
+    return { name, args: (match[2] || '').trim() }
+  }
+
+  /**
+   * Handle a message if it is a built-in command and reply via MESSAGE_OUT.
+   *
+   * @param {Object} message - Incoming message { text, chatId, channel, ... }
+   * @param {Object} ctx
+   * @param {string} ctx.sessionId
+   * @param {Object} [ctx.target] - Where to reply ({ chatId, channel, threadId? }); defaults to the message's chat
+   * @param {Array<Object>} [ctx.activeTasks] - AgentLoop.getActiveTasks()
+   * @returns {Promise<boolean>} true when the message was handled
+   */
+  async handle(message, { sessionId, target, activeTasks = [] }) {
+    const command = this.parse(message.text)
+    if (!command) return false
+
+    this.logger.info('commands', 'command_received', { sessionId, command: command.name })
+
+    const reply = (text) => this.bus.fire(MESSAGE_OUT, {
+      ...(target || { chatId: message.chatId, channel: message.channel }),
+      text
+    }, { source: 'commands' })
+
+    if (OWNER_ONLY.has(command.name) && !this._isOwner(message)) {
+      this.logger.warn('commands', 'command_refused', { sessionId, command: command.name, userId: message.userId })
+      reply(`Only the owner can use /${command.name}.`)
+      return true
+    }
+
+    try {
+      const text = await this._handlers[command.name].call(this, command.args, { sessionId, activeTasks, reply })
+      if (text) reply(text)
+    } catch (error) {
+      this.logger.error('commands', 'command_failed', { sessionId, command: command.name, error: error.message })
+      reply(`Error: ${error.message}`)
+    }
+
+    return true
+  }
+
+  /** @private */
+  _isOwner(message) {
+    if (message.channel === 'terminal') return true
+    return this.owner !== null && String(message.userId) === this.owner
+  }
+
+  /** @private */
+  async _why(args, { sessionId }) {
+    return this.transparency.explainLastResponse(sessionId, 'en')
+  }
+
+  /** @private */
+  async _memory(args, { sessionId }) {
+    const memory = this.cognitive.getMemorySystem()
+
+    const [longTerm, recent, dailyLogs, patterns, workingMemory] = await Promise.all([
+      memory.getLongTermMemory(),
+      memory.getRecentDays(3),
+      memory.listDailyLogs(),
+      memory.getPatterns(),
+      memory.working.get(sessionId)
+    ])
+
+    const facts = longTerm.split('\n').filter(line => line.trim() && !line.startsWith('#')).length
+    const { lastRun } = this.cognitive.getSleepCycle().getState()
+
+    let report = this.transparency.generateMemoryStatus({
+      working: { active: workingMemory ? 1 : 0, stale: 0 },
+      semantic: { facts },
+      procedural: { patterns: patterns.length },
+      ...(lastRun && { sleepCycle: { lastRun: Date.parse(lastRun) } })
+    }, 'en')
+
+    report += `**Daily logs:** ${dailyLogs.length}\n`
+
+    const recentFacts = recent.split('\n')
+      .map(line => line.match(FACT_LINE)?.[1])
+      .filter(Boolean)
+      .slice(-RECENT_FACTS)
+
+    if (recentFacts.length > 0) {
+      report += '\n**Recent facts:**\n' + recentFacts.map(fact => `- ${fact}`).join('\n')
+    }
+
+    return report
+  }
+
+  /** @private */
+  async _tasks(args, { activeTasks }) {
+    if (activeTasks.length === 0) return 'No active background tasks.'
+
+    const lines = activeTasks.map(task => {
+      const started = task.startedAt ? ` — started ${this.transparency.formatTimeAgo(Date.now() - task.startedAt, 'en')} ago` : ''
+      return `- \`${task.taskId.slice(0, 8)}\` in ${task.sessionId}${started}`
+    })
+    return `**Active tasks (${activeTasks.length}):**\n${lines.join('\n')}\n\nSend "stop" in that chat to cancel.`
+  }
+
+  /** @private */
+  async _forget(args) {
+    if (!args) return 'Usage: /forget <text> — removes facts that contain the text.'
+
+    const { removed, matches } = await this.cognitive.getMemorySystem().removeFact(args)
+
+    if (matches.length === 0) return `No facts mention "${args}".`
+    if (removed.length === 0) {
+      const preview = matches.slice(0, 10).map(fact => `- ${fact}`).join('\n')
+      return `${matches.length} facts mention "${args}" — be more specific:\n${preview}`
+    }
+
+    return `Forgot ${removed.length} fact${removed.length > 1 ? 's' : ''}:\n${removed.map(fact => `- ${fact}`).join('\n')}`
+  }
+
+  /** @private */
+  async _sleep(args, { reply }) {
+    const sleepCycle = this.cognitive.getSleepCycle()
+    if (sleepCycle.getState().status === 'running') return 'The sleep cycle is already running.'
+
+    // Runs for minutes: acknowledge now, report when it finishes
+    reply('Sleep cycle started. I\'ll report back when it finishes.')
+    sleepCycle.run()
+      .then(result => reply(result.success
+        ? `Sleep cycle finished in ${Math.round(result.duration / 1000)}s.`
+        : `Sleep cycle failed: ${result.error}`))
+      .catch(error => {
+        this.logger.error('commands', 'sleep_cycle_failed', { error: error.message })
+        reply(`Sleep cycle failed: ${error.message}`)
+      })
+
+    return null
+  }
+}
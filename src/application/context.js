@@ -1,4 +1,17 @@
 import defaultLogger from '../infrastructure/logger.js'
+import { buildUserContent } from './attachments.js'
+import { speakerOf, speakerLabel, userMemoryId, isMultiUser, withSpeaker } from './speakers.js'
+import { estimateTokens, contextWindow, truncateToTokens, truncateMiddle } from './token-budget.js'
+
+// Token budget shares (see build())
+const MESSAGE_SHARE = 0.5
+const SUMMARY_SHARE = 0.15
+const MEMORY_SHARE = 0.5
+const HISTORY_MESSAGE_SHARE = 0.25
+const MIN_SECTION_TOKENS = 64
+
+// Memory sections kept first when the budget is tight (rendered in their usual order)
+const MEMORY_PRIORITY = ['working', 'chat-context', 'person', 'chat-memory', 'long-term', 'chat-notes', 'recent-notes']
 
 /**
  * ContextBuilder - Assembles system prompt and message history for providers
@@ -12,7 +25,26 @@ import defaultLogger from '../infrastructure/logger.js'
  * System prompt structure:
  *   [Core Identity] + [Behavioral Rules] + [Preferences] + [Bootstrap] + [Memory]
  *
+ * The same prompt is also returned as ordered `systemSegments`, each marked
+ * `stable` (identity, rules, preferences, bootstrap instructions: identical
+ * from one call to the next) or not (bootstrap action, memory, working
+ * memory). Providers with prompt caching (claude-api) cache the stable prefix.
+ *
+ * Token budget (CONTEXT_MAX_TOKENS, capped by the model's context window
+ * minus CONTEXT_RESERVE_TOKENS for the answer), filled by priority:
+ *   1. identity, rules, preferences, bootstrap — always sent
+ *   2. current message — cut in the middle past half the budget
+ *   3. running summary of older turns — stored per session by ConversationSummarizer
+ *   4. memory — up to half of what is left; sections by MEMORY_PRIORITY, truncated or dropped
+ *   5. history — newest first into the rest, long messages cut in the middle
+ * The breakdown is logged ('context', 'budget') and returned as `budget`.
+ * With CONTEXT_MAX_TOKENS=0 nothing is packed: the last SESSION_HISTORY_LIMIT
+ * messages and the full memory go out as they are.
+ *
  * Uses CognitiveSystem for all identity and memory operations.
+ *
+ * In multi-user chats, user turns are prefixed with the speaker (`[Ana] ...`)
+ * and the memory section adds what is known about the current sender.
  */
 export default class ContextBuilder {
   constructor(config, storage, cognitive, { logger = defaultLogger } = {}) {
@@ -23,6 +55,16 @@ export default class ContextBuilder {
     this.logger = logger
   }
 
+  /**
+   * Messages of history to load for a turn: SESSION_HISTORY_LIMIT, or
+   * CONTEXT_HISTORY_MESSAGES when the token budget decides what fits.
+   * @returns {number}
+   */
+  get historyLimit() {
+    const { sessionHistoryLimit = 20, context } = this.config
+    return context?.maxTokens ? Math.max(sessionHistoryLimit, context.historyMessages ?? 0) : sessionHistoryLimit
+  }
+
   /**
    * Build context for a provider call.
    * @param {string} sessionId - e.g. "telegram-123456789"
@@ -30,23 +72,146 @@ export default class ContextBuilder {
    * @param {Object} [options]
    * @param {Object} [options.bootstrapAction] - Bootstrap orchestration result (checkpoint, boundaries, etc.)
    * @param {Array} [options.history] - Pre-loaded session history (avoids double load)
-   * @returns {{ system: string, messages: Array<{role: string, content: string}> }}
+   * @param {boolean} [options.multimodal] - Provider accepts image/document content blocks
+   * @param {string} [options.model] - Model that will answer (picks the context window)
+   * @returns {{ system: string, systemSegments: Array<{text: string, stable: boolean}>, messages: Array<{role: string, content: string|Array}>, trace: Object, budget: Object|null }}
+   *   systemSegments: `system` split into ordered parts, stable ones first (joined with '\n' they equal `system`)
+   *   trace: what memory went into the prompt ({ sources, memoryUsed, reasoning }), for /why
+   *   budget: token breakdown, and `keepFrom` (timestamp of the oldest history message sent); null without a budget
    */
-  async build(sessionId, message, { bootstrapAction, history } = {}) {
-    // Build system prompt: identity + memory + bootstrap action
-    const system = await this._buildSystemPrompt(message.text, sessionId, bootstrapAction)
+  async build(sessionId, message, { bootstrapAction, history, multimodal = false, model = null } = {}) {
+    const speaker = speakerOf(message)
+    const person = speaker ? { label: speakerLabel(speaker), memoryId: userMemoryId(message) } : null
+    const limit = this._tokenLimit(model)
 
     // Use pre-loaded history or load fresh
-    const historyLimit = this.config.sessionHistoryLimit ?? 20
-    const loadedHistory = history || await this.storage.loadSession(sessionId, historyLimit)
+    const loadedHistory = history || await this.storage.loadSession(sessionId, this.historyLimit)
+    const labeled = isMultiUser(message, loadedHistory)
+
+    // Current user message (with attachments as content blocks or notes)
+    let content = await buildUserContent(message, { multimodal })
+    if (limit && typeof content === 'string') content = truncateMiddle(content, Math.floor(limit * MESSAGE_SHARE))
+    const current = { role: 'user', content: labeled ? withSpeaker(content, speaker) : content }
+    const messageTokens = estimateTokens(current.content)
+
+    // Older turns already folded into the running summary are not sent again
+    const summary = await this._loadSummary(sessionId, limit)
+    const summaryText = summary ? `\n---\n\n## Earlier in this conversation\n${summary.text}\n` : ''
+    const unsummarized = summary?.until
+      ? loadedHistory.filter(entry => !(entry.timestamp <= summary.until))
+      : loadedHistory
+
+    // Build system prompt: identity + memory + bootstrap action (+ summary)
+    const available = limit ? limit - messageTokens - estimateTokens(summaryText) : null
+    const { segments, trace, memory } = await this._buildSystemPrompt(message.text, sessionId, bootstrapAction, person, available)
+    if (summaryText) segments.push({ text: summaryText, stable: false })
+    const system = segments.map(s => s.text).join('\n')
+
+    // Fit history into what is left, newest first
+    const packed = limit
+      ? this._packHistory(unsummarized, limit - estimateTokens(system) - messageTokens)
+      : { kept: unsummarized, truncated: 0 }
+
+    // Map history to provider format (strip timestamps, label speakers in multi-user chats)
+    const messages = packed.kept.map(({ role, content, speaker: from }) => ({
+      role,
+      content: labeled && role === 'user' ? withSpeaker(content, from) : content
+    }))
+    messages.push(current)
+
+    const budget = limit
+      ? this._budgetBreakdown({ model, limit, segments, memory, summaryText, messageTokens, messages, packed, unsummarized, summary })
+      : null
+    if (budget) this.logger.info('context', 'budget', { sessionId, ...budget })
+
+    return { system, systemSegments: segments, messages, trace, budget }
+  }
 
-    // Map history to provider format (strip timestamps)
-    const messages = loadedHistory.map(({ role, content }) => ({ role, content }))
+  /**
+   * Token budget for a model, or null when CONTEXT_MAX_TOKENS is 0.
+   * @private
+   * @param {string|null} model
+   * @returns {number|null}
+   */
+  _tokenLimit(model) {
+    const { maxTokens = 0, reserveTokens = 0, windows } = this.config.context || {}
+    if (!maxTokens) return null
+    return Math.max(MIN_SECTION_TOKENS * 16, Math.min(maxTokens, contextWindow(model, windows) - reserveTokens))
+  }
 
-    // Append current user message
-    messages.push({ role: 'user', content: message.text })
+  /**
+   * Running summary of the session's older turns, capped to its budget share.
+   * @private
+   * @returns {Promise<{ text: string, until: number }|null>}
+   */
+  async _loadSummary(sessionId, limit) {
+    try {
+      const summary = await this.storage.loadSummary?.(sessionId)
+      if (!summary?.text) return null
+      return limit ? { ...summary, text: truncateToTokens(summary.text, Math.floor(limit * SUMMARY_SHARE)) } : summary
+    } catch (error) {
+      this.logger.warn('context', 'source_failed', { source: 'Summary', error: error.message || String(error) })
+      return null
+    }
+  }
+
+  /**
+   * Keep the newest history entries that fit, cutting long ones in the middle.
+   * The kept part starts with a user turn, as providers expect.
+   * @private
+   * @param {Array<{role: string, content: string, timestamp?: number}>} entries - Oldest first
+   * @param {number} maxTokens
+   * @returns {{ kept: Array, truncated: number }}
+   */
+  _packHistory(entries, maxTokens) {
+    const perMessage = Math.max(MIN_SECTION_TOKENS, Math.floor(maxTokens * HISTORY_MESSAGE_SHARE))
+    const kept = []
+    let used = 0
+    let truncated = 0
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      let { content } = entries[i]
+      if (typeof content === 'string' && estimateTokens(content) > perMessage) {
+        content = truncateMiddle(content, perMessage)
+        truncated++
+      }
+      const tokens = estimateTokens(content)
+      if (used + tokens > maxTokens) break
+      used += tokens
+      kept.unshift(content === entries[i].content ? entries[i] : { ...entries[i], content })
+    }
 
-    return { system, messages }
+    while (kept.length < entries.length && kept[0]?.role === 'assistant') kept.shift()
+    return { kept, truncated }
+  }
+
+  /**
+   * Token breakdown of a built context (logged per request).
+   * @private
+   */
+  _budgetBreakdown({ model, limit, segments, memory, summaryText, messageTokens, messages, packed, unsummarized, summary }) {
+    const identity = segments.filter(s => s.stable).reduce((sum, s) => sum + estimateTokens(s.text), 0)
+    const history = messages.slice(0, -1).reduce((sum, m) => sum + estimateTokens(m.content), 0)
+    const summaryTokens = estimateTokens(summaryText)
+    const system = segments.reduce((sum, s) => sum + estimateTokens(s.text), 0)
+    return {
+      model: model || null,
+      limit,
+      total: system + messageTokens + history,
+      identity,
+      memory: memory.tokens,
+      summary: summaryTokens,
+      other: system - identity - memory.tokens - summaryTokens,
+      message: messageTokens,
+      history,
+      historyKept: packed.kept.length,
+      historyDropped: unsummarized.length - packed.kept.length,
+      historyTruncated: packed.truncated,
+      ...(summary && { summarizedUntil: summary.until }),
+      ...(memory.dropped.length && { memoryDropped: memory.dropped }),
+      ...(memory.truncated.length && { memoryTruncated: memory.truncated }),
+      keepFrom: packed.kept[0]?.timestamp ?? null
+    }
   }
 
   /**
@@ -55,9 +220,15 @@ export default class ContextBuilder {
    * @param {string} messageText
    * @param {string|null} sessionId
    * @param {Object|null} bootstrapAction - Bootstrap orchestration result
+   * @param {{ label: string, memoryId: string|null }|null} person - Sender of the message
+   * @param {number|null} [available] - Tokens left for the system prompt (null: no budget)
+   * @returns {Promise<{ system: string, segments: Array<{text: string, stable: boolean}>, trace: Object, memory: { tokens: number, dropped: string[], truncated: string[] } }>}
    */
-  async _buildSystemPrompt(messageText = '', sessionId = null, bootstrapAction = null) {
-    const parts = []
+  async _buildSystemPrompt(messageText = '', sessionId = null, bootstrapAction = null, person = null, available = null) {
+    const segments = []
+    const add = (text, stable) => segments.push({ text, stable })
+    let trace = { sources: [], memoryUsed: [], reasoning: null }
+    const memory = { tokens: 0, dropped: [], truncated: [] }
 
     // Identity: Load from CognitiveSystem IdentityManager (if available)
     let isBootstrapping = false
@@ -67,24 +238,24 @@ export default class ContextBuilder {
 
       isBootstrapping = bootstrapping
 
-      if (core) parts.push(core)
-      if (behavioralRules) parts.push('\n---\n\n' + behavioralRules)
+      if (core) add(core, true)
+      if (behavioralRules) add('\n---\n\n' + behavioralRules, true)
 
       // During bootstrap: Skip preferences, only show bootstrap instructions
       if (isBootstrapping && bootstrap) {
         this.logger.debug('context', 'bootstrap_mode', {
           message: 'First conversation - skipping preferences and memory'
         })
-        parts.push('\n---\n\n## First Conversation — Bootstrap\n' + bootstrap)
+        add('\n---\n\n## First Conversation — Bootstrap\n' + bootstrap, true)
 
         // Inject bootstrap action (checkpoint, boundaries, completion) if present
         const actionSection = this._formatBootstrapAction(bootstrapAction)
         if (actionSection) {
-          parts.push('\n' + actionSection)
+          add('\n' + actionSection, false)
         }
       } else if (!isBootstrapping && preferences) {
         // Normal mode: Load preferences
-        parts.push('\n---\n\n## Preferences\n' + preferences)
+        add('\n---\n\n## Preferences\n' + preferences, true)
       }
     }
 
@@ -93,9 +264,14 @@ export default class ContextBuilder {
     const memoryDays = this.config.memoryDays ?? 3
     if (this.memory && !isBootstrapping) {
       try {
-        const memorySection = await this._buildMemorySection(sessionId, memoryDays, messageText)
+        const used = segments.reduce((sum, s) => sum + estimateTokens(s.text), 0)
+        const maxTokens = available === null ? Infinity : Math.floor((available - used) * MEMORY_SHARE)
+        const memorySection = await this._buildMemorySection(sessionId, memoryDays, messageText, person, maxTokens)
         if (memorySection) {
-          parts.push(`\n---\n\n## ${memorySection.label}\n${memorySection.content}\n`)
+          const text = `\n---\n\n## ${memorySection.label}\n${memorySection.content}\n`
+          add(text, false)
+          trace = memorySection.trace
+          Object.assign(memory, memorySection.packing, { tokens: estimateTokens(text) })
         }
       } catch (error) {
         this.logger.warn('context', 'source_failed', {
@@ -109,7 +285,7 @@ export default class ContextBuilder {
       })
     }
 
-    return parts.join('\n')
+    return { system: segments.map(s => s.text).join('\n'), segments, trace, memory }
   }
 
   /**
@@ -118,9 +294,11 @@ export default class ContextBuilder {
    * @param {string|null} sessionId
    * @param {number} memoryDays
    * @param {string} messageText - User message for retrieval
-   * @returns {Promise<{ label: string, content: string }|null>}
+   * @param {{ label: string, memoryId: string|null }|null} person - Sender of the message
+   * @param {number} [maxTokens] - Budget for the section
+   * @returns {Promise<{ label: string, content: string, trace: Object, packing: { dropped: string[], truncated: string[] } }|null>}
    */
-  async _buildMemorySection(sessionId, memoryDays = 3, messageText = '') {
+  async _buildMemorySection(sessionId, memoryDays = 3, messageText = '', person = null, maxTokens = Infinity) {
     // Use CognitiveSystem to build memory context (if available)
     if (!this.cognitive) return null
 
@@ -132,6 +310,7 @@ export default class ContextBuilder {
     const chatRecent = context.memory.chatRecent
     const workingMemoryResult = context.workingMemory
     const confidenceAssessment = context.confidenceAssessment || null
+    const personMemory = await this._loadPersonMemory(person, memoryDays)
 
     // Filter stale working memory (>7 days by default)
     const staleDays = this.config.workingMemoryStaleThreshold ?? 7
@@ -146,6 +325,7 @@ export default class ContextBuilder {
       '|-----|---------|-------|',
       '| `<memory>fact</memory>` | Important facts, decisions, context | Global, forever |',
       '| `<chat-memory>fact</chat-memory>` | Chat-specific context | This conversation only |',
+      '| `<user-memory>fact</user-memory>` | Facts about the person who sent this message | That person, in every chat |',
       '| `<working-memory>bullets</working-memory>` | Current task, pending items | Scratchpad (replaces previous) |',
       '| `<chat-context>description</chat-context>` | Chat type, tone, participants | Per-chat (replaces previous) |\n',
       '_Use sparingly. One line per fact. Don\'t duplicate what\'s already saved._\n'
@@ -158,33 +338,67 @@ export default class ContextBuilder {
       lines.push(note + '\n')
     }
 
-    if (longTerm) {
-      lines.push('### Long-term memory')
-      lines.push(longTerm + '\n')
-    }
-    if (recentNotes) {
-      lines.push('### Recent notes')
-      lines.push(recentNotes + '\n')
-    }
-    if (chatContext) {
-      lines.push('### Chat context')
-      lines.push(chatContext + '\n')
-    }
-    if (chatLongTerm) {
-      lines.push('### Chat-specific memory')
-      lines.push(chatLongTerm + '\n')
-    }
-    if (chatRecent) {
-      lines.push('### Chat-specific notes')
-      lines.push(chatRecent + '\n')
-    }
-    if (workingMemory) {
-      const ageLabel = this._formatAge(workingMemory.updatedAt)
-      lines.push(`### Working memory (updated ${ageLabel})`)
-      lines.push(workingMemory.content)
-    }
+    // Sections in display order; under a budget, kept by MEMORY_PRIORITY
+    const sections = [
+      longTerm && { name: 'long-term', heading: '### Long-term memory', body: longTerm + '\n' },
+      recentNotes && { name: 'recent-notes', heading: '### Recent notes', body: recentNotes + '\n' },
+      chatContext && { name: 'chat-context', heading: '### Chat context', body: chatContext + '\n' },
+      chatLongTerm && { name: 'chat-memory', heading: '### Chat-specific memory', body: chatLongTerm + '\n' },
+      chatRecent && { name: 'chat-notes', heading: '### Chat-specific notes', body: chatRecent + '\n' },
+      personMemory && { name: 'person', heading: `### About ${person.label}`, body: personMemory + '\n' },
+      workingMemory && { name: 'working', heading: `### Working memory (updated ${this._formatAge(workingMemory.updatedAt)})`, body: workingMemory.content }
+    ].filter(Boolean)
 
-    return { label: 'Memory', content: lines.join('\n') }
+    const packing = packSections(sections, maxTokens - estimateTokens(lines.join('\n')))
+    for (const section of packing.kept) lines.push(section.heading, section.body)
+
+    const trace = this._traceMemory(context, workingMemory)
+    if (personMemory) trace.memoryUsed.push(`About ${person.label}`)
+
+    return { label: 'Memory', content: lines.join('\n'), trace, packing: { dropped: packing.dropped, truncated: packing.truncated } }
+  }
+
+  /**
+   * Long-term memory and recent notes about the sender.
+   * @private
+   * @returns {Promise<string>} Empty when nothing is known
+   */
+  async _loadPersonMemory(person, days) {
+    if (!person?.memoryId || !this.memory?.getUserLongTermMemory) return ''
+    const [longTerm, recent] = await Promise.all([
+      this.memory.getUserLongTermMemory(person.memoryId),
+      this.memory.getUserRecentDays(person.memoryId, days)
+    ])
+    return [longTerm, recent].filter(Boolean).join('\n\n').trim()
+  }
+
+  /**
+   * Describe which memory went into the prompt (recorded for /why).
+   * @private
+   * @returns {{ sources: string[], memoryUsed: string[], reasoning: string|null }}
+   */
+  _traceMemory(context, workingMemory) {
+    const { memory, retrieval, confidenceAssessment } = context
+
+    const sources = retrieval
+      ? [
+          ...retrieval.facts.map(f => `Fact: ${summarize(f.content)}`),
+          ...retrieval.episodes.map(e => `Chat note: ${summarize(e.content)}`)
+        ]
+      : []
+
+    const memoryUsed = []
+    if (!retrieval && memory.longTerm) memoryUsed.push('Long-term memory (full)')
+    if (!retrieval && memory.recentNotes) memoryUsed.push('Recent notes')
+    if (memory.chatContext) memoryUsed.push('Chat context')
+    if (memory.chatLongTerm || memory.chatRecent) memoryUsed.push('Chat-specific memory')
+    if (workingMemory) memoryUsed.push('Working memory')
+
+    const reasoning = confidenceAssessment
+      ? `Memory relevance: ${confidenceAssessment.level}${confidenceAssessment.reason ? ` — ${confidenceAssessment.reason}` : ''}`
+      : null
+
+    return { sources, memoryUsed, reasoning }
   }
 
   /**
@@ -255,3 +469,36 @@ Include \`<bootstrap-complete/>\` at the end of your response to finalize.`
     return `${days} day${days === 1 ? '' : 's'} ago`
   }
 }
+
+/**
+ * Fit memory sections into a token budget: by MEMORY_PRIORITY, each is kept
+ * whole, cut to what is left, or dropped when too little is left.
+ * @returns {{ kept: Array, dropped: string[], truncated: string[] }} kept in display order
+ */
+function packSections(sections, maxTokens) {
+  const dropped = []
+  const truncated = []
+  let remaining = maxTokens
+
+  const byPriority = [...sections].sort((a, b) => MEMORY_PRIORITY.indexOf(a.name) - MEMORY_PRIORITY.indexOf(b.name))
+  for (const section of byPriority) {
+    const tokens = estimateTokens(`${section.heading}\n${section.body}`)
+    if (tokens <= remaining) {
+      remaining -= tokens
+    } else if (remaining >= MIN_SECTION_TOKENS) {
+      section.body = truncateToTokens(section.body, remaining - estimateTokens(section.heading) - 8)
+      truncated.push(section.name)
+      remaining = 0
+    } else {
+      dropped.push(section.name)
+    }
+  }
+
+  return { kept: sections.filter(s => !dropped.includes(s.name)), dropped, truncated }
+}
+
+// One line, short enough for a chat reply
+function summarize(text) {
+  const line = text.replace(/\s+/g, ' ').trim()
+  return line.length > 160 ? `${line.slice(0, 157)}...` : line
+}
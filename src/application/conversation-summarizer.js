@@ -0,0 +1,150 @@
+import defaultLogger from '../infrastructure/logger.js'
+import { speakerLabel } from './speakers.js'
+
+const MODES = ['consciousness', 'provider', 'off']
+const MAX_BATCH = 100
+const LOAD_LIMIT = 500
+const MAX_MESSAGE_CHARS = 1200
+const SUMMARY_WORDS = 250
+
+const SYSTEM_PROMPT = `You maintain the running summary of a chat conversation. The summary replaces older messages in the assistant's context, so keep what it needs to continue: facts, decisions, requests, open questions, names, numbers and commitments. Drop small talk. Write in the language of the conversation, in at most ${SUMMARY_WORDS} words. Reply with the summary only.`
+
+/**
+ * ConversationSummarizer - Running summary of the turns that no longer fit
+ *
+ * ContextBuilder sends only the newest history that fits the token budget
+ * and reports the oldest message it kept (`budget.keepFrom`). After the
+ * turn, AgentLoop calls update(): once at least `minMessages` messages sit
+ * between the stored summary and keepFrom, they are folded into the summary
+ * and saved with the session (storage.saveSummary). ContextBuilder then sends
+ * the summary in place of those messages.
+ *
+ * Modes (CONTEXT_SUMMARY):
+ *   consciousness — semantic-analyst expert via the consciousness gateway (default)
+ *   provider      — the chat provider, optionally with CONTEXT_SUMMARY_MODEL
+ *   off           — older turns are simply dropped
+ *
+ * A failed update keeps the previous summary and is retried after the next turn.
+ */
+export default class ConversationSummarizer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Session storage (loadSession, loadSummary, saveSummary)
+   * @param {string} [options.mode] - One of MODES
+   * @param {number} [options.minMessages] - Unsummarized messages needed before an update
+   * @param {Object} [options.consciousness] - ConsciousnessGateway (consciousness mode)
+   * @param {Object} [options.provider] - Chat provider (provider mode)
+   * @param {string} [options.model] - Model for provider mode (default: the provider's)
+   * @param {Object} [options.costTracker] - Records provider-mode usage as 'summary'
+   * @param {Object} [options.logger]
+   */
+  constructor({ storage, mode = 'consciousness', minMessages = 10, consciousness = null, provider = null, model = null, costTracker = null, logger = defaultLogger } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown summary mode: ${mode}`)
+    this.storage = storage
+    this.mode = mode
+    this.minMessages = minMessages
+    this.consciousness = consciousness
+    this.provider = provider
+    this.model = model
+    this.costTracker = costTracker
+    this.logger = logger
+    this._running = new Set()
+    this._stats = { updates: 0, failures: 0, messagesSummarized: 0 }
+  }
+
+  /**
+   * Fold the messages older than keepFrom into the session's summary.
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {number|null} options.keepFrom - Timestamp of the oldest message still sent in full
+   * @returns {Promise<Object|null>} The saved summary, or null when nothing was done
+   */
+  async update(sessionId, { keepFrom } = {}) {
+    if (this.mode === 'off' || !keepFrom || !this.storage.saveSummary) return null
+    if (this._running.has(sessionId)) return null
+
+    this._running.add(sessionId)
+    try {
+      const previous = await this.storage.loadSummary(sessionId)
+      const until = previous?.until ?? 0
+      const history = await this.storage.loadSession(sessionId, LOAD_LIMIT)
+      const pending = history
+        .filter(m => m.timestamp > until && m.timestamp < keepFrom)
+        .slice(0, MAX_BATCH) // oldest first; the next update continues from `until`
+      if (pending.length < this.minMessages) return null
+
+      const text = await this._summarize(previous?.text || '', pending)
+      if (!text) {
+        this._stats.failures++
+        this.logger.warn('context', 'summary_failed', { sessionId, mode: this.mode, messages: pending.length })
+        return null
+      }
+
+      const summary = {
+        text,
+        until: pending.at(-1).timestamp,
+        messages: (previous?.messages || 0) + pending.length,
+        updatedAt: Date.now()
+      }
+      await this.storage.saveSummary(sessionId, summary)
+
+      this._stats.updates++
+      this._stats.messagesSummarized += pending.length
+      this.logger.info('context', 'summary_updated', {
+        sessionId,
+        mode: this.mode,
+        messages: pending.length,
+        totalMessages: summary.messages,
+        length: text.length
+      })
+      return summary
+    } catch (error) {
+      this._stats.failures++
+      this.logger.warn('context', 'summary_failed', { sessionId, mode: this.mode, error: error.message })
+      return null
+    } finally {
+      this._running.delete(sessionId)
+    }
+  }
+
+  /** Counters for /stats and the API. */
+  getStats() {
+    return { mode: this.mode, ...this._stats }
+  }
+
+  /**
+   * Updated summary text, or '' when the summarizer gave none.
+   * @private
+   */
+  async _summarize(summary, messages) {
+    const transcript = messages.map(formatMessage).join('\n')
+
+    if (this.mode === 'consciousness') {
+      const result = await this.consciousness?.evaluate('semantic-analyst', 'summarize_conversation', {
+        summary: summary || '(none yet)',
+        messages: transcript,
+        maxWords: SUMMARY_WORDS
+      })
+      return typeof result?.summary === 'string' ? result.summary.trim() : ''
+    }
+
+    const prompt = `${summary ? `Current summary:\n${summary}\n\n` : ''}New messages (oldest first):\n${transcript}\n\nWrite the updated summary.`
+    const response = await this.provider.chat([{ role: 'user', content: prompt }], {
+      system: SYSTEM_PROMPT,
+      ...(this.model && { model: this.model })
+    })
+    this.costTracker?.recordResponse(response, {
+      provider: response.provider || this.provider.name,
+      model: response.model || this.model || this.provider.model,
+      context: 'summary'
+    })
+    return (response.content || '').trim()
+  }
+}
+
+// "User [Ana]: text" — long messages cut, the summary only needs their gist
+function formatMessage({ role, content, speaker }) {
+  const who = role === 'user' ? `User${speaker ? ` [${speakerLabel(speaker)}]` : ''}` : 'Assistant'
+  const text = typeof content === 'string' ? content : JSON.stringify(content)
+  return `${who}: ${text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)}…` : text}`
+}
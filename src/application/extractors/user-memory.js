@@ -0,0 +1,23 @@
+/**
+ * User Memory Extractor - Parses <user-memory> tags from LLM responses
+ *
+ * The agent is instructed to wrap facts about the person who sent the
+ * message in <user-memory> tags. These are stored per person (scoped by
+ * channel and userId), so in a group they never end up attributed to the chat.
+ *
+ * @param {string} text - Raw LLM response (or post-extraction text)
+ * @returns {{ cleanText: string, userMemories: string[] }}
+ */
+export function extractUserMemories(text) {
+  const userMemories = []
+  const cleanText = text.replace(/<user-memory>([\s\S]*?)<\/user-memory>/g, (_, content) => {
+    const trimmed = content.trim()
+    if (trimmed) userMemories.push(trimmed)
+    return ''
+  })
+
+  return {
+    cleanText: cleanText.replace(/\n{3,}/g, '\n\n').trim(),
+    userMemories
+  }
+}
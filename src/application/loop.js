@@ -1,8 +1,13 @@
+import { randomUUID } from 'node:crypto'
 import defaultLogger from '../infrastructure/logger.js'
-import { MESSAGE_IN, MESSAGE_OUT, TASK_QUEUED, TASK_CANCELLED } from '../infrastructure/events.js'
-import { runPostProcessors } from './post-processors.js'
+import { MESSAGE_IN, MESSAGE_OUT, MESSAGE_DELTA, TASK_QUEUED, TASK_CANCELLED } from '../infrastructure/events.js'
+import { sessionIdFor } from '../infrastructure/session-id.js'
+import { DEFAULT_TOOL_CONCURRENCY } from '../infrastructure/config-factory.js'
+import { runPostProcessors, stripTagsForPreview } from './post-processors.js'
 import { withTypingIndicator } from './typing-indicator.js'
 import { executeToolCalls } from './tool-executor.js'
+import { describeAttachments } from './attachments.js'
+import { speakerOf, userMemoryId } from './speakers.js'
 import Task from '../domain/motor/task.js'
 import TaskRunner from './task-runner.js'
 
@@ -15,9 +20,28 @@ const BACKGROUND_TRIGGER_TOOLS = new Set(['github_setup_workspace'])
  * AgentLoop - Core message handler with session persistence and background task support
  *
  * Flow: message:in → build context → provider.chat → [inline tool loop | background task] → message:out
+ *
+ * Streaming: when the provider implements chatStream() and a channel listens for
+ * message:delta, text is forwarded as it arrives and the final message:out carries
+ * the same streamId so the channel can replace its preview with the clean text.
+ *
+ * Routing: with a ModelRouter, each message gets a model tier (fast/standard/deep)
+ * sent as `chatOptions.model`; a "!opus"-style prefix is stripped from the text.
+ *
+ * Budget: with a CostTracker, every provider call's usage is recorded and the
+ * budget policy is applied before the provider is called (refuse non-owners,
+ * or answer with the downgrade model).
+ *
+ * Context budget: the context is packed into the answering model's token
+ * budget (see ContextBuilder); after each turn the ConversationSummarizer
+ * folds the history that no longer fit into the session's running summary.
+ *
+ * Threads: a message with `threadId` (forum topic, reply chain) runs in its own
+ * composite session (see session-id.js), and every signal sent back for it
+ * carries the same threadId so the channel answers inside the thread.
  */
 export default class AgentLoop {
-  constructor(bus, provider, contextBuilder, storage, memoryManager, { logger = defaultLogger, toolRegistry = null, taskStore = null, responseTracker = null } = {}) {
+  constructor(bus, provider, contextBuilder, storage, memoryManager, { logger = defaultLogger, toolRegistry = null, taskStore = null, responseTracker = null, costTracker = null, modelRouter = null, commandRouter = null, transparency = null, summarizer = null, toolConcurrency = DEFAULT_TOOL_CONCURRENCY } = {}) {
     this.bus = bus
     this.provider = provider
     this.contextBuilder = contextBuilder
@@ -27,6 +51,12 @@ export default class AgentLoop {
     this.toolRegistry = toolRegistry
     this.taskStore = taskStore
     this.responseTracker = responseTracker
+    this.costTracker = costTracker
+    this.modelRouter = modelRouter
+    this.commandRouter = commandRouter
+    this.transparency = transparency
+    this.summarizer = summarizer
+    this.toolConcurrency = toolConcurrency
     this._handler = null
     this._activeTasks = new Map() // sessionId → Task
   }
@@ -83,25 +113,45 @@ export default class AgentLoop {
    * @private
    */
   async _handleMessage(message) {
-    const sessionId = `${message.channel}-${message.chatId}`
+    const sessionId = sessionIdFor(message)
+    const target = replyTarget(message)
 
     this.logger.info('agent', 'message_received', {
       sessionId,
       userId: message.userId,
-      length: message.text.length
+      length: message.text.length,
+      attachments: message.attachments?.length || undefined
     })
 
     // Check for cancel command
     if (this._handleCancel(sessionId, message)) return
 
-    const typingPayload = { chatId: message.chatId, channel: message.channel }
+    // Built-in slash commands (/why, /memory, ...) are answered without the LLM
+    if (await this.commandRouter?.handle(message, { sessionId, target, activeTasks: this.getActiveTasks() })) return
+
+    const budget = this.costTracker?.budgetAction({ owner: this._isOwner(message) }) || { action: 'allow' }
+    if (budget.action === 'refuse') {
+      this.logger.warn('agent', 'budget_refused', { sessionId, userId: message.userId })
+      this.bus.fire(MESSAGE_OUT, { ...target, text: budget.reason }, { source: 'agent' })
+      return
+    }
+    if (budget.action === 'downgrade') {
+      this.logger.warn('agent', 'budget_downgrade', { sessionId, model: budget.model })
+    }
+
+    // Model tier for this turn; the budget downgrade wins over the route
+    const route = await this.modelRouter?.route(message)
+    if (route) message = { ...message, text: route.text }
+    const model = budget.model || route?.model
+
     const start = Date.now()
+    let stream = null
 
     try {
-      await withTypingIndicator(this.bus, typingPayload, async () => {
+      await withTypingIndicator(this.bus, target, async () => {
 
         // Load history (needed for bootstrap profile inference)
-        const historyLimit = this.contextBuilder.config?.sessionHistoryLimit ?? 20
+        const historyLimit = this.contextBuilder.historyLimit ?? this.contextBuilder.config?.sessionHistoryLimit ?? 20
         const history = await this.storage.loadSession(sessionId, historyLimit)
 
         // Process bootstrap if active (before building context)
@@ -113,21 +163,36 @@ export default class AgentLoop {
         }
 
         // Build context with identity + history + bootstrap action
-        const context = await this.contextBuilder.build(sessionId, message, { bootstrapAction, history })
+        const context = await this.contextBuilder.build(sessionId, message, {
+          bootstrapAction,
+          history,
+          multimodal: this.provider.supportsImages === true,
+          model: model || this.provider.model
+        })
 
         // Build chat options (add tools if provider supports them)
-        const chatOptions = { system: context.system }
+        // systemSegments: the same prompt split for providers with prompt caching
+        const chatOptions = {
+          system: context.system,
+          ...(context.systemSegments && { systemSegments: context.systemSegments }),
+          ...(model && { model })
+        }
         if (this.toolRegistry && this.provider.supportsTools) {
           chatOptions.tools = this.provider.adaptToolDefinitions(this.toolRegistry.getDefinitions())
         }
 
+        // Stream only when a channel will render the deltas
+        stream = this.provider.supportsStreaming === true && this.bus.listenerCount(MESSAGE_DELTA) > 0
+          ? { id: randomUUID(), ...target }
+          : null
+
         // Call provider (may return tool_use requiring iteration)
         let messages = [...context.messages]
-        let response = await this.provider.chatWithRetry(messages, chatOptions)
+        let response = await this._generate(messages, chatOptions, stream)
 
         // Check if this should be a background task
         if (this._shouldBackground(response)) {
-          await this._spawnBackgroundTask({ messages, chatOptions, response, message, sessionId })
+          await this._spawnBackgroundTask({ messages, chatOptions, response, message, sessionId, stream })
           return
         }
 
@@ -144,10 +209,15 @@ export default class AgentLoop {
             tools: response.toolCalls.map(t => t.name)
           })
 
-          const results = await executeToolCalls(response.toolCalls, this.toolRegistry, { logger: this.logger })
+          const results = await executeToolCalls(response.toolCalls, this.toolRegistry, {
+            logger: this.logger,
+            context: { ...target, userId: message.userId },
+            bus: this.bus,
+            concurrency: this.toolConcurrency
+          })
           const toolMessages = this.provider.buildToolResultMessages(response.rawContent, results)
           messages = [...messages, ...toolMessages]
-          response = await this.provider.chatWithRetry(messages, chatOptions)
+          response = await this._generate(messages, chatOptions, stream)
         }
 
         if (iterations >= maxIterations && response.stopReason === 'tool_use') {
@@ -155,7 +225,7 @@ export default class AgentLoop {
         }
 
         const durationMs = Date.now() - start
-        this.responseTracker?.record({ durationMs, toolIterations: iterations })
+        this.responseTracker?.record({ durationMs, toolIterations: iterations, provider: response.provider || this.provider.name })
 
         // Run post-processor pipeline: extract tags, persist, clean text
         const { cleanText, stats } = await runPostProcessors(response.content, {
@@ -163,6 +233,7 @@ export default class AgentLoop {
           cognitive: this.contextBuilder.cognitive,
           bus: this.bus,
           sessionId,
+          userMemoryId: userMemoryId(message),
           logger: this.logger
         })
 
@@ -178,18 +249,27 @@ export default class AgentLoop {
           bootstrapComplete: stats.bootstrap?.isComplete || undefined
         })
 
-        // Save both messages to session history (clean text without tags)
+        // Save both messages to session history (clean text without tags, attachments by name only)
         const now = Date.now()
         await this.storage.saveSession(sessionId, [
-          { role: 'user', content: message.text, timestamp: now - 1 },
+          userTurn(message, describeAttachments(message), now - 1),
           { role: 'assistant', content: cleanText, timestamp: now }
         ])
 
+        // Fold history that no longer fits into the running summary (in the background)
+        if (context.budget?.keepFrom) {
+          this.summarizer?.update(sessionId, { keepFrom: context.budget.keepFrom })
+            .catch(error => this.logger.warn('context', 'summary_failed', { sessionId, error: error.message }))
+        }
+
+        // Remember what memory shaped this response (for /why)
+        this.transparency?.recordResponse(sessionId, { response: cleanText, ...context.trace })
+
         // Fire response signal (clean text without memory tags)
         this.bus.fire(MESSAGE_OUT, {
-          chatId: message.chatId,
+          ...target,
           text: cleanText,
-          channel: message.channel
+          ...(stream?.started && { streamId: stream.id })
         }, { source: 'agent' })
       })
     } catch (error) {
@@ -200,13 +280,75 @@ export default class AgentLoop {
       })
 
       this.bus.fire(MESSAGE_OUT, {
-        chatId: message.chatId,
+        ...target,
         text: `Error: ${error.message}`,
-        channel: message.channel
+        ...(stream?.started && { streamId: stream.id })
       }, { source: 'agent' })
     }
   }
 
+  /**
+   * Call the provider, forwarding text deltas as MESSAGE_DELTA when streaming.
+   * Each call starts a fresh preview: text written before a tool call is
+   * replaced by the text of the next iteration.
+   * @private
+   * @param {Array} messages
+   * @param {Object} chatOptions
+   * @param {{id: string, chatId: string, channel: string, threadId?: string, started?: boolean}|null} stream
+   * @returns {Promise<Object>} Provider response
+   */
+  async _generate(messages, chatOptions, stream) {
+    if (!stream) return this._recordUsage(await this.provider.chatWithRetry(messages, chatOptions), chatOptions)
+
+    let text = ''
+    let response = null
+
+    for await (const event of this.provider.chatStreamWithRetry(messages, chatOptions)) {
+      if (event.type === 'done') {
+        response = event.response
+        continue
+      }
+
+      text += event.text
+      stream.started = true
+      this.bus.fire(MESSAGE_DELTA, {
+        chatId: stream.chatId,
+        channel: stream.channel,
+        ...(stream.threadId && { threadId: stream.threadId }),
+        streamId: stream.id,
+        delta: event.text,
+        text: stripTagsForPreview(text)
+      }, { source: 'agent' })
+    }
+
+    if (!response) throw new Error(`${this.provider.name} stream ended without a response`)
+    return this._recordUsage(response, chatOptions)
+  }
+
+  /**
+   * Record a response's token usage with the provider and model that served it.
+   * @private
+   */
+  _recordUsage(response, chatOptions) {
+    this.costTracker?.recordResponse(response, {
+      provider: response.provider || this.provider.name,
+      model: response.model || chatOptions.model || this.provider.model,
+      context: 'chat'
+    })
+    return response
+  }
+
+  /**
+   * Owner for the budget policy: listed in COST_BUDGET_OWNERS (default: the
+   * first TELEGRAM_ALLOWED_USERS entry), or at the local terminal.
+   * @private
+   */
+  _isOwner(message) {
+    if (message.channel === 'terminal') return true
+    const owners = this.contextBuilder.config?.cost?.owners || []
+    return owners.includes(String(message.userId))
+  }
+
   /**
    * Check if the LLM response should trigger a background task.
    * @private
@@ -233,14 +375,12 @@ export default class AgentLoop {
 
     this.bus.fire(TASK_CANCELLED, {
       taskId: task.id,
-      chatId: message.chatId,
-      channel: message.channel
+      ...replyTarget(message)
     }, { source: 'agent' })
 
     this.bus.fire(MESSAGE_OUT, {
-      chatId: message.chatId,
-      text: `Task cancelled. ${task.steps.length} steps completed.`,
-      channel: message.channel
+      ...replyTarget(message),
+      text: `Task cancelled. ${task.steps.length} steps completed.`
     }, { source: 'agent' })
 
     return true
@@ -250,22 +390,22 @@ export default class AgentLoop {
    * Spawn a background TaskRunner for a long-running task.
    * @private
    */
-  async _spawnBackgroundTask({ messages, chatOptions, response, message, sessionId }) {
+  async _spawnBackgroundTask({ messages, chatOptions, response, message, sessionId, stream = null }) {
     // Check concurrent task limit
+    const target = replyTarget(message)
     const existingTask = this._activeTasks.get(sessionId)
     if (existingTask?.isActive) {
       this.bus.fire(MESSAGE_OUT, {
-        chatId: message.chatId,
+        ...target,
         text: 'There is already a task in progress. Send "stop" to cancel it first.',
-        channel: message.channel
+        ...(stream?.started && { streamId: stream.id })
       }, { source: 'agent' })
       return
     }
 
     // Create task entity
     const task = new Task({
-      chatId: message.chatId,
-      channel: message.channel,
+      ...target,
       sessionId,
       input: message.text
     })
@@ -274,8 +414,7 @@ export default class AgentLoop {
 
     this.bus.fire(TASK_QUEUED, {
       taskId: task.id,
-      chatId: message.chatId,
-      channel: message.channel,
+      ...target,
       input: message.text
     }, { source: 'motor' })
 
@@ -283,15 +422,15 @@ export default class AgentLoop {
     const confirmation = response.content || 'Working on it. I\'ll send updates as I make progress.'
 
     this.bus.fire(MESSAGE_OUT, {
-      chatId: message.chatId,
+      ...target,
       text: confirmation,
-      channel: message.channel
+      ...(stream?.started && { streamId: stream.id })
     }, { source: 'agent' })
 
     // Save session with the confirmation
     const now = Date.now()
     await this.storage.saveSession(sessionId, [
-      { role: 'user', content: message.text, timestamp: now - 1 },
+      userTurn(message, message.text, now - 1),
       { role: 'assistant', content: confirmation, timestamp: now }
     ])
 
@@ -300,7 +439,9 @@ export default class AgentLoop {
     const runner = new TaskRunner(this.bus, this.provider, this.toolRegistry, {
       logger: this.logger,
       taskStore: this.taskStore,
-      maxIterations
+      costTracker: this.costTracker,
+      maxIterations,
+      toolConcurrency: this.toolConcurrency
     })
 
     runner.run(task, { messages, chatOptions, pendingResponse: response })
@@ -314,3 +455,20 @@ export default class AgentLoop {
     this.logger.info('agent', 'task_spawned', { sessionId, taskId: task.id })
   }
 }
+
+/**
+ * Where replies to a message go: its chat, and its thread when it has one.
+ * @param {{chatId: string, channel: string, threadId?: string}} message
+ */
+function replyTarget({ chatId, channel, threadId }) {
+  return { chatId, channel, ...(threadId && { threadId }) }
+}
+
+/**
+ * Session history entry for the user's side of a turn, with the sender
+ * when the channel named one (labels multi-user history in ContextBuilder).
+ */
+function userTurn(message, content, timestamp) {
+  const speaker = speakerOf(message)
+  return { role: 'user', content, timestamp, ...(speaker && { speaker }) }
+}
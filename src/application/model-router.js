@@ -0,0 +1,136 @@
+import defaultLogger from '../infrastructure/logger.js'
+
+/**
+ * ModelRouter - Picks a model tier per message
+ *
+ * AgentLoop asks the router before calling the provider; the chosen tier's
+ * model goes out as `chatOptions.model` for the whole turn (tool loop and
+ * background task included). Rules, first match wins:
+ *
+ *   override     — "!opus …", "!fast …": a tier name or a tier's model, prefix stripped
+ *   task         — background-task keywords (repo, pull request, refactor…) → deep
+ *   code         — code blocks, stack traces → deep
+ *   long         — longer than longChars → deep
+ *   attachments  — images/documents → standard
+ *   tools        — URLs or tool keywords (search, remind…) → standard
+ *   short        — up to shortChars → fast
+ *   classified   — otherwise the consciousness gateway may pick (ROUTER_CLASSIFY)
+ *   default      — standard
+ *
+ * A tier without a model sends no model option (the provider's default).
+ */
+
+export const TIERS = ['fast', 'standard', 'deep']
+
+const DEFAULT_TASK_KEYWORDS = [
+  'github', 'repo', 'repository', 'pull request', 'refactor', 'implement', 'workspace', 'deploy',
+  'repositorio', 'implementa', 'refactoriza'
+]
+
+const DEFAULT_TOOL_KEYWORDS = [
+  'search', 'look up', 'fetch', 'remind', 'schedule', 'news', 'latest', 'weather',
+  'busca', 'recuérdame', 'recuerdame', 'noticias', 'clima'
+]
+
+const OVERRIDE_PATTERN = /^!([\w.-]+)\s+([\s\S]+)$/
+const URL_PATTERN = /https?:\/\/\S+/i
+const CODE_PATTERN = /```|^\s*(def|function|class|import|from|const|let|SELECT)\b.*[({=:]|Traceback \(most recent call last\)|^\s+at \S+ \(.+:\d+:\d+\)/m
+
+export default class ModelRouter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.models - Model per tier, e.g. { fast: 'haiku', standard: 'sonnet', deep: 'opus' }
+   * @param {number} [options.shortChars] - Messages up to this length go to fast
+   * @param {number} [options.longChars] - Messages over this length go to deep
+   * @param {string[]} [options.taskKeywords] - Keywords that suggest a background task (deep)
+   * @param {string[]} [options.toolKeywords] - Keywords that suggest a tool call (standard)
+   * @param {boolean} [options.classify] - Ask the consciousness gateway when no rule matched
+   * @param {Object} [options.consciousness] - ConsciousnessGateway
+   * @param {Object} [options.logger]
+   */
+  constructor({
+    models = {}, shortChars = 80, longChars = 1500,
+    taskKeywords = DEFAULT_TASK_KEYWORDS, toolKeywords = DEFAULT_TOOL_KEYWORDS,
+    classify = false, consciousness = null, logger = defaultLogger
+  } = {}) {
+    this.models = models
+    this.shortChars = shortChars
+    this.longChars = longChars
+    this.taskPattern = keywordPattern(taskKeywords)
+    this.toolPattern = keywordPattern(toolKeywords)
+    this.classify = classify
+    this.consciousness = consciousness
+    this.logger = logger
+    this._stats = { routed: 0, tiers: Object.fromEntries(TIERS.map(t => [t, 0])), reasons: {} }
+  }
+
+  /**
+   * Route a message to a tier.
+   * @param {Object} message - Incoming message ({ text, attachments? })
+   * @returns {Promise<{tier: string, model: string|null, reason: string, text: string}>}
+   *   `text` is the message text without an override prefix
+   */
+  async route(message) {
+    const { tier, reason, text } = await this._decide(message)
+    const model = this.models[tier] || null
+
+    this._stats.routed++
+    this._stats.tiers[tier]++
+    this._stats.reasons[reason] = (this._stats.reasons[reason] || 0) + 1
+    this.logger.info('router', 'routed', { tier, model, reason, length: text.length })
+
+    return { tier, model, reason, text }
+  }
+
+  /**
+   * Routing counts for /health and `kenobot stats`.
+   * @returns {{routed: number, tiers: Object, reasons: Object}}
+   */
+  getStats() {
+    return {
+      routed: this._stats.routed,
+      tiers: { ...this._stats.tiers },
+      reasons: { ...this._stats.reasons }
+    }
+  }
+
+  /** @private */
+  async _decide(message) {
+    const text = message.text || ''
+
+    const override = text.match(OVERRIDE_PATTERN)
+    const overrideTier = override && this._tierFor(override[1].toLowerCase())
+    if (overrideTier) return { tier: overrideTier, reason: 'override', text: override[2] }
+
+    if (this.taskPattern?.test(text)) return { tier: 'deep', reason: 'task', text }
+    if (CODE_PATTERN.test(text)) return { tier: 'deep', reason: 'code', text }
+    if (text.length > this.longChars) return { tier: 'deep', reason: 'long', text }
+    if (message.attachments?.length) return { tier: 'standard', reason: 'attachments', text }
+    if (URL_PATTERN.test(text) || this.toolPattern?.test(text)) return { tier: 'standard', reason: 'tools', text }
+    if (text.length <= this.shortChars) return { tier: 'fast', reason: 'short', text }
+
+    if (this.classify && this.consciousness) {
+      const result = await this.consciousness.evaluate('semantic-analyst', 'classify_complexity', { message: text })
+      if (TIERS.includes(result?.tier)) return { tier: result.tier, reason: 'classified', text }
+    }
+
+    return { tier: 'standard', reason: 'default', text }
+  }
+
+  /**
+   * "!deep" → deep; "!opus" → the tier whose model is or contains "opus".
+   * @private
+   */
+  _tierFor(word) {
+    if (TIERS.includes(word)) return word
+    return TIERS.find(tier => this.models[tier]?.toLowerCase() === word)
+      || TIERS.find(tier => this.models[tier]?.toLowerCase().includes(word))
+      || null
+  }
+}
+
+function keywordPattern(keywords) {
+  if (!keywords?.length) return null
+  const escaped = keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  return new RegExp(`(?:^|[^\\p{L}])(?:${escaped.join('|')})(?:$|[^\\p{L}])`, 'iu')
+}
@@ -1,5 +1,6 @@
 import { extractMemories } from './extractors/memory.js'
 import { extractChatMemories } from './extractors/chat-memory.js'
+import { extractUserMemories } from './extractors/user-memory.js'
 import { extractWorkingMemory } from './extractors/working-memory.js'
 import { extractChatContext } from './extractors/chat-context.js'
 import { extractUserUpdates } from './extractors/user.js'
@@ -42,6 +43,22 @@ export const defaultPostProcessors = [
       bus.fire(CONFIG_CHANGED, { reason: 'chat memory update' }, { source: 'post-processor' })
     }
   },
+  {
+    name: 'user-memory',
+    extract(text) {
+      const { cleanText, userMemories } = extractUserMemories(text)
+      return { cleanText, data: { userMemories } }
+    },
+    async apply({ userMemories }, { memory, bus, sessionId, userMemoryId }) {
+      if (!memory || userMemories.length === 0) return
+      // No named sender to attach it to: keep it with the chat rather than lose it
+      for (const entry of userMemories) {
+        if (userMemoryId) await memory.addUserFact(userMemoryId, entry)
+        else if (sessionId) await memory.addChatFact(sessionId, entry)
+      }
+      bus.fire(CONFIG_CHANGED, { reason: 'user memory update' }, { source: 'post-processor' })
+    }
+  },
   {
     name: 'chat-context',
     extract(text) {
@@ -124,6 +141,29 @@ export const defaultPostProcessors = [
   }
 ]
 
+// Block tags handled by the extractors above (bootstrap-complete is self-closing)
+const BLOCK_TAGS = 'memory|chat-memory|user-memory|working-memory|chat-context|user'
+
+/**
+ * Hide post-processor tags from partial text while a response streams.
+ * Complete tags are removed as the extractors do; an unclosed tag hides
+ * everything after it, and a tag still arriving ("<mem") is cut off.
+ * Nothing is extracted or persisted — the final text still goes through
+ * runPostProcessors().
+ *
+ * @param {string} text - Response text received so far
+ * @returns {string}
+ */
+export function stripTagsForPreview(text) {
+  return text
+    .replace(new RegExp(`<(${BLOCK_TAGS})>[\\s\\S]*?<\\/\\1>`, 'g'), '')
+    .replace(/<bootstrap-complete\s*\/?>/g, '')
+    .replace(new RegExp(`<(${BLOCK_TAGS})>[\\s\\S]*$`), '')
+    .replace(/<\/?[a-z-]*$/, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
 /**
  * Run the post-processor pipeline on response text.
  * Returns clean text and aggregated extraction stats.
@@ -0,0 +1,79 @@
+/**
+ * Speakers - Who said what in multi-user chats
+ *
+ * Channels put the sender's name in `metadata` (Telegram: `username`,
+ * `firstName`; Discord: `username`, `displayName`). Session history keeps it
+ * on each user turn as `speaker: { userId, name, username? }`, and
+ * ContextBuilder prefixes user turns with `[Name]` once more than one person
+ * takes part, so the model can tell the speakers apart.
+ *
+ * Messages without a named sender (terminal, webhooks, scheduler) have no speaker.
+ */
+
+const GROUP_CHAT_TYPES = new Set(['group', 'supergroup', 'guild'])
+
+const SAFE_USER_ID = /^[a-zA-Z0-9_-]+$/
+
+/**
+ * @param {Object} message - { userId, metadata? }
+ * @returns {{userId: string, name: string, username?: string}|null}
+ */
+export function speakerOf({ userId, metadata }) {
+  if (!userId || !metadata) return null
+  const name = metadata.firstName || metadata.displayName || metadata.username
+  if (!name) return null
+  return {
+    userId: String(userId),
+    name,
+    ...(metadata.username && metadata.username !== name && { username: metadata.username })
+  }
+}
+
+/**
+ * Per-person memory ID (`telegram-123456789`), or null when the message
+ * has no named sender.
+ * @param {Object} message - { channel, userId, metadata? }
+ * @returns {string|null}
+ */
+export function userMemoryId(message) {
+  const speaker = speakerOf(message)
+  if (!speaker) return null
+  const id = `${message.channel}-${speaker.userId}`
+  return SAFE_USER_ID.test(id) ? id : null
+}
+
+/**
+ * @param {{name: string, username?: string}} speaker
+ * @returns {string} e.g. "Ana (@ana_dev)"
+ */
+export function speakerLabel({ name, username }) {
+  return username ? `${name} (@${username})` : name
+}
+
+/**
+ * Whether user turns need speaker labels: always in group chats, and in any
+ * chat whose history already has more than one speaker.
+ * @param {Object} message - Current message
+ * @param {Array<{role: string, speaker?: Object}>} history
+ * @returns {boolean}
+ */
+export function isMultiUser(message, history) {
+  if (GROUP_CHAT_TYPES.has(message.metadata?.chatType)) return true
+  const ids = new Set(history.filter(m => m.speaker).map(m => m.speaker.userId))
+  const current = speakerOf(message)
+  if (current) ids.add(current.userId)
+  return ids.size > 1
+}
+
+/**
+ * Prefix user content with the speaker label.
+ * @param {string|Array<Object>} content - Plain text or content blocks
+ * @param {Object|null} speaker
+ * @returns {string|Array<Object>}
+ */
+export function withSpeaker(content, speaker) {
+  if (!speaker) return content
+  const label = `[${speakerLabel(speaker)}]`
+  if (typeof content === 'string') return `${label} ${content}`
+  return [{ type: 'text', text: label }, ...content]
+}
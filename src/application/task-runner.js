@@ -1,5 +1,6 @@
 import defaultLogger from '../infrastructure/logger.js'
 import { TASK_STARTED, TASK_PROGRESS, TASK_COMPLETED, TASK_FAILED } from '../infrastructure/events.js'
+import { DEFAULT_TOOL_CONCURRENCY } from '../infrastructure/config-factory.js'
 import { executeToolCalls } from './tool-executor.js'
 
 /**
@@ -9,13 +10,15 @@ import { executeToolCalls } from './tool-executor.js'
  * Fires bus signals for progress and completion so the user gets Telegram updates.
  */
 export default class TaskRunner {
-  constructor(bus, provider, toolRegistry, { logger = defaultLogger, taskStore = null, maxIterations = 30 } = {}) {
+  constructor(bus, provider, toolRegistry, { logger = defaultLogger, taskStore = null, costTracker = null, maxIterations = 30, toolConcurrency = DEFAULT_TOOL_CONCURRENCY } = {}) {
     this.bus = bus
     this.provider = provider
     this.toolRegistry = toolRegistry
     this.logger = logger
     this.taskStore = taskStore
+    this.costTracker = costTracker
     this.maxIterations = maxIterations
+    this.toolConcurrency = toolConcurrency
   }
 
   /**
@@ -30,6 +33,8 @@ export default class TaskRunner {
   async run(task, { messages, chatOptions, pendingResponse }) {
     task.start()
     const { chatId, channel, id: taskId } = task
+    // Results go back to the thread the task was started from
+    const thread = task.threadId ? { threadId: task.threadId } : {}
 
     this.bus.fire(TASK_STARTED, { taskId, chatId, channel }, { source: 'motor' })
     await this._logEvent(taskId, { event: 'started', input: task.input })
@@ -46,7 +51,11 @@ export default class TaskRunner {
         this.logger.info('motor', 'task_iteration', { taskId, iteration: iterations, tools: toolNames })
 
         // Execute tools
-        const results = await executeToolCalls(response.toolCalls, this.toolRegistry, { logger: this.logger })
+        const results = await executeToolCalls(response.toolCalls, this.toolRegistry, {
+          logger: this.logger,
+          context: { chatId, channel },
+          concurrency: this.toolConcurrency
+        })
         const toolMessages = this.provider.buildToolResultMessages(response.rawContent, results)
         currentMessages = [...currentMessages, ...toolMessages]
 
@@ -56,10 +65,15 @@ export default class TaskRunner {
 
         // Call provider for next step
         response = await this.provider.chatWithRetry(currentMessages, chatOptions)
+        this.costTracker?.recordResponse(response, {
+          provider: response.provider || this.provider.name,
+          model: response.model || chatOptions.model || this.provider.model,
+          context: 'task'
+        })
 
         // Fire progress when LLM includes text alongside tool calls
         if (response.content && response.stopReason === 'tool_use') {
-          this.bus.fire(TASK_PROGRESS, { taskId, chatId, text: response.content, channel }, { source: 'motor' })
+          this.bus.fire(TASK_PROGRESS, { taskId, chatId, text: response.content, channel, ...thread }, { source: 'motor' })
         }
       }
 
@@ -77,7 +91,7 @@ export default class TaskRunner {
       const text = response.content || 'Task completed.'
       task.complete(text)
 
-      this.bus.fire(TASK_COMPLETED, { taskId, chatId, text, channel }, { source: 'motor' })
+      this.bus.fire(TASK_COMPLETED, { taskId, chatId, text, channel, ...thread }, { source: 'motor' })
       await this._logEvent(taskId, { event: 'completed', iterations, resultLength: text.length })
 
       this.logger.info('motor', 'task_completed', { taskId, iterations, resultLength: text.length })
@@ -89,7 +103,7 @@ export default class TaskRunner {
       }
       task.fail(error)
 
-      this.bus.fire(TASK_FAILED, { taskId, chatId, error: error.message, channel }, { source: 'motor' })
+      this.bus.fire(TASK_FAILED, { taskId, chatId, error: error.message, channel, ...thread }, { source: 'motor' })
       await this._logEvent(taskId, { event: 'failed', error: error.message, iterations })
 
       this.logger.error('motor', 'task_failed', { taskId, error: error.message, iterations })
@@ -0,0 +1,97 @@
+/**
+ * Token budget helpers for ContextBuilder
+ *
+ * Estimates are deliberately rough (about 4 characters per token, a flat
+ * cost per image or document): good enough to keep a prompt inside a
+ * model's context window without shipping a tokenizer per provider.
+ */
+
+const CHARS_PER_TOKEN = 4
+const FILE_TOKENS = 1600
+
+/**
+ * Context window per model, matched by substring (longest match wins).
+ * CONTEXT_WINDOWS entries override and extend this table.
+ */
+export const CONTEXT_WINDOWS = {
+  claude: 200000,
+  opus: 200000,
+  sonnet: 200000,
+  haiku: 200000,
+  gemini: 1048576,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-oss': 131072,
+  'llama3.1': 131072,
+  'llama3.1-8b': 8192,
+  'llama-3.3': 131072,
+  qwen: 131072,
+  'qwen2.5': 32768
+}
+
+export const DEFAULT_CONTEXT_WINDOW = 32768
+
+/**
+ * Estimated tokens of message content, a system prompt or any text.
+ * @param {string|Array|Object|null} content - Text, or content blocks
+ * @returns {number}
+ */
+export function estimateTokens(content) {
+  if (!content) return 0
+  if (typeof content === 'string') return Math.ceil(content.length / CHARS_PER_TOKEN)
+  if (Array.isArray(content)) return content.reduce((sum, block) => sum + estimateBlock(block), 0)
+  return estimateTokens(JSON.stringify(content))
+}
+
+function estimateBlock(block) {
+  if (typeof block === 'string') return estimateTokens(block)
+  if (block?.type === 'text') return estimateTokens(block.text)
+  if (block?.type === 'image' || block?.type === 'document') return FILE_TOKENS
+  return estimateTokens(JSON.stringify(block))
+}
+
+/**
+ * Context window of a model.
+ * @param {string|null} model - e.g. 'sonnet', 'claude-haiku-4-5', 'llama3.1-8b'
+ * @param {Object} [overrides] - model → tokens (CONTEXT_WINDOWS)
+ * @returns {number}
+ */
+export function contextWindow(model, overrides = {}) {
+  const windows = { ...CONTEXT_WINDOWS, ...overrides }
+  if (!model) return DEFAULT_CONTEXT_WINDOW
+  const name = model.toLowerCase()
+  if (windows[name]) return windows[name]
+  const match = Object.keys(windows)
+    .filter(key => name.includes(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0]
+  return match ? windows[match] : DEFAULT_CONTEXT_WINDOW
+}
+
+/**
+ * Cut text to a token budget, keeping the start.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} Unchanged when it fits
+ */
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = Math.max(0, maxTokens) * CHARS_PER_TOKEN
+  if (text.length <= maxChars) return text
+  return text.slice(0, maxChars).replace(/\s+\S*$/, '') + '\n[… truncated]'
+}
+
+/**
+ * Cut text to a token budget, keeping the start and the end (the parts of
+ * a pasted log or file that usually matter) around an omission marker.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} Unchanged when it fits
+ */
+export function truncateMiddle(text, maxTokens) {
+  const maxChars = Math.max(0, maxTokens) * CHARS_PER_TOKEN
+  if (text.length <= maxChars) return text
+  const keep = Math.max(0, maxChars - 48)
+  const head = Math.ceil(keep / 2)
+  const tail = keep - head
+  const omitted = text.length - head - tail
+  return `${text.slice(0, head)}\n[… ${omitted} characters omitted …]\n${tail ? text.slice(-tail) : ''}`
+}
@@ -1,20 +1,39 @@
 import defaultLogger from '../infrastructure/logger.js'
+import { TOOL_STARTED, TOOL_COMPLETED } from '../infrastructure/events.js'
 
 /**
  * Execute tool calls from an LLM response.
  *
+ * Independent calls run concurrently, up to `concurrency` at a time. Each
+ * call waits for the earlier calls it conflicts with (see
+ * ToolRegistry.getConcurrency): a tool without hints waits for everything
+ * before it and holds back everything after it, a write waits for earlier
+ * calls on its workspace, a read for earlier writes there. Results keep the
+ * order of toolCalls. With concurrency 1 the calls run one after another.
+ *
+ * With a `bus`, each call is announced as TOOL_STARTED / TOOL_COMPLETED so live
+ * views can show tool activity. The signals only fire while something listens.
+ *
  * @param {Array<{id: string, name: string, input: object}>} toolCalls
  * @param {ToolRegistry} registry
  * @param {object} opts
+ * @param {object} [opts.context] - Originating conversation ({ chatId, userId, channel }) passed to each tool
+ * @param {object} [opts.bus] - NervousSystem for tool signals
+ * @param {number} [opts.concurrency] - Most calls running at once (TOOL_CONCURRENCY)
  * @returns {Promise<Array<{id: string, result: string, isError: boolean}>>}
  */
-export async function executeToolCalls(toolCalls, registry, { logger = defaultLogger } = {}) {
-  const results = []
+export async function executeToolCalls(toolCalls, registry, { logger = defaultLogger, context = {}, bus = null, concurrency = 1 } = {}) {
+  const notify = (type, payload) => {
+    if (bus?.listenerCount(type) > 0) {
+      bus.fire(type, { chatId: context.chatId, channel: context.channel, ...payload }, { source: 'motor' })
+    }
+  }
 
-  for (const call of toolCalls) {
+  const execute = async (call) => {
     logger.info('motor', 'tool_start', { tool: call.name, id: call.id })
+    notify(TOOL_STARTED, { id: call.id, name: call.name, input: call.input })
 
-    const { result, isError } = await registry.executeTool(call.name, call.input, { logger })
+    const { result, isError } = await registry.executeTool(call.name, call.input, { logger, context })
 
     logger.info('motor', 'tool_complete', {
       tool: call.name,
@@ -22,9 +41,51 @@ export async function executeToolCalls(toolCalls, registry, { logger = defaultLo
       isError,
       resultLength: result.length
     })
+    notify(TOOL_COMPLETED, { id: call.id, name: call.name, result, isError })
 
-    results.push({ id: call.id, result, isError })
+    return { id: call.id, result, isError }
   }
 
-  return results
+  const slot = createLimiter(concurrency)
+  const hints = toolCalls.map(call => registry.getConcurrency(call.name, call.input))
+  const runs = []
+
+  toolCalls.forEach((call, i) => {
+    const waitFor = runs.filter((_, j) => conflicts(hints[j], hints[i]))
+    runs.push(Promise.allSettled(waitFor).then(() => slot(() => execute(call))))
+  })
+
+  return Promise.all(runs)
+}
+
+// Whether a later call has to wait for an earlier one
+function conflicts(earlier, later) {
+  if (earlier.mode === 'exclusive' || later.mode === 'exclusive') return true
+  if (earlier.mode === 'parallel' || later.mode === 'parallel') return false
+  if (!earlier.workspace || earlier.workspace !== later.workspace) return false
+  return earlier.mode === 'write' || later.mode === 'write'
+}
+
+// Runs at most `limit` functions at once, the rest in the order they asked
+function createLimiter(limit) {
+  let active = 0
+  const queue = []
+  const next = () => {
+    if (active >= limit || queue.length === 0) return
+    active++
+    queue.shift()()
+  }
+
+  return async (fn) => {
+    await new Promise(resolve => {
+      queue.push(resolve)
+      next()
+    })
+    try {
+      return await fn()
+    } finally {
+      active--
+      next()
+    }
+  }
 }
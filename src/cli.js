@@ -25,6 +25,7 @@ const commands = {
   setup:             () => import('./cli/setup.js'),
   dev:               () => import('./cli/dev.js'),
   start:             () => import('./cli/start.js'),
+  chat:              () => import('./cli/chat.js'),
   stop:              () => import('./cli/stop.js'),
   restart:           () => import('./cli/restart.js'),
   status:            () => import('./cli/status.js'),
@@ -36,6 +37,7 @@ const commands = {
   sleep:             () => import('./cli/sleep.js'),
   memory:            () => import('./cli/memory.js'),
   stats:             () => import('./cli/stats.js'),
+  scheduler:         () => import('./cli/scheduler.js'),
   version:           () => import('./cli/version.js'),
   help:              () => import('./cli/help.js'),
 }
@@ -0,0 +1,162 @@
+import { parseArgs, stripVTControlCharacters } from 'node:util'
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import net from 'node:net'
+import { config as loadEnv } from 'dotenv'
+import { DIM, NC, parseEnvFile } from './utils.js'
+
+/**
+ * kenobot chat [opts] — Talk to the bot from the terminal
+ *
+ *   --attach           Only attach to the running instance (fail if it isn't up)
+ *   --local            Always boot an in-process instance, even if one is running
+ *   --provider <name>  Provider for the in-process instance (e.g. mock)
+ *   --model <name>     Model for the in-process instance
+ *   --no-color         Plain output
+ *
+ * By default the command attaches to the running bot over its chat socket
+ * (CHAT_SOCKET_PATH), so replies, memory and sessions are the live ones.
+ * When nothing is listening it boots the bot in-process with every other
+ * channel, the HTTP server and the scheduler turned off. Both modes use
+ * the same `terminal-local` session.
+ */
+export default async function chat(args, paths) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      attach: { type: 'boolean', default: false },
+      local: { type: 'boolean', default: false },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'no-color': { type: 'boolean', default: false },
+    },
+    strict: false,
+  })
+
+  if (values.attach && values.local) {
+    throw new Error('--attach and --local are mutually exclusive')
+  }
+  const color = !values['no-color'] && !!process.stdout.isTTY
+
+  if (!values.local) {
+    const socketPath = await resolveSocketPath(paths)
+    const socket = await connect(socketPath)
+    if (socket) return attach(socket, { color })
+    if (values.attach) {
+      throw new Error(`No running instance at ${socketPath}. Start it with \`kenobot start\` (CHAT_SOCKET_ENABLED must not be false)`)
+    }
+  }
+
+  await runInProcess(paths, { provider: values.provider, model: values.model, color })
+}
+
+async function resolveSocketPath(paths) {
+  let env = {}
+  try {
+    env = parseEnvFile(await readFile(paths.envFile, 'utf8'))
+  } catch { /* use defaults */ }
+
+  if (env.CHAT_SOCKET_PATH) return env.CHAT_SOCKET_PATH
+  if (env.DATA_DIR) return join(env.DATA_DIR, 'chat.sock')
+  return paths.chatSocket
+}
+
+/** Resolve with a connected socket, or null when nothing is listening. */
+function connect(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath)
+    socket.once('connect', () => resolve(socket))
+    socket.once('error', () => resolve(null))
+  })
+}
+
+/**
+ * The server renders everything; the client only pipes the terminal.
+ * The server's output is always ANSI-styled, so strip it for pipes and --no-color.
+ */
+function attach(socket, { color }) {
+  console.log(`${color ? DIM : ''}Attached to the running instance. /exit to leave.${color ? NC : ''}`)
+
+  process.stdin.pipe(socket)
+  socket.on('data', (chunk) => {
+    process.stdout.write(color ? chunk : stripVTControlCharacters(chunk.toString()))
+  })
+
+  return new Promise((resolve) => {
+    socket.on('close', () => {
+      process.stdin.unpipe(socket)
+      process.stdin.pause()
+      resolve()
+    })
+  })
+}
+
+async function runInProcess(paths, { provider: providerName, model, color }) {
+  loadEnv({ path: paths.envFile, override: true })
+
+  // Imported here so attaching never pays for loading the whole engine
+  const { createConfig } = await import('../infrastructure/config-factory.js')
+  const { Logger } = await import('../infrastructure/logger.js')
+  const { createApp } = await import('../app.js')
+  const { default: TerminalChannel } = await import('../adapters/channels/terminal.js')
+  const { createProvider } = await import('../adapters/providers/registry.js')
+  await importProviders()
+
+  const { config, errors } = createConfig({
+    ...process.env,
+    DATA_DIR: process.env.DATA_DIR || paths.data,
+    MEMORY_DIR: process.env.MEMORY_DIR || paths.memory,
+    ...(providerName && { PROVIDER: providerName }),
+    ...(model && { MODEL: model }),
+    // The terminal is the only channel; a running bot keeps the others
+    TELEGRAM_BOT_TOKEN: '',
+    TELEGRAM_WEBHOOK_URL: '',
+    DISCORD_BOT_TOKEN: '',
+    HTTP_ENABLED: 'false',
+    API_ENABLED: 'false',
+    CHAT_SOCKET_ENABLED: 'false',
+    ENABLE_SCHEDULER: 'false',
+  })
+  if (errors.length > 0) {
+    const [{ key, value, hint }] = errors
+    throw new Error(`Invalid ${key}=${value}${hint ? ` (${hint})` : ''}`)
+  }
+
+  const provider = createProvider(config.provider, config)
+  const app = createApp(config, provider, {
+    homePath: paths.home,
+    // Logs go to data/logs only; the console belongs to the conversation
+    logger: new Logger({ console: false }),
+    // Keep the PID file of a running daemon intact
+    pidFile: join(config.dataDir, 'chat.pid'),
+  })
+  await app.start()
+
+  const terminal = new TerminalChannel(app.bus, {
+    input: process.stdin,
+    output: process.stdout,
+    color,
+    logger: app.logger,
+  })
+
+  console.log(`${color ? DIM : ''}KenoBot in-process (${config.provider}/${config.model}). /exit to leave.${color ? NC : ''}`)
+  await terminal.start()
+
+  await new Promise(resolve => terminal.once('close', resolve))
+  await terminal.stop()
+  await app.stop()
+  process.exit(0)
+}
+
+// Provider self-registration, same set as index.js
+async function importProviders() {
+  await import('../adapters/providers/mock.js')
+  await import('../adapters/providers/claude-cli.js')
+  await import('../adapters/providers/claude-api.js')
+  await import('../adapters/providers/gemini-cli.js')
+  await import('../adapters/providers/gemini-api.js')
+  await import('../adapters/providers/cerebras-api.js')
+  await import('../adapters/providers/codex-cli.js')
+  await import('../adapters/providers/openai-compatible.js')
+  await import('../adapters/providers/replay.js')
+}
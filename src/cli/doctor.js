@@ -3,36 +3,17 @@ import { join, basename } from 'node:path'
 import { execFile } from 'node:child_process'
 import { promisify } from 'node:util'
 import { checkPid } from '../infrastructure/health.js'
+import { validateWebhookConfig } from '../adapters/channels/telegram.js'
+import { fetchModelIds } from '../adapters/providers/openai-compatible.js'
+import { createConfig } from '../infrastructure/config-factory.js'
 import {
   GREEN, RED, YELLOW, BOLD, DIM, NC,
   printOk, printWarn, printFail, printSkip,
-  exists, dirSize, formatBytes, requiredDirs,
+  exists, dirSize, formatBytes, requiredDirs, parseEnvFile,
 } from './utils.js'
 
 const execFileAsync = promisify(execFile)
 
-/**
- * Parse a .env file into a key-value object without side effects.
- * Does not modify process.env.
- */
-function parseEnvFile(content) {
-  const vars = {}
-  for (const line of content.split('\n')) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith('#')) continue
-    const eq = trimmed.indexOf('=')
-    if (eq === -1) continue
-    const key = trimmed.slice(0, eq).trim()
-    let val = trimmed.slice(eq + 1).trim()
-    // Strip surrounding quotes
-    if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
-      val = val.slice(1, -1)
-    }
-    vars[key] = val
-  }
-  return vars
-}
-
 // --- Individual checks ---
 // Each returns { status: 'ok'|'warn'|'fail'|'skip', label, detail?, fix? }
 
@@ -133,6 +114,70 @@ async function checkConfig(paths) {
   return { status: 'ok', label: `Config file (${basename(paths.envFile)})` }
 }
 
+async function checkTelegramWebhook(paths) {
+  let env = {}
+  try {
+    env = parseEnvFile(await readFile(paths.envFile, 'utf8'))
+  } catch {
+    return { status: 'skip', label: 'Telegram webhook (no config file)' }
+  }
+
+  if (!env.TELEGRAM_WEBHOOK_URL) {
+    return { status: 'skip', label: 'Telegram webhook (long polling)' }
+  }
+
+  const problems = validateWebhookConfig({ url: env.TELEGRAM_WEBHOOK_URL, secretToken: env.TELEGRAM_WEBHOOK_SECRET })
+  if (env.HTTP_ENABLED !== 'true') problems.push('HTTP_ENABLED=true required (the webhook is served by the HTTP server)')
+  if (problems.length > 0) {
+    return {
+      status: 'fail',
+      label: `Telegram webhook — ${problems[0]}`,
+      fix: "Run 'kenobot config edit' and fix TELEGRAM_WEBHOOK_URL / HTTP_ENABLED",
+      details: problems,
+    }
+  }
+
+  const token = env.TELEGRAM_BOT_TOKEN
+  if (!token || token === 'your_bot_token_here') {
+    return { status: 'ok', label: `Telegram webhook (${env.TELEGRAM_WEBHOOK_URL})` }
+  }
+
+  // Ask Telegram what it has registered and whether deliveries fail
+  let info
+  try {
+    const res = await fetch(`https://api.telegram.org/bot${token}/getWebhookInfo`, { signal: AbortSignal.timeout(5000) })
+    info = (await res.json()).result
+  } catch (error) {
+    return { status: 'warn', label: `Telegram webhook — could not reach Telegram (${error.message})` }
+  }
+
+  if (!info?.url) {
+    return {
+      status: 'warn',
+      label: 'Telegram webhook — not registered with Telegram yet',
+      fix: "Start the bot: 'kenobot start' registers the webhook",
+    }
+  }
+  if (!info.url.startsWith(env.TELEGRAM_WEBHOOK_URL.replace(/\/+$/, '') + '/telegram/')) {
+    return {
+      status: 'warn',
+      label: 'Telegram webhook — Telegram has a different URL registered',
+      fix: "Restart the bot to register the configured URL: 'kenobot restart'",
+    }
+  }
+  if (info.last_error_message) {
+    const when = info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : 'recently'
+    return {
+      status: 'warn',
+      label: `Telegram webhook — last delivery failed: ${info.last_error_message}`,
+      fix: `Check that ${env.TELEGRAM_WEBHOOK_URL} reaches the HTTP server (tunnel/reverse proxy)`,
+      details: [`at ${when}`, `${info.pending_update_count ?? 0} updates pending`],
+    }
+  }
+
+  return { status: 'ok', label: `Telegram webhook (${env.TELEGRAM_WEBHOOK_URL})` }
+}
+
 async function checkProvider(paths) {
   let env = {}
   try {
@@ -148,6 +193,10 @@ async function checkProvider(paths) {
     return { status: 'ok', label: 'Provider: mock' }
   }
 
+  if (provider === 'replay') {
+    return { status: 'warn', label: 'Provider: replay — answers only recorded requests', fix: 'Use a real provider outside tests' }
+  }
+
   if (provider === 'claude-api') {
     const key = env.ANTHROPIC_API_KEY || ''
     if (!key) {
@@ -205,13 +254,58 @@ async function checkProvider(paths) {
     }
   }
 
+  if (provider === 'openai-compatible') {
+    return checkOpenAICompatible(env)
+  }
+
   return {
     status: 'warn',
     label: `Provider: ${provider} — unknown provider`,
-    fix: "Valid providers: claude-api, claude-cli, gemini-api, gemini-cli, mock",
+    fix: "Valid providers: claude-api, claude-cli, gemini-api, gemini-cli, cerebras-api, codex-cli, openai-compatible, mock, replay",
   }
 }
 
+// Probes GET {baseUrl}/models: proves the server is up and the key works,
+// and that MODEL is one it serves.
+async function checkOpenAICompatible(env) {
+  const { baseUrl, apiKey, headers } = createConfig(env).config.openaiCompatible
+  if (!baseUrl) {
+    return {
+      status: 'fail',
+      label: 'Provider: openai-compatible — OPENAI_COMPATIBLE_BASE_URL not set',
+      fix: "Run 'kenobot config edit' and set OPENAI_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1)",
+    }
+  }
+
+  let models
+  try {
+    models = await fetchModelIds(baseUrl, {
+      headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }), ...headers },
+    })
+  } catch (error) {
+    return {
+      status: 'fail',
+      label: `Provider: openai-compatible — ${baseUrl} unreachable (${error.message})`,
+      fix: error.status === 401 || error.status === 403
+        ? 'Check OPENAI_COMPATIBLE_API_KEY'
+        : 'Check that the server is running and OPENAI_COMPATIBLE_BASE_URL includes the /v1 path',
+    }
+  }
+
+  if (!env.MODEL || (models.length > 0 && !models.includes(env.MODEL))) {
+    return {
+      status: 'warn',
+      label: env.MODEL
+        ? `Provider: openai-compatible — model "${env.MODEL}" not served by ${baseUrl}`
+        : 'Provider: openai-compatible — MODEL not set',
+      fix: "Set MODEL to one of the available models",
+      details: [`available: ${models.slice(0, 10).join(', ')}${models.length > 10 ? ', …' : ''}`],
+    }
+  }
+
+  return { status: 'ok', label: `Provider: openai-compatible (${baseUrl}, ${models.length} models)` }
+}
+
 async function checkIdentity(paths) {
   const identityDir = join(paths.home, 'memory', 'identity')
 
@@ -362,6 +456,7 @@ export default async function doctor(args, paths) {
     checkRoot(),
     await checkDirs(paths),
     await checkConfig(paths),
+    await checkTelegramWebhook(paths),
     await checkProvider(paths),
     await checkIdentity(paths),
     await checkPidFile(paths),
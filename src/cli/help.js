@@ -11,6 +11,13 @@ Commands:
   stop                Stop the daemon
   restart             Stop + start daemon
   status              Show bot health and uptime
+  chat [opts]         Chat from the terminal (attaches to the running bot,
+                      or boots one in-process when none is running)
+                      --attach           Fail instead of booting in-process
+                      --local            Boot in-process even if the bot runs
+                      --provider <name>  In-process provider (e.g. mock)
+                      --model <name>     In-process model
+                      --no-color         Plain output
   logs [--today]      Tail logs or show a specific day
   config [edit]       Show config or open .env in $EDITOR
   reset [opts]        Reset cognitive system (dev/testing only)
@@ -24,6 +31,12 @@ Commands:
                       --health      Run memory health checks
                       --prune       Run memory pruner
   stats               Show runtime statistics and health
+  scheduler [opts]    List scheduled tasks and their last run
+                      runs <id>     Show run history for a task
+                      pause <id>    Stop a task without deleting it
+                      resume <id>   Restart a paused task
+                      edit <id>     --cron, --at, --message, --description,
+                                    --timezone, --catch-up (needs the REST API)
   doctor              Diagnose common problems (config, disk)
   update [--check]    Update to latest release tag
   version             Show version
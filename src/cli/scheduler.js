@@ -0,0 +1,161 @@
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { GREEN, YELLOW, RED, BOLD, DIM, NC, parseEnvFile } from './utils.js'
+
+const STATUS_COLORS = { ok: GREEN, late: YELLOW, skipped: DIM, failed: RED }
+
+const EDIT_FLAGS = {
+  '--cron': 'cronExpr',
+  '--at': 'runAt',
+  '--message': 'message',
+  '--description': 'description',
+  '--timezone': 'timezone',
+  '--catch-up': 'catchUp',
+}
+
+/**
+ * kenobot scheduler                  — List scheduled tasks with their last run
+ * kenobot scheduler runs <id>        — Show run history for a task
+ * kenobot scheduler pause <id>       — Stop a task without deleting it
+ * kenobot scheduler resume <id>      — Restart a paused task
+ * kenobot scheduler edit <id> [opts] — Change --cron, --at, --message, --description, --timezone, --catch-up
+ *
+ * Listing reads data/scheduler/tasks.json directly, so it works whether or not
+ * the bot is running. Changes go through the running bot's REST API, since the
+ * live scheduler owns tasks.json. Task IDs can be shortened to a unique prefix.
+ */
+export default async function scheduler(args, paths) {
+  const tasks = await loadTasks(paths)
+  const [action = 'list', id, ...rest] = args
+
+  if (action === 'list') return showList(tasks)
+  if (action === 'runs') return showRuns(findTask(tasks, id, action))
+  if (action === 'pause' || action === 'resume') {
+    const task = findTask(tasks, id, action)
+    await callApi(paths, 'PATCH', `/scheduler/${task.id}`, { paused: action === 'pause' })
+    console.log(`${GREEN}${action === 'pause' ? 'Paused' : 'Resumed'}${NC} ${task.description} ${DIM}(${task.id})${NC}`)
+    return
+  }
+  if (action === 'edit') {
+    const task = findTask(tasks, id, action)
+    const changes = parseEditFlags(rest)
+    const { task: updated, nextRun } = await callApi(paths, 'PATCH', `/scheduler/${task.id}`, changes)
+    console.log(`${GREEN}Updated${NC} ${updated.description} ${DIM}(${updated.id})${NC}`)
+    if (nextRun) console.log(`  next run: ${formatTime(nextRun)}`)
+    return
+  }
+
+  throw new Error(`Unknown scheduler action: ${action} (expected list, runs, pause, resume or edit)`)
+}
+
+function parseEditFlags(args) {
+  const changes = {}
+  for (let i = 0; i < args.length; i += 2) {
+    const field = EDIT_FLAGS[args[i]]
+    if (!field) throw new Error(`Unknown option: ${args[i]} (expected ${Object.keys(EDIT_FLAGS).join(', ')})`)
+    if (args[i + 1] === undefined) throw new Error(`Missing value for ${args[i]}`)
+    changes[field] = args[i + 1]
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new Error(`Nothing to edit. Pass at least one of: ${Object.keys(EDIT_FLAGS).join(', ')}`)
+  }
+  return changes
+}
+
+async function callApi(paths, method, path, body) {
+  let env = {}
+  try {
+    env = parseEnvFile(await readFile(paths.envFile, 'utf8'))
+  } catch { /* use defaults */ }
+
+  if (env.API_ENABLED !== 'true' || !env.API_KEY) {
+    throw new Error('Changing tasks needs the REST API. Set HTTP_ENABLED=true, API_ENABLED=true and API_KEY, then restart')
+  }
+
+  const port = env.HTTP_PORT || 3000
+  let res
+  try {
+    res = await fetch(`http://localhost:${port}/api/v1${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${env.API_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  } catch {
+    throw new Error(`Could not reach the API on port ${port}. Is the bot running? (kenobot status)`)
+  }
+
+  const json = await res.json()
+  if (!res.ok) throw new Error(json.error?.message || `API request failed (${res.status})`)
+  return json.data
+}
+
+async function loadTasks(paths) {
+  try {
+    return JSON.parse(await readFile(join(paths.data, 'scheduler', 'tasks.json'), 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+}
+
+function findTask(tasks, id, action) {
+  if (!id) throw new Error(`Usage: kenobot scheduler ${action} <id>`)
+  const matches = tasks.filter(t => t.id.startsWith(id))
+  if (matches.length === 0) throw new Error(`Scheduled task not found: ${id}`)
+  if (matches.length > 1) throw new Error(`Ambiguous task ID prefix: ${id} (${matches.length} matches)`)
+  return matches[0]
+}
+
+function showList(tasks) {
+  console.log(`${BOLD}Scheduled Tasks${NC}\n`)
+
+  if (tasks.length === 0) {
+    console.log(`  ${DIM}No scheduled tasks${NC}\n`)
+    return
+  }
+
+  for (const task of tasks) {
+    const schedule = task.runAt ? `once at ${formatTime(task.runAt)}` : `cron "${task.cronExpr}"`
+    const catchUp = task.cronExpr ? ` | catch-up: ${task.catchUp || 'skip'}` : ''
+    const timezone = task.timezone ? ` | ${task.timezone}` : ''
+    const paused = task.paused ? ` ${YELLOW}[paused]${NC}` : ''
+    console.log(`  ${BOLD}${task.id.slice(0, 8)}${NC} ${task.description}${paused}`)
+    console.log(`    ${schedule}${timezone}${catchUp} | chat ${task.chatId} (${task.channel})`)
+    if (task.tool) {
+      const trigger = task.trigger === 'match' ? `match /${task.pattern}/` : 'change'
+      console.log(`    tool ${task.tool} | on ${trigger} | ${task.action === 'notify' ? 'notify chat' : 'via agent'}`)
+    }
+    if (task.lastStatus) {
+      console.log(`    last run: ${formatTime(task.lastRunAt)} ${formatStatus(task.lastStatus)}`)
+    } else if (task.cronExpr) {
+      console.log(`    ${DIM}never run${NC}`)
+    }
+  }
+  console.log()
+}
+
+function showRuns(task) {
+  console.log(`${BOLD}Run History${NC} — ${task.description} ${DIM}(${task.id})${NC}\n`)
+
+  const runs = task.runs || []
+  if (runs.length === 0) {
+    console.log(`  ${DIM}No runs recorded${NC}\n`)
+    return
+  }
+
+  for (const run of runs) {
+    const ran = run.ranAt ? `ran ${formatTime(run.ranAt)}` : `${run.missed} missed`
+    const error = run.error ? ` — ${run.error}` : ''
+    const triggered = run.triggered ? ` ${BOLD}triggered${NC}` : ''
+    console.log(`  ${formatTime(run.scheduledFor)}  ${formatStatus(run.status)}  ${DIM}${ran}${NC}${triggered}${error}`)
+  }
+  console.log()
+}
+
+function formatStatus(status) {
+  return `${STATUS_COLORS[status] || ''}${status}${NC}`
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : 'never'
+}
@@ -47,6 +47,10 @@ export default async function stats(args, paths) {
     const errorColor = r.errors > 0 ? RED : GREEN
     console.log(`${BOLD}Responses${NC}`)
     console.log(`  ${r.total} total | avg ${formatMs(r.avgMs)} | p95 ${formatMs(r.p95Ms)} | max ${formatMs(r.maxMs)} | ${errorColor}${r.errors} errors (${r.errorRate}%)${NC}`)
+    const providers = Object.entries(r.providers || {})
+    if (providers.length > 1) {
+      console.log(`  ${DIM}answered by ${providers.map(([name, count]) => `${name} ${count}`).join(', ')}${NC}`)
+    }
   }
 
   // Nervous System
@@ -69,6 +73,16 @@ export default async function stats(args, paths) {
     }
   }
 
+  // Model router
+  if (data.router) {
+    const r = data.router
+    const tiers = Object.entries(r.tiers).map(([tier, count]) => `${tier} ${count}`).join(' · ')
+    const reasons = Object.entries(r.reasons).sort((a, b) => b[1] - a[1]).map(([reason, count]) => `${reason} ${count}`).join(', ')
+    console.log(`${BOLD}Model Router${NC}`)
+    console.log(`  ${r.routed} routed | ${tiers}`)
+    if (reasons) console.log(`  ${DIM}why: ${reasons}${NC}`)
+  }
+
   // Cost
   if (data.cost) {
     const d = data.cost.daily
@@ -78,6 +92,12 @@ export default async function stats(args, paths) {
     console.log(`${BOLD}Cost${NC}`)
     console.log(`  daily: ${dailyColor}$${d.cost.toFixed(2)}/$${d.budget}${NC} (${d.percent.toFixed(0)}%) | ${d.calls} calls`)
     console.log(`  monthly: ${monthlyColor}$${m.cost.toFixed(2)}/$${m.budget}${NC} (${m.percent.toFixed(0)}%) | ${m.calls} calls`)
+    const byContext = Object.entries(d.byContext || {}).map(([context, cost]) => `${context} $${cost.toFixed(2)}`)
+    if (byContext.length) console.log(`  today: ${byContext.join(' · ')}`)
+    if (d.cacheReadTokens || d.cacheWriteTokens) {
+      console.log(`  ${DIM}prompt cache today: ${d.cacheReadTokens.toLocaleString()} tokens read, ${d.cacheWriteTokens.toLocaleString()} written${NC}`)
+    }
+    if (data.cost.policy && data.cost.policy !== 'warn') console.log(`  ${DIM}over budget: ${data.cost.policy}${NC}`)
   }
 
   // Circuit Breaker
@@ -86,6 +106,10 @@ export default async function stats(args, paths) {
     const cbColor = cb.state === 'CLOSED' ? GREEN : cb.state === 'OPEN' ? RED : YELLOW
     console.log(`${BOLD}Circuit Breaker${NC}`)
     console.log(`  ${cbColor}${cb.state}${NC} | ${cb.failures} failures`)
+    for (const fb of data.fallbacks || []) {
+      const fbColor = fb.state === 'CLOSED' ? GREEN : fb.state === 'OPEN' ? RED : YELLOW
+      console.log(`  fallback ${fb.provider}: ${fbColor}${fb.state}${NC} | ${fb.failures} failures`)
+    }
   }
 
   // Watchdog
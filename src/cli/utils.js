@@ -32,6 +32,28 @@ export const printWarn = (msg) => console.log(`  ${YELLOW}[!]${NC} ${msg}`)
 export const printFail = (msg) => console.log(`  ${RED}[✗]${NC} ${msg}`)
 export const printSkip = (msg) => console.log(`  ${DIM}[–]${NC} ${msg}`)
 
+/**
+ * Parse a .env file into a key-value object without side effects.
+ * Does not modify process.env.
+ */
+export function parseEnvFile(content) {
+  const vars = {}
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    const eq = trimmed.indexOf('=')
+    if (eq === -1) continue
+    const key = trimmed.slice(0, eq).trim()
+    let val = trimmed.slice(eq + 1).trim()
+    // Strip surrounding quotes
+    if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
+      val = val.slice(1, -1)
+    }
+    vars[key] = val
+  }
+  return vars
+}
+
 export async function exists(path) {
   try { await access(path); return true } catch { return false }
 }
@@ -1,8 +1,12 @@
 import { writeFile, readFile, mkdir, readdir } from 'node:fs/promises'
 import { join } from 'node:path'
+import { randomUUID } from 'node:crypto'
 import defaultLogger from '../../../infrastructure/logger.js'
 import { APPROVAL_PROPOSED } from '../../../infrastructure/events.js'
 
+// prUrl goes into a shell command, so only a plain GitHub PR URL is accepted
+const PR_URL_PATTERN = /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/pull\/\d+$/
+
 /**
  * SelfImprover - Generates improvement proposals from sleep cycle results
  *
@@ -14,6 +18,10 @@ import { APPROVAL_PROPOSED } from '../../../infrastructure/events.js'
  * proposals are also submitted as GitHub PRs and the user is notified
  * via the approval workflow.
  *
+ * Approved proposals are applied with apply(): the PR is merged when there is
+ * one, otherwise the suggestions are saved to long-term memory so they shape
+ * future responses.
+ *
  * Output: data/sleep/proposals/YYYY-MM-DD.md
  */
 export default class SelfImprover {
@@ -54,9 +62,11 @@ export default class SelfImprover {
     // Notify via Nervous System
     if (proposals.length > 0 && this.bus) {
       this.bus.fire(APPROVAL_PROPOSED, {
+        id: randomUUID().slice(0, 8),
         type: 'self-improvement',
         proposalCount: proposals.length,
         priorities: [...new Set(proposals.map(p => p.priority))],
+        proposals,
         prUrl
       }, { source: 'cognitive' })
     }
@@ -66,6 +76,43 @@ export default class SelfImprover {
     return result
   }
 
+  /**
+   * Apply an approved proposal (APPROVAL_APPROVED payload).
+   *
+   * With a PR and the Motor System available, the PR is merged (only
+   * https://github.com/<owner>/<repo>/pull/<n> URLs are accepted). Without a
+   * self repo the suggestions are saved as long-term memory facts instead.
+   *
+   * @param {Object} approval
+   * @param {Array<{suggestion: string}>} approval.proposals
+   * @param {string|null} [approval.prUrl]
+   * @returns {Promise<{applied: 'merged'|'memory'|'none', count: number}>}
+   */
+  async apply({ proposals = [], prUrl = null } = {}) {
+    if (prUrl && this.toolRegistry && this.repo) {
+      if (!PR_URL_PATTERN.test(prUrl)) throw new Error(`Refusing to merge invalid PR URL: ${prUrl}`)
+
+      const merge = await this.toolRegistry.executeTool('run_command', {
+        repo: this.repo,
+        command: `gh pr merge ${prUrl} --squash --delete-branch`
+      })
+      if (merge.isError) throw new Error(`Could not merge ${prUrl}: ${merge.result}`)
+
+      this.logger.info('self-improver', 'proposal_merged', { prUrl })
+      return { applied: 'merged', count: proposals.length }
+    }
+
+    if (proposals.length === 0 || !this.memory?.addFact) {
+      return { applied: 'none', count: 0 }
+    }
+
+    for (const p of proposals) {
+      await this.memory.addFact(`Approved self-improvement: ${p.suggestion}`)
+    }
+    this.logger.info('self-improver', 'proposals_applied', { count: proposals.length })
+    return { applied: 'memory', count: proposals.length }
+  }
+
   /**
    * Generate improvement proposals from sleep cycle results.
    *
@@ -1,4 +1,19 @@
 import defaultLogger from '../../../infrastructure/logger.js'
+import { parseStructured } from '../../../infrastructure/structured-output.js'
+
+const PROFILE_SCHEMA = {
+  title: 'user_profile',
+  type: 'object',
+  properties: {
+    tone: { type: 'string', enum: ['casual', 'formal', 'direct'] },
+    verbosity: { type: 'string', enum: ['concise', 'detailed'] },
+    language: { type: 'string', enum: ['es', 'en', 'mix'] },
+    emojiUsage: { type: 'string', enum: ['frequent', 'occasional', 'none'] },
+    techContext: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['tone', 'verbosity', 'language', 'emojiUsage', 'techContext', 'confidence']
+}
 
 /**
  * ProfileInferrer - Infers user communication preferences from messages
@@ -11,6 +26,8 @@ import defaultLogger from '../../../infrastructure/logger.js'
  * - Technical context
  *
  * This allows natural onboarding without explicit questions.
+ * The reply is requested with PROFILE_SCHEMA as `responseSchema`, so
+ * providers with a JSON mode return it validated in `data`.
  */
 export default class ProfileInferrer {
   constructor(provider, { logger = defaultLogger } = {}) {
@@ -45,10 +62,11 @@ export default class ProfileInferrer {
         { role: 'user', content: prompt }
       ], {
         temperature: 0.3, // Low temperature for consistent analysis
-        maxTokens: 500
+        maxTokens: 500,
+        responseSchema: PROFILE_SCHEMA
       })
 
-      const analysis = this._parseAnalysis(response.content)
+      const analysis = response.data ?? this._parseAnalysis(response.content)
 
       this.logger.info('profile-inferrer', 'inference_complete', {
         messageCount: userMessages.length,
@@ -100,28 +118,12 @@ IMPORTANT: Respond with ONLY the JSON, no explanation.`
   }
 
   /**
-   * Parse LLM analysis response.
+   * Parse LLM analysis response (providers that return no `data`).
    * @private
    */
   _parseAnalysis(content) {
     try {
-      // Try to extract JSON from response
-      const jsonMatch = content.match(/\{[\s\S]*\}/)
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response')
-      }
-
-      const parsed = JSON.parse(jsonMatch[0])
-
-      // Validate required fields
-      const required = ['tone', 'verbosity', 'language', 'emojiUsage', 'techContext', 'confidence']
-      for (const field of required) {
-        if (!(field in parsed)) {
-          throw new Error(`Missing required field: ${field}`)
-        }
-      }
-
-      return parsed
+      return parseStructured(content, PROFILE_SCHEMA)
     } catch (error) {
       this.logger.warn('profile-inferrer', 'parse_failed', {
         error: error.message,
@@ -3,6 +3,7 @@ import EpisodicMemory from './episodic-memory.js'
 import SemanticMemory from './semantic-memory.js'
 import ProceduralMemory from './procedural-memory.js'
 import defaultLogger from '../../../infrastructure/logger.js'
+import { chatSessionId } from '../../../infrastructure/session-id.js'
 
 /**
  * MemorySystem - Facade for 4 types of cognitive memory
@@ -14,6 +15,9 @@ import defaultLogger from '../../../infrastructure/logger.js'
  * - Procedural Memory: Learned patterns
  *
  * Each memory type delegates to MemoryStore for persistence.
+ *
+ * Thread sessions (`telegram--100123~topic-42`) keep their own working memory;
+ * chat-specific memory and context belong to the chat and are shared by its threads.
  */
 export default class MemorySystem {
   constructor(memoryStore, { logger = defaultLogger, workingStaleThreshold = 7, embeddingProvider, embeddingStore } = {}) {
@@ -53,28 +57,63 @@ export default class MemorySystem {
     this._embedAsync(fact, 'semantic')
   }
 
+  /**
+   * Remove semantic facts containing the query (and their embeddings).
+   * @returns {Promise<{removed: string[], matches: string[]}>}
+   */
+  async removeFact(query, opts) {
+    const result = await this.semantic.removeFact(query, opts)
+    if (result.removed.length > 0) this._unembedAsync(result.removed, 'semantic')
+    return result
+  }
+
   // --- Episodic Memory (chat-specific events) ---
 
   /**
    * Get chat-specific long-term memory.
    */
   async getChatLongTermMemory(sessionId) {
-    return this.episodic.getChatLongTerm(sessionId)
+    return this.episodic.getChatLongTerm(chatSessionId(sessionId))
   }
 
   /**
    * Get recent chat-specific episodes.
    */
   async getChatRecentDays(sessionId, days = 3) {
-    return this.episodic.getChatRecent(sessionId, days)
+    return this.episodic.getChatRecent(chatSessionId(sessionId), days)
   }
 
   /**
    * Add a chat-specific episode/fact.
    */
   async addChatFact(sessionId, fact) {
-    await this.episodic.addChatEpisode(sessionId, fact)
-    this._embedAsync(fact, 'episodic', sessionId)
+    const chatId = chatSessionId(sessionId)
+    await this.episodic.addChatEpisode(chatId, fact)
+    this._embedAsync(fact, 'episodic', chatId)
+  }
+
+  // --- Per-person memory ---
+
+  /**
+   * Get a person's long-term memory.
+   * @param {string} userId - Per-person memory ID, e.g. "telegram-123456789"
+   */
+  async getUserLongTermMemory(userId) {
+    return this.store.getUserLongTermMemory(userId)
+  }
+
+  /**
+   * Get a person's recent notes.
+   */
+  async getUserRecentDays(userId, days = 3) {
+    return this.store.getUserRecentDays(userId, days)
+  }
+
+  /**
+   * Add a fact about a person (follows them across chats).
+   */
+  async addUserFact(userId, fact) {
+    await this.store.appendUserDaily(userId, fact)
   }
 
   // --- Chat Context ---
@@ -85,7 +124,7 @@ export default class MemorySystem {
    * @returns {Promise<string>} Context markdown or empty string
    */
   async getChatContext(sessionId) {
-    return this.store.getChatContext(sessionId)
+    return this.store.getChatContext(chatSessionId(sessionId))
   }
 
   /**
@@ -94,7 +133,7 @@ export default class MemorySystem {
    * @param {string} content
    */
   async setChatContext(sessionId, content) {
-    await this.store.setChatContext(sessionId, content)
+    await this.store.setChatContext(chatSessionId(sessionId), content)
   }
 
   // --- Working Memory (session scratchpad) ---
@@ -182,4 +221,22 @@ export default class MemorySystem {
       this.logger.warn('memory-system', 'embedding_failed', { type, error: err.message })
     })
   }
+
+  /**
+   * Drop stored embeddings whose text is one of the given entries.
+   * Failures are logged but never block the caller.
+   * @private
+   */
+  _unembedAsync(texts, type) {
+    if (!this.embeddingStore) return
+
+    const targets = new Set(texts)
+    this.embeddingStore.getAll({ type }).then(async entries => {
+      for (const entry of entries) {
+        if (targets.has(entry.text)) await this.embeddingStore.remove(entry.id)
+      }
+    }).catch(err => {
+      this.logger.warn('memory-system', 'unembed_failed', { type, error: err.message })
+    })
+  }
 }
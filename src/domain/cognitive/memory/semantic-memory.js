@@ -67,6 +67,64 @@ export default class SemanticMemory {
     })
   }
 
+  /**
+   * Remove facts containing the query from MEMORY.md and the daily logs.
+   * Matching is case-insensitive and line-based; headings in MEMORY.md are kept.
+   * Nothing is removed when more than maxMatches facts match, so a vague
+   * query cannot wipe memory — the caller shows the matches instead.
+   *
+   * @param {string} query - Text the fact must contain
+   * @param {Object} [opts]
+   * @param {number} [opts.maxMatches=5]
+   * @returns {Promise<{removed: string[], matches: string[]}>}
+   */
+  async removeFact(query, { maxMatches = 5 } = {}) {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return { removed: [], matches: [] }
+
+    const files = [{
+      content: await this.store.readLongTermMemory(),
+      parse: parseLongTermLine,
+      write: content => this.store.writeLongTermMemory(content)
+    }]
+    for (const filename of await this.store.listDailyLogs()) {
+      files.push({
+        content: await this.store.readDailyLog(filename),
+        parse: parseDailyLine,
+        write: content => this.store.writeDailyLog(filename, content)
+      })
+    }
+
+    const matches = []
+    for (const file of files) {
+      file.kept = []
+      for (const line of file.content.split('\n')) {
+        const fact = file.parse(line)
+        if (fact && fact.toLowerCase().includes(needle)) {
+          matches.push(fact)
+        } else {
+          file.kept.push(line)
+        }
+      }
+    }
+
+    if (matches.length === 0 || matches.length > maxMatches) {
+      return { removed: [], matches }
+    }
+
+    for (const file of files) {
+      if (file.kept.length === file.content.split('\n').length) continue
+      await file.write(file.kept.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+/, ''))
+    }
+
+    this.logger.info('semantic-memory', 'facts_removed', {
+      count: matches.length,
+      queryLength: needle.length
+    })
+
+    return { removed: matches, matches }
+  }
+
   // Future: Separate methods for procedures, concepts, errors
   // async getProcedures() { ... }
   // async addProcedure(procedure) { ... }
@@ -75,3 +133,16 @@ export default class SemanticMemory {
   // async getErrors() { ... }
   // async addError(error) { ... }
 }
+
+// MEMORY.md: any non-heading line is a fact ("- " bullets unwrapped)
+function parseLongTermLine(line) {
+  const text = line.trim()
+  if (!text || text.startsWith('#')) return null
+  return text.replace(/^[-*]\s+/, '')
+}
+
+// Daily logs: "## HH:MM — fact" (see MemoryStore.appendDaily)
+function parseDailyLine(line) {
+  const match = line.match(/^## \d{2}:\d{2} — (.+)$/)
+  return match ? match[1] : null
+}
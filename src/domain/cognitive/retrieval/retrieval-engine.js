@@ -2,6 +2,7 @@ import KeywordMatcher from './keyword-matcher.js'
 import EmbeddingMatcher from './embedding-matcher.js'
 import ConfidenceScorer from './confidence-scorer.js'
 import defaultLogger from '../../../infrastructure/logger.js'
+import { chatSessionId } from '../../../infrastructure/session-id.js'
 
 /**
  * RetrievalEngine - Selective memory retrieval system
@@ -157,7 +158,7 @@ export default class RetrievalEngine {
     if (!this.embeddingMatcher || !messageText) return keywordResults
 
     const embeddingResults = await this.embeddingMatcher.search(
-      messageText, 'episodic', limit, { sessionId }
+      messageText, 'episodic', limit, { sessionId: chatSessionId(sessionId) }
     )
     if (embeddingResults.length === 0) return keywordResults
 
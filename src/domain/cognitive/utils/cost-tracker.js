@@ -1,105 +1,249 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { join, dirname } from 'node:path'
 import defaultLogger from '../../../infrastructure/logger.js'
 
+// USD per 1M tokens, list prices. Keys match as substrings of the model ID
+// (longest key wins); override or extend with the `pricing` option (COST_PRICING).
+// Prompt-cache writes and reads default to 1.25x and 0.1x the input price
+// (Anthropic's 5-minute cache); a price may set `cacheWrite`/`cacheRead`.
+const DEFAULT_PRICING = {
+  'claude-3-5-sonnet': { input: 3.0, output: 15.0 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15.0, output: 75.0 },
+  'claude-3-5-haiku': { input: 0.8, output: 4.0 },
+  'claude-sonnet-4': { input: 3.0, output: 15.0 },
+  'claude-opus-4': { input: 15.0, output: 75.0 },
+  'claude-opus-4-5': { input: 5.0, output: 25.0 },
+  'claude-haiku-4-5': { input: 1.0, output: 5.0 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+  'llama3.1-8b': { input: 0.1, output: 0.1 },
+  'gpt-oss-120b': { input: 0.25, output: 0.69 },
+  'qwen-3-235b-a22b-instruct-2507': { input: 0.6, output: 1.2 }
+}
+
+const POLICIES = ['warn', 'downgrade', 'refuse']
+
 /**
  * CostTracker - Tracks LLM API costs and enforces budgets
  *
  * Features:
- * - Track token usage per model
- * - Calculate costs based on pricing
- * - Budget alerts and enforcement
- * - Daily/monthly cost summaries
- *
- * Phase 6: Basic tracking and alerts
- * Future: Cost optimization suggestions, trend analysis
+ * - Track token usage per provider, model and context (chat, task, consciousness, sleep)
+ * - Calculate costs based on configurable per-model pricing, prompt-cache
+ *   reads and writes included
+ * - Budget alerts and a budget policy once a limit is hit:
+ *     warn      — log only
+ *     downgrade — answer with `downgradeModel` instead
+ *     refuse    — refuse requests from anyone but the owner
+ * - Daily/monthly cost summaries, persisted to `{dataDir}/cost/usage.json`
+ *   so a restart does not reset spend
  */
 export default class CostTracker {
-  constructor({ logger = defaultLogger, dailyBudget = 1.0, monthlyBudget = 30.0 } = {}) {
+  constructor({
+    logger = defaultLogger, dailyBudget = 1.0, monthlyBudget = 30.0,
+    pricing = {}, policy = 'warn', downgradeModel = null, dataDir = null
+  } = {}) {
     this.logger = logger
     this.dailyBudget = dailyBudget // USD
     this.monthlyBudget = monthlyBudget // USD
+    this.policy = POLICIES.includes(policy) ? policy : 'warn'
+    this.downgradeModel = downgradeModel
+    this.file = dataDir ? join(dataDir, 'cost', 'usage.json') : null
 
-    // Pricing per 1M tokens (Claude 3.5 Sonnet pricing as of 2024)
-    this.pricing = {
-      'claude-3-5-sonnet': { input: 3.0, output: 15.0 },
-      'claude-3-haiku': { input: 0.25, output: 1.25 },
-      'claude-3-opus': { input: 15.0, output: 75.0 }
+    // Pricing per 1M tokens
+    this.pricing = { ...DEFAULT_PRICING }
+    for (const [model, price] of Object.entries(pricing)) {
+      this.pricing[model.toLowerCase()] = price
     }
 
     // Track usage
     this.usage = {
-      daily: { tokens: 0, cost: 0, calls: 0, date: this.getToday() },
-      monthly: { tokens: 0, cost: 0, calls: 0, month: this.getMonth() }
+      daily: this._emptyPeriod({ date: this.getToday() }),
+      monthly: this._emptyPeriod({ month: this.getMonth() })
+    }
+
+    this._unknownModels = new Set()
+    this._saving = Promise.resolve()
+  }
+
+  /**
+   * Restore persisted totals. Periods that have since rolled over start fresh.
+   */
+  async load() {
+    if (!this.file) return
+    let saved
+    try {
+      saved = JSON.parse(await readFile(this.file, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('cost-tracker', 'load_failed', { error: error.message })
+      }
+      return
+    }
+
+    this.usage = {
+      daily: { ...this._emptyPeriod(), ...saved.daily },
+      monthly: { ...this._emptyPeriod(), ...saved.monthly }
     }
+    this.checkRollover()
+  }
+
+  /**
+   * Persist current totals. Writes are serialized; failures are logged.
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.file) return Promise.resolve()
+    this._saving = this._saving
+      .then(async () => {
+        await mkdir(dirname(this.file), { recursive: true })
+        await writeFile(this.file, JSON.stringify(this.usage, null, 2))
+      })
+      .catch(error => this.logger.warn('cost-tracker', 'save_failed', { error: error.message }))
+    return this._saving
   }
 
   /**
    * Record API call with token usage.
    *
+   * Models without a price still count tokens and calls, at zero cost.
+   *
    * @param {Object} call - API call details
    * @param {string} call.model - Model used
+   * @param {string} [call.provider] - Provider that served the call
    * @param {number} call.inputTokens - Input tokens
    * @param {number} call.outputTokens - Output tokens
-   * @param {string} call.context - Context (e.g., "chat", "sleep", "retrieval")
+   * @param {number} [call.cacheWriteTokens] - Input tokens written to the prompt cache
+   * @param {number} [call.cacheReadTokens] - Input tokens read from the prompt cache
+   * @param {string} call.context - Context ("chat", "task", "consciousness", "sleep")
    * @returns {Object} Cost breakdown
    */
-  record({ model, inputTokens, outputTokens, context = 'unknown' }) {
+  record({ model, provider, inputTokens = 0, outputTokens = 0, cacheWriteTokens = 0, cacheReadTokens = 0, context = 'unknown' }) {
     // Normalize model name
     const normalizedModel = this.normalizeModel(model)
     const pricing = this.pricing[normalizedModel]
 
-    if (!pricing) {
-      this.logger.warn('cost-tracker', 'unknown_model', { model })
-      return { inputCost: 0, outputCost: 0, totalCost: 0 }
+    if (!pricing && !this._unknownModels.has(model)) {
+      this._unknownModels.add(model)
+      this.logger.warn('cost-tracker', 'unknown_model', { model, provider, hint: 'add it to COST_PRICING' })
     }
 
     // Calculate costs
-    const inputCost = (inputTokens / 1_000_000) * pricing.input
-    const outputCost = (outputTokens / 1_000_000) * pricing.output
-    const totalCost = inputCost + outputCost
+    const inputCost = pricing ? (inputTokens / 1_000_000) * pricing.input : 0
+    const outputCost = pricing ? (outputTokens / 1_000_000) * pricing.output : 0
+    const cacheCost = pricing
+      ? (cacheWriteTokens / 1_000_000) * (pricing.cacheWrite ?? pricing.input * 1.25) +
+        (cacheReadTokens / 1_000_000) * (pricing.cacheRead ?? pricing.input * 0.1)
+      : 0
+    const totalCost = inputCost + outputCost + cacheCost
 
     // Check if new day/month
     this.checkRollover()
 
     // Update usage
-    this.usage.daily.tokens += inputTokens + outputTokens
-    this.usage.daily.cost += totalCost
-    this.usage.daily.calls += 1
-
-    this.usage.monthly.tokens += inputTokens + outputTokens
-    this.usage.monthly.cost += totalCost
-    this.usage.monthly.calls += 1
+    for (const period of [this.usage.daily, this.usage.monthly]) {
+      period.tokens += inputTokens + outputTokens + cacheWriteTokens + cacheReadTokens
+      period.cacheReadTokens += cacheReadTokens
+      period.cacheWriteTokens += cacheWriteTokens
+      period.cost += totalCost
+      period.calls += 1
+      period.byContext[context] = (period.byContext[context] || 0) + totalCost
+      const modelKey = model || 'unknown'
+      period.byModel[modelKey] = (period.byModel[modelKey] || 0) + totalCost
+    }
 
     // Log and check budget
     this.logger.info('cost-tracker', 'recorded', {
-      model: normalizedModel,
+      model: normalizedModel || model,
+      provider,
       context,
       inputTokens,
       outputTokens,
+      ...((cacheWriteTokens || cacheReadTokens) && { cacheWriteTokens, cacheReadTokens }),
       cost: totalCost.toFixed(4),
       dailyCost: this.usage.daily.cost.toFixed(4),
       monthlyCost: this.usage.monthly.cost.toFixed(4)
     })
 
     this.checkBudget()
+    this.save()
 
-    return { inputCost, outputCost, totalCost }
+    return { inputCost, outputCost, cacheCost, totalCost }
   }
 
   /**
-   * Normalize model name to match pricing keys.
+   * Record a provider chat() response. Responses without usage (most CLI
+   * providers) are skipped.
+   *
+   * @param {Object} response - Provider response with `usage`
+   * @param {Object} call - { model, provider, context }
+   * @returns {Object|null} Cost breakdown
+   */
+  recordResponse(response, { model, provider, context }) {
+    const usage = response?.usage
+    if (!usage || (!usage.input_tokens && !usage.output_tokens)) return null
+    return this.record({
+      model,
+      provider,
+      context,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0
+    })
+  }
+
+  /**
+   * Normalize model name to match pricing keys: exact key, else the longest
+   * key contained in the model ID, else a Claude family alias.
    *
    * @param {string} model - Model identifier
-   * @returns {string} Normalized model name
+   * @returns {string|null} Pricing key, or null when the model has no price
    */
   normalizeModel(model) {
+    if (!model) return null
     const lower = model.toLowerCase()
+    if (this.pricing[lower]) return lower
+
+    const match = Object.keys(this.pricing)
+      .filter(key => lower.includes(key))
+      .sort((a, b) => b.length - a.length)[0]
+    if (match) return match
 
+    // Bare aliases (MODEL=sonnet for the Claude CLI)
     if (lower.includes('sonnet')) return 'claude-3-5-sonnet'
     if (lower.includes('haiku')) return 'claude-3-haiku'
     if (lower.includes('opus')) return 'claude-3-opus'
 
-    // Default to Sonnet if unknown
-    return 'claude-3-5-sonnet'
+    return null
+  }
+
+  /**
+   * What the budget policy says about the next request.
+   *
+   * @param {Object} [request]
+   * @param {boolean} [request.owner] - Request comes from the bot owner
+   * @returns {{action: 'allow'|'downgrade'|'refuse', model?: string, reason?: string}}
+   */
+  budgetAction({ owner = false } = {}) {
+    this.checkRollover()
+    if (this.isWithinBudget()) return { action: 'allow' }
+
+    if (this.policy === 'downgrade' && this.downgradeModel) {
+      return { action: 'downgrade', model: this.downgradeModel }
+    }
+    if (this.policy === 'refuse' && !owner) {
+      const daily = this.usage.daily.cost >= this.dailyBudget
+      return {
+        action: 'refuse',
+        reason: daily
+          ? `I've reached my daily spending limit ($${this.dailyBudget}). Try again tomorrow.`
+          : `I've reached my monthly spending limit ($${this.monthlyBudget}). Try again next month.`
+      }
+    }
+    return { action: 'allow' }
   }
 
   /**
@@ -156,7 +300,7 @@ export default class CostTracker {
         calls: this.usage.daily.calls
       })
 
-      this.usage.daily = { tokens: 0, cost: 0, calls: 0, date: today }
+      this.usage.daily = this._emptyPeriod({ date: today })
     }
 
     // Reset monthly if new month
@@ -167,7 +311,7 @@ export default class CostTracker {
         calls: this.usage.monthly.calls
       })
 
-      this.usage.monthly = { tokens: 0, cost: 0, calls: 0, month: currentMonth }
+      this.usage.monthly = this._emptyPeriod({ month: currentMonth })
     }
   }
 
@@ -180,6 +324,7 @@ export default class CostTracker {
     this.checkRollover()
 
     return {
+      policy: this.policy,
       daily: {
         ...this.usage.daily,
         budget: this.dailyBudget,
@@ -204,6 +349,11 @@ export default class CostTracker {
     return this.usage.daily.cost < this.dailyBudget && this.usage.monthly.cost < this.monthlyBudget
   }
 
+  /** @private */
+  _emptyPeriod(key = {}) {
+    return { tokens: 0, cost: 0, calls: 0, cacheReadTokens: 0, cacheWriteTokens: 0, byContext: {}, byModel: {}, ...key }
+  }
+
   /**
    * Get today's date string (YYYY-MM-DD).
    * @private
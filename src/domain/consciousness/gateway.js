@@ -1,6 +1,9 @@
 import { readFileSync, readdirSync } from 'node:fs'
 import { join } from 'node:path'
 import defaultLogger from '../../infrastructure/logger.js'
+import {
+  parseJSON, parseStructured, schemaFromExample, retryInstruction, SchemaValidationError
+} from '../../infrastructure/structured-output.js'
 
 /**
  * Consciousness Gateway — domain port for the fast secondary model.
@@ -9,6 +12,12 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Any subsystem calls evaluate(expertName, taskName, data) → Object|null.
  * Returns null on any failure (adapter error, JSON parse, timeout, disabled).
  * Callers treat null as "fall back to heuristic".
+ *
+ * Each task's reply is checked against a JSON Schema: the task's
+ * `outputSchema`, else one derived from its example `outputFormat`. The
+ * schema goes to the adapter as `{ responseSchema }` (API adapters constrain
+ * the reply natively); a reply that does not match is retried once with the
+ * violations, then counted as a failure.
  */
 export default class ConsciousnessGateway {
   constructor({ adapter, profilesDir, logger = defaultLogger, enabled = true } = {}) {
@@ -47,12 +56,12 @@ export default class ConsciousnessGateway {
     }
 
     const taskPrompt = this._interpolate(task.promptTemplate, data)
+    const schema = this._schemaFor(task)
 
     this._stats.calls++
     const evalStart = Date.now()
     try {
-      const raw = await this.adapter.call(profile.systemPrompt, taskPrompt)
-      const result = this._parseJSON(raw)
+      const result = await this._callStructured(profile.systemPrompt, taskPrompt, schema, { expertName, taskName })
       this._stats.successes++
       return result
     } catch (error) {
@@ -121,29 +130,31 @@ export default class ConsciousnessGateway {
   }
 
   /**
-   * Parse JSON from model response, stripping markdown fences if present.
-   * Also handles preamble text before JSON (model ignored "JSON only" instruction).
+   * JSON Schema a task's reply must match, or null when the task declares none.
    * @private
    */
-  _parseJSON(raw) {
-    let cleaned = raw.trim()
+  _schemaFor(task) {
+    if (task.outputSchema) return task.outputSchema
+    return task.outputFormat ? schemaFromExample(task.outputFormat) : null
+  }
 
-    // Strip markdown code fences (```json ... ``` or ``` ... ```)
-    const fenceMatch = cleaned.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
-    if (fenceMatch) {
-      cleaned = fenceMatch[1].trim()
-    }
+  /**
+   * Call the adapter and validate the reply, retrying once with the
+   * violations appended to the task prompt.
+   * @private
+   */
+  async _callStructured(systemPrompt, taskPrompt, schema, context) {
+    // parseJSON strips fences and any text around the JSON
+    if (!schema) return parseJSON(await this.adapter.call(systemPrompt, taskPrompt))
 
-    // Try direct parse first
+    const raw = await this.adapter.call(systemPrompt, taskPrompt, { responseSchema: schema })
     try {
-      return JSON.parse(cleaned)
-    } catch {
-      // If model added preamble text before JSON, extract from first { or [
-      const jsonStart = cleaned.search(/[{[]/)
-      if (jsonStart > 0) {
-        return JSON.parse(cleaned.slice(jsonStart))
-      }
-      throw new SyntaxError('No valid JSON found in response')
+      return parseStructured(raw, schema)
+    } catch (error) {
+      if (!(error instanceof SchemaValidationError)) throw error
+      this.logger.warn('consciousness', 'schema_retry', { ...context, errors: error.errors.slice(0, 3) })
+      const retryPrompt = `${taskPrompt}\n\nYour previous reply:\n${raw}\n\n${retryInstruction(error)}`
+      return parseStructured(await this.adapter.call(systemPrompt, retryPrompt, { responseSchema: schema }), schema)
     }
   }
 }
@@ -6,6 +6,18 @@ import defaultLogger from '../../infrastructure/logger.js'
  * Each tool is a { definition, execute } object:
  *   - definition: Anthropic tool_use format (name, description, input_schema)
  *   - execute(input, opts): async function that performs the action
+ *
+ * opts carries the logger plus the conversation the call came from
+ * (`context: { chatId, userId, channel }`) for tools that act on behalf
+ * of the current chat, like the scheduler tools.
+ *
+ * Optional concurrency hints, next to definition (which goes to the
+ * provider as-is):
+ *   - readOnly: true      — no side effects; runs alongside other calls
+ *   - parallelSafe: true  — has side effects, but calls never interfere
+ *   - workspace(input)    — key of the workspace the call touches; writes
+ *                           to one workspace run one at a time
+ * A tool with none of them runs alone.
  */
 export class ToolRegistry {
   constructor() {
@@ -16,24 +28,45 @@ export class ToolRegistry {
     this._tools.set(tool.definition.name, tool)
   }
 
+  has(name) {
+    return this._tools.has(name)
+  }
+
   getDefinitions() {
     return Array.from(this._tools.values()).map(t => t.definition)
   }
 
-  async executeTool(name, input, { logger = defaultLogger } = {}) {
+  async executeTool(name, input, { logger = defaultLogger, context = {} } = {}) {
     const tool = this._tools.get(name)
     if (!tool) {
       return { result: `Unknown tool: ${name}`, isError: true }
     }
 
     try {
-      const result = await tool.execute(input, { logger })
+      const result = await tool.execute(input, { logger, context })
       return { result: typeof result === 'string' ? result : JSON.stringify(result), isError: false }
     } catch (error) {
       return { result: `Tool error: ${error.message}`, isError: true }
     }
   }
 
+  /**
+   * How a call may overlap with other calls in the same turn.
+   * @param {string} name
+   * @param {Object} input
+   * @returns {{mode: 'read'|'parallel'|'write'|'exclusive', workspace: string|null}}
+   */
+  getConcurrency(name, input = {}) {
+    const tool = this._tools.get(name)
+    // Unknown tools fail without doing anything
+    if (!tool) return { mode: 'parallel', workspace: null }
+
+    const workspace = tool.workspace?.(input) || null
+    if (tool.parallelSafe) return { mode: 'parallel', workspace }
+    if (tool.readOnly) return { mode: 'read', workspace }
+    return { mode: workspace ? 'write' : 'exclusive', workspace }
+  }
+
   get size() {
     return this._tools.size
   }
@@ -8,10 +8,11 @@ const STATUSES = ['queued', 'started', 'completed', 'failed', 'cancelled']
  * Lifecycle: queued → started → completed | failed | cancelled
  */
 export default class Task {
-  constructor({ chatId, channel, sessionId, input }) {
+  constructor({ chatId, channel, threadId = null, sessionId, input }) {
     this.id = randomBytes(8).toString('hex')
     this.chatId = chatId
     this.channel = channel
+    this.threadId = threadId
     this.sessionId = sessionId
     this.input = input
     this.status = 'queued'
@@ -58,6 +59,7 @@ export default class Task {
       id: this.id,
       chatId: this.chatId,
       channel: this.channel,
+      threadId: this.threadId,
       sessionId: this.sessionId,
       input: this.input,
       status: this.status,
@@ -1,7 +1,7 @@
 import { appendFile, readFile, readdir, mkdir } from 'node:fs/promises'
 import { join } from 'node:path'
 import defaultLogger from '../../infrastructure/logger.js'
-import { THINKING_START } from '../../infrastructure/events.js'
+import { THINKING_START, MESSAGE_DELTA } from '../../infrastructure/events.js'
 
 /**
  * AuditTrail - JSONL persistence for signals.
@@ -19,12 +19,12 @@ export default class AuditTrail {
    * @param {string} dataDir - Base data directory (e.g. ~/.kenobot/data)
    * @param {Object} [options]
    * @param {Object} [options.logger]
-   * @param {Set<string>} [options.exclude] - Signal types to skip (default: THINKING_START)
+   * @param {Set<string>} [options.exclude] - Signal types to skip (default: THINKING_START, MESSAGE_DELTA)
    */
   constructor(dataDir, { logger = defaultLogger, exclude } = {}) {
     this.signalDir = join(dataDir, 'nervous', 'signals')
     this.logger = logger
-    this.exclude = exclude || new Set([THINKING_START])
+    this.exclude = exclude || new Set([THINKING_START, MESSAGE_DELTA])
     this._dirReady = false
   }
 
@@ -35,6 +35,7 @@ export default class NervousSystem extends EventEmitter {
     this.setMaxListeners(0)
     this.logger = logger
     this._middleware = []
+    this._taps = new Set()
     this._stats = { fired: 0, inhibited: 0, byType: {} }
 
     // Audit trail (optional — requires dataDir)
@@ -77,6 +78,15 @@ export default class NervousSystem extends EventEmitter {
     this._stats.fired++
     this._stats.byType[type] = (this._stats.byType[type] || 0) + 1
 
+    // Taps see the full envelope, in delivery order (a tap must never break delivery)
+    for (const tap of this._taps) {
+      try {
+        tap(signal)
+      } catch (error) {
+        this.logger.warn('nervous', 'tap_failed', { type, error: error.message })
+      }
+    }
+
     // Deliver to listeners (raw payload, backward compatible)
     super.emit(type, payload)
 
@@ -95,6 +105,20 @@ export default class NervousSystem extends EventEmitter {
     this._middleware.push(fn)
   }
 
+  /**
+   * Observe every delivered signal (after middleware, before listeners).
+   *
+   * For live views such as the signal WebSocket. Unlike middleware, taps
+   * cannot inhibit; unlike on(), they get the Signal envelope for every type.
+   *
+   * @param {Function} fn - (signal) => void
+   * @returns {Function} Call to remove the tap
+   */
+  tap(fn) {
+    this._taps.add(fn)
+    return () => this._taps.delete(fn)
+  }
+
   /**
    * Get the audit trail instance (for querying).
    * @returns {AuditTrail|null}
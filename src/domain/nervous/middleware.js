@@ -1,4 +1,4 @@
-import { MESSAGE_IN, MESSAGE_OUT, THINKING_START } from '../../infrastructure/events.js'
+import { MESSAGE_IN, MESSAGE_OUT, MESSAGE_DELTA, THINKING_START } from '../../infrastructure/events.js'
 
 /**
  * Built-in middleware for the Nervous System.
@@ -40,7 +40,7 @@ export function createTraceMiddleware() {
  * Logging middleware.
  *
  * Logs every signal through the structured logger.
- * Skips noisy signals (THINKING_START) by default.
+ * Skips noisy signals (THINKING_START, MESSAGE_DELTA) by default.
  *
  * Inspired by: EIP Wire Tap pattern.
  *
@@ -49,7 +49,7 @@ export function createTraceMiddleware() {
  * @param {Set<string>} [options.quiet] - Signal types to skip logging
  */
 export function createLoggingMiddleware(logger, { quiet } = {}) {
-  const skip = quiet || new Set([THINKING_START])
+  const skip = quiet || new Set([THINKING_START, MESSAGE_DELTA])
 
   return (signal) => {
     if (skip.has(signal.type)) return
@@ -1,8 +1,9 @@
 /**
  * ResponseTracker - Ring buffer for message response metrics.
  *
- * Tracks latency, errors, and tool iterations for the last N responses.
- * Provides aggregate stats (avg, max, p95, error rate) for observability.
+ * Tracks latency, errors, tool iterations and the provider that answered
+ * for the last N responses.
+ * Provides aggregate stats (avg, max, p95, error rate, answers per provider) for observability.
  *
  * Pure data structure — no dependencies, no side effects.
  */
@@ -19,9 +20,10 @@ export default class ResponseTracker {
    * @param {number} entry.durationMs - Response time in milliseconds
    * @param {boolean} [entry.error=false] - Whether the response was an error
    * @param {number} [entry.toolIterations=0] - Number of tool iterations used
+   * @param {string} [entry.provider] - Provider that answered (a fallback when the primary failed)
    */
-  record({ durationMs, error = false, toolIterations = 0 }) {
-    this._buffer.push({ durationMs, error, toolIterations, timestamp: Date.now() })
+  record({ durationMs, error = false, toolIterations = 0, provider = null }) {
+    this._buffer.push({ durationMs, error, toolIterations, provider, timestamp: Date.now() })
     if (this._buffer.length > this._capacity) this._buffer.shift()
 
     this._totals.count++
@@ -36,6 +38,10 @@ export default class ResponseTracker {
   getStats() {
     const recent = this._buffer
     const durations = recent.map(r => r.durationMs)
+    const providers = {}
+    for (const { provider } of recent) {
+      if (provider) providers[provider] = (providers[provider] || 0) + 1
+    }
 
     return {
       total: this._totals.count,
@@ -44,7 +50,8 @@ export default class ResponseTracker {
       avgMs: recent.length > 0 ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : 0,
       maxMs: recent.length > 0 ? Math.max(...durations) : 0,
       p95Ms: this._percentile(durations, 0.95),
-      errorRate: this._totals.count > 0 ? ((this._totals.errors / this._totals.count) * 100).toFixed(1) : '0.0'
+      errorRate: this._totals.count > 0 ? ((this._totals.errors / this._totals.count) * 100).toFixed(1) : '0.0',
+      providers
     }
   }
 
@@ -7,8 +7,10 @@
 export {
   MESSAGE_IN,
   MESSAGE_OUT,
+  MESSAGE_DELTA,
   THINKING_START,
   NOTIFICATION,
+  NOTIFICATION_ACTION,
   ERROR,
   CONFIG_CHANGED,
   HEALTH_DEGRADED,
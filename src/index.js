@@ -21,6 +21,8 @@ import './adapters/providers/gemini-cli.js'
 import './adapters/providers/gemini-api.js'
 import './adapters/providers/cerebras-api.js'
 import './adapters/providers/codex-cli.js'
+import './adapters/providers/openai-compatible.js'
+import './adapters/providers/replay.js'
 import { createProvider } from './adapters/providers/registry.js'
 import { createApp } from './app.js'
 
@@ -0,0 +1,350 @@
+import { join } from 'node:path'
+
+/**
+ * Parse and validate a number (integer unless `parse` says otherwise) from an env object.
+ * Returns errors array instead of calling process.exit().
+ */
+function envNumber(env, key, fallback, { min, max, parse = raw => parseInt(raw, 10) } = {}) {
+  const raw = env[key]
+  if (!raw) return { value: fallback, errors: [] }
+  const val = parse(raw)
+  const errors = []
+  if (Number.isNaN(val)) {
+    errors.push({ type: 'config_invalid', key, value: raw, hint: 'must be a number' })
+    return { value: fallback, errors }
+  }
+  if (min !== undefined && val < min) {
+    errors.push({ type: 'config_out_of_range', key, value: val, min })
+    return { value: fallback, errors }
+  }
+  if (max !== undefined && val > max) {
+    errors.push({ type: 'config_out_of_range', key, value: val, max })
+    return { value: fallback, errors }
+  }
+  return { value: val, errors: [] }
+}
+
+/**
+ * Parse PROVIDER_FALLBACKS: comma-separated `provider[:model]` entries, in order.
+ * API providers without a model use their own default; CLI providers and
+ * openai-compatible (whose models depend on the server) need one.
+ */
+function parseProviderFallbacks(raw = '') {
+  const fallbacks = []
+  const errors = []
+  for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+    const at = entry.indexOf(':')
+    const provider = at === -1 ? entry : entry.slice(0, at)
+    const model = at === -1 ? null : entry.slice(at + 1) || null
+    if (!model && (provider.endsWith('-cli') || provider === 'openai-compatible')) {
+      errors.push({ type: 'config_invalid', key: 'PROVIDER_FALLBACKS', value: entry, hint: `${provider} needs a model, e.g. ${provider}:<model>` })
+      continue
+    }
+    fallbacks.push({ provider, model })
+  }
+  return { fallbacks, errors }
+}
+
+const TOOL_DIALECTS = ['tools', 'functions', 'none']
+const RESPONSE_FORMATS = ['json_schema', 'none']
+const BUDGET_POLICIES = ['warn', 'downgrade', 'refuse']
+
+/**
+ * Parse OPENAI_COMPATIBLE_* settings for the openai-compatible provider.
+ * Headers are a JSON object; the tool dialect is one of TOOL_DIALECTS and
+ * the response format one of RESPONSE_FORMATS.
+ */
+function parseOpenAICompatible(env) {
+  const errors = []
+  let headers = {}
+  if (env.OPENAI_COMPATIBLE_HEADERS) {
+    try {
+      headers = JSON.parse(env.OPENAI_COMPATIBLE_HEADERS)
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers)) throw new Error('not an object')
+    } catch {
+      headers = {}
+      errors.push({ type: 'config_invalid', key: 'OPENAI_COMPATIBLE_HEADERS', value: env.OPENAI_COMPATIBLE_HEADERS, hint: 'must be a JSON object, e.g. {"X-Api-Version":"2"}' })
+    }
+  }
+
+  let toolDialect = env.OPENAI_COMPATIBLE_TOOL_DIALECT || 'tools'
+  if (!TOOL_DIALECTS.includes(toolDialect)) {
+    errors.push({ type: 'config_invalid', key: 'OPENAI_COMPATIBLE_TOOL_DIALECT', value: toolDialect, hint: `must be one of ${TOOL_DIALECTS.join(', ')}` })
+    toolDialect = 'tools'
+  }
+
+  let responseFormat = env.OPENAI_COMPATIBLE_RESPONSE_FORMAT || 'json_schema'
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    errors.push({ type: 'config_invalid', key: 'OPENAI_COMPATIBLE_RESPONSE_FORMAT', value: responseFormat, hint: `must be one of ${RESPONSE_FORMATS.join(', ')}` })
+    responseFormat = 'json_schema'
+  }
+
+  return {
+    openaiCompatible: {
+      baseUrl: env.OPENAI_COMPATIBLE_BASE_URL || '',
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY || '',
+      headers,
+      toolDialect,
+      responseFormat
+    },
+    errors
+  }
+}
+
+/**
+ * Parse COST_PRICING: a JSON object of model → { input, output, cacheWrite?, cacheRead? }
+ * USD per 1M tokens.
+ */
+function parseCostPricing(raw) {
+  if (!raw) return { pricing: {}, errors: [] }
+  const invalid = { pricing: {}, errors: [{ type: 'config_invalid', key: 'COST_PRICING', value: raw, hint: 'must be a JSON object like {"qwen2.5:7b":{"input":0,"output":0}}' }] }
+  let pricing
+  try {
+    pricing = JSON.parse(raw)
+  } catch {
+    return invalid
+  }
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) return invalid
+  const optional = value => value === undefined || typeof value === 'number'
+  const valid = Object.values(pricing).every(p =>
+    typeof p?.input === 'number' && typeof p?.output === 'number' && optional(p.cacheWrite) && optional(p.cacheRead))
+  return valid ? { pricing, errors: [] } : invalid
+}
+
+const ROUTER_TIERS = ['fast', 'standard', 'deep']
+
+/**
+ * Parse ROUTER_MODELS: comma-separated `tier:model` entries. The standard
+ * tier defaults to MODEL; tiers left out fall back to standard.
+ */
+function parseRouterModels(raw = '', defaultModel) {
+  const models = { standard: defaultModel }
+  const errors = []
+  for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+    const at = entry.indexOf(':')
+    const tier = entry.slice(0, at)
+    const model = entry.slice(at + 1)
+    if (at === -1 || !ROUTER_TIERS.includes(tier) || !model) {
+      errors.push({ type: 'config_invalid', key: 'ROUTER_MODELS', value: entry, hint: `expected tier:model with tier one of ${ROUTER_TIERS.join(', ')}` })
+      continue
+    }
+    models[tier] = model
+  }
+  for (const tier of ROUTER_TIERS) models[tier] ||= models.standard
+  return { models, errors }
+}
+
+const SUMMARY_MODES = ['consciousness', 'provider', 'off']
+
+/**
+ * Parse CONTEXT_WINDOWS: comma-separated `model:tokens` entries extending the
+ * built-in context window table (token-budget.js). Split at the last colon,
+ * so Ollama-style names like `qwen2.5:7b:32768` work.
+ */
+function parseContextWindows(raw = '') {
+  const windows = {}
+  const errors = []
+  for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+    const at = entry.lastIndexOf(':')
+    const model = entry.slice(0, at)
+    const tokens = parseInt(entry.slice(at + 1), 10)
+    if (at === -1 || !model || !(tokens > 0)) {
+      errors.push({ type: 'config_invalid', key: 'CONTEXT_WINDOWS', value: entry, hint: 'expected model:tokens, e.g. llama3.1-8b:8192' })
+      continue
+    }
+    windows[model] = tokens
+  }
+  return { windows, errors }
+}
+
+const list = raw => raw?.split(',').map(s => s.trim()).filter(Boolean)
+
+// TOOL_CONCURRENCY default, shared with AgentLoop and TaskRunner
+export const DEFAULT_TOOL_CONCURRENCY = 4
+
+/**
+ * Create a config object from an environment map.
+ * Pure function — no side effects, no process.exit().
+ * Tests and multi-instance scenarios can call this directly.
+ */
+export function createConfig(env = process.env) {
+  const errors = []
+
+  const int = (key, fallback, opts) => {
+    const { value, errors: errs } = envNumber(env, key, fallback, opts)
+    errors.push(...errs)
+    return value
+  }
+  const float = (key, fallback, opts) => int(key, fallback, { ...opts, parse: parseFloat })
+
+  const providerFallbacks = parseProviderFallbacks(env.PROVIDER_FALLBACKS)
+  errors.push(...providerFallbacks.errors)
+
+  const { openaiCompatible, errors: openaiCompatibleErrors } = parseOpenAICompatible(env)
+  errors.push(...openaiCompatibleErrors)
+
+  const { pricing: costPricing, errors: costPricingErrors } = parseCostPricing(env.COST_PRICING)
+  errors.push(...costPricingErrors)
+
+  let budgetPolicy = env.COST_BUDGET_POLICY || 'warn'
+  if (!BUDGET_POLICIES.includes(budgetPolicy)) {
+    errors.push({ type: 'config_invalid', key: 'COST_BUDGET_POLICY', value: budgetPolicy, hint: `must be one of ${BUDGET_POLICIES.join(', ')}` })
+    budgetPolicy = 'warn'
+  }
+  if (budgetPolicy === 'downgrade' && !env.COST_DOWNGRADE_MODEL) {
+    errors.push({ type: 'config_invalid', key: 'COST_DOWNGRADE_MODEL', value: '', hint: 'required when COST_BUDGET_POLICY=downgrade' })
+  }
+
+  const contextWindows = parseContextWindows(env.CONTEXT_WINDOWS)
+  errors.push(...contextWindows.errors)
+
+  let summaryMode = env.CONTEXT_SUMMARY || 'consciousness'
+  if (!SUMMARY_MODES.includes(summaryMode)) {
+    errors.push({ type: 'config_invalid', key: 'CONTEXT_SUMMARY', value: summaryMode, hint: `must be one of ${SUMMARY_MODES.join(', ')}` })
+    summaryMode = 'consciousness'
+  }
+
+  const routerModels = parseRouterModels(env.ROUTER_MODELS, env.MODEL || 'sonnet')
+  errors.push(...routerModels.errors)
+
+  const rawLogLevel = (env.LOG_LEVEL || 'info').toLowerCase()
+  const validLogLevels = ['debug', 'info', 'warn', 'error']
+
+  const config = {
+    logLevel: validLogLevels.includes(rawLogLevel) ? rawLogLevel : 'info',
+    provider: env.PROVIDER || 'claude-cli',
+    model: env.MODEL || 'sonnet',
+    providerFallbacks: providerFallbacks.fallbacks,
+    openaiCompatible,
+    // Recorded provider exchanges (PROVIDER_RECORD) served by PROVIDER=replay
+    fixtures: {
+      dir: env.PROVIDER_FIXTURES_DIR || join(env.DATA_DIR || './data', 'fixtures'),
+      record: env.PROVIDER_RECORD === 'true'
+    },
+    telegram: {
+      token: env.TELEGRAM_BOT_TOKEN,
+      allowedUsers: env.TELEGRAM_ALLOWED_USERS?.split(',').map(id => id.trim()) || [],
+      allowedChatIds: env.TELEGRAM_ALLOWED_CHAT_IDS?.split(',').map(id => id.trim()) || [],
+      debounceMs: int('TELEGRAM_DEBOUNCE_MS', 5000, { min: 0, max: 30000 }),
+      streamEditMs: int('TELEGRAM_STREAM_EDIT_MS', 1000, { min: 0, max: 10000 }),
+      threadSessions: env.TELEGRAM_THREAD_SESSIONS === 'true',
+      webhookUrl: env.TELEGRAM_WEBHOOK_URL || '',
+      webhookSecret: env.TELEGRAM_WEBHOOK_SECRET || '',
+    },
+
+    discord: {
+      token: env.DISCORD_BOT_TOKEN || '',
+      allowedUsers: env.DISCORD_ALLOWED_USERS?.split(',').map(id => id.trim()) || [],
+      allowedChatIds: env.DISCORD_ALLOWED_CHANNEL_IDS?.split(',').map(id => id.trim()) || [],
+    },
+
+    dataDir: env.DATA_DIR || './data',
+    memoryDir: env.MEMORY_DIR || null,
+    memoryDays: int('MEMORY_DAYS', 3, { min: 0, max: 30 }),
+    memoryRetentionDays: int('MEMORY_RETENTION_DAYS', 30, { min: 1, max: 365 }),
+    workingMemoryStaleThreshold: int('WORKING_MEMORY_STALE_DAYS', 7, { min: 1, max: 30 }),
+    sessionHistoryLimit: int('SESSION_HISTORY_LIMIT', 20, { min: 1 }),
+
+    // Token budget for the context sent with each message (0 disables it)
+    context: {
+      maxTokens: int('CONTEXT_MAX_TOKENS', 32000, { min: 0 }),
+      reserveTokens: int('CONTEXT_RESERVE_TOKENS', 4096, { min: 0 }),
+      historyMessages: int('CONTEXT_HISTORY_MESSAGES', 100, { min: 1 }),
+      windows: contextWindows.windows,
+      summary: summaryMode,
+      summaryMinMessages: int('CONTEXT_SUMMARY_MIN_MESSAGES', 10, { min: 1 }),
+      summaryModel: env.CONTEXT_SUMMARY_MODEL || null
+    },
+
+    enableScheduler: env.ENABLE_SCHEDULER !== 'false',
+    timezone: env.TIMEZONE || '',
+
+    watchdogInterval: int('WATCHDOG_INTERVAL', 60000, { min: 5000 }),
+
+    maxToolIterations: int('MAX_TOOL_ITERATIONS', 15, { min: 1, max: 20 }),
+    toolConcurrency: int('TOOL_CONCURRENCY', DEFAULT_TOOL_CONCURRENCY, { min: 1, max: 16 }),
+
+    circuitBreaker: {
+      threshold: int('CIRCUIT_BREAKER_THRESHOLD', 5, { min: 1 }),
+      cooldown: int('CIRCUIT_BREAKER_COOLDOWN', 60000, { min: 1000 })
+    },
+
+    router: {
+      enabled: env.ROUTER_ENABLED === 'true',
+      models: routerModels.models,
+      shortChars: int('ROUTER_SHORT_CHARS', 80, { min: 0 }),
+      longChars: int('ROUTER_LONG_CHARS', 1500, { min: 1 }),
+      classify: env.ROUTER_CLASSIFY === 'true',
+      // Unset keeps the router's built-in keyword lists
+      ...(env.ROUTER_TASK_KEYWORDS !== undefined && { taskKeywords: list(env.ROUTER_TASK_KEYWORDS) }),
+      ...(env.ROUTER_TOOL_KEYWORDS !== undefined && { toolKeywords: list(env.ROUTER_TOOL_KEYWORDS) })
+    },
+
+    cost: {
+      dailyBudget: float('COST_DAILY_BUDGET', 1.0, { min: 0 }),
+      monthlyBudget: float('COST_MONTHLY_BUDGET', 30.0, { min: 0 }),
+      policy: budgetPolicy,
+      downgradeModel: env.COST_DOWNGRADE_MODEL || null,
+      pricing: costPricing,
+      // Owners are never refused by the budget policy
+      owners: env.COST_BUDGET_OWNERS
+        ? env.COST_BUDGET_OWNERS.split(',').map(id => id.trim()).filter(Boolean)
+        : env.TELEGRAM_ALLOWED_USERS?.split(',').map(id => id.trim()).slice(0, 1) || []
+    },
+
+    http: {
+      enabled: env.HTTP_ENABLED === 'true',
+      port: int('HTTP_PORT', 3000, { min: 0, max: 65535 }),
+      host: env.HTTP_HOST || '127.0.0.1',
+      webhookSecret: env.WEBHOOK_SECRET || '',
+      timeout: int('HTTP_TIMEOUT', 60000, { min: 1000 })
+    },
+
+    chatSocket: {
+      enabled: env.CHAT_SOCKET_ENABLED !== 'false',
+      path: env.CHAT_SOCKET_PATH || join(env.DATA_DIR || './data', 'chat.sock'),
+    },
+
+    motor: {
+      githubUsername: env.GITHUB_USERNAME || '',
+      selfRepo: env.MOTOR_SELF_REPO || '',
+      workspacesDir: env.MOTOR_WORKSPACES_DIR || join(env.DATA_DIR || './data', 'motor', 'workspaces'),
+      shellTimeout: int('MOTOR_SHELL_TIMEOUT', 60000, { min: 5000, max: 300000 }),
+      shellMaxOutput: int('MOTOR_SHELL_MAX_OUTPUT', 102400, { min: 1024 }),
+      maxTaskIterations: int('MAX_TASK_ITERATIONS', 30, { min: 1, max: 50 }),
+      maxConcurrentTasks: int('MAX_CONCURRENT_TASKS', 1, { min: 1, max: 5 }),
+    },
+
+    consciousness: {
+      enabled: env.CONSCIOUSNESS_ENABLED !== 'false',
+      provider: env.CONSCIOUSNESS_PROVIDER || 'gemini-cli',
+      model: env.CONSCIOUSNESS_MODEL || 'gemini-2.0-flash',
+      timeout: int('CONSCIOUSNESS_TIMEOUT', 30000, { min: 5000, max: 120000 }),
+    },
+
+    consolidation: {
+      provider: env.CONSOLIDATION_PROVIDER || env.CONSCIOUSNESS_PROVIDER || 'gemini-cli',
+      model: env.CONSOLIDATION_MODEL || env.CONSCIOUSNESS_MODEL || 'gemini-2.0-flash',
+      timeout: int('CONSOLIDATION_TIMEOUT', int('CONSCIOUSNESS_TIMEOUT', 60000, { min: 5000, max: 300000 }), { min: 5000, max: 300000 }),
+    },
+
+    embedding: {
+      enabled: env.EMBEDDING_ENABLED === 'true',
+      provider: env.EMBEDDING_PROVIDER || 'gemini-embedding',
+      model: env.EMBEDDING_MODEL || 'gemini-embedding-001',
+      backend: env.EMBEDDING_BACKEND || 'jsonl',
+      dimensions: int('EMBEDDING_DIMENSIONS', 768, { min: 128, max: 3072 }),
+    },
+
+    api: {
+      enabled: env.API_ENABLED === 'true',
+      apiKey: env.API_KEY || '',
+      corsOrigin: env.API_CORS_ORIGIN || '*',
+      timeout: int('API_TIMEOUT', 120000, { min: 5000 }),
+      rateLimit: int('API_RATE_LIMIT', 60, { min: 1, max: 600 }),
+      distPath: env.API_DIST_PATH || '',
+    },
+  }
+
+  return { config, errors }
+}
@@ -1,130 +1,11 @@
 import { config as loadEnv } from 'dotenv'
-import { join } from 'node:path'
 import { parseArgs } from 'node:util'
 import logger from './logger.js'
+import { createConfig } from './config-factory.js'
 
-/**
- * Parse and validate an integer from an env object.
- * Returns errors array instead of calling process.exit().
- */
-function envInt(env, key, fallback, { min, max } = {}) {
-  const raw = env[key]
-  if (!raw) return { value: fallback, errors: [] }
-  const val = parseInt(raw, 10)
-  const errors = []
-  if (Number.isNaN(val)) {
-    errors.push({ type: 'config_invalid', key, value: raw, hint: 'must be a number' })
-    return { value: fallback, errors }
-  }
-  if (min !== undefined && val < min) {
-    errors.push({ type: 'config_out_of_range', key, value: val, min })
-    return { value: fallback, errors }
-  }
-  if (max !== undefined && val > max) {
-    errors.push({ type: 'config_out_of_range', key, value: val, max })
-    return { value: fallback, errors }
-  }
-  return { value: val, errors: [] }
-}
-
-/**
- * Create a config object from an environment map.
- * Pure function — no side effects, no process.exit().
- * Tests and multi-instance scenarios can call this directly.
- */
-export function createConfig(env = process.env) {
-  const errors = []
-
-  const int = (key, fallback, opts) => {
-    const { value, errors: errs } = envInt(env, key, fallback, opts)
-    errors.push(...errs)
-    return value
-  }
-
-  const rawLogLevel = (env.LOG_LEVEL || 'info').toLowerCase()
-  const validLogLevels = ['debug', 'info', 'warn', 'error']
-
-  const config = {
-    logLevel: validLogLevels.includes(rawLogLevel) ? rawLogLevel : 'info',
-    provider: env.PROVIDER || 'claude-cli',
-    model: env.MODEL || 'sonnet',
-    telegram: {
-      token: env.TELEGRAM_BOT_TOKEN,
-      allowedUsers: env.TELEGRAM_ALLOWED_USERS?.split(',').map(id => id.trim()) || [],
-      allowedChatIds: env.TELEGRAM_ALLOWED_CHAT_IDS?.split(',').map(id => id.trim()) || [],
-      debounceMs: int('TELEGRAM_DEBOUNCE_MS', 5000, { min: 0, max: 30000 }),
-    },
-
-    dataDir: env.DATA_DIR || './data',
-    memoryDir: env.MEMORY_DIR || null,
-    memoryDays: int('MEMORY_DAYS', 3, { min: 0, max: 30 }),
-    memoryRetentionDays: int('MEMORY_RETENTION_DAYS', 30, { min: 1, max: 365 }),
-    workingMemoryStaleThreshold: int('WORKING_MEMORY_STALE_DAYS', 7, { min: 1, max: 30 }),
-    sessionHistoryLimit: int('SESSION_HISTORY_LIMIT', 20, { min: 1 }),
-
-    enableScheduler: env.ENABLE_SCHEDULER !== 'false',
-    timezone: env.TIMEZONE || '',
-
-    watchdogInterval: int('WATCHDOG_INTERVAL', 60000, { min: 5000 }),
-
-    maxToolIterations: int('MAX_TOOL_ITERATIONS', 15, { min: 1, max: 20 }),
-
-    circuitBreaker: {
-      threshold: int('CIRCUIT_BREAKER_THRESHOLD', 5, { min: 1 }),
-      cooldown: int('CIRCUIT_BREAKER_COOLDOWN', 60000, { min: 1000 })
-    },
-
-    http: {
-      enabled: env.HTTP_ENABLED === 'true',
-      port: int('HTTP_PORT', 3000, { min: 0, max: 65535 }),
-      host: env.HTTP_HOST || '127.0.0.1',
-      webhookSecret: env.WEBHOOK_SECRET || '',
-      timeout: int('HTTP_TIMEOUT', 60000, { min: 1000 })
-    },
-
-    motor: {
-      githubUsername: env.GITHUB_USERNAME || '',
-      selfRepo: env.MOTOR_SELF_REPO || '',
-      workspacesDir: env.MOTOR_WORKSPACES_DIR || join(env.DATA_DIR || './data', 'motor', 'workspaces'),
-      shellTimeout: int('MOTOR_SHELL_TIMEOUT', 60000, { min: 5000, max: 300000 }),
-      shellMaxOutput: int('MOTOR_SHELL_MAX_OUTPUT', 102400, { min: 1024 }),
-      maxTaskIterations: int('MAX_TASK_ITERATIONS', 30, { min: 1, max: 50 }),
-      maxConcurrentTasks: int('MAX_CONCURRENT_TASKS', 1, { min: 1, max: 5 }),
-    },
-
-    consciousness: {
-      enabled: env.CONSCIOUSNESS_ENABLED !== 'false',
-      provider: env.CONSCIOUSNESS_PROVIDER || 'gemini-cli',
-      model: env.CONSCIOUSNESS_MODEL || 'gemini-2.0-flash',
-      timeout: int('CONSCIOUSNESS_TIMEOUT', 30000, { min: 5000, max: 120000 }),
-    },
-
-    consolidation: {
-      provider: env.CONSOLIDATION_PROVIDER || env.CONSCIOUSNESS_PROVIDER || 'gemini-cli',
-      model: env.CONSOLIDATION_MODEL || env.CONSCIOUSNESS_MODEL || 'gemini-2.0-flash',
-      timeout: int('CONSOLIDATION_TIMEOUT', int('CONSCIOUSNESS_TIMEOUT', 60000, { min: 5000, max: 300000 }), { min: 5000, max: 300000 }),
-    },
-
-    embedding: {
-      enabled: env.EMBEDDING_ENABLED === 'true',
-      provider: env.EMBEDDING_PROVIDER || 'gemini-embedding',
-      model: env.EMBEDDING_MODEL || 'gemini-embedding-001',
-      backend: env.EMBEDDING_BACKEND || 'jsonl',
-      dimensions: int('EMBEDDING_DIMENSIONS', 768, { min: 128, max: 3072 }),
-    },
-
-    api: {
-      enabled: env.API_ENABLED === 'true',
-      apiKey: env.API_KEY || '',
-      corsOrigin: env.API_CORS_ORIGIN || '*',
-      timeout: int('API_TIMEOUT', 120000, { min: 5000 }),
-      rateLimit: int('API_RATE_LIMIT', 60, { min: 1, max: 600 }),
-      distPath: env.API_DIST_PATH || '',
-    },
-  }
-
-  return { config, errors }
-}
+// Re-exported so callers keep importing it from here; modules that must not
+// trigger the singleton below (e.g. `kenobot chat`) import config-factory.js
+export { createConfig }
 
 /**
  * Validate config and exit on errors.
@@ -172,6 +53,14 @@ export function validateConfig(config, errors = []) {
     })
     process.exit(1)
   }
+
+  if (config.discord.token && config.discord.allowedUsers.length === 0 && config.discord.allowedChatIds.length === 0) {
+    logger.error('system', 'config_missing', {
+      key: 'DISCORD_ALLOWED_USERS',
+      hint: 'set DISCORD_ALLOWED_USERS and/or DISCORD_ALLOWED_CHANNEL_IDS in .env'
+    })
+    process.exit(1)
+  }
 }
 
 // --- Default singleton (side effects only here) ---
@@ -8,8 +8,10 @@
 // Core message flow
 export const MESSAGE_IN = 'message:in'
 export const MESSAGE_OUT = 'message:out'
+export const MESSAGE_DELTA = 'message:delta'
 export const THINKING_START = 'thinking:start'
 export const NOTIFICATION = 'notification'
+export const NOTIFICATION_ACTION = 'notification:action'
 export const ERROR = 'error'
 
 // Config lifecycle
@@ -32,3 +34,7 @@ export const TASK_PROGRESS = 'task:progress'
 export const TASK_COMPLETED = 'task:completed'
 export const TASK_FAILED = 'task:failed'
 export const TASK_CANCELLED = 'task:cancelled'
+
+// Tool execution (inline ReAct loop, for live views such as the API event stream)
+export const TOOL_STARTED = 'tool:started'
+export const TOOL_COMPLETED = 'tool:completed'
@@ -0,0 +1,135 @@
+/**
+ * Discord Markdown Formatter
+ *
+ * Discord renders markdown itself, so unlike the Telegram formatter this one
+ * only rewrites what Discord renders differently from LLM output:
+ * 1. Protect code blocks with placeholders (they contain markdown-like chars)
+ * 2. Rewrite unsupported syntax (h4–h6, rules, tables, images, __bold__)
+ * 3. Restore code blocks untouched
+ *
+ * splitMessage() then cuts the result to Discord's 2000-character limit
+ * without leaving a code block open across messages.
+ */
+
+export const MAX_MESSAGE_LENGTH = 2000
+
+const FENCE_PATTERN = /^\s*```/
+
+/**
+ * Convert standard markdown to Discord-flavored markdown.
+ * @param {string} text - Standard markdown text
+ * @returns {string} Markdown Discord renders as intended
+ */
+export function markdownToDiscord(text) {
+  // Step 1: Protect code blocks with null-byte placeholders
+  const codeBlocks = []
+  let result = text.replace(/```[\s\S]*?```/g, (block) => {
+    codeBlocks.push(block)
+    return `\x00CODEBLOCK${codeBlocks.length - 1}\x00`
+  })
+
+  const inlineCode = []
+  result = result.replace(/`[^`\n]+`/g, (code) => {
+    inlineCode.push(code)
+    return `\x00INLINE${inlineCode.length - 1}\x00`
+  })
+
+  // Step 2: Rewrite what Discord does not render
+  result = wrapTables(result)
+    // Discord only has #, ## and ### headers
+    .replace(/^#{4,6}\s+(.+)$/gm, '**$1**')
+    // Horizontal rules → visual separator
+    .replace(/^(-{3,}|\*{3,}|_{3,})$/gm, '———')
+    // Images → bare URL (Discord embeds it)
+    .replace(/!\[[^\]]*\]\(([^)\s]+)\)/g, '$1')
+    // __text__ is bold in markdown but underline in Discord
+    .replace(/(?<!\w)__(.+?)__(?!\w)/g, '**$1**')
+
+  // Step 3: Restore code
+  result = result.replace(/\x00INLINE(\d+)\x00/g, (_, i) => inlineCode[i])
+  result = result.replace(/\x00CODEBLOCK(\d+)\x00/g, (_, i) => codeBlocks[i])
+
+  return result
+}
+
+/**
+ * Split text into messages of at most `maxLength` characters, on line
+ * boundaries where possible. A code block cut in two is closed at the end
+ * of one message and reopened (same language) at the start of the next.
+ *
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+export function splitMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+  if (text.length <= maxLength) return [text]
+
+  const chunks = []
+  let current = ''
+  let fence = null // opening line of the code block `current` ends inside
+
+  const push = (chunk) => {
+    if (chunk.trim()) chunks.push(chunk)
+  }
+
+  for (const line of text.split('\n')) {
+    const closing = fence ? '\n```' : ''
+    const candidate = current ? `${current}\n${line}` : line
+
+    if (current && candidate.length + closing.length > maxLength) {
+      push(current + closing)
+      if (fence && FENCE_PATTERN.test(line)) {
+        // The block's closing fence would open an empty block in the next message
+        current = ''
+        fence = null
+        continue
+      }
+      current = fence ? `${fence}\n${line}` : line
+    } else {
+      current = candidate
+    }
+
+    // A single line longer than a message: hard cut
+    while (current.length + closing.length > maxLength) {
+      const reopen = fence ? `${fence}\n` : ''
+      const cut = Math.max(maxLength - closing.length, reopen.length + 1)
+      push(current.slice(0, cut) + closing)
+      current = reopen + current.slice(cut)
+    }
+
+    if (FENCE_PATTERN.test(line)) fence = fence ? null : line.trim()
+  }
+
+  push(current)
+  return chunks
+}
+
+/**
+ * Wrap markdown tables in code blocks: Discord does not render tables,
+ * but monospace keeps the columns aligned.
+ * @param {string} text
+ * @returns {string}
+ */
+function wrapTables(text) {
+  const lines = text.split('\n')
+  const out = []
+  let i = 0
+
+  while (i < lines.length) {
+    const isTable = isTableRow(lines[i]) && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || '')
+    if (!isTable) {
+      out.push(lines[i++])
+      continue
+    }
+
+    const start = i
+    while (i < lines.length && isTableRow(lines[i])) i++
+    out.push('```', ...lines.slice(start, i), '```')
+  }
+
+  return out.join('\n')
+}
+
+function isTableRow(line) {
+  return /^\s*\|.*\|\s*$/.test(line)
+}
@@ -0,0 +1,73 @@
+/**
+ * Terminal ANSI Formatter
+ *
+ * Renders standard markdown (as output by LLMs) for a terminal, same
+ * pipeline as the Telegram formatter:
+ * 1. Protect code blocks with placeholders (they contain markdown-like chars)
+ * 2. Convert line syntax (headers, lists, quotes, rules), then inline syntax
+ * 3. Restore code blocks as indented, dimmed blocks
+ *
+ * With `color: false` the markers are removed and the text left plain.
+ * Styles close with their specific reset codes so they can nest.
+ */
+
+const STYLES = {
+  bold: [1, 22],
+  dim: [2, 22],
+  italic: [3, 23],
+  underline: [4, 24],
+  strike: [9, 29],
+  cyan: [36, 39],
+}
+
+/**
+ * Convert markdown text to ANSI-styled terminal text.
+ * @param {string} text - Standard markdown text
+ * @param {Object} [options]
+ * @param {boolean} [options.color=true] - Emit ANSI escape codes
+ * @returns {string}
+ */
+export function markdownToANSI(text, { color = true } = {}) {
+  const style = (name, value) => {
+    if (!color) return value
+    const [on, off] = STYLES[name]
+    return `\x1b[${on}m${value}\x1b[${off}m`
+  }
+
+  // Step 1: Protect code blocks with null-byte placeholders
+  const codeBlocks = []
+  let result = text.replace(/```(\w*)\n?([\s\S]*?)```/g, (_, lang, code) => {
+    codeBlocks.push({ lang, code: code.replace(/\n$/, '') })
+    return `\x00CODEBLOCK${codeBlocks.length - 1}\x00`
+  })
+
+  const inlineCode = []
+  result = result.replace(/`([^`\n]+)`/g, (_, code) => {
+    inlineCode.push(code)
+    return `\x00INLINE${inlineCode.length - 1}\x00`
+  })
+
+  // Step 2: Line syntax, then inline syntax
+  result = result
+    .replace(/^#{1,6}\s+(.+)$/gm, (_, title) => style('bold', title))
+    .replace(/^(-{3,}|\*{3,}|_{3,})$/gm, () => style('dim', '─'.repeat(40)))
+    .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+    .replace(/^>\s?(.*)$/gm, (_, quote) => style('dim', `│ ${quote}`))
+    .replace(/\*\*(.+?)\*\*/g, (_, value) => style('bold', value))
+    .replace(/(?<!\w)__(.+?)__(?!\w)/g, (_, value) => style('bold', value))
+    .replace(/(?<!\w)\*(.+?)\*(?!\w)/g, (_, value) => style('italic', value))
+    .replace(/~~(.+?)~~/g, (_, value) => style('strike', value))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) =>
+      label === url ? style('underline', url) : `${style('underline', label)} ${style('dim', `(${url})`)}`)
+
+  // Step 3: Restore code
+  result = result.replace(/\x00INLINE(\d+)\x00/g, (_, i) => style('cyan', inlineCode[i]))
+
+  result = result.replace(/\x00CODEBLOCK(\d+)\x00/g, (_, i) => {
+    const { lang, code } = codeBlocks[i]
+    const lines = code.split('\n').map(line => style('dim', '│ ') + style('cyan', line))
+    return [lang ? style('dim', `┌ ${lang}`) : style('dim', '┌'), ...lines, style('dim', '└')].join('\n')
+  })
+
+  return result
+}
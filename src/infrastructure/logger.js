@@ -14,13 +14,16 @@ const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
  * Console output is filtered by log level (default: info).
  * JSONL file always receives ALL levels for full observability.
  * Works before configure() is called (console-only, file writes buffered).
+ * `new Logger({ console: false })` logs to the file only (e.g. `kenobot chat`,
+ * where the console belongs to the conversation).
  */
 class Logger {
-  constructor() {
+  constructor({ console = true } = {}) {
     this._logDir = null
     this._ready = false
     this._pending = []
     this._level = LEVELS.info
+    this._console = console
   }
 
   configure({ dataDir, logLevel = 'info' }) {
@@ -77,7 +80,7 @@ class Logger {
   }
 
   _writeToConsole(entry) {
-    if (LEVELS[entry.level] < this._level) return
+    if (!this._console || LEVELS[entry.level] < this._level) return
 
     const time = entry.ts.slice(11, 19)
     const dataStr = entry.data ? ' ' + this._formatData(entry.data) : ''
@@ -1,5 +1,8 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { join } from 'node:path'
+import defaultLogger from './logger.js'
 import {
-  NOTIFICATION, HEALTH_DEGRADED, HEALTH_UNHEALTHY, HEALTH_RECOVERED,
+  NOTIFICATION, NOTIFICATION_ACTION, HEALTH_DEGRADED, HEALTH_UNHEALTHY, HEALTH_RECOVERED,
   APPROVAL_PROPOSED, APPROVAL_APPROVED, APPROVAL_REJECTED
 } from './events.js'
 
@@ -9,22 +12,88 @@ import {
  * Emits 'notification' events on the bus. Channels listen for these
  * and deliver to the owner. Channel-agnostic — works with Telegram,
  * HTTP, or any future channel.
+ *
+ * Notifications may carry `buttons` (rows of { text, data }). Channels that
+ * can render them fire 'notification:action' with the pressed button's
+ * `data`; approval proposals use this for Approve / Reject / Details.
+ * Only the owner (first allowed user) in the owner chat may press them.
+ * Pending proposals are kept in `<dataDir>/approvals.json` so their buttons
+ * still work after a restart.
  */
-export function setupNotifications(bus, config) {
-  const ownerChat = config.telegram.allowedUsers?.[0] || config.telegram.allowedChatIds?.[0]
+export function setupNotifications(bus, config, { logger = defaultLogger } = {}) {
+  const owner = config.telegram.allowedUsers?.[0]
+  const ownerChat = owner || config.telegram.allowedChatIds?.[0]
   if (!ownerChat) return
 
-  const notify = (text) => bus.fire(NOTIFICATION, { chatId: ownerChat, text }, { source: 'notifications' })
+  const notify = (text, extra = {}) => bus.fire(NOTIFICATION, { chatId: ownerChat, text, ...extra }, { source: 'notifications' })
 
   bus.on(HEALTH_DEGRADED, ({ detail }) => notify(`Health degraded: ${detail}`))
   bus.on(HEALTH_UNHEALTHY, ({ detail }) => notify(`UNHEALTHY: ${detail}`))
   bus.on(HEALTH_RECOVERED, ({ previous }) => notify(`Recovered (was ${previous})`))
 
-  // Approval workflow: notify owner of proposals and outcomes
-  bus.on(APPROVAL_PROPOSED, ({ type, proposalCount, prUrl }) => {
+  // Approval workflow: proposals wait here until the owner presses a button
+  const pendingFile = config.dataDir ? join(config.dataDir, 'approvals.json') : null
+  const loading = loadPending(pendingFile, logger) // → Map of proposal id → APPROVAL_PROPOSED payload
+  let saving = Promise.resolve()
+  const savePending = (pending) => {
+    if (!pendingFile) return saving
+    saving = saving
+      .then(async () => {
+        await mkdir(config.dataDir, { recursive: true })
+        await writeFile(pendingFile, JSON.stringify(Object.fromEntries(pending), null, 2))
+      })
+      .catch(error => logger.warn('notifications', 'approvals_save_failed', { error: error.message }))
+    return saving
+  }
+
+  bus.on(APPROVAL_PROPOSED, async (proposal) => {
+    const { id, type, proposalCount, prUrl } = proposal
     const prLine = prUrl ? `\nPR: ${prUrl}` : ''
-    notify(`New ${type} proposal (${proposalCount} items)${prLine}\nReview on GitHub to approve or reject.`)
+    if (!id) {
+      notify(`New ${type} proposal (${proposalCount} items)${prLine}\nReview on GitHub to approve or reject.`)
+      return
+    }
+
+    const pending = await loading
+    pending.set(id, proposal)
+    await savePending(pending)
+    notify(`New ${type} proposal (${proposalCount} items)${prLine}`, {
+      buttons: [[
+        { text: 'Approve', data: `approval:approve:${id}` },
+        { text: 'Reject', data: `approval:reject:${id}` },
+        { text: 'Details', data: `approval:details:${id}` }
+      ]]
+    })
+  })
+
+  bus.on(NOTIFICATION_ACTION, async ({ data, userId, chatId }) => {
+    const [scope, action, id] = String(data).split(':')
+    if (scope !== 'approval') return
+
+    if (!owner || String(userId) !== owner || String(chatId) !== ownerChat) {
+      logger.warn('notifications', 'approval_action_rejected', { userId, chatId, action })
+      return
+    }
+
+    const pending = await loading
+    const proposal = pending.get(id)
+    if (!proposal) {
+      notify('That proposal is no longer pending.')
+      return
+    }
+
+    if (action === 'details') {
+      notify(formatProposalDetails(proposal))
+    } else if (action === 'approve' || action === 'reject') {
+      pending.delete(id)
+      await savePending(pending)
+      bus.fire(action === 'approve' ? APPROVAL_APPROVED : APPROVAL_REJECTED, {
+        ...proposal,
+        decidedBy: userId
+      }, { source: 'notifications' })
+    }
   })
+
   bus.on(APPROVAL_APPROVED, ({ type, prUrl }) =>
     notify(`Approved: [${type}]${prUrl ? ` ${prUrl}` : ''}`)
   )
@@ -32,3 +101,24 @@ export function setupNotifications(bus, config) {
     notify(`Rejected: [${type}]${prUrl ? ` ${prUrl}` : ''}`)
   )
 }
+
+async function loadPending(file, logger) {
+  if (!file) return new Map()
+  try {
+    return new Map(Object.entries(JSON.parse(await readFile(file, 'utf8'))))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('notifications', 'approvals_load_failed', { error: error.message })
+    }
+    return new Map()
+  }
+}
+
+function formatProposalDetails({ type, proposals = [], prUrl }) {
+  const lines = [`${type} proposal details:`]
+  proposals.forEach((p, i) => {
+    lines.push('', `${i + 1}. (${p.priority}) ${p.observation}`, `Suggestion: ${p.suggestion}`)
+  })
+  if (prUrl) lines.push('', `PR: ${prUrl}`)
+  return lines.join('\n')
+}
@@ -24,6 +24,7 @@ const paths = {
   memory: join(home, 'memory'),
   backups: join(home, 'backups'),
   pidFile: join(home, 'data', 'kenobot.pid'),
+  chatSocket: join(home, 'data', 'chat.sock'),
 
   // Templates (shipped with engine, used by kenobot setup)
   templates: join(engineRoot, 'templates'),
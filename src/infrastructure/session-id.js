@@ -0,0 +1,42 @@
+/**
+ * Session IDs
+ *
+ * A conversation is keyed by `<channel>-<chatId>` (e.g. `telegram-123456789`).
+ * Channels that split a chat into threads (Telegram forum topics and reply
+ * chains) set `threadId` on the message, and the thread gets its own
+ * composite session: `<channel>-<chatId>~<threadId>`
+ * (e.g. `telegram--1001234567890~topic-42`).
+ *
+ * History and working memory follow the full session ID; chat-level memory
+ * (facts, context, daily episodes) stays shared by every thread of the chat.
+ */
+
+export const THREAD_SEPARATOR = '~'
+
+/**
+ * @param {{channel: string, chatId: string, threadId?: string}} message
+ * @returns {string}
+ */
+export function sessionIdFor({ channel, chatId, threadId }) {
+  const base = `${channel}-${chatId}`
+  return threadId ? `${base}${THREAD_SEPARATOR}${threadId}` : base
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {{chatSessionId: string, threadId: string|null}}
+ */
+export function parseSessionId(sessionId) {
+  const at = sessionId.indexOf(THREAD_SEPARATOR)
+  if (at === -1) return { chatSessionId: sessionId, threadId: null }
+  return { chatSessionId: sessionId.slice(0, at), threadId: sessionId.slice(at + 1) }
+}
+
+/**
+ * The session shared by every thread of the chat.
+ * @param {string} sessionId
+ * @returns {string}
+ */
+export function chatSessionId(sessionId) {
+  return parseSessionId(sessionId).chatSessionId
+}
@@ -0,0 +1,190 @@
+/**
+ * Structured output - JSON replies checked against a JSON Schema
+ *
+ * Shared by the providers (`responseSchema` option of chat()), the
+ * consciousness gateway and anything else that asks a model for JSON.
+ * Providers with a native mechanism constrain the reply server-side;
+ * the rest put the schema in the prompt and retry once with the errors.
+ * Either way the reply is parsed and validated here.
+ *
+ * The validator covers the subset of JSON Schema these schemas use:
+ * type (string or list), properties, required, additionalProperties: false,
+ * items, enum, minimum, maximum, minItems, maxItems.
+ */
+
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string[]} details.errors - One line per violation, e.g. "$.tone: must be one of casual, formal"
+   * @param {string} details.content - The reply that failed
+   */
+  constructor(message, { errors = [], content = '' } = {}) {
+    super(message)
+    this.name = 'SchemaValidationError'
+    this.errors = errors
+    this.content = content
+  }
+}
+
+/**
+ * Parse JSON from a model reply: strips markdown fences, and falls back to
+ * the outermost {…} or […] when the model wrapped the JSON in prose.
+ * @param {string} raw
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON can be found
+ */
+export function parseJSON(raw) {
+  let cleaned = String(raw ?? '').trim()
+
+  // Strip markdown code fences (```json ... ``` or ``` ... ```)
+  const fenceMatch = cleaned.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/m)
+  if (fenceMatch) {
+    cleaned = fenceMatch[1].trim()
+  }
+
+  try {
+    return JSON.parse(cleaned)
+  } catch {
+    const start = cleaned.search(/[{[]/)
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'))
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1))
+      } catch {
+        // fall through
+      }
+    }
+    throw new SyntaxError('No valid JSON found in response')
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location reported in errors
+ * @returns {string[]} Violations, empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return []
+  const errors = []
+
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: must be ${types.join(' or ')}`]
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`)
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)))
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {}
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`)
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validateSchema(item, properties[key], `${path}.${key}`))
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: is not allowed`)
+    }
+  }
+
+  return errors
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value)
+    case 'null': return value === null
+    default: return true
+  }
+}
+
+/**
+ * Parse a reply and validate it.
+ * @param {string|Object} content - Reply text, or an already parsed value (native tool input)
+ * @param {Object} schema
+ * @returns {*} The validated value
+ * @throws {SchemaValidationError}
+ */
+export function parseStructured(content, schema) {
+  let value = content
+  if (typeof content === 'string') {
+    try {
+      value = parseJSON(content)
+    } catch {
+      throw new SchemaValidationError('Response is not valid JSON', { errors: ['$: not valid JSON'], content })
+    }
+  }
+
+  const errors = validateSchema(value, schema)
+  if (errors.length > 0) {
+    throw new SchemaValidationError(`Response does not match schema: ${errors.slice(0, 3).join('; ')}`, {
+      errors,
+      content: typeof content === 'string' ? content : JSON.stringify(content)
+    })
+  }
+  return value
+}
+
+/**
+ * JSON Schema from an example-shaped format, as in expert profiles'
+ * `outputFormat`: `{ "tags": ["string"], "score": "number" }`. Every key is required.
+ * @param {*} format
+ * @returns {Object}
+ */
+export function schemaFromExample(format) {
+  if (Array.isArray(format)) {
+    return { type: 'array', ...(format.length > 0 && { items: schemaFromExample(format[0]) }) }
+  }
+  if (format && typeof format === 'object') {
+    const properties = Object.fromEntries(Object.entries(format).map(([key, value]) => [key, schemaFromExample(value)]))
+    return { type: 'object', properties, required: Object.keys(properties) }
+  }
+  return ['string', 'number', 'integer', 'boolean'].includes(format) ? { type: format } : {}
+}
+
+/**
+ * Prompt text asking for JSON matching a schema (providers without native support).
+ * @param {Object} schema
+ * @returns {string}
+ */
+export function schemaInstruction(schema) {
+  return `Respond with a single JSON value matching this JSON Schema, and nothing else (no prose, no code fences):\n${JSON.stringify(schema)}`
+}
+
+/**
+ * Follow-up prompt after an invalid reply.
+ * @param {SchemaValidationError} error
+ * @returns {string}
+ */
+export function retryInstruction(error) {
+  return `Your previous reply did not match the required JSON Schema:\n${error.errors.map(e => `- ${e}`).join('\n')}\n\nReply again with only the corrected JSON.`
+}
+
+/**
+ * Name for a schema where the API asks for one (tool name, json_schema.name).
+ * @param {Object} schema
+ * @returns {string}
+ */
+export function schemaName(schema) {
+  const name = String(schema?.title || 'response').replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 64)
+  return name || 'response'
+}
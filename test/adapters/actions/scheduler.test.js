@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+// Suppress logger output during tests
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+import Scheduler from '../../../src/adapters/scheduler/scheduler.js'
+import { ToolRegistry } from '../../../src/domain/motor/index.js'
+import {
+  createScheduleTask, createScheduleWatch, createListScheduledTasks, createCancelScheduledTask
+} from '../../../src/adapters/actions/scheduler.js'
+
+describe('Scheduler Actions', () => {
+  let scheduler
+  let dataDir
+  const context = { chatId: '123', userId: '456', channel: 'telegram' }
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'kenobot-scheduler-actions-'))
+    const toolRegistry = new ToolRegistry()
+    toolRegistry.register({
+      definition: { name: 'fetch_url', description: 'Fetch', input_schema: { type: 'object' } },
+      execute: async () => 'page'
+    })
+    scheduler = new Scheduler({ fire: vi.fn() }, dataDir, { timezone: 'America/Mexico_City', toolRegistry })
+  })
+
+  afterEach(async () => {
+    scheduler.stop()
+    await rm(dataDir, { recursive: true, force: true })
+  })
+
+  describe('createScheduleTask', () => {
+    it('should return tool definition with correct schema', () => {
+      const tool = createScheduleTask(scheduler)
+
+      expect(tool.definition.name).toBe('schedule_task')
+      expect(tool.definition.input_schema.required).toEqual(['schedule', 'message'])
+    })
+
+    it('should convert a phrase to cron and fill in the chat context', async () => {
+      const tool = createScheduleTask(scheduler)
+
+      const result = await tool.execute(
+        { schedule: 'every weekday at 8', message: 'Remind me to stretch' },
+        { context }
+      )
+
+      const [task] = scheduler.list()
+      expect(task.cronExpr).toBe('0 8 * * 1-5')
+      expect(task.chatId).toBe('123')
+      expect(task.userId).toBe('456')
+      expect(task.channel).toBe('telegram')
+      expect(result).toContain(`Scheduled task ${task.id}`)
+      expect(result).toContain('Cron: 0 8 * * 1-5')
+      expect(result).toContain('America/Mexico_City')
+    })
+
+    it('should report the next fire time', async () => {
+      const tool = createScheduleTask(scheduler)
+
+      const result = await tool.execute({ schedule: '30 9 * * *', message: 'Standup' }, { context })
+
+      expect(result).toMatch(/Next run: .*09:30/)
+    })
+
+    it('should create a one-shot task for one-off times', async () => {
+      const tool = createScheduleTask(scheduler)
+      const before = Date.now()
+
+      const result = await tool.execute({ schedule: 'in 2 hours', message: 'Check the oven' }, { context })
+
+      const [task] = scheduler.list()
+      expect(task.cronExpr).toBeUndefined()
+      expect(task.runAt).toBeGreaterThanOrEqual(before + 2 * 60 * 60 * 1000)
+      expect(result).toContain('One-off: removed after it fires')
+      expect(result).toContain('Next run:')
+    })
+
+    it('should reject schedules it cannot understand', async () => {
+      const tool = createScheduleTask(scheduler)
+
+      await expect(tool.execute({ schedule: 'whenever', message: 'x' }, { context }))
+        .rejects.toThrow('Could not understand schedule')
+      expect(scheduler.size).toBe(0)
+    })
+
+    it('should require a chat context', async () => {
+      const tool = createScheduleTask(scheduler)
+
+      await expect(tool.execute({ schedule: 'every day', message: 'x' }, {}))
+        .rejects.toThrow('need a chat')
+    })
+  })
+
+  describe('createScheduleWatch', () => {
+    it('should create a tool job for the current chat', async () => {
+      const tool = createScheduleWatch(scheduler)
+
+      const result = await tool.execute({
+        schedule: 'every 30 minutes', tool: 'fetch_url', tool_input: { url: 'https://example.com' },
+        trigger: 'match', pattern: 'sold out', action: 'notify', description: 'Ticket page'
+      }, { context })
+
+      const [task] = scheduler.list()
+      expect(task).toEqual(expect.objectContaining({
+        cronExpr: '*/30 * * * *', tool: 'fetch_url', toolInput: { url: 'https://example.com' },
+        trigger: 'match', pattern: 'sold out', action: 'notify', chatId: '123'
+      }))
+      expect(result).toContain(`Scheduled watch ${task.id}`)
+      expect(result).toContain('when output matches /sold out/, straight to the chat')
+    })
+
+    it('should reject one-off schedules and unknown tools', async () => {
+      const tool = createScheduleWatch(scheduler)
+
+      await expect(tool.execute({ schedule: 'tomorrow at 9', tool: 'fetch_url', tool_input: {} }, { context }))
+        .rejects.toThrow('recurring schedule')
+      await expect(tool.execute({ schedule: 'every hour', tool: 'launch_rockets', tool_input: {} }, { context }))
+        .rejects.toThrow('Unknown tool: launch_rockets')
+    })
+
+    it('should show the watched tool when listing', async () => {
+      await createScheduleWatch(scheduler).execute(
+        { schedule: 'every hour', tool: 'fetch_url', tool_input: { url: 'https://example.com' } },
+        { context }
+      )
+
+      const result = await createListScheduledTasks(scheduler).execute({}, { context })
+
+      expect(result).toContain('fetch_url check — cron "0 * * * *", watching fetch_url (on change)')
+    })
+  })
+
+  describe('createListScheduledTasks', () => {
+    it('should list only tasks for the current chat', async () => {
+      await scheduler.add({ cronExpr: '0 9 * * *', message: 'mine', chatId: '123' })
+      await scheduler.add({ cronExpr: '0 10 * * *', message: 'theirs', chatId: '999' })
+      const tool = createListScheduledTasks(scheduler)
+
+      const result = await tool.execute({}, { context })
+
+      expect(result).toContain('1 scheduled task:')
+      expect(result).toContain('mine')
+      expect(result).not.toContain('theirs')
+    })
+
+    it('should show one-shot tasks with their fire time', async () => {
+      await scheduler.add({ runAt: Date.now() + 60_000, message: 'once', chatId: '123' })
+      const tool = createListScheduledTasks(scheduler)
+
+      const result = await tool.execute({}, { context })
+
+      expect(result).toMatch(/once — once at .*\(America\/Mexico_City\)/)
+    })
+
+    it('should say when there are no tasks', async () => {
+      const tool = createListScheduledTasks(scheduler)
+
+      expect(await tool.execute({}, { context })).toBe('No scheduled tasks for this chat.')
+    })
+  })
+
+  describe('createCancelScheduledTask', () => {
+    it('should remove a task from the current chat', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'mine', chatId: '123' })
+      const tool = createCancelScheduledTask(scheduler)
+
+      const result = await tool.execute({ id }, { context })
+
+      expect(result).toContain(`Cancelled scheduled task ${id}`)
+      expect(scheduler.size).toBe(0)
+    })
+
+    it('should not cancel tasks from other chats', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'theirs', chatId: '999' })
+      const tool = createCancelScheduledTask(scheduler)
+
+      await expect(tool.execute({ id }, { context })).rejects.toThrow('Scheduled task not found')
+      expect(scheduler.size).toBe(1)
+    })
+  })
+})
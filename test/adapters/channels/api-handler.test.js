@@ -46,6 +46,28 @@ function request(port, { method = 'GET', path = '/api/v1/health', body, headers
   })
 }
 
+// Reads a text/event-stream response into [{ event, data }] until the server closes it
+function streamRequest(port, { path, body, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: '127.0.0.1', port, path, method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...headers }
+    }, (res) => {
+      let raw = ''
+      res.on('data', c => { raw += c })
+      res.on('end', () => {
+        const events = raw.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+          const [eventLine, dataLine] = block.split('\n')
+          return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) }
+        })
+        resolve({ status: res.statusCode, headers: res.headers, events })
+      })
+    })
+    req.on('error', reject)
+    req.end(JSON.stringify(body))
+  })
+}
+
 function auth(headers = {}) {
   return { ...headers, 'Authorization': `Bearer ${API_KEY}` }
 }
@@ -66,6 +88,12 @@ function makeScheduler() {
     list: vi.fn().mockReturnValue([{ id: 'sched-1', cronExpr: '0 4 * * *', message: 'hello' }]),
     add: vi.fn().mockResolvedValue('sched-new'),
     remove: vi.fn().mockResolvedValue(),
+    get: vi.fn((id) => id === 'sched-1' ? { id, lastRunAt: 1700000000000, lastStatus: 'ok' } : null),
+    runs: vi.fn((id) => id === 'sched-1' ? [{ scheduledFor: 1700000000000, ranAt: 1700000000000, status: 'ok' }] : null),
+    update: vi.fn().mockResolvedValue({}),
+    pause: vi.fn().mockResolvedValue({}),
+    resume: vi.fn().mockResolvedValue({}),
+    nextRun: vi.fn().mockReturnValue(new Date(1800000000000)),
   }
 }
 
@@ -415,6 +443,97 @@ describe('APIHandler', () => {
       })
     })
 
+    describe('POST /api/v1/conversations/:id/messages (event stream)', () => {
+      const path = '/api/v1/conversations/conv-sse/messages'
+      const api = (payload) => ({ chatId: 'conv-sse', channel: 'api', ...payload })
+
+      it('streams typing, deltas, tool activity and the final message', async () => {
+        bus.on('message:in', () => {
+          setTimeout(() => {
+            bus.fire('thinking:start', api({}), { source: 'test' })
+            bus.fire('thinking:start', api({}), { source: 'test' })
+            bus.fire('tool:started', api({ id: 't1', name: 'web_fetch', input: { url: 'https://example.com' } }), { source: 'test' })
+            bus.fire('tool:completed', api({ id: 't1', name: 'web_fetch', result: 'page', isError: false }), { source: 'test' })
+            bus.fire('message:delta', api({ streamId: 's1', delta: 'Hel', text: 'Hel' }), { source: 'test' })
+            bus.fire('message:delta', { chatId: 'other', channel: 'api', streamId: 's2', delta: 'x', text: 'x' }, { source: 'test' })
+            bus.fire('message:delta', api({ streamId: 's1', delta: 'lo', text: 'Hello' }), { source: 'test' })
+            bus.fire('message:out', api({ text: 'Hello', streamId: 's1' }), { source: 'test' })
+          }, 10)
+        })
+
+        const res = await streamRequest(port, { path, headers: auth(), body: { content: 'hi' } })
+
+        expect(res.status).toBe(200)
+        expect(res.headers['content-type']).toBe('text/event-stream')
+        expect(res.events).toEqual([
+          { event: 'typing', data: {} },
+          { event: 'tool_start', data: { id: 't1', name: 'web_fetch', input: { url: 'https://example.com' } } },
+          { event: 'tool_end', data: { id: 't1', name: 'web_fetch', result: 'page', isError: false } },
+          { event: 'delta', data: { delta: 'Hel', text: 'Hel' } },
+          { event: 'delta', data: { delta: 'lo', text: 'Hello' } },
+          { event: 'message', data: { role: 'assistant', content: 'Hello' } },
+        ])
+        expect(bus.listenerCount('message:delta')).toBe(0)
+        expect(handler._activeChats.has('conv-sse')).toBe(false)
+      })
+
+      it('stays open for background task progress until the task ends', async () => {
+        bus.on('message:in', () => {
+          setTimeout(() => {
+            bus.fire('task:queued', api({ taskId: 'task-1', input: 'build it' }), { source: 'test' })
+            bus.fire('message:out', api({ text: 'Working on it.' }), { source: 'test' })
+            setTimeout(() => {
+              bus.fire('task:progress', api({ taskId: 'task-1', text: 'Cloned the repo' }), { source: 'test' })
+              bus.fire('task:completed', api({ taskId: 'task-1', text: 'Done!' }), { source: 'test' })
+            }, 10)
+          }, 10)
+        })
+
+        const res = await streamRequest(port, { path, headers: auth(), body: { content: 'build it' } })
+
+        expect(res.events).toEqual([
+          { event: 'message', data: { role: 'assistant', content: 'Working on it.', taskId: 'task-1' } },
+          { event: 'task_progress', data: { taskId: 'task-1', text: 'Cloned the repo' } },
+          { event: 'task_end', data: { taskId: 'task-1', status: 'completed', text: 'Done!' } },
+        ])
+      })
+
+      it('ends with an error event when the agent does not respond', async () => {
+        const res = await streamRequest(port, { path, headers: auth(), body: { content: 'hello' } })
+
+        expect(res.events).toEqual([
+          { event: 'error', data: expect.objectContaining({ code: 'GATEWAY_TIMEOUT', retryable: true }) },
+        ])
+      })
+
+      it('removes its listeners and frees the conversation when the client disconnects', async () => {
+        const received = new Promise(resolve => bus.on('message:in', resolve))
+        const req = http.request({
+          hostname: '127.0.0.1', port, path, method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...auth() }
+        })
+        req.on('error', () => {})
+        req.end(JSON.stringify({ content: 'hello' }))
+
+        await received
+        expect(bus.listenerCount('message:delta')).toBe(1)
+        expect(handler._activeChats.has('conv-sse')).toBe(true)
+
+        req.destroy()
+        await vi.waitFor(() => expect(bus.listenerCount('message:delta')).toBe(0))
+        expect(handler._activeChats.has('conv-sse')).toBe(false)
+        expect(handler._pendingRequests.size).toBe(0)
+      })
+
+      it('keeps validation errors as JSON', async () => {
+        const res = await request(port, {
+          method: 'POST', path, headers: auth({ 'Accept': 'text/event-stream' }), body: {}
+        })
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('MISSING_FIELD')
+      })
+    })
+
     describe('DELETE /api/v1/conversations/:id', () => {
       it('returns 404 when session file does not exist', async () => {
         const res = await request(port, {
@@ -483,6 +602,39 @@ describe('APIHandler', () => {
       expect(res.body.data.id).toBe('sched-new')
     })
 
+    it('POST /api/v1/scheduler creates a one-shot task from runAt', async () => {
+      const res = await request(port, {
+        method: 'POST', path: '/api/v1/scheduler',
+        headers: auth(),
+        body: { runAt: '2030-03-03T10:00:00Z', message: 'Renew passport' }
+      })
+      expect(res.status).toBe(201)
+      expect(handler._scheduler.add).toHaveBeenCalledWith(expect.objectContaining({ runAt: '2030-03-03T10:00:00Z', message: 'Renew passport' }))
+    })
+
+    it('POST /api/v1/scheduler creates a tool job without a message', async () => {
+      const res = await request(port, {
+        method: 'POST', path: '/api/v1/scheduler',
+        headers: auth(),
+        body: { cronExpr: '*/15 * * * *', tool: 'fetch_url', toolInput: { url: 'https://example.com' }, action: 'notify' }
+      })
+      expect(res.status).toBe(201)
+      expect(handler._scheduler.add).toHaveBeenCalledWith(expect.objectContaining({
+        tool: 'fetch_url', toolInput: { url: 'https://example.com' }, action: 'notify'
+      }))
+    })
+
+    it('POST /api/v1/scheduler returns 400 for a rejected tool job', async () => {
+      handler._scheduler.add.mockRejectedValueOnce(new Error('Unknown tool: nope'))
+      const res = await request(port, {
+        method: 'POST', path: '/api/v1/scheduler',
+        headers: auth(), body: { cronExpr: '0 9 * * *', tool: 'nope' }
+      })
+      expect(res.status).toBe(400)
+      expect(res.body.error.code).toBe('INVALID_FIELD')
+      expect(res.body.error.message).toBe('Unknown tool: nope')
+    })
+
     it('POST /api/v1/scheduler returns 400 when required fields missing', async () => {
       const res = await request(port, {
         method: 'POST', path: '/api/v1/scheduler',
@@ -492,6 +644,73 @@ describe('APIHandler', () => {
       expect(res.body.error.code).toBe('MISSING_FIELD')
     })
 
+    it('POST /api/v1/scheduler returns 400 for an invalid catchUp policy', async () => {
+      const res = await request(port, {
+        method: 'POST', path: '/api/v1/scheduler',
+        headers: auth(), body: { cronExpr: '0 9 * * *', message: 'x', catchUp: 'sometimes' }
+      })
+      expect(res.status).toBe(400)
+      expect(res.body.error.code).toBe('INVALID_FIELD')
+    })
+
+    it('GET /api/v1/scheduler/:id/runs returns run history', async () => {
+      const res = await request(port, { path: '/api/v1/scheduler/sched-1/runs', headers: auth() })
+      expect(res.status).toBe(200)
+      expect(res.body.data.lastStatus).toBe('ok')
+      expect(res.body.data.runs).toHaveLength(1)
+    })
+
+    it('GET /api/v1/scheduler/:id/runs returns 404 for unknown task', async () => {
+      const res = await request(port, { path: '/api/v1/scheduler/nope/runs', headers: auth() })
+      expect(res.status).toBe(404)
+    })
+
+    it('PATCH /api/v1/scheduler/:id edits a task', async () => {
+      const res = await request(port, {
+        method: 'PATCH', path: '/api/v1/scheduler/sched-1',
+        headers: auth(), body: { cronExpr: '0 10 * * *', timezone: 'Europe/Madrid' }
+      })
+      expect(res.status).toBe(200)
+      expect(handler._scheduler.update).toHaveBeenCalledWith('sched-1', { cronExpr: '0 10 * * *', timezone: 'Europe/Madrid' })
+      expect(res.body.data.nextRun).toBe(1800000000000)
+    })
+
+    it('PATCH /api/v1/scheduler/:id pauses and resumes', async () => {
+      await request(port, { method: 'PATCH', path: '/api/v1/scheduler/sched-1', headers: auth(), body: { paused: true } })
+      await request(port, { method: 'PATCH', path: '/api/v1/scheduler/sched-1', headers: auth(), body: { paused: false } })
+
+      expect(handler._scheduler.pause).toHaveBeenCalledWith('sched-1')
+      expect(handler._scheduler.resume).toHaveBeenCalledWith('sched-1')
+      expect(handler._scheduler.update).not.toHaveBeenCalled()
+    })
+
+    it('PATCH /api/v1/scheduler/:id rejects unknown fields', async () => {
+      const res = await request(port, {
+        method: 'PATCH', path: '/api/v1/scheduler/sched-1',
+        headers: auth(), body: { chatId: 'other' }
+      })
+      expect(res.status).toBe(400)
+      expect(res.body.error.code).toBe('INVALID_FIELD')
+    })
+
+    it('PATCH /api/v1/scheduler/:id returns 400 when the scheduler rejects the change', async () => {
+      handler._scheduler.update.mockRejectedValueOnce(new Error('Invalid cron expression: nope'))
+      const res = await request(port, {
+        method: 'PATCH', path: '/api/v1/scheduler/sched-1',
+        headers: auth(), body: { cronExpr: 'nope' }
+      })
+      expect(res.status).toBe(400)
+      expect(res.body.error.message).toContain('Invalid cron expression')
+    })
+
+    it('PATCH /api/v1/scheduler/:id returns 404 for unknown task', async () => {
+      const res = await request(port, {
+        method: 'PATCH', path: '/api/v1/scheduler/nope',
+        headers: auth(), body: { paused: true }
+      })
+      expect(res.status).toBe(404)
+    })
+
     it('DELETE /api/v1/scheduler/:id removes task', async () => {
       const res = await request(port, {
         method: 'DELETE', path: '/api/v1/scheduler/sched-1',
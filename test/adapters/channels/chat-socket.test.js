@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import net from 'node:net'
+import { mkdtemp, rm, stat, writeFile } from 'node:fs/promises'
+import { existsSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import ChatSocketServer from '../../../src/adapters/channels/chat-socket.js'
+import { NervousSystem } from '../../../src/domain/nervous/index.js'
+import { MESSAGE_IN, MESSAGE_OUT } from '../../../src/infrastructure/events.js'
+
+describe('ChatSocketServer', () => {
+  let dir, path, bus, server, received
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kenobot-chat-'))
+    path = join(dir, 'chat.sock')
+    bus = new NervousSystem()
+    received = []
+    bus.on(MESSAGE_IN, (payload) => received.push(payload))
+    server = new ChatSocketServer({ bus, path })
+  })
+
+  afterEach(async () => {
+    await server.stop()
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const client = net.connect(path, () => resolve(client))
+      client.once('error', reject)
+      client.resume() // read, or the server's end never arrives
+    })
+  }
+
+  it('should listen on a socket only the owner can open', async () => {
+    await server.start()
+
+    expect((await stat(path)).mode & 0o777).toBe(0o600)
+  })
+
+  it('should replace a stale socket file', async () => {
+    await writeFile(path, '')
+
+    await server.start()
+
+    expect((await stat(path)).isSocket()).toBe(true)
+  })
+
+  it('should run a terminal chat per client', async () => {
+    await server.start()
+    const client = await connect()
+    let output = ''
+    client.on('data', (chunk) => { output += chunk })
+
+    client.write('status?\n')
+    await vi.waitFor(() => expect(received).toHaveLength(1))
+    expect(received[0]).toMatchObject({ text: 'status?', channel: 'terminal', chatId: 'local' })
+
+    bus.fire(MESSAGE_OUT, { chatId: 'local', text: '**All good**', channel: 'terminal' }, { source: 'test' })
+    await vi.waitFor(() => expect(output).toContain('\x1b[1mAll good\x1b[22m'))
+
+    client.end()
+  })
+
+  it('should disconnect the client on /exit', async () => {
+    await server.start()
+    const client = await connect()
+    const closed = new Promise(resolve => client.on('close', resolve))
+
+    client.write('/exit\n')
+    await closed
+
+    expect(bus.listenerCount(MESSAGE_OUT)).toBe(0)
+  })
+
+  it('should close clients and remove the socket on stop()', async () => {
+    await server.start()
+    const client = await connect()
+    const closed = new Promise(resolve => client.on('close', resolve))
+
+    await server.stop()
+    await closed
+
+    expect(existsSync(path)).toBe(false)
+  })
+})
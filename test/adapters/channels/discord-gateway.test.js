@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import DiscordGateway from '../../../src/adapters/channels/discord-gateway.js'
+
+/** WHATWG-style socket the test plays the Discord side of */
+class FakeSocket extends EventTarget {
+  static instances = []
+
+  constructor(url) {
+    super()
+    this.url = url
+    this.sent = []
+    this.closedWith = null
+    FakeSocket.instances.push(this)
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data))
+  }
+
+  close(code) {
+    this.closedWith = code
+  }
+
+  receive(packet) {
+    this.dispatchEvent(Object.assign(new Event('message'), { data: JSON.stringify(packet) }))
+  }
+
+  serverClose(code) {
+    this.dispatchEvent(Object.assign(new Event('close'), { code }))
+  }
+}
+
+const READY = { op: 0, t: 'READY', s: 1, d: { user: { id: '900', username: 'kenobot' }, session_id: 's1', resume_gateway_url: 'wss://resume.discord.gg' } }
+
+describe('DiscordGateway', () => {
+  let gateway
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    FakeSocket.instances = []
+    gateway = new DiscordGateway({ token: 'tkn', url: 'wss://gateway.test', WebSocket: FakeSocket, reconnectDelayMs: 1000 })
+  })
+
+  afterEach(() => {
+    gateway.close()
+    vi.useRealTimers()
+  })
+
+  async function connect() {
+    const connecting = gateway.connect()
+    const socket = FakeSocket.instances.at(-1)
+    socket.receive({ op: 10, d: { heartbeat_interval: 40000 } })
+    socket.receive(READY)
+    const ready = await connecting
+    return { socket, ready }
+  }
+
+  it('should identify on hello and resolve with READY data', async () => {
+    const { socket, ready } = await connect()
+
+    expect(socket.url).toBe('wss://gateway.test')
+    expect(socket.sent[0]).toMatchObject({ op: 2, d: { token: 'tkn', intents: expect.any(Number) } })
+    expect(ready.user.id).toBe('900')
+  })
+
+  it('should emit dispatch events', async () => {
+    const { socket } = await connect()
+    const events = []
+    gateway.on('dispatch', (type, data) => events.push([type, data]))
+
+    socket.receive({ op: 0, t: 'MESSAGE_CREATE', s: 2, d: { content: 'hi' } })
+
+    expect(events).toEqual([['MESSAGE_CREATE', { content: 'hi' }]])
+  })
+
+  it('should heartbeat with the last sequence number', async () => {
+    const { socket } = await connect()
+    socket.receive({ op: 0, t: 'MESSAGE_CREATE', s: 5, d: {} })
+
+    vi.advanceTimersByTime(40000)
+
+    expect(socket.sent.at(-1)).toEqual({ op: 1, d: 5 })
+  })
+
+  it('should reconnect when a heartbeat is not acknowledged', async () => {
+    const { socket } = await connect()
+
+    vi.advanceTimersByTime(80000)
+    expect(socket.closedWith).toBe(4000)
+
+    vi.advanceTimersByTime(1000)
+    expect(FakeSocket.instances).toHaveLength(2)
+  })
+
+  it('should resume the session after a dropped connection', async () => {
+    const { socket } = await connect()
+
+    socket.serverClose(1006)
+    vi.advanceTimersByTime(1000)
+    const next = FakeSocket.instances.at(-1)
+    next.receive({ op: 10, d: { heartbeat_interval: 40000 } })
+
+    expect(next.url).toBe('wss://resume.discord.gg/?v=10&encoding=json')
+    expect(next.sent[0]).toEqual({ op: 6, d: { token: 'tkn', session_id: 's1', seq: 1 } })
+  })
+
+  it('should identify again after a non-resumable invalid session', async () => {
+    const { socket } = await connect()
+
+    socket.receive({ op: 9, d: false })
+    vi.advanceTimersByTime(1000)
+    const next = FakeSocket.instances.at(-1)
+    next.receive({ op: 10, d: { heartbeat_interval: 40000 } })
+
+    expect(next.url).toBe('wss://gateway.test')
+    expect(next.sent[0].op).toBe(2)
+  })
+
+  it('should reject connect() when the gateway refuses the token', async () => {
+    const connecting = gateway.connect()
+    FakeSocket.instances[0].serverClose(4004)
+
+    await expect(connecting).rejects.toMatchObject({ code: 4004 })
+    vi.advanceTimersByTime(5000)
+    expect(FakeSocket.instances).toHaveLength(1)
+  })
+
+  it('should not reconnect after close()', async () => {
+    const { socket } = await connect()
+
+    gateway.close()
+    socket.serverClose(1000)
+    vi.advanceTimersByTime(5000)
+
+    expect(socket.closedWith).toBe(1000)
+    expect(FakeSocket.instances).toHaveLength(1)
+  })
+})
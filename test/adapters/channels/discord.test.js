@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import EventEmitter from 'node:events'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import DiscordChannel from '../../../src/adapters/channels/discord.js'
+import { NervousSystem } from '../../../src/domain/nervous/index.js'
+import { MESSAGE_IN, MESSAGE_OUT, THINKING_START } from '../../../src/infrastructure/events.js'
+
+const BOT = { id: '900', username: 'kenobot' }
+
+/** Local stand-in for DiscordGateway */
+class FakeGateway extends EventEmitter {
+  constructor() {
+    super()
+    this.connect = vi.fn(async () => ({ user: BOT, session_id: 's1' }))
+    this.close = vi.fn()
+  }
+
+  dispatch(message) {
+    this.emit('dispatch', 'MESSAGE_CREATE', {
+      id: 'm1',
+      channel_id: 'c1',
+      content: 'hello',
+      author: { id: '42', username: 'ana' },
+      mentions: [],
+      ...message
+    })
+  }
+}
+
+function jsonResponse(status, body) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+describe('DiscordChannel', () => {
+  let bus, gateway, channel, received, fetchSpy
+
+  beforeEach(async () => {
+    bus = new NervousSystem()
+    gateway = new FakeGateway()
+    received = []
+    bus.on(MESSAGE_IN, (payload) => received.push(payload))
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => jsonResponse(200, { id: 'sent' }))
+
+    channel = new DiscordChannel(bus, {
+      token: 'discord-token',
+      allowedUsers: ['42'],
+      allowedChatIds: ['open-channel'],
+      gateway
+    })
+    await channel.start()
+  })
+
+  afterEach(async () => {
+    await channel.stop()
+    fetchSpy.mockRestore()
+  })
+
+  const sentBodies = () => fetchSpy.mock.calls
+    .filter(([url]) => url.endsWith('/messages'))
+    .map(([, init]) => JSON.parse(init.body))
+
+  describe('incoming messages', () => {
+    it('should publish direct messages from allowed users', () => {
+      gateway.dispatch({ content: 'hi there' })
+
+      expect(received).toHaveLength(1)
+      expect(received[0]).toMatchObject({
+        text: 'hi there',
+        chatId: 'c1',
+        userId: '42',
+        channel: 'discord',
+        metadata: { username: 'ana', chatType: 'dm' }
+      })
+    })
+
+    it('should reject users outside the allowlist', () => {
+      gateway.dispatch({ author: { id: '7', username: 'eve' } })
+
+      expect(received).toHaveLength(0)
+    })
+
+    it('should ignore bots, including itself', () => {
+      gateway.dispatch({ author: { id: '55', username: 'otherbot', bot: true } })
+      gateway.dispatch({ author: { id: BOT.id, username: BOT.username } })
+
+      expect(received).toHaveLength(0)
+    })
+
+    it('should ignore other gateway events', () => {
+      gateway.emit('dispatch', 'TYPING_START', { channel_id: 'c1', user_id: '42' })
+
+      expect(received).toHaveLength(0)
+    })
+  })
+
+  describe('guild channels', () => {
+    const guild = { guild_id: 'g1', channel_id: 'open-channel' }
+    const stranger = { author: { id: '7', username: 'eve' } }
+
+    it('should always answer authorized users', () => {
+      gateway.dispatch({ ...guild, content: 'status?' })
+
+      expect(received[0]).toMatchObject({ text: 'status?', metadata: { chatType: 'guild', guildId: 'g1' } })
+    })
+
+    it('should ignore others unless they mention the bot', () => {
+      gateway.dispatch({ ...guild, ...stranger, content: 'just chatting' })
+      expect(received).toHaveLength(0)
+
+      gateway.dispatch({ ...guild, ...stranger, content: '<@900> what time is it?', mentions: [BOT] })
+      expect(received).toHaveLength(1)
+      expect(received[0].text).toBe('what time is it?')
+    })
+
+    it('should answer replies to the bot', () => {
+      gateway.dispatch({ ...guild, ...stranger, content: 'and tomorrow?', referenced_message: { author: BOT } })
+
+      expect(received[0].text).toBe('and tomorrow?')
+    })
+
+    it('should still apply the allowlist to mentions', () => {
+      gateway.dispatch({ ...stranger, guild_id: 'g1', channel_id: 'private', content: '<@!900> hi', mentions: [BOT] })
+
+      expect(received).toHaveLength(0)
+    })
+  })
+
+  describe('outgoing messages', () => {
+    it('should send message:out for discord with mentions disabled', async () => {
+      bus.fire(MESSAGE_OUT, { chatId: 'c1', text: 'Hello @everyone', channel: 'discord' }, { source: 'test' })
+      await vi.waitFor(() => expect(sentBodies()).toHaveLength(1))
+
+      const [url, init] = fetchSpy.mock.calls[0]
+      expect(url).toBe('https://discord.com/api/v10/channels/c1/messages')
+      expect(init.headers.Authorization).toBe('Bot discord-token')
+      expect(sentBodies()[0]).toEqual({ content: 'Hello @everyone', allowed_mentions: { parse: [] } })
+    })
+
+    it('should ignore message:out for other channels', async () => {
+      bus.fire(MESSAGE_OUT, { chatId: 'c1', text: 'Hi', channel: 'telegram' }, { source: 'test' })
+      await new Promise(resolve => setImmediate(resolve))
+
+      expect(fetchSpy).not.toHaveBeenCalled()
+    })
+
+    it('should split replies longer than 2000 characters', async () => {
+      await channel.send('c1', Array(300).fill('some words here').join('\n'))
+
+      const bodies = sentBodies()
+      expect(bodies.length).toBeGreaterThan(1)
+      for (const { content } of bodies) expect(content.length).toBeLessThanOrEqual(2000)
+    })
+
+    it('should format replies for Discord', async () => {
+      await channel.send('c1', '#### Summary\n---')
+
+      expect(sentBodies()[0].content).toBe('**Summary**\n———')
+    })
+
+    it('should show typing on thinking:start', async () => {
+      bus.fire(THINKING_START, { chatId: 'c1', channel: 'discord' }, { source: 'test' })
+      await vi.waitFor(() => expect(fetchSpy).toHaveBeenCalled())
+
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://discord.com/api/v10/channels/c1/typing')
+    })
+
+    it('should retry once after a 429', async () => {
+      vi.useFakeTimers()
+      fetchSpy
+        .mockResolvedValueOnce(jsonResponse(429, { retry_after: 0.5 }))
+        .mockResolvedValueOnce(jsonResponse(200, { id: 'sent' }))
+
+      const sending = channel.send('c1', 'Hi')
+      await vi.advanceTimersByTimeAsync(500)
+      await sending
+      vi.useRealTimers()
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2)
+    })
+
+    it('should throw on API errors', async () => {
+      fetchSpy.mockResolvedValueOnce(jsonResponse(403, { message: 'Missing Permissions' }))
+
+      await expect(channel.send('c1', 'Hi')).rejects.toThrow('Discord API 403: Missing Permissions')
+    })
+  })
+
+  describe('lifecycle', () => {
+    it('should fail start() when the gateway cannot connect', async () => {
+      const failing = new FakeGateway()
+      failing.connect.mockRejectedValue(Object.assign(new Error('Discord gateway closed with 4004'), { code: 4004 }))
+      const broken = new DiscordChannel(bus, { token: 'bad', allowedUsers: ['42'], gateway: failing })
+
+      await expect(broken.start()).rejects.toThrow('DISCORD_BOT_TOKEN')
+      expect(failing.listenerCount('dispatch')).toBe(0)
+    })
+
+    it('should unsubscribe and close the gateway on stop()', async () => {
+      await channel.stop()
+
+      expect(gateway.close).toHaveBeenCalled()
+      expect(bus.listenerCount(MESSAGE_OUT)).toBe(0)
+      gateway.dispatch({ content: 'late' })
+      expect(received).toHaveLength(0)
+    })
+  })
+})
@@ -103,6 +103,18 @@ describe('HTTPChannel', () => {
 
       expect(res.status).toBe(404)
     })
+
+    it('should serve routes added by other adapters until removed', async () => {
+      const remove = channel.addRoute('POST', '/hooks/x', (req, res) => {
+        res.writeHead(204).end()
+      })
+
+      expect((await request(port, { path: '/hooks/x?ignored=1', body: {} })).status).toBe(204)
+      expect((await request(port, { method: 'GET', path: '/hooks/x' })).status).toBe(404)
+
+      remove()
+      expect((await request(port, { path: '/hooks/x', body: {} })).status).toBe(404)
+    })
   })
 
   describe('HMAC validation', () => {
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import crypto from 'node:crypto'
+import http from 'node:http'
+import { NervousSystem } from '../../../src/domain/nervous/index.js'
+import HTTPChannel from '../../../src/adapters/channels/http.js'
+import SignalStream from '../../../src/adapters/channels/signal-stream.js'
+import { OPCODES } from '../../../src/adapters/channels/ws-protocol.js'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+const API_KEY = 'kb-testkey1234567890123456789012345678901234567890123456789012'
+
+function maskedFrame(opcode, payload) {
+  const data = Buffer.from(payload)
+  const mask = crypto.randomBytes(4)
+  return Buffer.concat([
+    Buffer.from([0x80 | opcode, 0x80 | data.length]),
+    mask,
+    Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]))
+  ])
+}
+
+/**
+ * Open a WebSocket with a raw upgrade request. Resolves with the HTTP status
+ * when the upgrade is refused, or with a client collecting server frames.
+ */
+function connect(port, { path = '/api/v1/signals', headers = { Authorization: `Bearer ${API_KEY}` } } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: '127.0.0.1', port, path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        ...headers
+      }
+    })
+    req.on('response', (res) => { res.resume(); resolve({ status: res.statusCode }) })
+    req.on('upgrade', (res, socket) => {
+      const frames = []
+      let buffer = Buffer.alloc(0)
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk])
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7F
+          let offset = 2
+          if (length === 126) { length = buffer.readUInt16BE(2); offset = 4 }
+          if (buffer.length < offset + length) break
+          frames.push({ opcode: buffer[0] & 0x0F, payload: buffer.subarray(offset, offset + length) })
+          buffer = buffer.subarray(offset + length)
+        }
+      })
+      resolve({
+        status: 101,
+        headers: res.headers,
+        socket,
+        frames,
+        signals: () => frames.filter(f => f.opcode === OPCODES.text).map(f => JSON.parse(f.payload)),
+        send: (opcode, payload) => socket.write(maskedFrame(opcode, payload))
+      })
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+describe('SignalStream', () => {
+  let bus, signalStream, channel, port
+
+  beforeEach(async () => {
+    bus = new NervousSystem()
+    signalStream = new SignalStream({ bus, apiKey: API_KEY })
+    channel = new HTTPChannel(bus, { port: 0, host: '127.0.0.1', webhookSecret: 'secret', signalStream })
+    await channel.start()
+    port = channel.server.address().port
+  })
+
+  afterEach(async () => {
+    await channel.stop()
+  })
+
+  it('streams fired signals with their envelope', async () => {
+    const client = await connect(port)
+    expect(client.status).toBe(101)
+
+    bus.fire('message:in', { text: 'hi', chatId: '1', channel: 'telegram' }, { source: 'telegram', traceId: 'trace-1' })
+
+    await vi.waitFor(() => expect(client.signals()).toHaveLength(1))
+    expect(client.signals()[0]).toMatchObject({
+      type: 'message:in',
+      source: 'telegram',
+      traceId: 'trace-1',
+      payload: { text: 'hi', chatId: '1', channel: 'telegram' }
+    })
+    expect(client.signals()[0].timestamp).toEqual(expect.any(Number))
+  })
+
+  it('filters by type prefix, source and traceId from the query string', async () => {
+    const client = await connect(port, {
+      path: '/api/v1/signals?type=task:*,health:degraded&source=motor',
+      headers: { Authorization: `Bearer ${API_KEY}` }
+    })
+
+    bus.fire('message:in', { text: 'hi' }, { source: 'telegram' })
+    bus.fire('task:started', { taskId: 't1' }, { source: 'motor' })
+    bus.fire('task:progress', { taskId: 't1' }, { source: 'agent' })
+    bus.fire('health:degraded', { reason: 'slow' }, { source: 'motor' })
+
+    await vi.waitFor(() => expect(client.signals()).toHaveLength(2))
+    expect(client.signals().map(s => s.type)).toEqual(['task:started', 'health:degraded'])
+
+    const traced = await connect(port, { path: '/api/v1/signals?traceId=abc', headers: { Authorization: `Bearer ${API_KEY}` } })
+    bus.fire('message:out', { text: 'other' }, { source: 'agent', traceId: 'xyz' })
+    bus.fire('message:out', { text: 'mine' }, { source: 'agent', traceId: 'abc' })
+
+    await vi.waitFor(() => expect(traced.signals()).toHaveLength(1))
+    expect(traced.signals()[0].payload.text).toBe('mine')
+  })
+
+  it('lets clients replace their filter with a message', async () => {
+    const client = await connect(port)
+
+    client.send(OPCODES.text, JSON.stringify({ type: ['tool:started'] }))
+    await vi.waitFor(() => expect(signalStream._clients.values().next().value.filter.types).toEqual(['tool:started']))
+
+    bus.fire('message:in', { text: 'ignored' }, { source: 'telegram' })
+    bus.fire('tool:started', { name: 'web_fetch' }, { source: 'motor' })
+
+    await vi.waitFor(() => expect(client.signals()).toHaveLength(1))
+    expect(client.signals()[0].type).toBe('tool:started')
+  })
+
+  it('accepts the key as a bearer subprotocol for browsers', async () => {
+    const client = await connect(port, { headers: { 'Sec-WebSocket-Protocol': `bearer, ${API_KEY}` } })
+
+    expect(client.status).toBe(101)
+    expect(client.headers['sec-websocket-protocol']).toBe('bearer')
+  })
+
+  it('rejects missing or wrong keys', async () => {
+    expect((await connect(port, { headers: {} })).status).toBe(401)
+    expect((await connect(port, { headers: { Authorization: 'Bearer kb-wrong' } })).status).toBe(401)
+    expect(signalStream.clientCount).toBe(0)
+  })
+
+  it('rejects upgrades on other paths', async () => {
+    expect((await connect(port, { path: '/webhook' })).status).toBe(404)
+  })
+
+  it('answers pings and stops tapping the bus when the client leaves', async () => {
+    const client = await connect(port)
+
+    client.send(OPCODES.ping, 'are you there')
+    await vi.waitFor(() => expect(client.frames.some(f => f.opcode === OPCODES.pong)).toBe(true))
+    expect(bus._taps.size).toBe(1)
+
+    client.send(OPCODES.close, '')
+    await vi.waitFor(() => expect(signalStream.clientCount).toBe(0))
+    expect(bus._taps.size).toBe(0)
+    expect(client.frames.at(-1).opcode).toBe(OPCODES.close)
+  })
+
+  it('closes clients with 1001 when the channel stops', async () => {
+    const client = await connect(port)
+    const closed = new Promise(resolve => client.socket.on('close', resolve))
+
+    await channel.stop()
+    await closed
+
+    const close = client.frames.find(f => f.opcode === OPCODES.close)
+    expect(close.payload.readUInt16BE(0)).toBe(1001)
+    expect(bus._taps.size).toBe(0)
+
+    // afterEach stops again
+    await channel.start()
+  })
+})
@@ -1,10 +1,14 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
 
 vi.mock('../../../src/infrastructure/logger.js', () => ({
   default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
 }))
 
-import TelegramChannel from '../../../src/adapters/channels/telegram.js'
+import { Readable } from 'node:stream'
+import TelegramChannel, { validateWebhookConfig, webhookPath } from '../../../src/adapters/channels/telegram.js'
 import { NervousSystem } from '../../../src/domain/nervous/index.js'
 
 describe('TelegramChannel', () => {
@@ -335,6 +339,16 @@ describe('TelegramChannel', () => {
       expect(emitted[1].text).toBe('stop')
     })
 
+    it('slash command flushes pending batch and bypasses buffer', () => {
+      const emitted = []
+      bus.on('message:in', m => emitted.push(m))
+
+      ch._bufferOrPublish(msg('acuérdate de esto'))
+      ch._bufferOrPublish(msg('/why'))
+
+      expect(emitted.map(m => m.text)).toEqual(['acuérdate de esto', '/why'])
+    })
+
     it('all cancel variants bypass buffer', () => {
       for (const word of ['para', 'stop', 'cancel', 'cancelar', 'STOP', 'Para']) {
         const localBus = new (Object.getPrototypeOf(bus).constructor)()
@@ -394,4 +408,502 @@ describe('TelegramChannel', () => {
       }).not.toThrow()
     })
   })
+
+  describe('command menu', () => {
+    const commands = [{ command: 'why', description: 'Explain my last response' }]
+
+    it('registers configured commands with setMyCommands', async () => {
+      const ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], commands })
+      ch.bot.api.setMyCommands = vi.fn().mockResolvedValue(true)
+
+      await ch._registerCommands()
+
+      expect(ch.bot.api.setMyCommands).toHaveBeenCalledWith(commands)
+    })
+
+    it('does not fail when registration is rejected', async () => {
+      const ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], commands })
+      ch.bot.api.setMyCommands = vi.fn().mockRejectedValue(new Error('Unauthorized'))
+
+      await expect(ch._registerCommands()).resolves.toBeUndefined()
+    })
+
+    it('skips registration without commands', async () => {
+      const ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'] })
+      ch.bot.api.setMyCommands = vi.fn()
+
+      await ch._registerCommands()
+
+      expect(ch.bot.api.setMyCommands).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('inline buttons', () => {
+    let ch
+
+    beforeEach(() => {
+      ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], allowedChatIds: [] })
+      ch.bot = { api: { sendMessage: vi.fn().mockResolvedValue({}) } }
+    })
+
+    it('should send buttons as an inline keyboard on the last chunk', async () => {
+      await ch.send('111', `${'a'.repeat(4000)}\nend`, { buttons: [[{ text: 'Approve', data: 'approval:approve:1' }]] })
+
+      const calls = ch.bot.api.sendMessage.mock.calls
+      expect(calls).toHaveLength(2)
+      expect(calls[0][2].reply_markup).toBeUndefined()
+      expect(calls[1][2].reply_markup).toEqual({
+        inline_keyboard: [[{ text: 'Approve', callback_data: 'approval:approve:1' }]]
+      })
+    })
+
+    it('should fire notification:action for presses from allowed users', async () => {
+      const actions = []
+      bus.on('notification:action', (payload) => actions.push(payload))
+      const answerCallbackQuery = vi.fn().mockResolvedValue(true)
+
+      await ch._handleCallback({ from: { id: 111 }, chat: { id: 111 }, callbackQuery: { data: 'approval:approve:1' }, answerCallbackQuery })
+
+      expect(answerCallbackQuery).toHaveBeenCalled()
+      expect(actions).toEqual([{ data: 'approval:approve:1', chatId: '111', userId: '111', channel: 'telegram' }])
+    })
+
+    it('should ignore presses from other users', async () => {
+      const actions = []
+      bus.on('notification:action', (payload) => actions.push(payload))
+      const answerCallbackQuery = vi.fn().mockResolvedValue(true)
+
+      await ch._handleCallback({ from: { id: 999 }, chat: { id: 999 }, callbackQuery: { data: 'approval:approve:1' }, answerCallbackQuery })
+
+      expect(actions).toHaveLength(0)
+      expect(answerCallbackQuery).toHaveBeenCalledWith({ text: 'Not allowed' })
+    })
+
+    it('should only accept presses from the owner in the owner chat', async () => {
+      ch.config.allowedUsers = ['111', '222']
+      ch.config.allowedChatIds = ['-100']
+      const actions = []
+      bus.on('notification:action', (payload) => actions.push(payload))
+      const answerCallbackQuery = vi.fn().mockResolvedValue(true)
+      const press = (from, chat) => ch._handleCallback({ from: { id: from }, chat: { id: chat }, callbackQuery: { data: 'approval:approve:1' }, answerCallbackQuery })
+
+      await press(222, 222)
+      await press(222, -100)
+      await press(111, -100)
+
+      expect(actions).toHaveLength(0)
+      expect(answerCallbackQuery).toHaveBeenCalledTimes(3)
+      expect(answerCallbackQuery).toHaveBeenNthCalledWith(3, { text: 'Not allowed' })
+    })
+  })
+
+  describe('media messages', () => {
+    let dataDir
+    let ch
+    let emitted
+
+    const ctx = (message, { chatType = 'private', fromId = 111 } = {}) => ({
+      chat: { id: 111, type: chatType },
+      from: { id: fromId, username: 'vader', first_name: 'Anakin' },
+      me: { id: 42, username: 'kenobot' },
+      message: { message_id: 7, ...message }
+    })
+
+    beforeEach(async () => {
+      dataDir = await mkdtemp(join(tmpdir(), 'kenobot-telegram-media-'))
+      ch = new TelegramChannel(bus, {
+        token: 'fake', allowedUsers: ['111'], allowedChatIds: [], debounceMs: 0, dataDir
+      })
+      ch.bot = { api: { getFile: vi.fn().mockResolvedValue({ file_path: 'photos/file_1.jpg' }) } }
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, arrayBuffer: async () => Buffer.from('jpegdata') }))
+      emitted = []
+      bus.on('message:in', m => emitted.push(m))
+    })
+
+    afterEach(async () => {
+      vi.unstubAllGlobals()
+      await rm(dataDir, { recursive: true, force: true })
+    })
+
+    it('should download the largest photo and publish it with the caption as text', async () => {
+      await ch._handleIncoming(ctx({
+        photo: [{ file_id: 'small', file_size: 10 }, { file_id: 'large', file_size: 8 }],
+        caption: 'What is this?'
+      }), 'What is this?', { media: true })
+
+      expect(ch.bot.api.getFile).toHaveBeenCalledWith('large')
+      expect(fetch).toHaveBeenCalledWith('https://api.telegram.org/file/botfake/photos/file_1.jpg')
+      expect(emitted).toHaveLength(1)
+      expect(emitted[0].text).toBe('What is this?')
+
+      const [attachment] = emitted[0].attachments
+      expect(attachment).toEqual(expect.objectContaining({
+        type: 'image', fileName: 'photo-7.jpg', mimeType: 'image/jpeg', size: 8,
+        path: join(dataDir, 'attachments', '111', '7-photo-7.jpg')
+      }))
+      expect(await readFile(attachment.path, 'utf8')).toBe('jpegdata')
+    })
+
+    it('should type documents and voice notes', async () => {
+      await ch._handleIncoming(ctx({ document: { file_id: 'd', file_name: 'My Report.pdf', mime_type: 'application/pdf', file_size: 4 } }), '', { media: true })
+      await ch._handleIncoming(ctx({ voice: { file_id: 'v', duration: 5, mime_type: 'audio/ogg', file_size: 3 } }), '', { media: true })
+
+      expect(emitted[0].attachments[0]).toEqual(expect.objectContaining({ type: 'document', fileName: 'My Report.pdf', mimeType: 'application/pdf' }))
+      expect(emitted[0].attachments[0].path).toMatch(/7-My_Report\.pdf$/)
+      expect(emitted[1].attachments[0]).toEqual(expect.objectContaining({ type: 'voice', duration: 5, mimeType: 'audio/ogg' }))
+    })
+
+    it('should not download files from unauthorized users', async () => {
+      await ch._handleIncoming(ctx({ photo: [{ file_id: 'x', file_size: 1 }] }, { fromId: 999 }), '', { media: true })
+
+      expect(ch.bot.api.getFile).not.toHaveBeenCalled()
+      expect(emitted).toHaveLength(0)
+    })
+
+    it('should keep the message when a download fails or the file is too large', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 })
+      await ch._handleIncoming(ctx({ photo: [{ file_id: 'x', file_size: 1 }] }), '', { media: true })
+      await ch._handleIncoming(ctx({ document: { file_id: 'big', file_name: 'big.zip', file_size: 50 * 1024 * 1024 } }), '', { media: true })
+
+      expect(emitted[0].attachments[0].error).toBe('download failed with status 404')
+      expect(emitted[1].attachments[0].error).toBe('file is larger than 20 MB')
+      expect(emitted[1].attachments[0].path).toBeUndefined()
+    })
+
+    it('should apply group mention rules to captions', async () => {
+      const group = { chatType: 'supergroup', fromId: 222 }
+      ch.config.allowedChatIds = ['111']
+
+      await ch._handleIncoming(ctx({ photo: [{ file_id: 'a', file_size: 1 }] }, group), 'nice view', { media: true })
+      await ch._handleIncoming(ctx({ photo: [{ file_id: 'b', file_size: 1 }] }, group), '@kenobot what is this', { media: true })
+
+      expect(ch.bot.api.getFile).toHaveBeenCalledTimes(1)
+      expect(emitted).toHaveLength(1)
+      expect(emitted[0].text).toBe('what is this')
+    })
+
+    it('should merge an album into one message through the debounce buffer', () => {
+      vi.useFakeTimers()
+      const buffered = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], allowedChatIds: [], debounceMs: 1500 })
+      buffered.bot = { api: { sendChatAction: vi.fn().mockResolvedValue(true) } }
+      const photo = n => ({ type: 'image', fileName: `photo-${n}.jpg`, path: `/tmp/${n}.jpg` })
+
+      buffered._bufferOrPublish({ text: 'Trip', chatId: '111', userId: '111', attachments: [photo(1)], metadata: {} })
+      buffered._bufferOrPublish({ text: '', chatId: '111', userId: '111', attachments: [photo(2)], metadata: {} })
+      vi.advanceTimersByTime(1500)
+      vi.useRealTimers()
+
+      expect(emitted).toHaveLength(1)
+      expect(emitted[0].text).toBe('Trip')
+      expect(emitted[0].attachments.map(a => a.fileName)).toEqual(['photo-1.jpg', 'photo-2.jpg'])
+    })
+  })
+
+  describe('streaming', () => {
+    let ch, api
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], streamEditMs: 1000 })
+      api = {
+        sendMessage: vi.fn().mockResolvedValue({ message_id: 42 }),
+        editMessageText: vi.fn().mockResolvedValue(true)
+      }
+      ch.bot = { api }
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should post the first delta as plain text', async () => {
+      ch._updateStream('s1', '111', 'Hel')
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(api.sendMessage).toHaveBeenCalledWith('111', 'Hel')
+    })
+
+    it('should throttle edits to one per interval with the latest text', async () => {
+      ch._updateStream('s1', '111', 'Hel')
+      await vi.advanceTimersByTimeAsync(0)
+      ch._updateStream('s1', '111', 'Hello')
+      ch._updateStream('s1', '111', 'Hello there')
+
+      await vi.advanceTimersByTimeAsync(500)
+      expect(api.editMessageText).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(500)
+      expect(api.editMessageText).toHaveBeenCalledTimes(1)
+      expect(api.editMessageText).toHaveBeenCalledWith('111', 42, 'Hello there')
+    })
+
+    it('should finish by editing in the formatted reply', async () => {
+      ch._updateStream('s1', '111', 'Hello **there**')
+      await vi.advanceTimersByTimeAsync(0)
+      ch._updateStream('s1', '111', 'Hello **there** and more')
+
+      await ch._finishStream('s1', 'Hello **there**')
+      await vi.advanceTimersByTimeAsync(2000)
+
+      expect(api.editMessageText).toHaveBeenCalledTimes(1)
+      expect(api.editMessageText).toHaveBeenCalledWith('111', 42, 'Hello <b>there</b>', { parse_mode: 'HTML' })
+      expect(api.sendMessage).toHaveBeenCalledTimes(1)
+      expect(ch._streams.size).toBe(0)
+    })
+
+    it('should send overflow of a long final reply as new messages', async () => {
+      ch._updateStream('s1', '111', 'Start')
+      await vi.advanceTimersByTimeAsync(0)
+
+      await ch._finishStream('s1', `${'a'.repeat(4000)}\nend`)
+
+      expect(api.editMessageText).toHaveBeenCalledTimes(1)
+      expect(api.sendMessage).toHaveBeenLastCalledWith('111', 'end', { parse_mode: 'HTML' })
+    })
+
+    it('should send overflow of a long streamed reply into its thread', async () => {
+      ch._updateStream('s1', '-100', 'Start', 'topic-9')
+      await vi.advanceTimersByTimeAsync(0)
+
+      await ch._finishStream('s1', `${'a'.repeat(4000)}\nend`)
+
+      expect(api.editMessageText).toHaveBeenCalledTimes(1)
+      expect(api.sendMessage).toHaveBeenLastCalledWith('-100', 'end', { parse_mode: 'HTML', message_thread_id: 9 })
+    })
+
+    it('should send the reply normally when the preview could not be posted', async () => {
+      api.sendMessage.mockRejectedValueOnce(new Error('Bad Request')).mockResolvedValue({ message_id: 43 })
+      ch._updateStream('s1', '111', 'Hel')
+      await vi.advanceTimersByTimeAsync(0)
+
+      await ch._finishStream('s1', 'Hello')
+
+      expect(api.editMessageText).not.toHaveBeenCalled()
+      expect(api.sendMessage).toHaveBeenLastCalledWith('111', 'Hello', { parse_mode: 'HTML' })
+    })
+
+    it('should ignore "message is not modified" on the final edit', async () => {
+      api.editMessageText.mockRejectedValue(Object.assign(new Error('Bad Request: message is not modified'), {}))
+      ch._updateStream('s1', '111', 'Hello')
+      await vi.advanceTimersByTimeAsync(0)
+
+      await expect(ch._finishStream('s1', 'Hello')).resolves.toBeUndefined()
+      expect(api.sendMessage).toHaveBeenCalledTimes(1)
+    })
+
+    function startable(channel) {
+      Object.assign(api, { getMe: vi.fn().mockResolvedValue({}), deleteWebhook: vi.fn().mockResolvedValue(true) })
+      channel.bot = { api, on: vi.fn(), start: vi.fn().mockResolvedValue(), stop: vi.fn().mockResolvedValue() }
+      return channel
+    }
+
+    it('should route deltas and the final message:out through the stream', async () => {
+      startable(ch)
+      await ch.start()
+
+      bus.fire('message:delta', { chatId: '111', channel: 'telegram', streamId: 's1', delta: 'Hi', text: 'Hi' }, { source: 'test' })
+      await vi.advanceTimersByTimeAsync(0)
+      await ch._onMessageOut({ chatId: '111', channel: 'telegram', streamId: 's1', text: 'Hi!' })
+
+      expect(api.sendMessage).toHaveBeenCalledTimes(1)
+      expect(api.editMessageText).toHaveBeenCalledWith('111', 42, 'Hi!', { parse_mode: 'HTML' })
+      await ch.stop()
+    })
+
+    it('should ignore deltas when streamEditMs is 0', async () => {
+      const quiet = startable(new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], streamEditMs: 0 }))
+      await quiet.start()
+
+      bus.fire('message:delta', { chatId: '111', channel: 'telegram', streamId: 's1', delta: 'Hi', text: 'Hi' }, { source: 'test' })
+      await vi.advanceTimersByTimeAsync(0)
+      await quiet._onMessageOut({ chatId: '111', channel: 'telegram', streamId: 's1', text: 'Hi!' })
+
+      expect(api.editMessageText).not.toHaveBeenCalled()
+      expect(api.sendMessage).toHaveBeenCalledExactlyOnceWith('111', 'Hi!', { parse_mode: 'HTML' })
+      await quiet.stop()
+    })
+  })
+
+  describe('thread sessions', () => {
+    let ch, api, emitted
+
+    const BOT = { id: 42, username: 'kenobot' }
+    const groupCtx = (message) => ({
+      chat: { id: -100, type: 'supergroup' },
+      from: { id: 111, username: 'vader', first_name: 'Anakin' },
+      me: BOT,
+      message: { message_id: 7, ...message }
+    })
+
+    beforeEach(() => {
+      ch = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], debounceMs: 0, threadSessions: true })
+      api = { sendMessage: vi.fn().mockResolvedValue({ message_id: 50 }) }
+      ch.bot = { api }
+      emitted = []
+      bus.on('message:in', m => emitted.push(m))
+    })
+
+    it('should give forum topics their own thread', async () => {
+      await ch._handleIncoming(groupCtx({ message_thread_id: 9, is_topic_message: true }), 'hi')
+
+      expect(emitted[0]).toMatchObject({ chatId: '-100', threadId: 'topic-9' })
+    })
+
+    it('should start a reply thread when someone replies to the bot', async () => {
+      await ch._handleIncoming(groupCtx({ message_id: 8, reply_to_message: { message_id: 5, from: BOT } }), 'and then?')
+      await ch._handleIncoming(groupCtx({ reply_to_message: { message_id: 6, from: { id: 222 } } }), 'unrelated')
+
+      expect(emitted[0].threadId).toBe('reply-5')
+      expect(emitted[1].threadId).toBeUndefined()
+    })
+
+    it('should answer inside the thread', async () => {
+      await ch._handleIncoming(groupCtx({ message_id: 8, reply_to_message: { message_id: 5, from: BOT } }), 'and then?')
+
+      await ch.send('-100', 'Then this', { threadId: 'reply-5' })
+      await ch.send('-100', 'In the topic', { threadId: 'topic-9' })
+
+      expect(api.sendMessage).toHaveBeenNthCalledWith(1, '-100', 'Then this', {
+        parse_mode: 'HTML', reply_parameters: { message_id: 8, allow_sending_without_reply: true }
+      })
+      expect(api.sendMessage).toHaveBeenNthCalledWith(2, '-100', 'In the topic', { parse_mode: 'HTML', message_thread_id: 9 })
+    })
+
+    it('should continue the thread when the bot reply is replied to', async () => {
+      await ch._handleIncoming(groupCtx({ message_id: 8, reply_to_message: { message_id: 5, from: BOT } }), 'and then?')
+      await ch.send('-100', 'Then this', { threadId: 'reply-5' })
+
+      await ch._handleIncoming(groupCtx({ message_id: 51, reply_to_message: { message_id: 50, from: BOT } }), 'why?')
+
+      expect(emitted[1].threadId).toBe('reply-5')
+    })
+
+    it('should leave private chats and disabled channels unthreaded', async () => {
+      const off = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], debounceMs: 0 })
+      await off._handleIncoming(groupCtx({ message_thread_id: 9, is_topic_message: true }), 'hi')
+      await ch._handleIncoming({ ...groupCtx({ reply_to_message: { message_id: 5, from: BOT } }), chat: { id: 111, type: 'private' } }, 'hi')
+
+      expect(emitted.map(m => m.threadId)).toEqual([undefined, undefined])
+    })
+
+    it('should debounce each thread separately', () => {
+      vi.useFakeTimers()
+      const buffered = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], debounceMs: 1500 })
+      buffered.bot = { api: { sendChatAction: vi.fn() } }
+
+      buffered._bufferOrPublish({ text: 'main', chatId: '-100', userId: '111', metadata: {} })
+      buffered._bufferOrPublish({ text: 'topic', chatId: '-100', threadId: 'topic-9', userId: '111', metadata: {} })
+      vi.advanceTimersByTime(1500)
+      vi.useRealTimers()
+
+      expect(emitted.map(m => [m.text, m.threadId])).toEqual([['main', undefined], ['topic', 'topic-9']])
+    })
+  })
+
+  describe('webhook mode', () => {
+    let ch, server, removeRoute, handler
+
+    function webhookRequest(body, secret) {
+      const req = Readable.from([Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))])
+      req.headers = secret ? { 'x-telegram-bot-api-secret-token': secret } : {}
+      const res = { writeHead: vi.fn(() => res), end: vi.fn() }
+      return { req, res }
+    }
+
+    beforeEach(async () => {
+      removeRoute = vi.fn()
+      server = { addRoute: vi.fn((method, path, fn) => { handler = fn; return removeRoute }) }
+      ch = new TelegramChannel(bus, {
+        token: 'fake',
+        allowedUsers: ['111'],
+        webhook: { server, url: 'https://bot.example.com/', secretToken: 'hook-secret' }
+      })
+      ch.bot = {
+        api: {
+          getMe: vi.fn().mockResolvedValue({ id: 1, username: 'kenobot' }),
+          setWebhook: vi.fn().mockResolvedValue(true),
+          deleteWebhook: vi.fn().mockResolvedValue(true)
+        },
+        on: vi.fn(),
+        start: vi.fn(),
+        stop: vi.fn().mockResolvedValue(),
+        handleUpdate: vi.fn().mockResolvedValue()
+      }
+      await ch.start()
+    })
+
+    it('should register the secret path instead of polling', () => {
+      const path = webhookPath('hook-secret')
+
+      expect(path).toMatch(/^\/telegram\/[0-9a-f]{32}$/)
+      expect(server.addRoute).toHaveBeenCalledWith('POST', path, expect.any(Function))
+      expect(ch.bot.api.setWebhook).toHaveBeenCalledWith(`https://bot.example.com${path}`, {
+        secret_token: 'hook-secret',
+        drop_pending_updates: true
+      })
+      expect(ch.bot.start).not.toHaveBeenCalled()
+      expect(ch.bot.api.deleteWebhook).not.toHaveBeenCalled()
+      expect(ch.bot.botInfo).toEqual({ id: 1, username: 'kenobot' })
+    })
+
+    it('should feed updates with the right secret token to the bot', async () => {
+      const update = { update_id: 7, message: { text: 'hi' } }
+      const { req, res } = webhookRequest(update, 'hook-secret')
+
+      await handler(req, res)
+
+      expect(res.writeHead).toHaveBeenCalledWith(200)
+      expect(ch.bot.handleUpdate).toHaveBeenCalledWith(update)
+    })
+
+    it('should reject requests without the secret token', async () => {
+      for (const secret of [undefined, 'wrong']) {
+        const { req, res } = webhookRequest({ update_id: 7 }, secret)
+        await handler(req, res)
+        expect(res.writeHead).toHaveBeenCalledWith(401)
+      }
+      expect(ch.bot.handleUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should answer 400 to invalid JSON', async () => {
+      const { req, res } = webhookRequest('{not json', 'hook-secret')
+
+      await handler(req, res)
+
+      expect(res.writeHead).toHaveBeenCalledWith(400)
+      expect(ch.bot.handleUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should remove the route on stop()', async () => {
+      await ch.stop()
+
+      expect(removeRoute).toHaveBeenCalled()
+    })
+
+    it('should derive a secret token from the bot token when none is set', () => {
+      const derived = new TelegramChannel(bus, { token: 'fake', allowedUsers: ['111'], webhook: { server, url: 'https://bot.example.com' } })
+
+      expect(derived._webhook.secretToken).toMatch(/^[0-9a-f]{64}$/)
+      expect(derived._webhook.secretToken).not.toContain('fake')
+    })
+
+    it('should refuse an invalid webhook configuration', () => {
+      expect(() => new TelegramChannel(bus, { token: 'fake', webhook: { server, url: 'http://bot.example.com' } }))
+        .toThrow('https')
+      expect(() => new TelegramChannel(bus, { token: 'fake', webhook: { url: 'https://bot.example.com' } }))
+        .toThrow('HTTP_ENABLED')
+    })
+  })
+
+  describe('validateWebhookConfig()', () => {
+    it('should accept a public https URL', () => {
+      expect(validateWebhookConfig({ url: 'https://bot.example.com', secretToken: 'abc_DEF-123' })).toEqual([])
+      expect(validateWebhookConfig({ url: 'https://bot.example.com:8443' })).toEqual([])
+    })
+
+    it('should report each problem', () => {
+      expect(validateWebhookConfig({ url: 'not a url' })[0]).toContain('not a valid URL')
+      expect(validateWebhookConfig({ url: 'https://localhost:3000/?x=1', secretToken: 'has space' })).toHaveLength(4)
+    })
+  })
 })
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { PassThrough } from 'node:stream'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import TerminalChannel from '../../../src/adapters/channels/terminal.js'
+import { NervousSystem } from '../../../src/domain/nervous/index.js'
+import { MESSAGE_IN, MESSAGE_OUT, THINKING_START, TOOL_STARTED, TOOL_COMPLETED } from '../../../src/infrastructure/events.js'
+
+describe('TerminalChannel', () => {
+  let bus, input, output, channel, received
+
+  const written = () => output.read()?.toString() ?? ''
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+
+  beforeEach(async () => {
+    bus = new NervousSystem()
+    input = new PassThrough()
+    output = new PassThrough()
+    received = []
+    bus.on(MESSAGE_IN, (payload) => received.push(payload))
+
+    channel = new TerminalChannel(bus, { input, output, prompt: '> ' })
+    await channel.start()
+  })
+
+  afterEach(async () => {
+    await channel.stop()
+  })
+
+  it('should publish each line as a message on the local session', async () => {
+    input.write('hello there\n')
+    await tick()
+
+    expect(received).toHaveLength(1)
+    expect(received[0]).toMatchObject({
+      text: 'hello there',
+      chatId: 'local',
+      userId: 'terminal',
+      channel: 'terminal',
+      metadata: { chatType: 'private' }
+    })
+  })
+
+  it('should skip blank lines', async () => {
+    input.write('   \n')
+    await tick()
+
+    expect(received).toHaveLength(0)
+  })
+
+  it('should render replies as plain text when output is not a TTY', async () => {
+    written()
+    bus.fire(MESSAGE_OUT, { chatId: 'local', text: '**Done**', channel: 'terminal' }, { source: 'test' })
+    await tick()
+
+    expect(written()).toBe('\nDone\n\n> ')
+  })
+
+  it('should ignore replies for other channels and chats', async () => {
+    written()
+    bus.fire(MESSAGE_OUT, { chatId: 'local', text: 'Hi', channel: 'telegram' }, { source: 'test' })
+    bus.fire(MESSAGE_OUT, { chatId: 'other', text: 'Hi', channel: 'terminal' }, { source: 'test' })
+    await tick()
+
+    expect(written()).toBe('')
+  })
+
+  it('should trace tool calls and thinking', async () => {
+    written()
+    const own = { chatId: 'local', channel: 'terminal' }
+    bus.fire(THINKING_START, own, { source: 'test' })
+    bus.fire(TOOL_STARTED, { ...own, id: 't1', name: 'web_fetch', input: { url: 'https://example.com' } }, { source: 'test' })
+    bus.fire(TOOL_COMPLETED, { ...own, id: 't1', name: 'web_fetch', result: '404 Not Found\nbody', isError: true }, { source: 'test' })
+
+    expect(written()).toBe('thinking…\n⚙ web_fetch {"url":"https://example.com"}\n✗ web_fetch 404 Not Found\n')
+  })
+
+  it('should emit close on /exit and on end of input', async () => {
+    const onClose = vi.fn()
+    channel.on('close', onClose)
+
+    input.write('/exit\n')
+    await tick()
+
+    expect(onClose).toHaveBeenCalledOnce()
+    expect(received).toHaveLength(0)
+  })
+
+  it('should unsubscribe on stop() without emitting close', async () => {
+    const onClose = vi.fn()
+    channel.on('close', onClose)
+
+    await channel.stop()
+
+    expect(onClose).not.toHaveBeenCalled()
+    expect(bus.listenerCount(MESSAGE_OUT)).toBe(0)
+    expect(bus.listenerCount(TOOL_STARTED)).toBe(0)
+  })
+})
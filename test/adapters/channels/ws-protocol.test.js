@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import crypto from 'node:crypto'
+import { OPCODES, acceptKey, encodeFrame, closePayload, FrameReader } from '../../../src/adapters/channels/ws-protocol.js'
+
+// Client frames are always masked
+function clientFrame(opcode, payload, { fin = true } = {}) {
+  const data = Buffer.from(payload)
+  const mask = crypto.randomBytes(4)
+  const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]))
+  let header
+  if (data.length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | data.length])
+  } else {
+    header = Buffer.alloc(4)
+    header[0] = (fin ? 0x80 : 0) | opcode
+    header[1] = 0x80 | 126
+    header.writeUInt16BE(data.length, 2)
+  }
+  return Buffer.concat([header, mask, masked])
+}
+
+describe('ws-protocol', () => {
+  it('computes the handshake accept key from RFC 6455', () => {
+    expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=')
+  })
+
+  describe('encodeFrame', () => {
+    it('encodes short text frames', () => {
+      expect(encodeFrame(OPCODES.text, 'hi')).toEqual(Buffer.from([0x81, 2, 0x68, 0x69]))
+    })
+
+    it('uses 16-bit and 64-bit lengths for larger payloads', () => {
+      const medium = encodeFrame(OPCODES.text, 'a'.repeat(300))
+      expect(medium[1]).toBe(126)
+      expect(medium.readUInt16BE(2)).toBe(300)
+
+      const large = encodeFrame(OPCODES.binary, Buffer.alloc(70000))
+      expect(large[1]).toBe(127)
+      expect(Number(large.readBigUInt64BE(2))).toBe(70000)
+    })
+
+    it('encodes close codes with a reason', () => {
+      const payload = closePayload(1001, 'bye')
+      expect(payload.readUInt16BE(0)).toBe(1001)
+      expect(payload.subarray(2).toString()).toBe('bye')
+    })
+  })
+
+  describe('FrameReader', () => {
+    it('unmasks client messages', () => {
+      const reader = new FrameReader()
+
+      expect(reader.push(clientFrame(OPCODES.text, '{"type":"task:*"}'))).toEqual([
+        { opcode: OPCODES.text, payload: Buffer.from('{"type":"task:*"}') }
+      ])
+    })
+
+    it('waits for frames split across chunks', () => {
+      const reader = new FrameReader()
+      const frame = clientFrame(OPCODES.text, 'x'.repeat(200))
+
+      expect(reader.push(frame.subarray(0, 3))).toEqual([])
+      expect(reader.push(frame.subarray(3, 100))).toEqual([])
+      expect(reader.push(frame.subarray(100))[0].payload.toString()).toBe('x'.repeat(200))
+    })
+
+    it('joins fragments and passes control frames through', () => {
+      const reader = new FrameReader()
+      const messages = reader.push(Buffer.concat([
+        clientFrame(OPCODES.text, 'hel', { fin: false }),
+        clientFrame(OPCODES.ping, 'p'),
+        clientFrame(OPCODES.continuation, 'lo')
+      ]))
+
+      expect(messages.map(m => [m.opcode, m.payload.toString()])).toEqual([
+        [OPCODES.ping, 'p'],
+        [OPCODES.text, 'hello']
+      ])
+    })
+
+    it('rejects unmasked frames', () => {
+      expect(() => new FrameReader().push(encodeFrame(OPCODES.text, 'hi')))
+        .toThrow(expect.objectContaining({ closeCode: 1002 }))
+    })
+
+    it('rejects messages over the size limit', () => {
+      const reader = new FrameReader({ maxMessageBytes: 10 })
+
+      expect(() => reader.push(clientFrame(OPCODES.text, 'x'.repeat(11))))
+        .toThrow(expect.objectContaining({ closeCode: 1009 }))
+    })
+  })
+})
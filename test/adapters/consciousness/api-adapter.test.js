@@ -51,6 +51,16 @@ describe('APIConsciousnessAdapter', () => {
   })
 
   describe('call', () => {
+    it('reports token usage', async () => {
+      const onUsage = vi.fn()
+      adapter = new APIConsciousnessAdapter({ model: 'gemini-2.0-flash', onUsage })
+      mockGenerateContent.mockResolvedValue({ text: 'ok', usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 8 } })
+
+      await adapter.call('system', 'task')
+
+      expect(onUsage).toHaveBeenCalledWith({ model: 'gemini-2.0-flash', inputTokens: 120, outputTokens: 8 })
+    })
+
     it('sends system prompt as systemInstruction and task as user content', async () => {
       mockGenerateContent.mockResolvedValue({ text: '{"result": true}' })
 
@@ -65,6 +75,19 @@ describe('APIConsciousnessAdapter', () => {
       })
     })
 
+    it('requests JSON output when given a responseSchema', async () => {
+      mockGenerateContent.mockResolvedValue({ text: '{"tier": "fast"}' })
+      const schema = { type: 'object', properties: { tier: { type: 'string' } }, required: ['tier'] }
+
+      await adapter.call('sys', 'task', { responseSchema: schema })
+
+      expect(mockGenerateContent.mock.calls[0][0].config).toEqual({
+        systemInstruction: 'sys',
+        responseMimeType: 'application/json',
+        responseJsonSchema: schema
+      })
+    })
+
     it('returns trimmed text response', async () => {
       mockGenerateContent.mockResolvedValue({ text: '  {"expanded": ["a", "b"]}  \n' })
 
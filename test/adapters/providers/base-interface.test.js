@@ -22,6 +22,11 @@ describe('BaseProvider interface contract', () => {
     expect(base.supportsTools).toBe(false)
   })
 
+  it('should have supportsImages default to false', () => {
+    const base = new BaseProvider()
+    expect(base.supportsImages).toBe(false)
+  })
+
   it('should throw when chat() is not overridden', async () => {
     const base = new BaseProvider()
     await expect(base.chat([], {})).rejects.toThrow('chat() must be implemented')
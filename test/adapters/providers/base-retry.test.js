@@ -178,3 +178,49 @@ describe('BaseProvider.chatWithRetry', () => {
     expect(base._retryDelay(3)).toBe(4000)
   })
 })
+
+describe('BaseProvider.chatStreamWithRetry', () => {
+  class StreamProvider extends TestProvider {
+    constructor(attempts) {
+      super()
+      this.attempts = attempts
+      this.calls = 0
+    }
+
+    async *chatStream() {
+      const attempt = this.attempts[this.calls++]
+      for (const event of attempt.events || []) yield event
+      if (attempt.error) throw attempt.error
+    }
+  }
+
+  const serverError = () => Object.assign(new Error('overloaded'), { status: 503 })
+  const done = { type: 'done', response: { content: 'hi', toolCalls: null } }
+
+  async function collect(provider) {
+    const events = []
+    for await (const event of provider.chatStreamWithRetry([{ role: 'user', content: 'hi' }])) events.push(event)
+    return events
+  }
+
+  it('should report streaming support when chatStream is defined', () => {
+    expect(new StreamProvider([]).supportsStreaming).toBe(true)
+    expect(new TestProvider().supportsStreaming).toBe(false)
+  })
+
+  it('should retry when the stream fails before yielding', async () => {
+    const provider = new StreamProvider([{ error: serverError() }, { events: [{ type: 'text', text: 'hi' }, done] }])
+
+    const events = await collect(provider)
+
+    expect(provider.calls).toBe(2)
+    expect(events).toEqual([{ type: 'text', text: 'hi' }, done])
+  })
+
+  it('should not retry once text was yielded', async () => {
+    const provider = new StreamProvider([{ events: [{ type: 'text', text: 'hi' }], error: serverError() }, { events: [done] }])
+
+    await expect(collect(provider)).rejects.toThrow('overloaded')
+    expect(provider.calls).toBe(1)
+  })
+})
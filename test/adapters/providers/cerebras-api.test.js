@@ -393,4 +393,61 @@ describe('CerebrasAPIProvider', () => {
       expect(provider.name).toBe('cerebras-api')
     })
   })
+
+  describe('chatStream', () => {
+    async function collect(iterable) {
+      const chunks = []
+      for await (const chunk of iterable) chunks.push(chunk)
+      return chunks
+    }
+
+    // Split on purpose so events straddle network chunks
+    function sseResponse(events) {
+      const payload = events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('')
+      const encoder = new TextEncoder()
+      const body = (async function* () {
+        for (let i = 0; i < payload.length; i += 40) yield encoder.encode(payload.slice(i, i + 40))
+      })()
+      return { ok: true, body }
+    }
+
+    it('should yield text deltas then the final response', async () => {
+      globalThis.fetch.mockResolvedValue(sseResponse([
+        { choices: [{ delta: { role: 'assistant', content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo!' } }] },
+        { choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 5 } },
+        '[DONE]'
+      ]))
+
+      const chunks = await collect(provider.chatStream([{ role: 'user', content: 'hi' }]))
+
+      expect(chunks.slice(0, 2)).toEqual([{ type: 'text', text: 'Hel' }, { type: 'text', text: 'lo!' }])
+      expect(chunks[2].response.content).toBe('Hello!')
+      expect(chunks[2].response.stopReason).toBe('end_turn')
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).stream).toBe(true)
+    })
+
+    it('should reassemble tool call fragments', async () => {
+      globalThis.fetch.mockResolvedValue(sseResponse([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'web_fetch', arguments: '{"url":' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"https://example.com"}' } }] } }] },
+        { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+        '[DONE]'
+      ]))
+
+      const chunks = await collect(provider.chatStream([{ role: 'user', content: 'fetch it' }]))
+      const { response } = chunks.at(-1)
+
+      expect(chunks).toHaveLength(1)
+      expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'web_fetch', input: { url: 'https://example.com' } }])
+      expect(response.stopReason).toBe('tool_use')
+    })
+
+    it('should throw with status on HTTP errors', async () => {
+      globalThis.fetch.mockResolvedValue({ ok: false, status: 429, text: async () => 'rate limited' })
+
+      await expect(collect(provider.chatStream([{ role: 'user', content: 'hi' }])))
+        .rejects.toMatchObject({ status: 429 })
+    })
+  })
 })
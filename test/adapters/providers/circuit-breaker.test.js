@@ -193,3 +193,45 @@ describe('CircuitBreakerProvider', () => {
     })
   })
 })
+
+describe('CircuitBreakerProvider streaming', () => {
+  class StreamingProvider extends FakeProvider {
+    constructor(events, error) {
+      super()
+      this.events = events
+      this.error = error
+    }
+    get supportsStreaming() { return true }
+    async *chatStream() {
+      yield* this.events
+      if (this.error) throw this.error
+    }
+  }
+
+  async function collect(cb) {
+    const events = []
+    for await (const event of cb.chatStream([{ role: 'user', content: 'hi' }])) events.push(event)
+    return events
+  }
+
+  it('should proxy supportsStreaming from the inner provider', () => {
+    expect(new CircuitBreakerProvider(new FakeProvider()).supportsStreaming).toBeFalsy()
+    expect(new CircuitBreakerProvider(new StreamingProvider([])).supportsStreaming).toBe(true)
+  })
+
+  it('should pass stream events through', async () => {
+    const events = [{ type: 'text', text: 'hi' }, { type: 'done', response: { content: 'hi' } }]
+    const cb = new CircuitBreakerProvider(new StreamingProvider(events))
+
+    expect(await collect(cb)).toEqual(events)
+    expect(cb.getStatus().failures).toBe(0)
+  })
+
+  it('should count a failed stream and open the circuit', async () => {
+    const cb = new CircuitBreakerProvider(new StreamingProvider([], new Error('boom')), { threshold: 1 })
+
+    await expect(collect(cb)).rejects.toThrow('boom')
+    expect(cb.getStatus().state).toBe('OPEN')
+    await expect(collect(cb)).rejects.toThrow(CircuitBreakerOpenError)
+  })
+})
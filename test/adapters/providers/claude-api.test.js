@@ -93,4 +93,140 @@ describe('ClaudeAPIProvider', () => {
       expect(params).not.toHaveProperty('tools')
     })
   })
+
+  describe('prompt caching', () => {
+    const segments = [
+      { text: '# KenoBot', stable: true },
+      { text: '## Rules', stable: true },
+      { text: '## Memory\n- likes tea', stable: false }
+    ]
+
+    beforeEach(() => {
+      provider.client.messages.create.mockResolvedValue({
+        content: [{ type: 'text', text: 'ok' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 12, output_tokens: 3, cache_creation_input_tokens: 0, cache_read_input_tokens: 1800 }
+      })
+    })
+
+    it('should cache the stable system prefix and send the rest after it', async () => {
+      await provider.chat([{ role: 'user', content: 'hi' }], { system: 'ignored', systemSegments: segments })
+
+      expect(provider.client.messages.create.mock.calls[0][0].system).toEqual([
+        { type: 'text', text: '# KenoBot\n## Rules', cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: '## Memory\n- likes tea' }
+      ])
+    })
+
+    it('should not cache a prompt without a stable prefix', async () => {
+      await provider.chat([{ role: 'user', content: 'hi' }], { systemSegments: [segments[2]] })
+
+      expect(provider.client.messages.create.mock.calls[0][0].system).toEqual([
+        { type: 'text', text: '## Memory\n- likes tea' }
+      ])
+    })
+
+    it('should report cache reads in usage', async () => {
+      const result = await provider.chat([{ role: 'user', content: 'hi' }], { systemSegments: segments })
+
+      expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 3, cache_read_input_tokens: 1800 })
+    })
+  })
+
+  describe('structured output', () => {
+    const schema = {
+      title: 'verdict',
+      type: 'object',
+      properties: { ok: { type: 'boolean' } },
+      required: ['ok']
+    }
+
+    it('should force a tool with the schema and return its input as data', async () => {
+      provider.client.messages.create.mockResolvedValue({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'verdict', input: { ok: true } }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 20, output_tokens: 8 }
+      })
+
+      const result = await provider.chat([{ role: 'user', content: 'check' }], {
+        responseSchema: schema,
+        tools: [{ name: 'web_fetch', description: 'Fetch URL', input_schema: {} }]
+      })
+      const params = provider.client.messages.create.mock.calls[0][0]
+
+      expect(params.tools).toEqual([{ name: 'verdict', description: 'Return the result.', input_schema: schema }])
+      expect(params.tool_choice).toEqual({ type: 'tool', name: 'verdict' })
+      expect(result).toMatchObject({ data: { ok: true }, content: '{"ok":true}', toolCalls: null, stopReason: 'end_turn' })
+    })
+
+    it('should wrap non-object schemas and unwrap the value', async () => {
+      provider.client.messages.create.mockResolvedValue({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'response', input: { value: ['a', 'b'] } }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 20, output_tokens: 8 }
+      })
+
+      const result = await provider.chat([{ role: 'user', content: 'list' }], {
+        responseSchema: { type: 'array', items: { type: 'string' } }
+      })
+
+      expect(provider.client.messages.create.mock.calls[0][0].tools[0].input_schema).toEqual({
+        type: 'object', properties: { value: { type: 'array', items: { type: 'string' } } }, required: ['value']
+      })
+      expect(result.data).toEqual(['a', 'b'])
+    })
+
+    it('should throw SchemaValidationError when the tool input does not match', async () => {
+      provider.client.messages.create.mockResolvedValue({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'verdict', input: { ok: 'yes' } }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 20, output_tokens: 8 }
+      })
+
+      await expect(provider.chat([{ role: 'user', content: 'check' }], { responseSchema: schema }))
+        .rejects.toMatchObject({ name: 'SchemaValidationError', errors: ['$.ok: must be boolean'] })
+    })
+  })
+
+  describe('chatStream', () => {
+    async function collect(iterable) {
+      const chunks = []
+      for await (const chunk of iterable) chunks.push(chunk)
+      return chunks
+    }
+
+    it('should yield text deltas then the final response', async () => {
+      const events = [
+        { type: 'message_start' },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } },
+        { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo!' } }
+      ]
+      provider.client.messages.stream = vi.fn().mockReturnValue({
+        async *[Symbol.asyncIterator]() { yield* events },
+        finalMessage: vi.fn().mockResolvedValue({
+          content: [{ type: 'text', text: 'Hello!' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 10, output_tokens: 5 }
+        })
+      })
+
+      const chunks = await collect(provider.chatStream([{ role: 'user', content: 'hi' }], { system: 'Be brief' }))
+
+      expect(chunks.slice(0, 2)).toEqual([{ type: 'text', text: 'Hel' }, { type: 'text', text: 'lo!' }])
+      expect(chunks[2].type).toBe('done')
+      expect(chunks[2].response.content).toBe('Hello!')
+      expect(chunks[2].response.stopReason).toBe('end_turn')
+      expect(provider.client.messages.stream).toHaveBeenCalledWith(expect.objectContaining({ system: 'Be brief' }))
+    })
+
+    it('should wrap stream errors like chat()', async () => {
+      provider.client.messages.stream = vi.fn().mockImplementation(() => {
+        throw Object.assign(new Error('overloaded'), { status: 529 })
+      })
+
+      await expect(collect(provider.chatStream([{ role: 'user', content: 'hi' }])))
+        .rejects.toMatchObject({ status: 529 })
+    })
+  })
 })
@@ -265,6 +265,15 @@ describe('Provider Contract Tests', () => {
         expect(provider).toHaveProperty('supportsTools')
         expect(typeof provider.supportsTools).toBe('boolean')
       })
+
+      test('has supportsImages property', () => {
+        expect(typeof provider.supportsImages).toBe('boolean')
+      })
+
+      test('implements chatStream() for streaming', () => {
+        expect(typeof provider.chatStream).toBe('function')
+        expect(provider.supportsStreaming).toBe(true)
+      })
     })
   })
 
@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import FallbackProvider from '../../../src/adapters/providers/fallback.js'
+import CircuitBreakerProvider from '../../../src/adapters/providers/circuit-breaker.js'
+import BaseProvider from '../../../src/adapters/providers/base.js'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+class FakeProvider extends BaseProvider {
+  constructor(name, { tools = true, images = false } = {}) {
+    super()
+    this._name = name
+    this._tools = tools
+    this._images = images
+    this.chat = vi.fn()
+  }
+
+  get name() { return this._name }
+  get supportsTools() { return this._tools }
+  get supportsImages() { return this._images }
+
+  adaptToolDefinitions(definitions) {
+    return definitions.map(d => ({ [this._name]: d.name }))
+  }
+
+  buildToolResultMessages(rawContent, results) {
+    return [{ role: 'assistant', content: rawContent, by: this._name }, { role: 'user', content: results }]
+  }
+
+  _retryDelay() { return 0 }
+}
+
+class FakeStreamingProvider extends FakeProvider {
+  constructor(name) {
+    super(name)
+    this.events = []
+  }
+
+  async *chatStream() {
+    for (const event of this.events) {
+      if (event instanceof Error) throw event
+      yield event
+    }
+  }
+}
+
+const ok = (content, extra = {}) => ({ content, toolCalls: null, stopReason: 'end_turn', rawContent: null, ...extra })
+const down = () => Object.assign(new Error('overloaded'), { status: 529 })
+
+describe('FallbackProvider', () => {
+  let primary, backup, chain
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    primary = new FakeProvider('claude-api')
+    backup = new FakeProvider('gemini-api')
+    chain = new FallbackProvider([primary, backup], { logger })
+  })
+
+  it('should answer with the primary and record it on the response', async () => {
+    primary.chat.mockResolvedValue(ok('from claude'))
+
+    const response = await chain.chat([{ role: 'user', content: 'hi' }])
+
+    expect(response).toMatchObject({ content: 'from claude', provider: 'claude-api' })
+    expect(backup.chat).not.toHaveBeenCalled()
+  })
+
+  it('should fall back when the primary fails', async () => {
+    primary.chat.mockRejectedValue(down())
+    backup.chat.mockResolvedValue(ok('from gemini'))
+
+    const response = await chain.chatWithRetry([{ role: 'user', content: 'hi' }], { system: 'be brief' })
+
+    expect(response).toMatchObject({ content: 'from gemini', provider: 'gemini-api' })
+    expect(backup.chat).toHaveBeenCalledWith([{ role: 'user', content: 'hi' }], { system: 'be brief' })
+    expect(logger.warn).toHaveBeenCalledWith('provider', 'provider_fallback', expect.objectContaining({
+      provider: 'claude-api', next: 'gemini-api', error: 'overloaded'
+    }))
+  })
+
+  it('should let each provider retry transient errors before falling back', async () => {
+    primary.chat
+      .mockRejectedValueOnce(Object.assign(new Error('busy'), { status: 503 }))
+      .mockResolvedValue(ok('second try'))
+
+    const response = await chain.chat([])
+
+    expect(response.provider).toBe('claude-api')
+    expect(primary.chat).toHaveBeenCalledTimes(2)
+    expect(backup.chat).not.toHaveBeenCalled()
+  })
+
+  it('should throw the last error when every provider fails', async () => {
+    primary.chat.mockRejectedValue(down())
+    backup.chat.mockRejectedValue(new Error('gemini down'))
+
+    await expect(chain.chat([])).rejects.toThrow('gemini down')
+  })
+
+  it('should skip a provider whose circuit is open', async () => {
+    const breaker = new CircuitBreakerProvider(primary, { threshold: 1, cooldown: 60000, logger })
+    chain = new FallbackProvider([breaker, backup], { logger })
+    primary.chat.mockRejectedValue(down())
+    backup.chat.mockResolvedValue(ok('from gemini'))
+
+    await chain.chat([])
+    await chain.chat([])
+
+    expect(primary.chat).toHaveBeenCalledTimes(1)
+    expect(backup.chat).toHaveBeenCalledTimes(2)
+    expect(logger.warn).toHaveBeenLastCalledWith('provider', 'provider_fallback', expect.objectContaining({
+      error: expect.stringContaining('Circuit breaker OPEN')
+    }))
+    expect(chain.getStatus()).toEqual([expect.objectContaining({ state: 'OPEN', provider: 'claude-api' }), { provider: 'gemini-api' }])
+  })
+
+  it('should adapt tool definitions for the provider that is called', async () => {
+    const definitions = [{ name: 'search', description: 'Search', input_schema: {} }]
+    primary.chat.mockRejectedValue(down())
+    backup.chat.mockResolvedValue(ok('done'))
+
+    await chain.chat([], { tools: chain.adaptToolDefinitions(definitions), model: 'opus' })
+
+    expect(primary.chat.mock.calls[0][1]).toEqual({ tools: [{ 'claude-api': 'search' }], model: 'opus' })
+    // Fallbacks use their own model
+    expect(backup.chat.mock.calls[0][1]).toEqual({ tools: [{ 'gemini-api': 'search' }] })
+  })
+
+  it('should not send tools to a fallback without tool support', async () => {
+    backup = new FakeProvider('claude-cli', { tools: false })
+    chain = new FallbackProvider([primary, backup], { logger })
+    primary.chat.mockRejectedValue(down())
+    backup.chat.mockResolvedValue(ok('done'))
+
+    await chain.chat([], { system: 's', tools: [{ name: 'search' }] })
+
+    expect(backup.chat.mock.calls[0][1]).toEqual({ system: 's' })
+  })
+
+  it('should keep a tool loop on the provider that requested the tools', async () => {
+    const rawContent = { parts: ['call search'] }
+    primary.chat.mockRejectedValueOnce(down())
+    backup.chat.mockResolvedValueOnce(ok('', { stopReason: 'tool_use', toolCalls: [{ id: 't1' }], rawContent }))
+
+    const first = await chain.chat([{ role: 'user', content: 'search' }])
+    const toolMessages = chain.buildToolResultMessages(first.rawContent, [{ id: 't1', result: 'found' }])
+
+    expect(toolMessages[0].by).toBe('gemini-api')
+
+    primary.chat.mockResolvedValue(ok('primary is back'))
+    backup.chat.mockResolvedValue(ok('answer'))
+    const second = await chain.chat([{ role: 'user', content: 'search' }, ...toolMessages])
+
+    expect(second.provider).toBe('gemini-api')
+    expect(primary.chat).toHaveBeenCalledTimes(1)
+  })
+
+  describe('images', () => {
+    const photo = [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBOR' } },
+        { type: 'text', text: 'What is this?' }
+      ]
+    }]
+
+    it('should skip fallbacks that cannot see the image', async () => {
+      const vision = new FakeProvider('gemini-api', { images: true })
+      const textOnly = new FakeProvider('openai-compatible')
+      chain = new FallbackProvider([new FakeProvider('claude-api', { images: true }), textOnly, vision], { logger })
+      chain.primary.chat.mockRejectedValue(down())
+      vision.chat.mockResolvedValue(ok('a cat'))
+
+      const response = await chain.chat(photo)
+
+      expect(textOnly.chat).not.toHaveBeenCalled()
+      expect(response).toMatchObject({ content: 'a cat', provider: 'gemini-api' })
+    })
+
+    it('should fail rather than answer without the image when no fallback can see it', async () => {
+      primary.chat.mockRejectedValue(down())
+
+      await expect(chain.chat(photo)).rejects.toThrow('overloaded')
+      expect(backup.chat).not.toHaveBeenCalled()
+    })
+
+    it('should still use text-only fallbacks for text messages', async () => {
+      primary.chat.mockRejectedValue(down())
+      backup.chat.mockResolvedValue(ok('from gemini'))
+
+      expect((await chain.chat([{ role: 'user', content: 'hi' }])).content).toBe('from gemini')
+    })
+  })
+
+  describe('streaming', () => {
+    async function collect(stream) {
+      const events = []
+      for await (const event of stream) events.push(event)
+      return events
+    }
+
+    it('should fall back before anything was streamed', async () => {
+      primary = new FakeStreamingProvider('claude-api')
+      backup = new FakeStreamingProvider('gemini-api')
+      chain = new FallbackProvider([primary, backup], { logger })
+      primary.events = [new Error('connection reset')]
+      backup.events = [{ type: 'text', text: 'Hi' }, { type: 'done', response: ok('Hi') }]
+
+      const events = await collect(chain.chatStreamWithRetry([]))
+
+      expect(events).toEqual([
+        { type: 'text', text: 'Hi' },
+        { type: 'done', response: { ...ok('Hi'), provider: 'gemini-api' } }
+      ])
+    })
+
+    it('should not fall back once text was streamed', async () => {
+      primary = new FakeStreamingProvider('claude-api')
+      backup = new FakeStreamingProvider('gemini-api')
+      chain = new FallbackProvider([primary, backup], { logger })
+      primary.events = [{ type: 'text', text: 'Hal' }, new Error('connection reset')]
+
+      await expect(collect(chain.chatStream([]))).rejects.toThrow('connection reset')
+    })
+
+    it('should answer with a single done event from a fallback without streaming', async () => {
+      primary = new FakeStreamingProvider('claude-api')
+      chain = new FallbackProvider([primary, backup], { logger })
+      primary.events = [new Error('connection reset')]
+      backup.chat.mockResolvedValue(ok('whole reply'))
+
+      const events = await collect(chain.chatStream([]))
+
+      expect(chain.supportsStreaming).toBe(true)
+      expect(events).toEqual([{ type: 'done', response: { ...ok('whole reply'), provider: 'gemini-api' } }])
+    })
+  })
+})
@@ -2,10 +2,11 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 // Mock the Google GenAI SDK
 const mockGenerateContent = vi.fn()
+const mockGenerateContentStream = vi.fn()
 vi.mock('@google/genai', () => ({
   GoogleGenAI: class MockGoogleGenAI {
     constructor() {
-      this.models = { generateContent: mockGenerateContent }
+      this.models = { generateContent: mockGenerateContent, generateContentStream: mockGenerateContentStream }
     }
   }
 }))
@@ -24,6 +25,7 @@ describe('GeminiAPIProvider', () => {
     process.env.GEMINI_API_KEY = 'test-key'
     provider = new GeminiAPIProvider({ model: 'flash' })
     mockGenerateContent.mockReset()
+    mockGenerateContentStream.mockReset()
   })
 
   describe('constructor', () => {
@@ -77,6 +79,28 @@ describe('GeminiAPIProvider', () => {
     })
   })
 
+  describe('chat - structured output', () => {
+    it('should send responseSchema as a JSON response schema and return data', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: '{"tier":"fast"}',
+        candidates: [{ finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 }
+      })
+      const schema = { type: 'object', properties: { tier: { type: 'string' } }, required: ['tier'] }
+
+      const result = await provider.chat([{ role: 'user', content: 'classify' }], {
+        responseSchema: schema,
+        tools: [{ functionDeclarations: [] }]
+      })
+      const { config } = mockGenerateContent.mock.calls[0][0]
+
+      expect(config.responseMimeType).toBe('application/json')
+      expect(config.responseJsonSchema).toEqual(schema)
+      expect(config.tools).toBeUndefined()
+      expect(result.data).toEqual({ tier: 'fast' })
+    })
+  })
+
   describe('chat - function call response', () => {
     it('should return toolCalls with synthetic IDs when response has function calls', async () => {
       mockGenerateContent.mockResolvedValue({
@@ -177,6 +201,23 @@ describe('GeminiAPIProvider', () => {
 
       expect(result[0].parts).toEqual([{ functionCall: { name: 'test', args: {} } }])
     })
+
+    it('should convert image and PDF blocks to inlineData', () => {
+      const result = provider._convertMessages([{
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'aW1n' } },
+          { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: 'cGRm' } },
+          { type: 'text', text: 'What is this?' }
+        ]
+      }])
+
+      expect(result[0].parts).toEqual([
+        { inlineData: { mimeType: 'image/jpeg', data: 'aW1n' } },
+        { inlineData: { mimeType: 'application/pdf', data: 'cGRm' } },
+        { text: 'What is this?' }
+      ])
+    })
   })
 
   describe('adaptToolDefinitions()', () => {
@@ -249,4 +290,49 @@ describe('GeminiAPIProvider', () => {
       expect(provider.name).toBe('gemini-api')
     })
   })
+
+  describe('chatStream', () => {
+    async function collect(iterable) {
+      const chunks = []
+      for await (const chunk of iterable) chunks.push(chunk)
+      return chunks
+    }
+
+    function streamOf(chunks) {
+      return (async function* () { yield* chunks })()
+    }
+
+    it('should yield text deltas then the final response', async () => {
+      mockGenerateContentStream.mockResolvedValue(streamOf([
+        { text: 'Hel', candidates: [{ content: { parts: [{ text: 'Hel' }] } }] },
+        {
+          text: 'lo!',
+          candidates: [{ content: { parts: [{ text: 'lo!' }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+        }
+      ]))
+
+      const chunks = await collect(provider.chatStream([{ role: 'user', content: 'hi' }]))
+
+      expect(chunks.slice(0, 2)).toEqual([{ type: 'text', text: 'Hel' }, { type: 'text', text: 'lo!' }])
+      expect(chunks[2].type).toBe('done')
+      expect(chunks[2].response.content).toBe('Hello!')
+      expect(chunks[2].response.toolCalls).toBeNull()
+      expect(chunks[2].response.stopReason).toBe('end_turn')
+    })
+
+    it('should collect function calls across chunks', async () => {
+      const call = { id: 'call_1', name: 'web_fetch', args: { url: 'https://example.com' } }
+      mockGenerateContentStream.mockResolvedValue(streamOf([
+        { functionCalls: [call], candidates: [{ content: { parts: [{ functionCall: call }] }, finishReason: 'STOP' }] }
+      ]))
+
+      const chunks = await collect(provider.chatStream([{ role: 'user', content: 'fetch it' }]))
+      const { response } = chunks.at(-1)
+
+      expect(chunks).toHaveLength(1)
+      expect(response.toolCalls).toEqual([expect.objectContaining({ name: 'web_fetch', input: { url: 'https://example.com' } })])
+      expect(response.rawContent).toEqual({ role: 'model', parts: [{ functionCall: call }] })
+    })
+  })
 })
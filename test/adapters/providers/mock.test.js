@@ -64,6 +64,21 @@ describe('MockProvider', () => {
       // Should take at least 30ms (allowing for some timing variance)
       expect(duration).toBeGreaterThanOrEqual(30)
     })
+
+    it('should validate scripted replies against a responseSchema, retrying once', async () => {
+      const schema = { type: 'object', properties: { n: { type: 'integer' } }, required: ['n'] }
+      provider.setNextResponse('{"n": 1.5}')
+
+      await expect(provider.chat([{ role: 'user', content: 'count' }], { responseSchema: schema }))
+        .rejects.toMatchObject({ name: 'SchemaValidationError' })
+      expect(provider.lastCall.messages.at(-1).content).toContain('$.n: must be integer')
+      expect(provider.lastCall.options.system).toContain('JSON Schema')
+
+      provider.setNextResponse('{"n": 2}')
+      const result = await provider.chat([{ role: 'user', content: 'count' }], { responseSchema: schema })
+
+      expect(result.data).toEqual({ n: 2 })
+    })
   })
 
   describe('name', () => {
@@ -0,0 +1,254 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
+
+// Suppress logger
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import OpenAICompatibleProvider, { fetchModelIds } from '../../../src/adapters/providers/openai-compatible.js'
+import { createProvider } from '../../../src/adapters/providers/registry.js'
+import CostTracker from '../../../src/domain/cognitive/utils/cost-tracker.js'
+
+const BASE_URL = 'http://localhost:11434/v1/'
+
+function create(options = {}, model = 'qwen2.5:7b') {
+  return new OpenAICompatibleProvider({ model, openaiCompatible: { baseUrl: BASE_URL, ...options } })
+}
+
+function jsonResponse(message, finishReason = 'stop') {
+  return {
+    ok: true,
+    json: async () => ({ choices: [{ message, finish_reason: finishReason }] })
+  }
+}
+
+const definitions = [{ name: 'web_fetch', description: 'Fetch a URL', input_schema: { type: 'object' } }]
+
+describe('OpenAICompatibleProvider', () => {
+  beforeEach(() => {
+    vi.spyOn(globalThis, 'fetch')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('constructor', () => {
+    it('should require a base URL', () => {
+      expect(() => new OpenAICompatibleProvider({ model: 'llama3', openaiCompatible: {} }))
+        .toThrow('OPENAI_COMPATIBLE_BASE_URL is required')
+    })
+
+    it('should require a model', () => {
+      expect(() => create({}, '')).toThrow('needs a model')
+    })
+
+    it('should reject unknown tool dialects', () => {
+      expect(() => create({ toolDialect: 'xml' })).toThrow('Unknown tool dialect: xml')
+    })
+
+    it('should pass the model through as-is', () => {
+      expect(create().model).toBe('qwen2.5:7b')
+    })
+
+    it('should be registered as openai-compatible', () => {
+      const provider = createProvider('openai-compatible', { model: 'llama3', openaiCompatible: { baseUrl: BASE_URL } })
+
+      expect(provider).toBeInstanceOf(OpenAICompatibleProvider)
+      expect(provider.name).toBe('openai-compatible')
+    })
+  })
+
+  describe('chat', () => {
+    it('should post to the configured base URL without a key', async () => {
+      fetch.mockResolvedValue(jsonResponse({ role: 'assistant', content: 'Hola' }))
+
+      const result = await create().chat([{ role: 'user', content: 'hi' }], { max_tokens: 100 })
+      const [url, init] = fetch.mock.calls[0]
+
+      expect(result.content).toBe('Hola')
+      expect(url).toBe('http://localhost:11434/v1/chat/completions')
+      expect(init.headers).toEqual({ 'Content-Type': 'application/json' })
+      expect(JSON.parse(init.body)).toMatchObject({ model: 'qwen2.5:7b', max_tokens: 100 })
+    })
+
+    it('should send the API key and custom headers', async () => {
+      fetch.mockResolvedValue(jsonResponse({ role: 'assistant', content: 'ok' }))
+
+      await create({ apiKey: 'sk-local', headers: { 'X-Team': 'home' } }).chat([{ role: 'user', content: 'hi' }])
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer sk-local',
+        'X-Team': 'home'
+      })
+    })
+
+    it('should ask for usage when streaming so the call is costed', async () => {
+      const payload = [
+        { choices: [{ delta: { content: 'Ho' } }] },
+        { choices: [{ delta: { content: 'la' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } }
+      ].map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n'
+      fetch.mockResolvedValue({ ok: true, body: [new TextEncoder().encode(payload)] })
+
+      const chunks = []
+      for await (const chunk of create().chatStream([{ role: 'user', content: 'hi' }])) chunks.push(chunk)
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body)
+      expect(body).toMatchObject({ stream: true, stream_options: { include_usage: true } })
+      const { response } = chunks.at(-1)
+      expect(response.content).toBe('Hola')
+      expect(response.usage).toEqual({ input_tokens: 12, output_tokens: 3 })
+
+      const tracker = new CostTracker()
+      tracker.recordResponse(response, { model: 'qwen2.5:7b', provider: 'openai-compatible', context: 'chat' })
+      expect(tracker.getStats().daily).toMatchObject({ calls: 1, tokens: 15 })
+    })
+
+    it('should name the server in errors', async () => {
+      fetch.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+      await expect(create().chat([{ role: 'user', content: 'hi' }]))
+        .rejects.toThrow('OpenAI-compatible API error: connect ECONNREFUSED')
+    })
+  })
+
+  describe('tools dialect', () => {
+    it('should send tools and read tool_calls', async () => {
+      const provider = create()
+      fetch.mockResolvedValue(jsonResponse({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'web_fetch', arguments: '{"url":"x"}' } }]
+      }, 'tool_calls'))
+
+      const result = await provider.chat([{ role: 'user', content: 'go' }], { tools: provider.adaptToolDefinitions(definitions) })
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).tools[0]).toEqual({
+        type: 'function',
+        function: { name: 'web_fetch', description: 'Fetch a URL', parameters: { type: 'object' } }
+      })
+      expect(result.toolCalls).toEqual([{ id: 'call_1', name: 'web_fetch', input: { url: 'x' } }])
+    })
+  })
+
+  describe('functions dialect', () => {
+    let provider
+
+    beforeEach(() => {
+      provider = create({ toolDialect: 'functions' })
+    })
+
+    it('should send legacy functions', async () => {
+      fetch.mockResolvedValue(jsonResponse({ role: 'assistant', content: 'ok' }))
+
+      await provider.chat([{ role: 'user', content: 'go' }], { tools: provider.adaptToolDefinitions(definitions) })
+      const body = JSON.parse(fetch.mock.calls[0][1].body)
+
+      expect(body.tools).toBeUndefined()
+      expect(body.functions).toEqual([{ name: 'web_fetch', description: 'Fetch a URL', parameters: { type: 'object' } }])
+    })
+
+    it('should read function_call and answer with a function message', async () => {
+      const message = { role: 'assistant', content: null, function_call: { name: 'web_fetch', arguments: '{"url":"x"}' } }
+      fetch.mockResolvedValue(jsonResponse(message, 'function_call'))
+
+      const result = await provider.chat([{ role: 'user', content: 'go' }])
+      const followUp = provider.buildToolResultMessages(result.rawContent, [{ id: result.toolCalls[0].id, result: 'page' }])
+
+      expect(result.stopReason).toBe('tool_use')
+      expect(result.toolCalls).toEqual([{ id: 'web_fetch', name: 'web_fetch', input: { url: 'x' } }])
+      expect(followUp).toEqual([
+        { role: 'assistant', content: '', function_call: message.function_call },
+        { role: 'function', name: 'web_fetch', content: 'page' }
+      ])
+      expect(provider._convertMessages(followUp)).toEqual(followUp)
+    })
+
+    it('should reassemble streamed function_call fragments', async () => {
+      const payload = [
+        { choices: [{ delta: { function_call: { name: 'web_fetch', arguments: '{"url":' } } }] },
+        { choices: [{ delta: { function_call: { arguments: '"x"}' } } }] },
+        { choices: [{ delta: {}, finish_reason: 'function_call' }] }
+      ].map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n'
+      fetch.mockResolvedValue({ ok: true, body: [new TextEncoder().encode(payload)] })
+
+      const chunks = []
+      for await (const chunk of provider.chatStream([{ role: 'user', content: 'go' }])) chunks.push(chunk)
+
+      expect(chunks).toHaveLength(1)
+      expect(chunks[0].response.toolCalls).toEqual([{ id: 'web_fetch', name: 'web_fetch', input: { url: 'x' } }])
+    })
+  })
+
+  describe('none dialect', () => {
+    it('should report no tool support and never send tools', async () => {
+      const provider = create({ toolDialect: 'none' })
+      fetch.mockResolvedValue(jsonResponse({ role: 'assistant', content: 'ok' }))
+
+      await provider.chat([{ role: 'user', content: 'go' }], { tools: [{ name: 'web_fetch' }] })
+      const body = JSON.parse(fetch.mock.calls[0][1].body)
+
+      expect(provider.supportsTools).toBe(false)
+      expect(body.tools).toBeUndefined()
+      expect(body.functions).toBeUndefined()
+    })
+  })
+
+  describe('structured output', () => {
+    const schema = { title: 'tier', type: 'object', properties: { tier: { type: 'string' } }, required: ['tier'] }
+
+    it('should send response_format json_schema and return data', async () => {
+      fetch.mockResolvedValue(jsonResponse({ role: 'assistant', content: '{"tier":"fast"}' }))
+
+      const result = await create().chat([{ role: 'user', content: 'classify' }], { responseSchema: schema })
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'tier', schema }
+      })
+      expect(result.data).toEqual({ tier: 'fast' })
+    })
+
+    it('should put the schema in the prompt and retry once with responseFormat none', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ role: 'assistant', content: 'It is fast.' }))
+        .mockResolvedValueOnce(jsonResponse({ role: 'assistant', content: '{"tier":"fast"}' }))
+
+      const result = await create({ responseFormat: 'none' })
+        .chat([{ role: 'user', content: 'classify' }], { system: 'Be brief.', responseSchema: schema })
+      const first = JSON.parse(fetch.mock.calls[0][1].body)
+      const retry = JSON.parse(fetch.mock.calls[1][1].body)
+
+      expect(first.response_format).toBeUndefined()
+      expect(first.messages[0].content).toContain('Be brief.')
+      expect(first.messages[0].content).toContain(JSON.stringify(schema))
+      expect(retry.messages.slice(-2).map(m => m.role)).toEqual(['assistant', 'user'])
+      expect(retry.messages.at(-1).content).toContain('$: not valid JSON')
+      expect(result.data).toEqual({ tier: 'fast' })
+    })
+
+    it('should reject unknown response formats', () => {
+      expect(() => create({ responseFormat: 'grammar' })).toThrow('Unknown response format: grammar')
+    })
+  })
+
+  describe('listModels', () => {
+    it('should list model IDs from /models with the request headers', async () => {
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ data: [{ id: 'qwen2.5:7b' }, { id: 'llama3' }] }) })
+
+      const models = await create({ apiKey: 'sk-local' }).listModels()
+
+      expect(models).toEqual(['qwen2.5:7b', 'llama3'])
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/models')
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer sk-local')
+    })
+
+    it('should throw with status when the server refuses', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 401 })
+
+      await expect(fetchModelIds(BASE_URL)).rejects.toMatchObject({ status: 401 })
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm, readdir, readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import RecordingProvider from '../../../src/adapters/providers/recording.js'
+import BaseProvider from '../../../src/adapters/providers/base.js'
+import { requestKey } from '../../../src/adapters/providers/fixtures.js'
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+class StubProvider extends BaseProvider {
+  constructor(response) {
+    super()
+    this.model = 'claude-sonnet-4-5'
+    this.chat = vi.fn(async () => response)
+  }
+
+  async *chatStream() {
+    yield { type: 'text', text: 'Hel' }
+    yield { type: 'done', response: { content: 'Hello', toolCalls: null, stopReason: 'end_turn', rawContent: null } }
+  }
+
+  get supportsTools() { return true }
+  get name() { return 'stub' }
+}
+
+const reply = { content: 'Hi', toolCalls: null, stopReason: 'end_turn', rawContent: [{ type: 'text', text: 'Hi' }], usage: { input_tokens: 5, output_tokens: 1 } }
+
+describe('RecordingProvider', () => {
+  let dir, inner, provider
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kenobot-fixtures-'))
+    inner = new StubProvider(reply)
+    provider = new RecordingProvider(inner, { dir, logger })
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('should pass calls through and save request and response', async () => {
+    const messages = [{ role: 'user', content: 'hi' }]
+    const options = { system: 'be brief', tools: [{ name: 'search_web', input_schema: {} }], max_tokens: 100 }
+
+    const result = await provider.chat(messages, options)
+    const fixture = JSON.parse(await readFile(join(dir, `${requestKey(messages, options)}.json`), 'utf8'))
+
+    expect(result).toBe(reply)
+    expect(inner.chat).toHaveBeenCalledWith(messages, options)
+    expect(fixture).toMatchObject({
+      provider: 'stub',
+      model: 'claude-sonnet-4-5',
+      request: { messages, options: { system: 'be brief', tools: ['search_web'], max_tokens: 100 } },
+      response: reply
+    })
+  })
+
+  it('should record the final response of a stream', async () => {
+    const events = []
+    for await (const event of provider.chatStream([{ role: 'user', content: 'hi' }])) events.push(event)
+
+    const [file] = await readdir(dir)
+    expect(events.map(e => e.type)).toEqual(['text', 'done'])
+    expect(JSON.parse(await readFile(join(dir, file), 'utf8')).response.content).toBe('Hello')
+  })
+
+  it('should still answer when the fixture cannot be written', async () => {
+    await writeFile(join(dir, 'not-a-dir'), '')
+    provider = new RecordingProvider(inner, { dir: join(dir, 'not-a-dir', 'fixtures'), logger })
+
+    await expect(provider.chat([{ role: 'user', content: 'hi' }])).resolves.toBe(reply)
+    expect(logger.warn).toHaveBeenCalledWith('provider', 'fixture_record_failed', expect.any(Object))
+  })
+
+  it('should report the name, model and capabilities of the wrapped provider', () => {
+    expect(provider.name).toBe('stub')
+    expect(provider.model).toBe('claude-sonnet-4-5')
+    expect(provider.supportsTools).toBe(true)
+    expect(provider.supportsStreaming).toBe(true)
+  })
+})
+
+describe('requestKey', () => {
+  const messages = [{ role: 'user', content: 'hi' }]
+
+  it('should ignore model, limits and the volatile system prompt', () => {
+    const segments = text => [{ text: '# KenoBot', stable: true }, { text, stable: false }]
+
+    expect(requestKey(messages, { systemSegments: segments('## Memory\n- a'), model: 'opus', max_tokens: 1 }))
+      .toBe(requestKey(messages, { systemSegments: segments('## Memory\n- b') }))
+  })
+
+  it('should ignore timestamps, dates and UUIDs', () => {
+    const at = (time, id) => [{ role: 'user', content: `task ${id} finished at ${time}` }]
+
+    expect(requestKey(at('2026-10-19T08:00:00.000Z', 'c56a4180-65aa-42ec-a945-5fd21dec0538')))
+      .toBe(requestKey(at('2026-10-20T09:30:12Z', '9b2e8a10-0c1d-4e5f-8a9b-0c1d2e3f4a5b')))
+  })
+
+  it('should change with the conversation, the stable prompt and the tools', () => {
+    const key = requestKey(messages, { system: 'a', tools: [{ name: 'x' }] })
+
+    expect(requestKey([{ role: 'user', content: 'hello' }], { system: 'a', tools: [{ name: 'x' }] })).not.toBe(key)
+    expect(requestKey(messages, { system: 'b', tools: [{ name: 'x' }] })).not.toBe(key)
+    expect(requestKey(messages, { system: 'a', tools: [{ name: 'y' }] })).not.toBe(key)
+  })
+})
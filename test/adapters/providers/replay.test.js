@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+vi.mock('../../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import ReplayProvider, { ReplayMissError } from '../../../src/adapters/providers/replay.js'
+import RecordingProvider from '../../../src/adapters/providers/recording.js'
+import BaseProvider from '../../../src/adapters/providers/base.js'
+import { createProvider } from '../../../src/adapters/providers/registry.js'
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+const tools = [{ name: 'search_web', description: 'Search', input_schema: { type: 'object' } }]
+
+/**
+ * Scripted provider speaking one of three tool dialects, to record a
+ * two-step tool conversation the way a real provider would shape it.
+ */
+class DialectProvider extends BaseProvider {
+  constructor(dialect) {
+    super()
+    this.dialect = dialect
+    this.responses = [this._toolCall(), { content: 'Sunny, 24°C', toolCalls: null, stopReason: 'end_turn', rawContent: this._raw('Sunny, 24°C') }]
+  }
+
+  async chat() {
+    return this.responses.shift()
+  }
+
+  _toolCall() {
+    const call = { id: 'call_1', name: 'search_web', input: { query: 'Lisbon weather' } }
+    const rawContent = {
+      anthropic: [{ type: 'tool_use', id: call.id, name: call.name, input: call.input }],
+      openai: { role: 'assistant', content: null, tool_calls: [{ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.input) } }] },
+      gemini: { role: 'model', parts: [{ functionCall: { name: call.name, args: call.input } }] }
+    }[this.dialect]
+    return { content: '', toolCalls: [call], stopReason: 'tool_use', rawContent }
+  }
+
+  _raw(text) {
+    return { anthropic: [{ type: 'text', text }], openai: { role: 'assistant', content: text }, gemini: { role: 'model', parts: [{ text }] } }[this.dialect]
+  }
+
+  adaptToolDefinitions(definitions) {
+    if (this.dialect === 'openai') return definitions.map(d => ({ type: 'function', function: { name: d.name, parameters: d.input_schema } }))
+    if (this.dialect === 'gemini') return [{ functionDeclarations: definitions.map(d => ({ name: d.name, parameters: d.input_schema })) }]
+    return definitions
+  }
+
+  buildToolResultMessages(rawContent, results) {
+    if (this.dialect === 'openai') {
+      return [rawContent, ...results.map(r => ({ role: 'tool', tool_call_id: r.id, content: r.result }))]
+    }
+    if (this.dialect === 'gemini') {
+      return [rawContent, { role: 'user', parts: results.map(r => ({ functionResponse: { name: 'search_web', response: { result: r.result } } })) }]
+    }
+    return super.buildToolResultMessages(rawContent, results)
+  }
+
+  get supportsTools() { return true }
+  get name() { return this.dialect }
+}
+
+/** The agent loop's tool round, reduced to the provider calls it makes. */
+async function converse(provider) {
+  const options = { system: 'You are KenoBot', tools: provider.adaptToolDefinitions(tools) }
+  const messages = [{ role: 'user', content: 'weather in Lisbon?' }]
+  const first = await provider.chat(messages, options)
+  messages.push(...provider.buildToolResultMessages(first.rawContent, [{ id: first.toolCalls[0].id, result: 'Lisbon: sunny, 24°C' }]))
+  const second = await provider.chat(messages, options)
+  return [first, second]
+}
+
+describe('ReplayProvider', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kenobot-replay-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('should require a fixtures directory', () => {
+    expect(() => new ReplayProvider({ model: 'sonnet' })).toThrow('PROVIDER_FIXTURES_DIR is required')
+  })
+
+  it('should be registered as replay', () => {
+    expect(createProvider('replay', { fixtures: { dir } })).toBeInstanceOf(ReplayProvider)
+  })
+
+  it.each(['anthropic', 'openai', 'gemini'])('should replay a tool conversation recorded in the %s dialect', async (dialect) => {
+    const recorded = await converse(new RecordingProvider(new DialectProvider(dialect), { dir, logger }))
+
+    const replayed = await converse(new ReplayProvider({ fixtures: { dir } }))
+
+    expect(replayed.map(r => r.toolCalls)).toEqual(recorded.map(r => r.toolCalls))
+    expect(replayed[1].content).toBe('Sunny, 24°C')
+  })
+
+  it('should fail loudly on a request that was never recorded', async () => {
+    const provider = new ReplayProvider({ fixtures: { dir } })
+
+    const error = await provider.chat([{ role: 'user', content: 'something new' }]).catch(e => e)
+
+    expect(error).toBeInstanceOf(ReplayMissError)
+    expect(error.message).toMatch(/No recorded response for request [0-9a-f]{16}/)
+    expect(error.file).toBe(join(dir, `${error.key}.json`))
+    expect(error.lastMessage).toBe('something new')
+  })
+
+  it('should stream a recorded response as one delta', async () => {
+    await converse(new RecordingProvider(new DialectProvider('anthropic'), { dir, logger }))
+    const provider = new ReplayProvider({ fixtures: { dir } })
+    const [first] = await converse(provider)
+    const messages = [
+      { role: 'user', content: 'weather in Lisbon?' },
+      ...provider.buildToolResultMessages(first.rawContent, [{ id: 'call_1', result: 'Lisbon: sunny, 24°C' }])
+    ]
+
+    const events = []
+    for await (const event of provider.chatStream(messages, { system: 'You are KenoBot', tools })) events.push(event)
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Sunny, 24°C' },
+      { type: 'done', response: expect.objectContaining({ content: 'Sunny, 24°C' }) }
+    ])
+  })
+})
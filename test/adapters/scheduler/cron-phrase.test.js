@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import { parseSchedule, parseTime, parseRunAt } from '../../../src/adapters/scheduler/cron-phrase.js'
+
+describe('cron-phrase', () => {
+  describe('parseTime', () => {
+    it('should parse 24h and 12h times', () => {
+      expect(parseTime('8')).toEqual({ hour: 8, minute: 0 })
+      expect(parseTime('18:30')).toEqual({ hour: 18, minute: 30 })
+      expect(parseTime('9am')).toEqual({ hour: 9, minute: 0 })
+      expect(parseTime('9:15 pm')).toEqual({ hour: 21, minute: 15 })
+      expect(parseTime('12am')).toEqual({ hour: 0, minute: 0 })
+      expect(parseTime('12pm')).toEqual({ hour: 12, minute: 0 })
+    })
+
+    it('should parse named times', () => {
+      expect(parseTime('noon')).toEqual({ hour: 12, minute: 0 })
+      expect(parseTime('midnight')).toEqual({ hour: 0, minute: 0 })
+    })
+
+    it('should reject out-of-range times', () => {
+      expect(parseTime('25')).toBeNull()
+      expect(parseTime('13pm')).toBeNull()
+      expect(parseTime('9:75')).toBeNull()
+      expect(parseTime('soon')).toBeNull()
+    })
+  })
+
+  describe('parseSchedule', () => {
+    it('should pass valid cron expressions through unchanged', () => {
+      expect(parseSchedule('0 9 * * 1')).toBe('0 9 * * 1')
+      expect(parseSchedule('*/5 * * * *')).toBe('*/5 * * * *')
+    })
+
+    it.each([
+      ['every weekday at 8', '0 8 * * 1-5'],
+      ['Every Monday at 9am', '0 9 * * 1'],
+      ['every weekend at 10:00', '0 10 * * 0,6'],
+      ['every day at 9 am', '0 9 * * *'],
+      ['daily at 18:30', '30 18 * * *'],
+      ['every morning', '0 9 * * *'],
+      ['every night', '0 21 * * *'],
+      ['every mon and thu at noon', '0 12 * * 1,4'],
+      ['mondays at 7pm', '0 19 * * 1'],
+      ['every tuesday, friday at 10:15 pm', '15 22 * * 2,5'],
+      ['every month on the 1st at 9', '0 9 1 * *'],
+      ['on the 15th of every month at 8am', '0 8 15 * *'],
+      ['every minute', '* * * * *'],
+      ['every 15 minutes', '*/15 * * * *'],
+      ['every hour', '0 * * * *'],
+      ['every 2 hours', '0 */2 * * *'],
+    ])('should convert "%s" to "%s"', (phrase, expected) => {
+      expect(parseSchedule(phrase)).toBe(expected)
+    })
+
+    it('should default the time to 09:00 when omitted', () => {
+      expect(parseSchedule('every friday')).toBe('0 9 * * 5')
+    })
+
+    it('should return null for phrases it does not understand', () => {
+      expect(parseSchedule('tomorrow at 5')).toBeNull()
+      expect(parseSchedule('on tuesday at 5')).toBeNull()
+      expect(parseSchedule('remind me sometime')).toBeNull()
+      expect(parseSchedule('every day at 25')).toBeNull()
+      expect(parseSchedule('every 90 minutes')).toBeNull()
+      expect(parseSchedule('')).toBeNull()
+      expect(parseSchedule(undefined)).toBeNull()
+    })
+  })
+
+  describe('parseRunAt', () => {
+    // Sunday 2026-10-18 15:00 UTC (10:00 in Mexico City)
+    const now = new Date('2026-10-18T15:00:00Z')
+    const at = (phrase, timezone = 'UTC') => parseRunAt(phrase, { now, timezone })?.toISOString() ?? null
+
+    it.each([
+      ['in 20 minutes', '2026-10-18T15:20:00.000Z'],
+      ['in an hour', '2026-10-18T16:00:00.000Z'],
+      ['in 2 hours and 30 minutes', '2026-10-18T17:30:00.000Z'],
+      ['in half an hour', '2026-10-18T15:30:00.000Z'],
+      ['in 3 days', '2026-10-21T15:00:00.000Z'],
+    ])('should resolve relative "%s"', (phrase, expected) => {
+      expect(at(phrase)).toBe(expected)
+    })
+
+    it.each([
+      ['at 17:30', '2026-10-18T17:30:00.000Z'],
+      ['today at 5pm', '2026-10-18T17:00:00.000Z'],
+      ['tonight', '2026-10-18T21:00:00.000Z'],
+      ['tomorrow at 9', '2026-10-19T09:00:00.000Z'],
+      ['tomorrow evening', '2026-10-19T18:00:00.000Z'],
+      ['on friday at 10', '2026-10-23T10:00:00.000Z'],
+      ['next sunday', '2026-10-25T09:00:00.000Z'],
+      ['on March 3rd at 10:00', '2027-03-03T10:00:00.000Z'],
+      ['the 15th of november', '2026-11-15T09:00:00.000Z'],
+      ['2026-11-03 10:00', '2026-11-03T10:00:00.000Z'],
+      ['2026-11-03T10:00:00-06:00', '2026-11-03T16:00:00.000Z'],
+    ])('should resolve absolute "%s"', (phrase, expected) => {
+      expect(at(phrase)).toBe(expected)
+    })
+
+    it('should roll a time that already passed today over to tomorrow', () => {
+      expect(at('at 8am')).toBe('2026-10-19T08:00:00.000Z')
+      expect(at('sunday at 8')).toBe('2026-10-25T08:00:00.000Z')
+    })
+
+    it('should read wall-clock times in the given timezone', () => {
+      expect(at('tomorrow at 9', 'America/Mexico_City')).toBe('2026-10-19T15:00:00.000Z')
+      expect(at('at 10:30', 'America/Mexico_City')).toBe('2026-10-18T16:30:00.000Z')
+    })
+
+    it('should return null for past, impossible or unknown times', () => {
+      expect(at('today at 8am')).toBeNull()
+      expect(at('2020-01-01 10:00')).toBeNull()
+      expect(at('feb 30')).toBeNull()
+      expect(at('in 0 minutes')).toBeNull()
+      expect(at('someday')).toBeNull()
+      expect(at('every day at 9')).toBeNull()
+    })
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { mkdtemp, rm, readFile, writeFile, mkdir } from 'node:fs/promises'
 import { join } from 'node:path'
 import { tmpdir } from 'node:os'
 
@@ -14,6 +14,12 @@ vi.mock('../../../src/infrastructure/logger.js', () => ({
 }))
 
 import Scheduler from '../../../src/adapters/scheduler/scheduler.js'
+import { ToolRegistry } from '../../../src/domain/motor/index.js'
+
+async function writeTasks(dataDir, tasks) {
+  await mkdir(join(dataDir, 'scheduler'), { recursive: true })
+  await writeFile(join(dataDir, 'scheduler', 'tasks.json'), JSON.stringify(tasks))
+}
 
 describe('Scheduler', () => {
   let scheduler
@@ -139,6 +145,508 @@ describe('Scheduler', () => {
     })
   })
 
+  describe('one-shot tasks', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should store runAt instead of cronExpr', async () => {
+      const runAt = Date.now() + 60_000
+      const id = await scheduler.add({ runAt, message: 'Call mom', chatId: '123' })
+
+      const task = scheduler.get(id)
+      expect(task.runAt).toBe(runAt)
+      expect(task).not.toHaveProperty('cronExpr')
+      expect(scheduler.nextRun(id).getTime()).toBe(runAt)
+    })
+
+    it('should accept ISO strings and Dates', async () => {
+      const when = new Date(Date.now() + 60_000)
+      const a = await scheduler.add({ runAt: when.toISOString(), message: 'a', chatId: '123' })
+      const b = await scheduler.add({ runAt: when, message: 'b', chatId: '123' })
+
+      expect(scheduler.get(a).runAt).toBe(when.getTime())
+      expect(scheduler.get(b).runAt).toBe(when.getTime())
+    })
+
+    it('should reject invalid or past runAt', async () => {
+      await expect(scheduler.add({ runAt: 'not-a-date', message: 'x', chatId: '123' }))
+        .rejects.toThrow('Invalid runAt')
+      await expect(scheduler.add({ runAt: Date.now() - 1000, message: 'x', chatId: '123' }))
+        .rejects.toThrow('runAt is in the past')
+    })
+
+    it('should reject both cronExpr and runAt', async () => {
+      await expect(scheduler.add({ cronExpr: '0 9 * * *', runAt: Date.now() + 60_000, message: 'x', chatId: '123' }))
+        .rejects.toThrow('either cronExpr or runAt')
+    })
+
+    it('should fire once and remove itself from tasks.json', async () => {
+      vi.useFakeTimers()
+      const id = await scheduler.add({ runAt: Date.now() + 5000, message: 'Stand up', chatId: '123', userId: '456' })
+
+      await vi.advanceTimersByTimeAsync(5000)
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(1)
+      expect(mockBus.fire).toHaveBeenCalledWith('message:in', {
+        text: 'Stand up',
+        chatId: '123',
+        userId: '456',
+        channel: 'telegram',
+        scheduled: true
+      }, { source: 'scheduler' })
+      expect(scheduler.get(id)).toBeNull()
+
+      vi.useRealTimers()
+      await vi.waitFor(async () => {
+        const tasks = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+        expect(tasks).toHaveLength(0)
+      })
+    })
+
+    it('should chain timers for delays beyond the setTimeout limit', async () => {
+      vi.useFakeTimers()
+      const thirtyDays = 30 * 24 * 60 * 60 * 1000
+      await scheduler.add({ runAt: Date.now() + thirtyDays, message: 'later', chatId: '123' })
+
+      await vi.advanceTimersByTimeAsync(thirtyDays - 1000)
+      expect(mockBus.fire).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(1000)
+      expect(mockBus.fire).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not fire after being removed', async () => {
+      vi.useFakeTimers()
+      const id = await scheduler.add({ runAt: Date.now() + 5000, message: 'x', chatId: '123' })
+
+      await scheduler.remove(id)
+      await vi.advanceTimersByTimeAsync(10_000)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('run history', () => {
+    it('should record lastRunAt, lastStatus and history when a cron task fires', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'Standup', chatId: '123' })
+
+      await scheduler.tasks.get(id).job.execute()
+
+      const task = scheduler.get(id)
+      expect(task.lastStatus).toBe('ok')
+      expect(task.lastRunAt).toBeGreaterThan(0)
+      expect(task).not.toHaveProperty('runs')
+      expect(scheduler.runs(id)).toEqual([
+        expect.objectContaining({ status: 'ok', ranAt: task.lastRunAt })
+      ])
+      expect(mockBus.fire).toHaveBeenCalledWith('message:in', expect.objectContaining({ text: 'Standup' }), { source: 'scheduler' })
+
+      await vi.waitFor(async () => {
+        const [persisted] = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+        expect(persisted.runs).toHaveLength(1)
+      })
+    })
+
+    it('should record failed runs', async () => {
+      mockBus.fire.mockImplementation(() => { throw new Error('bus down') })
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+
+      await scheduler.tasks.get(id).job.execute()
+
+      expect(scheduler.get(id).lastStatus).toBe('failed')
+      expect(scheduler.runs(id)[0].error).toBe('bus down')
+    })
+
+    it('should keep only the last historySize runs', async () => {
+      const small = new Scheduler(mockBus, dataDir, { historySize: 2 })
+      const id = await small.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+
+      for (let i = 0; i < 3; i++) await small.tasks.get(id).job.execute()
+
+      expect(small.runs(id)).toHaveLength(2)
+      small.stop()
+    })
+
+    it('should return null runs for unknown task ID', () => {
+      expect(scheduler.runs('nonexistent')).toBeNull()
+    })
+  })
+
+  describe('catch-up', () => {
+    const HOUR = 60 * 60 * 1000
+
+    // Hourly task whose last recorded run was 3 hours ago → 3 missed runs
+    function hourlyTask(catchUp) {
+      const lastRun = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR
+      return {
+        id: 'hourly', cronExpr: '0 * * * *', message: 'Check inbox', description: 'Inbox',
+        chatId: '123', userId: '456', channel: 'telegram', createdAt: lastRun - HOUR,
+        ...(catchUp && { catchUp }),
+        runs: [{ scheduledFor: lastRun, ranAt: lastRun, status: 'ok' }]
+      }
+    }
+
+    it('should validate the catchUp policy', async () => {
+      await expect(scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123', catchUp: 'sometimes' }))
+        .rejects.toThrow('Invalid catchUp policy')
+    })
+
+    it('should store the catchUp policy on cron tasks', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123', catchUp: 'once' })
+      expect(scheduler.get(id).catchUp).toBe('once')
+    })
+
+    it('should record missed runs as skipped by default', async () => {
+      await writeTasks(dataDir, [hourlyTask()])
+
+      await scheduler.loadTasks()
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      const runs = scheduler.runs('hourly')
+      expect(runs).toHaveLength(2)
+      expect(runs[1]).toEqual(expect.objectContaining({ status: 'skipped', missed: 3 }))
+      expect(scheduler.get('hourly').lastStatus).toBe('skipped')
+    })
+
+    it('should fire the latest missed run once with catchUp: once', async () => {
+      await writeTasks(dataDir, [hourlyTask('once')])
+
+      await scheduler.loadTasks()
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(1)
+      expect(mockBus.fire).toHaveBeenCalledWith('message:in', expect.objectContaining({
+        text: '(late) Check inbox', late: true
+      }), { source: 'scheduler' })
+      const statuses = scheduler.runs('hourly').map(r => r.status)
+      expect(statuses).toEqual(['ok', 'skipped', 'late'])
+    })
+
+    it('should fire every missed run with catchUp: all', async () => {
+      await writeTasks(dataDir, [hourlyTask('all')])
+
+      await scheduler.loadTasks()
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(3)
+      expect(scheduler.runs('hourly').map(r => r.status)).toEqual(['ok', 'late', 'late', 'late'])
+    })
+
+    it('should persist the catch-up result so it is not repeated on the next load', async () => {
+      await writeTasks(dataDir, [hourlyTask('all')])
+      await scheduler.loadTasks()
+      scheduler.stop()
+
+      const reloaded = new Scheduler(mockBus, dataDir)
+      mockBus.fire.mockClear()
+      await reloaded.loadTasks()
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      reloaded.stop()
+    })
+  })
+
+  describe('tool jobs', () => {
+    let tools
+    let output
+    let watcher
+
+    beforeEach(() => {
+      output = 'status: ok'
+      tools = new ToolRegistry()
+      tools.register({
+        definition: { name: 'fetch_url', description: 'Fetch', input_schema: { type: 'object' } },
+        execute: vi.fn(async () => output)
+      })
+      watcher = new Scheduler(mockBus, dataDir, { toolRegistry: tools })
+    })
+
+    afterEach(() => watcher.stop())
+
+    const watch = (opts = {}) => watcher.add({
+      cronExpr: '*/5 * * * *', tool: 'fetch_url', toolInput: { url: 'https://example.com' },
+      description: 'Status page', chatId: '123', userId: '456', ...opts
+    })
+    const tick = id => watcher.tasks.get(id).job.execute()
+
+    it('should store the tool job with defaults', async () => {
+      const id = await watch()
+      expect(watcher.get(id)).toEqual(expect.objectContaining({
+        tool: 'fetch_url', toolInput: { url: 'https://example.com' }, trigger: 'change', action: 'agent'
+      }))
+    })
+
+    it('should reject unknown tools, one-shots and bad trigger settings', async () => {
+      await expect(watch({ tool: 'nope' })).rejects.toThrow('Unknown tool: nope')
+      await expect(watch({ cronExpr: undefined, runAt: Date.now() + 60000 })).rejects.toThrow('Tool jobs are recurring')
+      await expect(watch({ trigger: 'match' })).rejects.toThrow('needs a pattern')
+      await expect(watch({ trigger: 'match', pattern: '(' })).rejects.toThrow('Invalid pattern')
+      await expect(watch({ action: 'email' })).rejects.toThrow('Invalid action')
+      await expect(scheduler.add({ cronExpr: '* * * * *', tool: 'fetch_url', chatId: '1' })).rejects.toThrow('tool registry')
+    })
+
+    it('should reject scheduler tools and tools with no output to diff', async () => {
+      for (const name of ['schedule_task', 'schedule_watch', 'cancel_scheduled_task', 'write_file']) {
+        tools.register({
+          definition: { name, description: name, input_schema: { type: 'object' } },
+          execute: vi.fn(async () => 'ok')
+        })
+        await expect(watch({ tool: name })).rejects.toThrow(`Tool ${name} cannot be watched`)
+      }
+      expect(watcher.size).toBe(0)
+    })
+
+    it('should record a baseline on the first run and stay quiet while output is unchanged', async () => {
+      const id = await watch()
+
+      await tick(id)
+      await tick(id)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      expect(tools._tools.get('fetch_url').execute).toHaveBeenCalledWith(
+        { url: 'https://example.com' },
+        expect.objectContaining({ context: { chatId: '123', userId: '456', channel: 'telegram' } })
+      )
+      expect(watcher.runs(id).map(r => r.triggered)).toEqual([false, false])
+    })
+
+    it('should hand old and new output to the agent when output changes', async () => {
+      const id = await watch({ message: 'Tell me what changed' })
+      await tick(id)
+
+      output = 'status: degraded'
+      await tick(id)
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(1)
+      const [event, payload] = mockBus.fire.mock.calls[0]
+      expect(event).toBe('message:in')
+      expect(payload).toEqual(expect.objectContaining({ chatId: '123', scheduled: true }))
+      expect(payload.text).toContain('Tell me what changed')
+      expect(payload.text).toContain('Previous output:\nstatus: ok')
+      expect(payload.text).toContain('Current output:\nstatus: degraded')
+      expect(watcher.runs(id).at(-1)).toEqual(expect.objectContaining({ status: 'ok', triggered: true }))
+    })
+
+    it('should notify the chat directly without the agent', async () => {
+      const id = await watch({ action: 'notify' })
+      await tick(id)
+
+      output = 'status: down'
+      await tick(id)
+
+      expect(mockBus.fire).toHaveBeenCalledWith('message:out', {
+        chatId: '123', channel: 'telegram', text: 'Status page — fetch_url output changed\n\nstatus: down'
+      }, { source: 'scheduler' })
+    })
+
+    it('should report a match once, when the output starts matching', async () => {
+      const id = await watch({ trigger: 'match', pattern: 'DOWN', action: 'notify' })
+
+      await tick(id)
+      output = 'status: down'
+      await tick(id)
+      await tick(id)
+      output = 'status: ok'
+      await tick(id)
+      output = 'status: down again'
+      await tick(id)
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(2)
+      expect(watcher.runs(id).map(r => r.triggered)).toEqual([false, true, false, false, true])
+    })
+
+    it('should run a tool check once after downtime with catchUp: all', async () => {
+      const HOUR = 60 * 60 * 1000
+      const lastRun = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR
+      await writeTasks(dataDir, [{
+        id: 'watch', cronExpr: '0 * * * *', tool: 'fetch_url', toolInput: { url: 'https://example.com' },
+        trigger: 'change', action: 'notify', catchUp: 'all', description: 'Status page',
+        chatId: '123', userId: '456', channel: 'telegram', createdAt: lastRun - HOUR,
+        runs: [{ scheduledFor: lastRun, ranAt: lastRun, status: 'ok' }]
+      }])
+
+      const execute = vi.spyOn(tools, 'executeTool')
+      await watcher.loadTasks()
+
+      expect(execute).toHaveBeenCalledTimes(1)
+      expect(watcher.runs('watch').map(r => r.status)).toEqual(['ok', 'skipped', 'late'])
+    })
+
+    it('should record tool errors as failed runs and keep the stored output', async () => {
+      const id = await watch()
+      await tick(id)
+      tools._tools.get('fetch_url').execute.mockRejectedValueOnce(new Error('timeout'))
+
+      await tick(id)
+      await tick(id)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      expect(watcher.runs(id).map(r => r.status)).toEqual(['ok', 'failed', 'ok'])
+      expect(watcher.runs(id)[1].error).toBe('Tool error: timeout')
+    })
+
+    it('should persist the last output so a restart does not re-trigger', async () => {
+      const id = await watch()
+      await tick(id)
+      await vi.waitFor(async () => {
+        const [persisted] = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+        expect(persisted.lastResultHash).toBeTruthy()
+      })
+      watcher.stop()
+
+      watcher = new Scheduler(mockBus, dataDir, { toolRegistry: tools })
+      await watcher.loadTasks()
+      await tick(id)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+    })
+
+    it('should reset the baseline when toolInput changes', async () => {
+      const id = await watch()
+      await tick(id)
+
+      await watcher.update(id, { toolInput: { url: 'https://example.org' } })
+      output = 'something else'
+      await tick(id)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      await expect(watcher.update(id, { action: 'email' })).rejects.toThrow('Invalid action')
+    })
+
+    it('should only accept tool fields on tool jobs', async () => {
+      const id = await watcher.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+      await expect(watcher.update(id, { trigger: 'match' })).rejects.toThrow('Only tool jobs')
+    })
+  })
+
+  describe('update', () => {
+    it('should change fields in place and keep the ID and history', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'Standup', chatId: '123' })
+      await scheduler.tasks.get(id).job.execute()
+
+      const task = await scheduler.update(id, {
+        cronExpr: '30 10 * * 1-5', message: 'Standup v2', description: 'Weekday standup', timezone: 'Europe/Madrid'
+      })
+
+      expect(task.id).toBe(id)
+      expect(task.cronExpr).toBe('30 10 * * 1-5')
+      expect(task.message).toBe('Standup v2')
+      expect(task.description).toBe('Weekday standup')
+      expect(task.timezone).toBe('Europe/Madrid')
+      expect(task.updatedAt).toBeGreaterThan(0)
+      expect(scheduler.runs(id)).toHaveLength(1)
+      expect(scheduler.size).toBe(1)
+
+      const [persisted] = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+      expect(persisted.cronExpr).toBe('30 10 * * 1-5')
+      expect(persisted.timezone).toBe('Europe/Madrid')
+    })
+
+    it('should run the new cron in the task timezone', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+
+      await scheduler.update(id, { timezone: 'Asia/Tokyo' })
+
+      expect(scheduler.tasks.get(id).job.timeMatcher.timezone).toBe('Asia/Tokyo')
+    })
+
+    it('should clear the per-task timezone with an empty string', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123', timezone: 'Asia/Tokyo' })
+
+      const task = await scheduler.update(id, { timezone: '' })
+
+      expect(task).not.toHaveProperty('timezone')
+    })
+
+    it('should reject invalid values without changing the task', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+
+      await expect(scheduler.update(id, { cronExpr: 'nope' })).rejects.toThrow('Invalid cron expression')
+      await expect(scheduler.update(id, { timezone: 'Mars/Olympus' })).rejects.toThrow('Invalid timezone')
+      await expect(scheduler.update(id, { message: '' })).rejects.toThrow('message cannot be empty')
+      await expect(scheduler.update(id, { runAt: Date.now() + 1000 })).rejects.toThrow('Recurring tasks have no runAt')
+      expect(scheduler.get(id).cronExpr).toBe('0 9 * * *')
+    })
+
+    it('should move a one-shot to a new time', async () => {
+      const id = await scheduler.add({ runAt: Date.now() + 60_000, message: 'x', chatId: '123' })
+      const later = Date.now() + 120_000
+
+      await scheduler.update(id, { runAt: later })
+
+      expect(scheduler.nextRun(id).getTime()).toBe(later)
+      await expect(scheduler.update(id, { cronExpr: '0 9 * * *' })).rejects.toThrow('One-shot tasks have no cron expression')
+    })
+
+    it('should throw for unknown task ID', async () => {
+      await expect(scheduler.update('nonexistent', { message: 'x' })).rejects.toThrow('Task not found')
+    })
+  })
+
+  describe('pause and resume', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should stop the job but keep the task in tasks.json', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+
+      const task = await scheduler.pause(id)
+
+      expect(task.paused).toBe(true)
+      expect(scheduler.nextRun(id)).toBeNull()
+      expect(scheduler.size).toBe(1)
+      const [persisted] = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+      expect(persisted.paused).toBe(true)
+    })
+
+    it('should restart the job on resume', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'x', chatId: '123' })
+      await scheduler.pause(id)
+
+      const task = await scheduler.resume(id)
+
+      expect(task).not.toHaveProperty('paused')
+      expect(scheduler.nextRun(id)).toBeInstanceOf(Date)
+    })
+
+    it('should keep paused tasks paused across restarts without catching up', async () => {
+      const id = await scheduler.add({ cronExpr: '* * * * *', message: 'x', chatId: '123', catchUp: 'all' })
+      await scheduler.pause(id)
+      scheduler.stop()
+
+      const reloaded = new Scheduler(mockBus, dataDir)
+      await reloaded.loadTasks()
+
+      expect(reloaded.get(id).paused).toBe(true)
+      expect(reloaded.nextRun(id)).toBeNull()
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      reloaded.stop()
+    })
+
+    it('should not fire a paused one-shot', async () => {
+      vi.useFakeTimers()
+      const id = await scheduler.add({ runAt: Date.now() + 5000, message: 'x', chatId: '123' })
+
+      await scheduler.pause(id)
+      await vi.advanceTimersByTimeAsync(10_000)
+
+      expect(mockBus.fire).not.toHaveBeenCalled()
+      expect(scheduler.get(id).paused).toBe(true)
+    })
+
+    it('should fire an overdue one-shot late when resumed', async () => {
+      vi.useFakeTimers()
+      const id = await scheduler.add({ runAt: Date.now() + 5000, message: 'Call', chatId: '123' })
+      await scheduler.pause(id)
+      await vi.advanceTimersByTimeAsync(10_000)
+
+      await scheduler.resume(id)
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(mockBus.fire).toHaveBeenCalledWith('message:in', expect.objectContaining({ text: '(late) Call' }), { source: 'scheduler' })
+    })
+  })
+
   describe('remove', () => {
     it('should remove a task by ID', async () => {
       const id = await scheduler.add({
@@ -197,6 +705,36 @@ describe('Scheduler', () => {
     })
   })
 
+  describe('get', () => {
+    it('should return a task without its job reference', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'test', chatId: '123' })
+
+      const task = scheduler.get(id)
+      expect(task.id).toBe(id)
+      expect(task.message).toBe('test')
+      expect(task).not.toHaveProperty('job')
+    })
+
+    it('should return null for unknown task ID', () => {
+      expect(scheduler.get('nonexistent')).toBeNull()
+    })
+  })
+
+  describe('nextRun', () => {
+    it('should return the next fire time for a task', async () => {
+      const id = await scheduler.add({ cronExpr: '0 9 * * *', message: 'test', chatId: '123' })
+
+      const next = scheduler.nextRun(id)
+      expect(next).toBeInstanceOf(Date)
+      expect(next.getTime()).toBeGreaterThan(Date.now())
+      expect(next.getMinutes()).toBe(0)
+    })
+
+    it('should return null for unknown task ID', () => {
+      expect(scheduler.nextRun('nonexistent')).toBeNull()
+    })
+  })
+
   describe('loadTasks', () => {
     it('should do nothing when no tasks file exists', async () => {
       await scheduler.loadTasks()
@@ -225,6 +763,29 @@ describe('Scheduler', () => {
       scheduler2.stop()
     })
 
+    it('should fire overdue one-shots on load with a (late) marker', async () => {
+      await writeTasks(dataDir, [
+        { id: 'missed', runAt: Date.now() - 60_000, message: 'Take pills', description: 'Pills', chatId: '123', userId: '456', channel: 'telegram' },
+        { id: 'future', runAt: Date.now() + 60_000, message: 'Later', description: 'Later', chatId: '123', userId: '456', channel: 'telegram' }
+      ])
+
+      await scheduler.loadTasks()
+
+      expect(mockBus.fire).toHaveBeenCalledTimes(1)
+      expect(mockBus.fire).toHaveBeenCalledWith('message:in', {
+        text: '(late) Take pills',
+        chatId: '123',
+        userId: '456',
+        channel: 'telegram',
+        scheduled: true,
+        late: true
+      }, { source: 'scheduler' })
+      expect(scheduler.list().map(t => t.id)).toEqual(['future'])
+
+      const tasks = JSON.parse(await readFile(join(dataDir, 'scheduler', 'tasks.json'), 'utf8'))
+      expect(tasks.map(t => t.id)).toEqual(['future'])
+    })
+
     it('should restore multiple tasks', async () => {
       await scheduler.add({ cronExpr: '0 9 * * *', message: 'task1', chatId: '123' })
       await scheduler.add({ cronExpr: '0 17 * * *', message: 'task2', chatId: '123' })
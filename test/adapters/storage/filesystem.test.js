@@ -174,6 +174,43 @@ describe('FilesystemStorage', () => {
       const result = await storage.loadSession('http_webhook_abc')
       expect(result).toEqual([])
     })
+
+    it('should keep thread sessions apart from their chat', async () => {
+      await storage.saveSession('telegram--100123~topic-42', [{ role: 'user', content: 'in topic', timestamp: 1 }])
+
+      expect(await storage.loadSession('telegram--100123~topic-42')).toHaveLength(1)
+      expect(await storage.loadSession('telegram--100123')).toEqual([])
+    })
+
+    it('should reject more than one thread segment', async () => {
+      await expect(storage.loadSession('telegram-1~a~b')).rejects.toThrow('Invalid sessionId')
+    })
+  })
+
+  describe('summaries', () => {
+    it('should return null when a session has no summary', async () => {
+      expect(await storage.loadSummary('telegram-123')).toBeNull()
+    })
+
+    it('should replace the summary next to the session', async () => {
+      await storage.saveSummary('telegram-123', { text: 'first', until: 1, messages: 10, updatedAt: 5 })
+      await storage.saveSummary('telegram-123', { text: 'second', until: 2, messages: 20, updatedAt: 6 })
+
+      expect(await storage.loadSummary('telegram-123')).toEqual({ text: 'second', until: 2, messages: 20, updatedAt: 6 })
+      expect(await storage.loadSummary('telegram-456')).toBeNull()
+    })
+
+    it('should treat a corrupt summary as missing', async () => {
+      await mkdir(join(tmpDir, 'sessions'), { recursive: true })
+      await writeFile(join(tmpDir, 'sessions', 'telegram-123.summary.json'), '{"text":')
+
+      expect(await storage.loadSummary('telegram-123')).toBeNull()
+      expect(logger.warn).toHaveBeenCalledWith('storage', 'corrupt_summary', { sessionId: 'telegram-123' })
+    })
+
+    it('should reject unsafe sessionIds', async () => {
+      await expect(storage.saveSummary('../etc', { text: 'x' })).rejects.toThrow('Invalid sessionId')
+    })
   })
 
   describe('readFile', () => {
@@ -111,6 +111,24 @@ describe('MemoryStore', () => {
     })
   })
 
+  describe('per-person memory', () => {
+    it('should append to and read back a person\'s notes', async () => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2026-02-13T16:00:00Z'))
+
+      await store.appendUserDaily('telegram-42', 'Vegetarian')
+
+      const content = await readFile(join(tmpDir, 'memory', 'users', 'telegram-42', '2026-02-13.md'), 'utf8')
+      expect(content).toBe('## 16:00 — Vegetarian\n\n')
+      expect(await store.getUserRecentDays('telegram-42')).toContain('Vegetarian')
+    })
+
+    it('should return empty string for unknown people', async () => {
+      expect(await store.getUserLongTermMemory('telegram-42')).toBe('')
+      expect(await store.getUserRecentDays('telegram-42')).toBe('')
+    })
+  })
+
   describe('working memory', () => {
     it('should write and read working memory', async () => {
       await store.writeWorkingMemory('telegram-123', 'Current task: debugging')
@@ -174,5 +192,14 @@ describe('MemoryStore', () => {
       expect(logs).not.toContain('MEMORY.md')
       expect(logs).not.toContain('other.txt')
     })
+
+    it('should overwrite a daily log', async () => {
+      await store.appendDaily('Old fact')
+
+      const [filename] = await store.listDailyLogs()
+      await store.writeDailyLog(filename, '## 10:00 — Kept fact\n\n')
+
+      expect(await store.readDailyLog(filename)).toBe('## 10:00 — Kept fact\n\n')
+    })
   })
 })
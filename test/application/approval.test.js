@@ -1,7 +1,10 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 import NervousSystem from '../../src/domain/nervous/index.js'
 import {
-  NOTIFICATION, APPROVAL_PROPOSED, APPROVAL_APPROVED, APPROVAL_REJECTED
+  NOTIFICATION, NOTIFICATION_ACTION, APPROVAL_PROPOSED, APPROVAL_APPROVED, APPROVAL_REJECTED
 } from '../../src/infrastructure/events.js'
 import { setupNotifications } from '../../src/infrastructure/notifications.js'
 
@@ -14,6 +17,9 @@ vi.mock('../../src/infrastructure/logger.js', () => ({
   }
 }))
 
+// Approval handlers are async; let them run before asserting
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
 describe('Approval workflow', () => {
   let bus
   let config
@@ -64,6 +70,132 @@ describe('Approval workflow', () => {
     })
   })
 
+  describe('approval buttons', () => {
+    const proposal = {
+      id: 'abc123',
+      type: 'self-improvement',
+      proposalCount: 1,
+      priorities: ['high'],
+      proposals: [{ observation: '5 errors found', suggestion: 'Add retries', evidence: 'logs', priority: 'high' }],
+      prUrl: null
+    }
+    const press = (data) => {
+      bus.fire(NOTIFICATION_ACTION, { data, chatId: '123456', userId: '123456', channel: 'telegram' })
+      return settle()
+    }
+
+    it('should attach Approve / Reject / Details buttons to proposals with an id', async () => {
+      const notifications = []
+      bus.on(NOTIFICATION, (payload) => notifications.push(payload))
+
+      bus.fire(APPROVAL_PROPOSED, proposal)
+      await settle()
+
+      expect(notifications[0].text).not.toContain('Review on GitHub')
+      expect(notifications[0].buttons).toEqual([[
+        { text: 'Approve', data: 'approval:approve:abc123' },
+        { text: 'Reject', data: 'approval:reject:abc123' },
+        { text: 'Details', data: 'approval:details:abc123' }
+      ]])
+    })
+
+    it('should fire approval:approved with the proposals when Approve is pressed', async () => {
+      const approved = []
+      bus.on(APPROVAL_APPROVED, (payload) => approved.push(payload))
+      bus.fire(APPROVAL_PROPOSED, proposal)
+      await settle()
+
+      await press('approval:approve:abc123')
+
+      expect(approved).toHaveLength(1)
+      expect(approved[0]).toEqual(expect.objectContaining({ id: 'abc123', proposals: proposal.proposals, decidedBy: '123456' }))
+    })
+
+    it('should fire approval:rejected when Reject is pressed, only once', async () => {
+      const rejected = []
+      const notifications = []
+      bus.on(APPROVAL_REJECTED, (payload) => rejected.push(payload))
+      bus.on(NOTIFICATION, (payload) => notifications.push(payload))
+      bus.fire(APPROVAL_PROPOSED, proposal)
+      await settle()
+
+      await press('approval:reject:abc123')
+      await press('approval:approve:abc123')
+
+      expect(rejected).toHaveLength(1)
+      expect(notifications.at(-1).text).toBe('That proposal is no longer pending.')
+    })
+
+    it('should send the proposal details without deciding', async () => {
+      const notifications = []
+      const approved = []
+      bus.on(NOTIFICATION, (payload) => notifications.push(payload))
+      bus.on(APPROVAL_APPROVED, (payload) => approved.push(payload))
+      bus.fire(APPROVAL_PROPOSED, proposal)
+      await settle()
+
+      await press('approval:details:abc123')
+
+      expect(notifications.at(-1).text).toContain('1. (high) 5 errors found')
+      expect(notifications.at(-1).text).toContain('Suggestion: Add retries')
+      expect(approved).toHaveLength(0)
+    })
+
+    it('should ignore approve and reject from anyone but the owner in the owner chat', async () => {
+      const approved = []
+      bus.on(APPROVAL_APPROVED, (payload) => approved.push(payload))
+      bus.fire(APPROVAL_PROPOSED, proposal)
+      await settle()
+
+      bus.fire(NOTIFICATION_ACTION, { data: 'approval:approve:abc123', chatId: '-100', userId: '123456', channel: 'telegram' })
+      bus.fire(NOTIFICATION_ACTION, { data: 'approval:approve:abc123', chatId: '123456', userId: '999', channel: 'telegram' })
+      await settle()
+      expect(approved).toHaveLength(0)
+
+      await press('approval:approve:abc123')
+      expect(approved).toHaveLength(1)
+    })
+
+    it('should ignore button data from other features', async () => {
+      const notifications = []
+      bus.on(NOTIFICATION, (payload) => notifications.push(payload))
+
+      await press('tasks:cancel:1')
+
+      expect(notifications).toHaveLength(0)
+    })
+  })
+
+  describe('pending proposals on disk', () => {
+    let dataDir
+
+    beforeEach(async () => {
+      dataDir = await mkdtemp(join(tmpdir(), 'kenobot-approvals-'))
+    })
+
+    afterEach(async () => {
+      await rm(dataDir, { recursive: true, force: true })
+    })
+
+    it('should keep buttons working after a restart', async () => {
+      const diskConfig = { ...config, dataDir }
+      const before = new NervousSystem({})
+      setupNotifications(before, diskConfig)
+      before.fire(APPROVAL_PROPOSED, { id: 'abc123', type: 'self-improvement', proposalCount: 1, proposals: [] })
+      await vi.waitFor(async () => expect(await readFile(join(dataDir, 'approvals.json'), 'utf8')).toContain('abc123'))
+
+      const after = new NervousSystem({})
+      setupNotifications(after, diskConfig)
+      const approved = []
+      after.on(APPROVAL_APPROVED, (payload) => approved.push(payload))
+      after.fire(NOTIFICATION_ACTION, { data: 'approval:approve:abc123', chatId: '123456', userId: '123456', channel: 'telegram' })
+
+      await vi.waitFor(() => expect(approved).toHaveLength(1))
+      expect(approved[0].id).toBe('abc123')
+      expect(JSON.parse(await readFile(join(dataDir, 'approvals.json'), 'utf8'))).toEqual({})
+    })
+  })
+
   describe('approval:approved → notification', () => {
     it('should notify owner when proposal is approved', () => {
       const notifications = []
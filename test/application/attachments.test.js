@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { buildUserContent, describeAttachments } from '../../src/application/attachments.js'
+
+describe('attachments', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'kenobot-attachments-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  async function saved(fileName, content, fields) {
+    const path = join(dir, fileName)
+    await writeFile(path, content)
+    return { fileName, path, size: Buffer.byteLength(content), ...fields }
+  }
+
+  describe('buildUserContent', () => {
+    it('should return the text unchanged without attachments', async () => {
+      expect(await buildUserContent({ text: 'hello' })).toBe('hello')
+    })
+
+    it('should send images as base64 blocks to multimodal providers, caption last', async () => {
+      const photo = await saved('photo.jpg', 'jpegdata', { type: 'image', mimeType: 'image/jpeg' })
+
+      const content = await buildUserContent({ text: 'What is this?', attachments: [photo] }, { multimodal: true })
+
+      expect(content).toEqual([
+        { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: Buffer.from('jpegdata').toString('base64') } },
+        { type: 'text', text: 'What is this?' }
+      ])
+    })
+
+    it('should send PDFs as document blocks and omit an empty caption', async () => {
+      const pdf = await saved('report.pdf', '%PDF', { type: 'document', mimeType: 'application/pdf' })
+
+      const content = await buildUserContent({ text: '', attachments: [pdf] }, { multimodal: true })
+
+      expect(content).toEqual([
+        { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: Buffer.from('%PDF').toString('base64') } }
+      ])
+    })
+
+    it('should describe images with their path for text-only providers', async () => {
+      const photo = await saved('photo.jpg', 'jpegdata', { type: 'image', mimeType: 'image/jpeg' })
+
+      const content = await buildUserContent({ text: 'Look', attachments: [photo] })
+
+      expect(content).toContain(`[Attached image: photo.jpg (image/jpeg, 1 KB), saved at ${photo.path}.`)
+      expect(content.endsWith('Look')).toBe(true)
+    })
+
+    it('should inline text documents for every provider', async () => {
+      const notes = await saved('notes.md', '# Plan\n- ship it', { type: 'document', mimeType: 'application/octet-stream' })
+
+      const content = await buildUserContent({ text: 'Summarize', attachments: [notes] }, { multimodal: true })
+
+      expect(content).toBe('[Attached file: notes.md]\n```\n# Plan\n- ship it\n```\n\nSummarize')
+    })
+
+    it('should mention voice notes and failed downloads', async () => {
+      const voice = await saved('voice-1.ogg', 'ogg', { type: 'voice', mimeType: 'audio/ogg', duration: 7 })
+      const failed = { type: 'document', fileName: 'big.zip', mimeType: 'application/zip', size: 0, error: 'file is larger than 20 MB' }
+
+      const content = await buildUserContent({ text: '', attachments: [voice, failed] })
+
+      expect(content).toContain('[Voice message: voice-1.ogg, 7s')
+      expect(content).toContain('[Attachment big.zip could not be downloaded: file is larger than 20 MB]')
+    })
+  })
+
+  describe('describeAttachments', () => {
+    it('should list attachment names before the text', () => {
+      const message = {
+        text: 'see these',
+        attachments: [{ type: 'image', fileName: 'a.jpg' }, { type: 'document', fileName: 'b.pdf' }]
+      }
+
+      expect(describeAttachments(message)).toBe('[Attached: a.jpg (image), b.pdf (document)]\nsee these')
+    })
+
+    it('should return plain text when there are no attachments', () => {
+      expect(describeAttachments({ text: 'hi' })).toBe('hi')
+    })
+  })
+})
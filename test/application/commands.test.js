@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import CommandRouter, { COMMANDS } from '../../src/application/commands.js'
+import AgentLoop from '../../src/application/loop.js'
+import TransparencyManager from '../../src/domain/cognitive/utils/transparency.js'
+import { MESSAGE_IN, MESSAGE_OUT } from '../../src/infrastructure/events.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+function createCognitive() {
+  const memory = {
+    getLongTermMemory: vi.fn().mockResolvedValue('# Facts\n\n- Adrian prefers Spanish\n- Deploys run on Fridays\n'),
+    getRecentDays: vi.fn().mockResolvedValue('### 2026-10-17\n## 09:00 — Adrian has a cat named Luna'),
+    listDailyLogs: vi.fn().mockResolvedValue(['2026-10-16.md', '2026-10-17.md']),
+    getPatterns: vi.fn().mockResolvedValue([{ id: 'p1' }]),
+    working: { get: vi.fn().mockResolvedValue(null) },
+    removeFact: vi.fn().mockResolvedValue({ removed: ['Adrian has a cat named Luna'], matches: ['Adrian has a cat named Luna'] })
+  }
+  const sleepCycle = {
+    getState: vi.fn().mockReturnValue({ status: 'idle', lastRun: null }),
+    run: vi.fn().mockResolvedValue({ success: true, duration: 4200 })
+  }
+  return {
+    memory,
+    sleepCycle,
+    getMemorySystem: () => memory,
+    getSleepCycle: () => sleepCycle
+  }
+}
+
+const message = (text) => ({ text, chatId: '123', userId: 'u1', channel: 'telegram' })
+
+describe('CommandRouter', () => {
+  let bus, cognitive, transparency, router, replies
+
+  beforeEach(() => {
+    bus = new NervousSystem()
+    cognitive = createCognitive()
+    transparency = new TransparencyManager({ logger })
+    router = new CommandRouter(bus, { cognitive, transparency, owner: 'u1', logger })
+    replies = []
+    bus.on(MESSAGE_OUT, (payload) => replies.push(payload))
+  })
+
+  it('should export a command menu for every handler', () => {
+    expect(COMMANDS.map(c => c.command)).toEqual(['why', 'memory', 'tasks', 'forget', 'sleep'])
+  })
+
+  describe('parse', () => {
+    it('should parse command name and arguments', () => {
+      expect(router.parse('/forget my cat')).toEqual({ name: 'forget', args: 'my cat' })
+    })
+
+    it('should strip the bot name suffix', () => {
+      expect(router.parse('/why@kenobot')).toEqual({ name: 'why', args: '' })
+    })
+
+    it('should ignore unknown commands and plain text', () => {
+      expect(router.parse('/start')).toBeNull()
+      expect(router.parse('why did you say that?')).toBeNull()
+    })
+  })
+
+  it('should leave unknown commands for the agent', async () => {
+    const handled = await router.handle(message('/start'), { sessionId: 'telegram-123' })
+
+    expect(handled).toBe(false)
+    expect(replies).toHaveLength(0)
+  })
+
+  it('should explain the last response with its sources', async () => {
+    transparency.recordResponse('telegram-123', {
+      response: 'Luna is your cat',
+      sources: ['Fact: Adrian has a cat named Luna']
+    })
+
+    await router.handle(message('/why'), { sessionId: 'telegram-123' })
+
+    expect(replies[0].chatId).toBe('123')
+    expect(replies[0].channel).toBe('telegram')
+    expect(replies[0].text).toContain('Sources consulted')
+    expect(replies[0].text).toContain('Fact: Adrian has a cat named Luna')
+  })
+
+  it('should say when there is no response to explain', async () => {
+    await router.handle(message('/why'), { sessionId: 'telegram-999' })
+
+    expect(replies[0].text).toBe('No record of a recent response.')
+  })
+
+  it('should report memory stats and recent facts', async () => {
+    await router.handle(message('/memory'), { sessionId: 'telegram-123' })
+
+    const { text } = replies[0]
+    expect(text).toContain('**Semantic Memory:** 2 facts')
+    expect(text).toContain('**Procedural Memory:** 1 learned patterns')
+    expect(text).toContain('**Daily logs:** 2')
+    expect(text).toContain('- Adrian has a cat named Luna')
+  })
+
+  it('should list active tasks', async () => {
+    await router.handle(message('/tasks'), {
+      sessionId: 'telegram-123',
+      activeTasks: [{ taskId: 'abcdef123456', sessionId: 'telegram-123', chatId: '123', startedAt: Date.now() - 120000 }]
+    })
+
+    expect(replies[0].text).toContain('Active tasks (1)')
+    expect(replies[0].text).toContain('`abcdef12` in telegram-123')
+    expect(replies[0].text).toContain('2 minutes ago')
+  })
+
+  it('should say when no tasks are active', async () => {
+    await router.handle(message('/tasks'), { sessionId: 'telegram-123' })
+
+    expect(replies[0].text).toBe('No active background tasks.')
+  })
+
+  describe('/forget', () => {
+    it('should remove matching facts', async () => {
+      await router.handle(message('/forget Luna'), { sessionId: 'telegram-123' })
+
+      expect(cognitive.memory.removeFact).toHaveBeenCalledWith('Luna')
+      expect(replies[0].text).toContain('Forgot 1 fact:')
+      expect(replies[0].text).toContain('Adrian has a cat named Luna')
+    })
+
+    it('should show usage without text', async () => {
+      await router.handle(message('/forget'), { sessionId: 'telegram-123' })
+
+      expect(cognitive.memory.removeFact).not.toHaveBeenCalled()
+      expect(replies[0].text).toContain('Usage: /forget <text>')
+    })
+
+    it('should ask for a narrower query when too many facts match', async () => {
+      cognitive.memory.removeFact.mockResolvedValue({ removed: [], matches: ['a', 'b', 'c', 'd', 'e', 'f'] })
+
+      await router.handle(message('/forget a'), { sessionId: 'telegram-123' })
+
+      expect(replies[0].text).toContain('6 facts mention "a" — be more specific')
+    })
+
+    it('should say when nothing matches', async () => {
+      cognitive.memory.removeFact.mockResolvedValue({ removed: [], matches: [] })
+
+      await router.handle(message('/forget unicorns'), { sessionId: 'telegram-123' })
+
+      expect(replies[0].text).toBe('No facts mention "unicorns".')
+    })
+  })
+
+  describe('owner-only commands', () => {
+    it('should refuse /forget and /sleep from anyone but the owner', async () => {
+      const guest = (text) => ({ ...message(text), chatId: '-100', userId: 'u2' })
+
+      expect(await router.handle(guest('/forget Luna'), { sessionId: 'telegram--100' })).toBe(true)
+      await router.handle(guest('/sleep'), { sessionId: 'telegram--100' })
+
+      expect(cognitive.memory.removeFact).not.toHaveBeenCalled()
+      expect(cognitive.sleepCycle.run).not.toHaveBeenCalled()
+      expect(replies.map(r => r.text)).toEqual(['Only the owner can use /forget.', 'Only the owner can use /sleep.'])
+    })
+
+    it('should let anyone read with /why and /memory', async () => {
+      await router.handle({ ...message('/memory'), userId: 'u2' }, { sessionId: 'telegram-123' })
+
+      expect(replies[0].text).not.toContain('Only the owner')
+    })
+
+    it('should treat the local terminal as the owner', async () => {
+      await router.handle({ ...message('/forget Luna'), userId: 'local', channel: 'terminal' }, { sessionId: 'terminal-local' })
+
+      expect(cognitive.memory.removeFact).toHaveBeenCalledWith('Luna')
+    })
+  })
+
+  describe('/sleep', () => {
+    it('should start the sleep cycle and report when it finishes', async () => {
+      await router.handle(message('/sleep'), { sessionId: 'telegram-123' })
+      await vi.waitFor(() => expect(replies).toHaveLength(2))
+
+      expect(cognitive.sleepCycle.run).toHaveBeenCalledOnce()
+      expect(replies[0].text).toContain('Sleep cycle started')
+      expect(replies[1].text).toBe('Sleep cycle finished in 4s.')
+    })
+
+    it('should not start a second run', async () => {
+      cognitive.sleepCycle.getState.mockReturnValue({ status: 'running' })
+
+      await router.handle(message('/sleep'), { sessionId: 'telegram-123' })
+
+      expect(cognitive.sleepCycle.run).not.toHaveBeenCalled()
+      expect(replies[0].text).toBe('The sleep cycle is already running.')
+    })
+  })
+
+  it('should reply with the error when a command fails', async () => {
+    cognitive.memory.getLongTermMemory.mockRejectedValue(new Error('disk gone'))
+
+    const handled = await router.handle(message('/memory'), { sessionId: 'telegram-123' })
+
+    expect(handled).toBe(true)
+    expect(replies[0].text).toBe('Error: disk gone')
+  })
+
+  describe('in front of AgentLoop', () => {
+    function createLoop(provider) {
+      const contextBuilder = {
+        build: vi.fn().mockResolvedValue({
+          system: 'test',
+          messages: [{ role: 'user', content: 'test' }],
+          trace: { sources: ['Fact: Deploys run on Fridays'], memoryUsed: [], reasoning: null }
+        }),
+        config: {},
+        cognitive: null
+      }
+      const storage = { loadSession: vi.fn().mockResolvedValue([]), saveSession: vi.fn().mockResolvedValue() }
+      return new AgentLoop(bus, provider, contextBuilder, storage, null, { logger, commandRouter: router, transparency })
+    }
+
+    function fireAndWait(text) {
+      return new Promise(resolve => {
+        const handler = (payload) => { bus.off(MESSAGE_OUT, handler); resolve(payload) }
+        bus.on(MESSAGE_OUT, handler)
+        bus.fire(MESSAGE_IN, message(text), { source: 'test' })
+      })
+    }
+
+    it('should answer commands without calling the provider', async () => {
+      const provider = { name: 'mock', chatWithRetry: vi.fn() }
+      const loop = createLoop(provider)
+      await loop.start()
+
+      await fireAndWait('/tasks')
+
+      expect(provider.chatWithRetry).not.toHaveBeenCalled()
+      loop.stop()
+    })
+
+    it('should record retrieval sources for /why', async () => {
+      const provider = {
+        name: 'mock',
+        chatWithRetry: vi.fn().mockResolvedValue({ content: 'Deploy on Friday', stopReason: 'end_turn' })
+      }
+      const loop = createLoop(provider)
+      await loop.start()
+
+      await fireAndWait('when do we deploy?')
+      const explanation = await fireAndWait('/why')
+
+      expect(explanation.text).toContain('Fact: Deploys run on Fridays')
+      loop.stop()
+    })
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import ContextBuilder from '../../src/application/context.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+describe('ContextBuilder systemSegments', () => {
+  let identity, cognitive, builder
+
+  beforeEach(() => {
+    identity = {
+      core: '# KenoBot',
+      behavioralRules: '## Rules\n- be brief',
+      preferences: '- tone: casual',
+      bootstrap: null,
+      isBootstrapping: false
+    }
+    cognitive = {
+      getMemorySystem: vi.fn().mockReturnValue({}),
+      getIdentityManager: vi.fn().mockReturnValue({ buildContext: vi.fn(async () => identity) }),
+      buildContext: vi.fn().mockResolvedValue({
+        memory: { longTerm: 'Adrian lives in CDMX', recentNotes: '', chatLongTerm: '', chatRecent: '' },
+        workingMemory: { content: '- booking flights', updatedAt: Date.now() }
+      })
+    }
+    const storage = { loadSession: vi.fn().mockResolvedValue([]) }
+    builder = new ContextBuilder({}, storage, cognitive)
+  })
+
+  it('should put identity, rules and preferences ahead of memory as stable segments', async () => {
+    const { system, systemSegments } = await builder.build('s1', { text: 'hi' })
+
+    expect(systemSegments.map(s => s.stable)).toEqual([true, true, true, false])
+    expect(systemSegments[3].text).toContain('Adrian lives in CDMX')
+    expect(systemSegments[3].text).toContain('booking flights')
+    expect(systemSegments.map(s => s.text).join('\n')).toBe(system)
+  })
+
+  it('should keep the stable prefix identical across messages', async () => {
+    const first = await builder.build('s1', { text: 'hi' })
+    cognitive.buildContext.mockResolvedValue({
+      memory: { longTerm: 'Adrian moved to Lisbon', recentNotes: '', chatLongTerm: '', chatRecent: '' },
+      workingMemory: null
+    })
+    const second = await builder.build('s1', { text: 'what changed?' })
+
+    const stable = ({ systemSegments }) => systemSegments.filter(s => s.stable).map(s => s.text)
+    expect(stable(second)).toEqual(stable(first))
+    expect(second.system).not.toBe(first.system)
+  })
+
+  it('should mark the bootstrap action volatile', async () => {
+    identity = { ...identity, preferences: '', bootstrap: 'Observe the user', isBootstrapping: true }
+
+    const { systemSegments } = await builder.build('s1', { text: 'hi' }, {
+      bootstrapAction: { phase: 'checkpoint', action: 'show_checkpoint', checkpointMessage: 'Here is what I learned' }
+    })
+
+    expect(systemSegments.map(s => s.stable)).toEqual([true, true, true, false])
+    expect(systemSegments[2].text).toContain('Observe the user')
+    expect(systemSegments[3].text).toContain('Here is what I learned')
+  })
+})
+
+describe('ContextBuilder token budget', () => {
+  let storage, cognitive, logger, memory
+
+  const turns = (count, chars = 400) => Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${i}:` + 'x'.repeat(chars),
+    timestamp: i + 1
+  }))
+  const builderWith = (context) => new ContextBuilder({ context: { reserveTokens: 0, ...context } }, storage, cognitive, { logger })
+
+  beforeEach(() => {
+    memory = { longTerm: 'Adrian lives in CDMX', recentNotes: '', chatLongTerm: '', chatRecent: '' }
+    cognitive = {
+      getMemorySystem: vi.fn().mockReturnValue({}),
+      getIdentityManager: vi.fn().mockReturnValue({
+        buildContext: vi.fn(async () => ({ core: '# KenoBot', behavioralRules: '', preferences: '', bootstrap: null, isBootstrapping: false }))
+      }),
+      buildContext: vi.fn(async () => ({ memory, workingMemory: { content: '- booking flights', updatedAt: Date.now() } }))
+    }
+    storage = { loadSession: vi.fn().mockResolvedValue(turns(40)), loadSummary: vi.fn().mockResolvedValue(null) }
+    logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+  })
+
+  it('should keep the newest history that fits and log the breakdown', async () => {
+    const { messages, budget } = await builderWith({ maxTokens: 2000 }).build('s1', { text: 'hi' }, { model: 'sonnet' })
+
+    expect(messages.at(-1)).toEqual({ role: 'user', content: 'hi' })
+    expect(messages[0].role).toBe('user')
+    expect(messages.at(-2).content).toMatch(/^39:/)
+    expect(budget).toMatchObject({ model: 'sonnet', limit: 2000, historyKept: messages.length - 1 })
+    expect(budget.historyDropped).toBe(40 - budget.historyKept)
+    expect(budget.keepFrom).toBe(41 - budget.historyKept)
+    expect(budget.total).toBeLessThanOrEqual(2000)
+    expect(logger.info).toHaveBeenCalledWith('context', 'budget', expect.objectContaining({ sessionId: 's1', limit: 2000 }))
+  })
+
+  it('should cap the budget at the context window of the model', async () => {
+    const { budget } = await builderWith({ maxTokens: 32000, windows: { 'tiny-model': 4096 } }).build('s1', { text: 'hi' }, { model: 'tiny-model' })
+
+    expect(budget.limit).toBe(4096)
+  })
+
+  it('should cut long pasted logs in the middle', async () => {
+    const log = 'START ' + 'line\n'.repeat(20000) + ' END'
+    storage.loadSession.mockResolvedValue([{ role: 'user', content: log, timestamp: 1 }, { role: 'assistant', content: 'ok', timestamp: 2 }])
+
+    const { messages, budget } = await builderWith({ maxTokens: 4000 }).build('s1', { text: log })
+
+    for (const { content } of [messages[0], messages.at(-1)]) {
+      expect(content).toMatch(/^START[\s\S]*characters omitted[\s\S]*END$/)
+    }
+    expect(budget.historyTruncated).toBe(1)
+    expect(budget.total).toBeLessThanOrEqual(4000)
+  })
+
+  it('should send the running summary instead of the turns it covers', async () => {
+    storage.loadSummary.mockResolvedValue({ text: 'Planning a trip to Lisbon in May.', until: 30 })
+
+    const { system, messages, budget } = await builderWith({ maxTokens: 32000 }).build('s1', { text: 'hi' })
+
+    expect(system).toContain('## Earlier in this conversation\nPlanning a trip to Lisbon in May.')
+    expect(messages[0].content).toMatch(/^30:/)
+    expect(messages).toHaveLength(11)
+    expect(budget).toMatchObject({ summarizedUntil: 30, historyDropped: 0, keepFrom: 31 })
+  })
+
+  it('should keep working memory and cut long-term memory first', async () => {
+    memory.longTerm = 'fact. '.repeat(5000)
+
+    const { system, budget } = await builderWith({ maxTokens: 2000 }).build('s1', { text: 'hi' })
+
+    expect(system).toContain('booking flights')
+    expect([...(budget.memoryTruncated || []), ...(budget.memoryDropped || [])]).toContain('long-term')
+    expect(budget.total).toBeLessThanOrEqual(2000)
+  })
+
+  it('should send everything as before when the budget is off', async () => {
+    const { messages, budget } = await builderWith({ maxTokens: 0 }).build('s1', { text: 'hi' }, { history: turns(40) })
+
+    expect(messages).toHaveLength(41)
+    expect(budget).toBeNull()
+    expect(logger.info).not.toHaveBeenCalledWith('context', 'budget', expect.anything())
+  })
+})
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import ConversationSummarizer from '../../src/application/conversation-summarizer.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+const session = Array.from({ length: 30 }, (_, i) => ({
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `message ${i + 1}`,
+  timestamp: i + 1
+}))
+
+describe('ConversationSummarizer', () => {
+  let storage, consciousness
+
+  beforeEach(() => {
+    storage = {
+      loadSession: vi.fn().mockResolvedValue(session),
+      loadSummary: vi.fn().mockResolvedValue(null),
+      saveSummary: vi.fn().mockResolvedValue()
+    }
+    consciousness = { evaluate: vi.fn().mockResolvedValue({ summary: 'They planned a trip.' }) }
+  })
+
+  it('should fold the messages before keepFrom into a new summary', async () => {
+    const summarizer = new ConversationSummarizer({ storage, consciousness, logger })
+
+    const summary = await summarizer.update('s1', { keepFrom: 21 })
+
+    expect(consciousness.evaluate).toHaveBeenCalledWith('semantic-analyst', 'summarize_conversation', expect.objectContaining({
+      summary: '(none yet)',
+      messages: expect.stringMatching(/^User: message 1\nAssistant: message 2\n[\s\S]*Assistant: message 20$/)
+    }))
+    expect(summary).toMatchObject({ text: 'They planned a trip.', until: 20, messages: 20 })
+    expect(storage.saveSummary).toHaveBeenCalledWith('s1', summary)
+    expect(summarizer.getStats()).toMatchObject({ updates: 1, messagesSummarized: 20 })
+  })
+
+  it('should extend the previous summary with what came after it', async () => {
+    storage.loadSummary.mockResolvedValue({ text: 'Earlier: greetings.', until: 10, messages: 10 })
+    const summarizer = new ConversationSummarizer({ storage, consciousness, logger })
+
+    const summary = await summarizer.update('s1', { keepFrom: 21 })
+
+    const data = consciousness.evaluate.mock.calls[0][2]
+    expect(data.summary).toBe('Earlier: greetings.')
+    expect(data.messages.startsWith('User: message 11')).toBe(true)
+    expect(summary).toMatchObject({ until: 20, messages: 20 })
+  })
+
+  it('should wait until enough messages have fallen out of the context', async () => {
+    storage.loadSummary.mockResolvedValue({ text: 'Earlier', until: 15, messages: 15 })
+    const summarizer = new ConversationSummarizer({ storage, consciousness, minMessages: 10, logger })
+
+    expect(await summarizer.update('s1', { keepFrom: 21 })).toBeNull()
+    expect(consciousness.evaluate).not.toHaveBeenCalled()
+  })
+
+  it('should fold a long backlog oldest batch first without skipping messages', async () => {
+    const long = Array.from({ length: 250 }, (_, i) => ({ role: 'user', content: `message ${i + 1}`, timestamp: i + 1 }))
+    storage.loadSession.mockResolvedValue(long)
+    const summarizer = new ConversationSummarizer({ storage, consciousness, logger })
+
+    const first = await summarizer.update('s1', { keepFrom: 241 })
+    expect(consciousness.evaluate.mock.calls[0][2].messages).toMatch(/^User: message 1\n[\s\S]*User: message 100$/)
+    expect(first).toMatchObject({ until: 100, messages: 100 })
+
+    storage.loadSummary.mockResolvedValue(first)
+    const second = await summarizer.update('s1', { keepFrom: 241 })
+    expect(consciousness.evaluate.mock.calls[1][2].messages).toMatch(/^User: message 101\n[\s\S]*User: message 200$/)
+    expect(second).toMatchObject({ until: 200, messages: 200 })
+  })
+
+  it('should keep the previous summary when the summarizer gives nothing', async () => {
+    consciousness.evaluate.mockResolvedValue(null)
+    const summarizer = new ConversationSummarizer({ storage, consciousness, logger })
+
+    expect(await summarizer.update('s1', { keepFrom: 21 })).toBeNull()
+    expect(storage.saveSummary).not.toHaveBeenCalled()
+    expect(logger.warn).toHaveBeenCalledWith('context', 'summary_failed', expect.objectContaining({ sessionId: 's1' }))
+  })
+
+  it('should summarize with the chat provider and record the cost', async () => {
+    const provider = {
+      name: 'claude-api',
+      model: 'sonnet',
+      chat: vi.fn().mockResolvedValue({ content: 'Trip to Lisbon.', usage: { input_tokens: 10, output_tokens: 5 } })
+    }
+    const costTracker = { recordResponse: vi.fn() }
+    const summarizer = new ConversationSummarizer({ storage, mode: 'provider', provider, model: 'haiku', costTracker, logger })
+
+    const summary = await summarizer.update('s1', { keepFrom: 21 })
+
+    expect(summary.text).toBe('Trip to Lisbon.')
+    expect(provider.chat).toHaveBeenCalledWith([{ role: 'user', content: expect.stringContaining('User: message 1') }], expect.objectContaining({ model: 'haiku' }))
+    expect(costTracker.recordResponse).toHaveBeenCalledWith(expect.anything(), { provider: 'claude-api', model: 'haiku', context: 'summary' })
+  })
+
+  it('should run one update per session at a time', async () => {
+    let finish
+    consciousness.evaluate.mockReturnValue(new Promise(resolve => { finish = resolve }))
+    const summarizer = new ConversationSummarizer({ storage, consciousness, logger })
+
+    const first = summarizer.update('s1', { keepFrom: 21 })
+    await vi.waitFor(() => expect(consciousness.evaluate).toHaveBeenCalled())
+    expect(await summarizer.update('s1', { keepFrom: 21 })).toBeNull()
+    finish({ summary: 'done' })
+
+    expect((await first).text).toBe('done')
+  })
+
+  it('should reject unknown modes', () => {
+    expect(() => new ConversationSummarizer({ storage, mode: 'magic' })).toThrow('Unknown summary mode: magic')
+  })
+})
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import AgentLoop from '../../src/application/loop.js'
+import BaseProvider from '../../src/adapters/providers/base.js'
+import CostTracker from '../../src/domain/cognitive/utils/cost-tracker.js'
+import { MESSAGE_IN, MESSAGE_OUT } from '../../src/infrastructure/events.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+class MeteredProvider extends BaseProvider {
+  constructor() {
+    super()
+    this.model = 'claude-sonnet-4-5-20250929'
+    this.chat = vi.fn(async () => ({
+      content: 'Answer', toolCalls: null, stopReason: 'end_turn', rawContent: null,
+      usage: { input_tokens: 1000, output_tokens: 1000 }
+    }))
+  }
+
+  get name() { return 'claude-api' }
+}
+
+function createLoop(bus, provider, costTracker, { budget = null, summarizer = null } = {}) {
+  const contextBuilder = {
+    build: vi.fn().mockResolvedValue({ system: 'test', messages: [{ role: 'user', content: 'test' }], budget }),
+    config: { maxToolIterations: 5, cost: { owners: ['owner'] } },
+    cognitive: null
+  }
+  const storage = { loadSession: vi.fn().mockResolvedValue([]), saveSession: vi.fn().mockResolvedValue() }
+  return new AgentLoop(bus, provider, contextBuilder, storage, null, { logger, costTracker, summarizer })
+}
+
+function fireAndWait(bus, payload) {
+  return new Promise(resolve => {
+    bus.on(MESSAGE_OUT, resolve)
+    bus.fire(MESSAGE_IN, payload, { source: 'test' })
+  })
+}
+
+const overspend = tracker => tracker.record({ model: 'claude-3-opus', inputTokens: 0, outputTokens: 20000, context: 'chat' })
+const fromGuest = { text: 'hi', chatId: '-100', userId: 'guest', channel: 'telegram' }
+
+describe('AgentLoop budget', () => {
+  let bus, provider
+
+  beforeEach(() => {
+    bus = new NervousSystem()
+    provider = new MeteredProvider()
+  })
+
+  it('records the usage of each response', async () => {
+    const tracker = new CostTracker({ logger })
+    const loop = createLoop(bus, provider, tracker)
+    await loop.start()
+
+    await fireAndWait(bus, fromGuest)
+
+    const { daily } = tracker.getStats()
+    expect(daily.calls).toBe(1)
+    expect(daily.byContext.chat).toBeCloseTo(0.018)
+    expect(daily.byModel).toHaveProperty('claude-sonnet-4-5-20250929')
+    loop.stop()
+  })
+
+  it('refuses non-owners over budget without calling the provider', async () => {
+    const tracker = new CostTracker({ logger, policy: 'refuse' })
+    overspend(tracker)
+    const loop = createLoop(bus, provider, tracker)
+    await loop.start()
+
+    const reply = await fireAndWait(bus, fromGuest)
+
+    expect(reply.text).toContain('daily spending limit')
+    expect(provider.chat).not.toHaveBeenCalled()
+    loop.stop()
+  })
+
+  it('still answers the owner over budget', async () => {
+    const tracker = new CostTracker({ logger, policy: 'refuse' })
+    overspend(tracker)
+    const loop = createLoop(bus, provider, tracker)
+    await loop.start()
+
+    const reply = await fireAndWait(bus, { ...fromGuest, userId: 'owner' })
+
+    expect(reply.text).toBe('Answer')
+    loop.stop()
+  })
+
+  it('asks for the downgrade model over budget', async () => {
+    const tracker = new CostTracker({ logger, policy: 'downgrade', downgradeModel: 'haiku' })
+    overspend(tracker)
+    const loop = createLoop(bus, provider, tracker)
+    await loop.start()
+
+    await fireAndWait(bus, fromGuest)
+
+    expect(provider.chat.mock.calls[0][1]).toMatchObject({ model: 'haiku' })
+    expect(tracker.getStats().daily.byModel).toHaveProperty('haiku')
+    loop.stop()
+  })
+})
+
+describe('AgentLoop context budget', () => {
+  let bus, provider
+
+  beforeEach(() => {
+    bus = new NervousSystem()
+    provider = new MeteredProvider()
+  })
+
+  it('builds the context for the model that will answer', async () => {
+    const loop = createLoop(bus, provider, null)
+    await loop.start()
+
+    await fireAndWait(bus, fromGuest)
+
+    expect(loop.contextBuilder.build.mock.calls[0][2]).toMatchObject({ model: 'claude-sonnet-4-5-20250929' })
+    loop.stop()
+  })
+
+  it('asks the summarizer to fold the history that did not fit', async () => {
+    const summarizer = { update: vi.fn().mockResolvedValue(null) }
+    const loop = createLoop(bus, provider, null, { budget: { keepFrom: 1700000000000 }, summarizer })
+    await loop.start()
+
+    await fireAndWait(bus, fromGuest)
+
+    expect(summarizer.update).toHaveBeenCalledWith('telegram--100', { keepFrom: 1700000000000 })
+    loop.stop()
+  })
+})
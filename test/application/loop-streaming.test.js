@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import { ToolRegistry } from '../../src/domain/motor/index.js'
+import AgentLoop from '../../src/application/loop.js'
+import BaseProvider from '../../src/adapters/providers/base.js'
+import { MESSAGE_IN, MESSAGE_OUT, MESSAGE_DELTA } from '../../src/infrastructure/events.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+vi.mock('../../src/infrastructure/config.js', () => ({
+  default: {}
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+/** Streams each scripted turn as { deltas, response } */
+class StreamingProvider extends BaseProvider {
+  constructor(turns) {
+    super()
+    this._turns = [...turns]
+    this.chat = vi.fn(async () => this._turns.shift().response)
+  }
+
+  async *chatStream() {
+    const turn = this._turns.shift()
+    if (!turn) throw new Error('No more scripted turns')
+    for (const text of turn.deltas) yield { type: 'text', text }
+    yield { type: 'done', response: turn.response }
+  }
+
+  get name() { return 'streaming' }
+  get supportsTools() { return true }
+}
+
+function createLoop(bus, provider, opts = {}) {
+  const contextBuilder = {
+    build: vi.fn().mockResolvedValue({ system: 'test', messages: [{ role: 'user', content: 'test' }] }),
+    config: { maxToolIterations: 5 },
+    cognitive: null
+  }
+  const storage = { loadSession: vi.fn().mockResolvedValue([]), saveSession: vi.fn().mockResolvedValue() }
+  return new AgentLoop(bus, provider, contextBuilder, storage, null, { logger, ...opts })
+}
+
+function fireAndWait(bus, payload) {
+  return new Promise(resolve => {
+    bus.on(MESSAGE_OUT, resolve)
+    bus.fire(MESSAGE_IN, payload, { source: 'test' })
+  })
+}
+
+const defaultPayload = { text: 'test', chatId: '123', userId: 'u1', channel: 'telegram' }
+const done = (content, extra = {}) => ({ content, toolCalls: null, stopReason: 'end_turn', rawContent: null, ...extra })
+
+describe('AgentLoop streaming', () => {
+  let bus, deltas
+
+  beforeEach(() => {
+    bus = new NervousSystem()
+    deltas = []
+  })
+
+  it('forwards text deltas with tags hidden and tags the final message with the stream id', async () => {
+    bus.on(MESSAGE_DELTA, (payload) => deltas.push(payload))
+    const provider = new StreamingProvider([{
+      deltas: ['Hello', ' there', '\n<memory>secret'],
+      response: done('Hello there\n<memory>secret</memory>')
+    }])
+    const loop = createLoop(bus, provider)
+    await loop.start()
+
+    const out = await fireAndWait(bus, defaultPayload)
+
+    expect(deltas.map(d => d.text)).toEqual(['Hello', 'Hello there', 'Hello there'])
+    expect(deltas[1]).toMatchObject({ chatId: '123', channel: 'telegram', delta: ' there' })
+    expect(out.text).toBe('Hello there')
+    expect(out.streamId).toBe(deltas[0].streamId)
+    expect(provider.chat).not.toHaveBeenCalled()
+    loop.stop()
+  })
+
+  it('restarts the preview on each tool iteration with the same stream id', async () => {
+    bus.on(MESSAGE_DELTA, (payload) => deltas.push(payload))
+    const registry = new ToolRegistry()
+    registry.register({
+      definition: { name: 'test_tool', description: 'Test', input_schema: { type: 'object', properties: {} } },
+      execute: async () => 'ok'
+    })
+    const provider = new StreamingProvider([
+      {
+        deltas: ['Checking…'],
+        response: done('Checking…', {
+          toolCalls: [{ id: 't1', name: 'test_tool', input: {} }],
+          stopReason: 'tool_use',
+          rawContent: [{ type: 'tool_use', id: 't1', name: 'test_tool', input: {} }]
+        })
+      },
+      { deltas: ['All good'], response: done('All good') }
+    ])
+    const loop = createLoop(bus, provider, { toolRegistry: registry })
+    await loop.start()
+
+    const out = await fireAndWait(bus, defaultPayload)
+
+    expect(deltas.map(d => d.text)).toEqual(['Checking…', 'All good'])
+    expect(new Set(deltas.map(d => d.streamId)).size).toBe(1)
+    expect(out).toMatchObject({ text: 'All good', streamId: deltas[0].streamId })
+    loop.stop()
+  })
+
+  it('uses chat() when no channel listens for deltas', async () => {
+    const provider = new StreamingProvider([{ deltas: [], response: done('Plain reply') }])
+    const loop = createLoop(bus, provider)
+    await loop.start()
+
+    const out = await fireAndWait(bus, defaultPayload)
+
+    expect(provider.chat).toHaveBeenCalledOnce()
+    expect(out.text).toBe('Plain reply')
+    expect(out).not.toHaveProperty('streamId')
+    loop.stop()
+  })
+
+  it('uses chat() for providers without chatStream()', async () => {
+    bus.on(MESSAGE_DELTA, (payload) => deltas.push(payload))
+    const provider = new StreamingProvider([{ deltas: [], response: done('Plain reply') }])
+    provider.chatStream = undefined
+    const loop = createLoop(bus, provider)
+    await loop.start()
+
+    const out = await fireAndWait(bus, defaultPayload)
+
+    expect(provider.chat).toHaveBeenCalledOnce()
+    expect(deltas).toHaveLength(0)
+    expect(out).not.toHaveProperty('streamId')
+    loop.stop()
+  })
+
+  it('tags the error message with the stream id when a stream fails midway', async () => {
+    bus.on(MESSAGE_DELTA, (payload) => deltas.push(payload))
+    const provider = new StreamingProvider([])
+    provider.chatStream = async function* () {
+      yield { type: 'text', text: 'Partial' }
+      throw new Error('connection reset')
+    }
+    const loop = createLoop(bus, provider)
+    await loop.start()
+
+    const out = await fireAndWait(bus, defaultPayload)
+
+    expect(out.text).toBe('Error: connection reset')
+    expect(out.streamId).toBe(deltas[0].streamId)
+    loop.stop()
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import AgentLoop from '../../src/application/loop.js'
+import CommandRouter from '../../src/application/commands.js'
+import BaseProvider from '../../src/adapters/providers/base.js'
+import { MESSAGE_IN, MESSAGE_OUT, MESSAGE_DELTA, THINKING_START } from '../../src/infrastructure/events.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+vi.mock('../../src/infrastructure/config.js', () => ({
+  default: {}
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+class ReplyProvider extends BaseProvider {
+  constructor(content) {
+    super()
+    this.chat = vi.fn(async () => ({ content, toolCalls: null, stopReason: 'end_turn', rawContent: null }))
+  }
+
+  async *chatStream() {
+    yield { type: 'text', text: 'Partial' }
+    yield { type: 'done', response: await this.chat() }
+  }
+
+  get name() { return 'reply' }
+}
+
+function createLoop(bus, provider, options = {}) {
+  const contextBuilder = {
+    build: vi.fn().mockResolvedValue({ system: 'test', messages: [{ role: 'user', content: 'test' }] }),
+    config: { maxToolIterations: 5 },
+    cognitive: null
+  }
+  const storage = { loadSession: vi.fn().mockResolvedValue([]), saveSession: vi.fn().mockResolvedValue() }
+  return { loop: new AgentLoop(bus, provider, contextBuilder, storage, null, { logger, ...options }), storage, contextBuilder }
+}
+
+function fireAndWait(bus, payload) {
+  return new Promise(resolve => {
+    bus.on(MESSAGE_OUT, resolve)
+    bus.fire(MESSAGE_IN, payload, { source: 'test' })
+  })
+}
+
+const threaded = { text: 'test', chatId: '-100', threadId: 'topic-9', userId: 'u1', channel: 'telegram' }
+
+describe('AgentLoop threads', () => {
+  let bus
+
+  beforeEach(() => {
+    bus = new NervousSystem()
+  })
+
+  it('keeps a separate session per thread', async () => {
+    const { loop, storage, contextBuilder } = createLoop(bus, new ReplyProvider('In the topic'))
+    await loop.start()
+
+    await fireAndWait(bus, threaded)
+
+    expect(storage.loadSession).toHaveBeenCalledWith('telegram--100~topic-9', 20)
+    expect(contextBuilder.build.mock.calls[0][0]).toBe('telegram--100~topic-9')
+    expect(storage.saveSession.mock.calls[0][0]).toBe('telegram--100~topic-9')
+    loop.stop()
+  })
+
+  it('sends the reply, typing and deltas back to the thread', async () => {
+    const typing = []
+    const deltas = []
+    bus.on(THINKING_START, (payload) => typing.push(payload))
+    bus.on(MESSAGE_DELTA, (payload) => deltas.push(payload))
+    const { loop } = createLoop(bus, new ReplyProvider('In the topic'))
+    await loop.start()
+
+    const out = await fireAndWait(bus, threaded)
+
+    expect(out).toMatchObject({ chatId: '-100', channel: 'telegram', threadId: 'topic-9', text: 'In the topic' })
+    expect(typing[0]).toEqual({ chatId: '-100', channel: 'telegram', threadId: 'topic-9' })
+    expect(deltas[0]).toMatchObject({ threadId: 'topic-9' })
+    loop.stop()
+  })
+
+  it('saves the sender with the user turn', async () => {
+    const { loop, storage } = createLoop(bus, new ReplyProvider('Hi'))
+    await loop.start()
+
+    await fireAndWait(bus, { ...threaded, metadata: { firstName: 'Ana', username: 'ana', chatType: 'supergroup' } })
+
+    expect(storage.saveSession.mock.calls[0][1][0]).toMatchObject({
+      role: 'user', content: 'test', speaker: { userId: 'u1', name: 'Ana' }
+    })
+    expect(storage.saveSession.mock.calls[0][1][1]).not.toHaveProperty('speaker')
+    loop.stop()
+  })
+
+  it('answers slash commands inside the thread, from the thread session', async () => {
+    const transparency = { explainLastResponse: vi.fn(() => 'Used 2 facts') }
+    const commandRouter = new CommandRouter(bus, { transparency, logger })
+    const provider = new ReplyProvider('unused')
+    const { loop } = createLoop(bus, provider, { commandRouter })
+    await loop.start()
+
+    const out = await fireAndWait(bus, { ...threaded, text: '/why' })
+
+    expect(out).toEqual({ chatId: '-100', channel: 'telegram', threadId: 'topic-9', text: 'Used 2 facts' })
+    expect(transparency.explainLastResponse).toHaveBeenCalledWith('telegram--100~topic-9', 'en')
+    expect(provider.chat).not.toHaveBeenCalled()
+    loop.stop()
+  })
+
+  it('leaves unthreaded messages on the chat session', async () => {
+    const { loop, storage } = createLoop(bus, new ReplyProvider('Hi'))
+    await loop.start()
+
+    const { threadId, ...plain } = threaded
+    const out = await fireAndWait(bus, plain)
+
+    expect(storage.saveSession.mock.calls[0][0]).toBe('telegram--100')
+    expect(out).not.toHaveProperty('threadId')
+    loop.stop()
+  })
+})
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import AgentLoop from '../../src/application/loop.js'
+import ModelRouter from '../../src/application/model-router.js'
+import BaseProvider from '../../src/adapters/providers/base.js'
+import { MESSAGE_IN, MESSAGE_OUT } from '../../src/infrastructure/events.js'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+const models = { fast: 'haiku', standard: 'sonnet', deep: 'opus' }
+
+describe('ModelRouter', () => {
+  let router
+
+  beforeEach(() => {
+    router = new ModelRouter({ models, logger })
+  })
+
+  const tierOf = async (text, extra = {}) => (await router.route({ text, ...extra })).tier
+
+  it('should send small talk to the fast tier', async () => {
+    expect(await router.route({ text: 'thanks!' })).toEqual({ tier: 'fast', model: 'haiku', reason: 'short', text: 'thanks!' })
+    expect(await tierOf('what time is it in Tokyo')).toBe('fast')
+  })
+
+  it('should send code, long messages and likely tasks to the deep tier', async () => {
+    expect(await tierOf('why does this fail?\n```js\nconst x = y()\n```')).toBe('deep')
+    expect(await tierOf('Traceback (most recent call last):\n  File "app.py"')).toBe('deep')
+    expect(await tierOf('x'.repeat(1501))).toBe('deep')
+    expect(await tierOf('open a pull request for the fix')).toBe('deep')
+  })
+
+  it('should keep tool and attachment requests on the standard tier', async () => {
+    expect(await tierOf('summarize https://example.com/post')).toBe('standard')
+    expect(await tierOf('remind me tomorrow')).toBe('standard')
+    expect(await tierOf('', { attachments: [{ type: 'image' }] })).toBe('standard')
+  })
+
+  it('should honour an override prefix and strip it', async () => {
+    expect(await router.route({ text: '!opus thanks!' })).toMatchObject({ tier: 'deep', model: 'opus', reason: 'override', text: 'thanks!' })
+    expect(await router.route({ text: '!fast explain monads' })).toMatchObject({ tier: 'fast', text: 'explain monads' })
+    expect(await router.route({ text: '!nope hi' })).toMatchObject({ reason: 'short', text: '!nope hi' })
+  })
+
+  it('should match an override against part of a full model ID', async () => {
+    router = new ModelRouter({ models: { ...models, deep: 'claude-opus-4-5' }, logger })
+
+    expect(await tierOf('!opus hi')).toBe('deep')
+  })
+
+  it('should use configured rules', async () => {
+    router = new ModelRouter({ models, shortChars: 5, taskKeywords: ['migrate'], toolKeywords: [], logger })
+
+    expect(await tierOf('thanks!')).toBe('standard')
+    expect(await tierOf('please migrate the db')).toBe('deep')
+    expect(await tierOf('remind me tomorrow')).toBe('standard')
+  })
+
+  it('should ask the consciousness gateway when no rule matched', async () => {
+    const consciousness = { evaluate: vi.fn().mockResolvedValue({ tier: 'deep', reason: 'planning' }) }
+    router = new ModelRouter({ models, classify: true, consciousness, logger })
+    const text = 'Help me think through whether to move to Lisbon or stay in Mexico City next year, given my job and family'
+
+    expect(await router.route({ text })).toMatchObject({ tier: 'deep', reason: 'classified' })
+    expect(consciousness.evaluate).toHaveBeenCalledWith('semantic-analyst', 'classify_complexity', { message: text })
+
+    consciousness.evaluate.mockResolvedValue(null)
+    expect(await router.route({ text })).toMatchObject({ tier: 'standard', reason: 'default' })
+    expect(await tierOf('ok')).toBe('fast')
+    expect(consciousness.evaluate).toHaveBeenCalledTimes(2)
+  })
+
+  it('should count decisions for stats', async () => {
+    await router.route({ text: 'thanks!' })
+    await router.route({ text: '!opus thanks!' })
+
+    expect(router.getStats()).toEqual({
+      routed: 2,
+      tiers: { fast: 1, standard: 0, deep: 1 },
+      reasons: { short: 1, override: 1 }
+    })
+    expect(logger.info).toHaveBeenCalledWith('router', 'routed', expect.objectContaining({ tier: 'deep', reason: 'override' }))
+  })
+})
+
+describe('AgentLoop with a ModelRouter', () => {
+  class EchoProvider extends BaseProvider {
+    constructor() {
+      super()
+      this.chat = vi.fn(async () => ({ content: 'ok', toolCalls: null, stopReason: 'end_turn', rawContent: null }))
+    }
+
+    get name() { return 'echo' }
+  }
+
+  it('should call the provider with the routed model and stripped text', async () => {
+    const bus = new NervousSystem()
+    const provider = new EchoProvider()
+    const contextBuilder = {
+      build: vi.fn().mockResolvedValue({ system: 'test', messages: [{ role: 'user', content: 'test' }] }),
+      config: {},
+      cognitive: null
+    }
+    const storage = { loadSession: vi.fn().mockResolvedValue([]), saveSession: vi.fn().mockResolvedValue() }
+    const loop = new AgentLoop(bus, provider, contextBuilder, storage, null, { logger, modelRouter: new ModelRouter({ models, logger }) })
+    await loop.start()
+
+    await new Promise(resolve => {
+      bus.on(MESSAGE_OUT, resolve)
+      bus.fire(MESSAGE_IN, { text: '!opus thanks!', chatId: '1', userId: '1', channel: 'telegram' }, { source: 'test' })
+    })
+
+    expect(provider.chat.mock.calls[0][1]).toMatchObject({ model: 'opus' })
+    expect(contextBuilder.build.mock.calls[0][1].text).toBe('thanks!')
+    expect(storage.saveSession.mock.calls[0][1][0].content).toBe('thanks!')
+    loop.stop()
+  })
+})
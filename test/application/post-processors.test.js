@@ -10,7 +10,7 @@ vi.mock('../../src/infrastructure/logger.js', () => ({
 }))
 
 import logger from '../../src/infrastructure/logger.js'
-import { runPostProcessors, defaultPostProcessors } from '../../src/application/post-processors.js'
+import { runPostProcessors, defaultPostProcessors, stripTagsForPreview } from '../../src/application/post-processors.js'
 
 describe('runPostProcessors', () => {
   it('should run extract and apply for each processor', async () => {
@@ -142,6 +142,36 @@ describe('chat-context processor', () => {
   })
 })
 
+describe('user-memory processor', () => {
+  const userMemoryProcessor = defaultPostProcessors.find(p => p.name === 'user-memory')
+  const bus = { fire: vi.fn() }
+
+  it('should run before the user preferences processor', () => {
+    const names = defaultPostProcessors.map(p => p.name)
+    expect(names.indexOf('user-memory')).toBeLessThan(names.indexOf('user'))
+  })
+
+  it('should store facts on the sender', async () => {
+    const mockMemory = { addUserFact: vi.fn(), addChatFact: vi.fn() }
+    const deps = { memory: mockMemory, bus, sessionId: 'telegram--100', userMemoryId: 'telegram-1' }
+
+    await userMemoryProcessor.apply({ userMemories: ['Vegetarian'] }, deps)
+
+    expect(mockMemory.addUserFact).toHaveBeenCalledWith('telegram-1', 'Vegetarian')
+    expect(mockMemory.addChatFact).not.toHaveBeenCalled()
+  })
+
+  it('should fall back to chat memory without a named sender', async () => {
+    const mockMemory = { addUserFact: vi.fn(), addChatFact: vi.fn() }
+    const deps = { memory: mockMemory, bus, sessionId: 'terminal-local', userMemoryId: null }
+
+    await userMemoryProcessor.apply({ userMemories: ['Vegetarian'] }, deps)
+
+    expect(mockMemory.addChatFact).toHaveBeenCalledWith('terminal-local', 'Vegetarian')
+    expect(mockMemory.addUserFact).not.toHaveBeenCalled()
+  })
+})
+
 describe('working-memory processor', () => {
   const workingMemoryProcessor = defaultPostProcessors.find(p => p.name === 'working-memory')
 
@@ -191,3 +221,22 @@ describe('working-memory processor', () => {
     expect(mockMemory.replaceWorkingMemory).not.toHaveBeenCalled()
   })
 })
+
+describe('stripTagsForPreview', () => {
+  it('should remove complete tags', () => {
+    expect(stripTagsForPreview('Hi!\n\n<memory>Adrian likes tea</memory>\n\nBye')).toBe('Hi!\n\nBye')
+    expect(stripTagsForPreview('Done <bootstrap-complete/>')).toBe('Done')
+  })
+
+  it('should hide an unclosed tag until it closes', () => {
+    expect(stripTagsForPreview('Sure.\n<working-memory>- topic: dep')).toBe('Sure.')
+  })
+
+  it('should cut a tag that is still arriving', () => {
+    expect(stripTagsForPreview('Sure.\n<chat-mem')).toBe('Sure.')
+  })
+
+  it('should leave other markup alone', () => {
+    expect(stripTagsForPreview('Use <b>bold</b> here')).toBe('Use <b>bold</b> here')
+  })
+})
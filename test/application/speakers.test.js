@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest'
+
+vi.mock('../../src/infrastructure/logger.js', () => ({
+  default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
+
+import ContextBuilder from '../../src/application/context.js'
+import { speakerOf, userMemoryId, speakerLabel, isMultiUser, withSpeaker } from '../../src/application/speakers.js'
+
+const ana = { text: 'hi', chatId: '-100', userId: 1, channel: 'telegram', metadata: { firstName: 'Ana', username: 'ana_dev', chatType: 'group' } }
+const bob = { userId: '2', name: 'Bob' }
+
+describe('speakers', () => {
+  it('should take the sender from channel metadata', () => {
+    expect(speakerOf(ana)).toEqual({ userId: '1', name: 'Ana', username: 'ana_dev' })
+    expect(speakerOf({ userId: '7', metadata: { username: 'neo', displayName: 'Neo' } })).toEqual({ userId: '7', name: 'Neo', username: 'neo' })
+    expect(speakerOf({ userId: '7', metadata: { username: 'neo' } })).toEqual({ userId: '7', name: 'neo' })
+  })
+
+  it('should have no speaker without a named sender', () => {
+    expect(speakerOf({ userId: 'terminal' })).toBeNull()
+    expect(userMemoryId({ userId: 'terminal', channel: 'terminal' })).toBeNull()
+  })
+
+  it('should build a per-person memory ID', () => {
+    expect(userMemoryId(ana)).toBe('telegram-1')
+    expect(userMemoryId({ ...ana, userId: '../x' })).toBeNull()
+  })
+
+  it('should label speakers', () => {
+    expect(speakerLabel({ name: 'Ana', username: 'ana_dev' })).toBe('Ana (@ana_dev)')
+    expect(withSpeaker('hello', bob)).toBe('[Bob] hello')
+    expect(withSpeaker([{ type: 'image' }], bob)).toEqual([{ type: 'text', text: '[Bob]' }, { type: 'image' }])
+    expect(withSpeaker('hello', null)).toBe('hello')
+  })
+
+  it('should treat group chats and mixed histories as multi-user', () => {
+    const dm = { ...ana, metadata: { firstName: 'Ana', chatType: 'private' } }
+
+    expect(isMultiUser(ana, [])).toBe(true)
+    expect(isMultiUser(dm, [{ role: 'user', speaker: { userId: '1' } }])).toBe(false)
+    expect(isMultiUser(dm, [{ role: 'user', speaker: bob }])).toBe(true)
+  })
+})
+
+describe('ContextBuilder speaker labels', () => {
+  function createBuilder({ history = [], userMemory = '' } = {}) {
+    const memory = {
+      getUserLongTermMemory: vi.fn().mockResolvedValue(userMemory),
+      getUserRecentDays: vi.fn().mockResolvedValue('')
+    }
+    const cognitive = {
+      getMemorySystem: () => memory,
+      getIdentityManager: () => ({ buildContext: vi.fn().mockResolvedValue({ core: '# Bot', isBootstrapping: false }) }),
+      buildContext: vi.fn().mockResolvedValue({
+        memory: { longTerm: '', recentNotes: '', chatLongTerm: '', chatRecent: '', chatContext: '' },
+        workingMemory: null
+      })
+    }
+    const storage = { loadSession: vi.fn().mockResolvedValue(history) }
+    return { builder: new ContextBuilder({}, storage, cognitive), memory }
+  }
+
+  it('should label user turns in group chats', async () => {
+    const history = [
+      { role: 'user', content: 'I am vegetarian', speaker: bob, timestamp: 1 },
+      { role: 'assistant', content: 'Noted', timestamp: 2 }
+    ]
+    const { builder } = createBuilder({ history })
+
+    const { messages } = await builder.build('telegram--100', ana)
+
+    expect(messages).toEqual([
+      { role: 'user', content: '[Bob] I am vegetarian' },
+      { role: 'assistant', content: 'Noted' },
+      { role: 'user', content: '[Ana (@ana_dev)] hi' }
+    ])
+  })
+
+  it('should leave one-to-one history unlabeled', async () => {
+    const dm = { ...ana, chatId: '1', metadata: { firstName: 'Ana', chatType: 'private' } }
+    const { builder } = createBuilder({ history: [{ role: 'user', content: 'earlier', speaker: { userId: '1', name: 'Ana' } }] })
+
+    const { messages } = await builder.build('telegram-1', dm)
+
+    expect(messages.map(m => m.content)).toEqual(['earlier', 'hi'])
+  })
+
+  it('should add what is known about the sender', async () => {
+    const { builder, memory } = createBuilder({ userMemory: '- Vegetarian' })
+
+    const { system, trace } = await builder.build('telegram--100', ana)
+
+    expect(memory.getUserLongTermMemory).toHaveBeenCalledWith('telegram-1')
+    expect(system).toContain('### About Ana (@ana_dev)\n- Vegetarian')
+    expect(system).toContain('<user-memory>')
+    expect(trace.memoryUsed).toContain('About Ana (@ana_dev)')
+  })
+})
@@ -448,4 +448,24 @@ describe('TaskRunner', () => {
       expect(taskStore.appendEvent).toHaveBeenCalled()
     })
   })
+
+  describe('Records usage', () => {
+    it('should record each step as task usage', async () => {
+      toolRegistry.register({
+        definition: { name: 'test_tool', description: 'A test tool', input_schema: { type: 'object', properties: {} } },
+        execute: async () => 'ok'
+      })
+      const done = { content: 'Done.', stopReason: 'end_turn', toolCalls: null, rawContent: [], usage: { input_tokens: 500, output_tokens: 20 } }
+      const costTracker = { recordResponse: vi.fn() }
+      const runner = new TaskRunner(bus, new ScriptedProvider([done]), toolRegistry, { costTracker })
+
+      await runner.run(task, {
+        messages: [{ role: 'user', content: 'do something' }],
+        chatOptions: { model: 'haiku' },
+        pendingResponse: { content: '', stopReason: 'tool_use', toolCalls: [{ id: 'call_1', name: 'test_tool', input: {} }], rawContent: [] }
+      })
+
+      expect(costTracker.recordResponse).toHaveBeenCalledWith(done, { provider: 'scripted', model: 'haiku', context: 'task' })
+    })
+  })
 })
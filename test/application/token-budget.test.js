@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { estimateTokens, contextWindow, truncateToTokens, truncateMiddle, DEFAULT_CONTEXT_WINDOW } from '../../src/application/token-budget.js'
+
+describe('token-budget', () => {
+  describe('estimateTokens', () => {
+    it('should count about four characters per token', () => {
+      expect(estimateTokens('')).toBe(0)
+      expect(estimateTokens('a'.repeat(400))).toBe(100)
+    })
+
+    it('should count content blocks with a flat cost per file', () => {
+      const blocks = [{ type: 'text', text: 'a'.repeat(40) }, { type: 'image', source: { data: 'x'.repeat(100000) } }]
+
+      expect(estimateTokens(blocks)).toBe(10 + 1600)
+    })
+  })
+
+  describe('contextWindow', () => {
+    it('should match the longest known model name', () => {
+      expect(contextWindow('claude-haiku-4-5')).toBe(200000)
+      expect(contextWindow('llama3.1-8b')).toBe(8192)
+      expect(contextWindow('llama3.1-70b')).toBe(131072)
+    })
+
+    it('should prefer overrides and fall back to a default', () => {
+      expect(contextWindow('sonnet', { sonnet: 100000 })).toBe(100000)
+      expect(contextWindow('mystery-model')).toBe(DEFAULT_CONTEXT_WINDOW)
+      expect(contextWindow(null)).toBe(DEFAULT_CONTEXT_WINDOW)
+    })
+  })
+
+  describe('truncation', () => {
+    it('should leave text that fits untouched', () => {
+      expect(truncateToTokens('short', 10)).toBe('short')
+      expect(truncateMiddle('short', 10)).toBe('short')
+    })
+
+    it('should keep the start when truncating to tokens', () => {
+      const result = truncateToTokens('word '.repeat(100), 10)
+
+      expect(result.startsWith('word word')).toBe(true)
+      expect(result.endsWith('[… truncated]')).toBe(true)
+      expect(estimateTokens(result)).toBeLessThanOrEqual(14)
+    })
+
+    it('should keep the start and the end of a long log', () => {
+      const log = 'START\n' + 'noise\n'.repeat(2000) + 'Error: disk full'
+
+      const result = truncateMiddle(log, 100)
+
+      expect(result.startsWith('START')).toBe(true)
+      expect(result.endsWith('Error: disk full')).toBe(true)
+      expect(result).toMatch(/\[… \d+ characters omitted …\]/)
+      expect(estimateTokens(result)).toBeLessThanOrEqual(100)
+    })
+  })
+})
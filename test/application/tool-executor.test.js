@@ -1,6 +1,8 @@
 import { describe, it, expect, vi } from 'vitest'
 import { ToolRegistry } from '../../src/domain/motor/index.js'
 import { executeToolCalls } from '../../src/application/tool-executor.js'
+import NervousSystem from '../../src/domain/nervous/index.js'
+import { TOOL_STARTED, TOOL_COMPLETED } from '../../src/infrastructure/events.js'
 
 vi.mock('../../src/infrastructure/logger.js', () => ({
   default: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }
@@ -53,6 +55,168 @@ describe('executeToolCalls', () => {
     expect(results[0].result).toContain('intentional failure')
   })
 
+  it('passes the originating chat context to each tool', async () => {
+    const contextTool = {
+      definition: { name: 'whoami', description: 'Report chat', input_schema: { type: 'object', properties: {} } },
+      execute: vi.fn(async (input, { context }) => `chat ${context.chatId} on ${context.channel}`)
+    }
+    const registry = createRegistry(contextTool)
+
+    const results = await executeToolCalls([{ id: 'call_1', name: 'whoami', input: {} }], registry, {
+      logger,
+      context: { chatId: '42', userId: 'u1', channel: 'telegram' }
+    })
+
+    expect(results[0].result).toBe('chat 42 on telegram')
+    expect(contextTool.execute).toHaveBeenCalledWith({}, expect.objectContaining({
+      context: { chatId: '42', userId: 'u1', channel: 'telegram' }
+    }))
+  })
+
+  it('fires tool signals around each call when a listener is attached', async () => {
+    const echoTool = {
+      definition: { name: 'echo', description: 'Echo input', input_schema: { type: 'object', properties: { msg: { type: 'string' } } } },
+      execute: async ({ msg }) => `echoed: ${msg}`
+    }
+    const bus = new NervousSystem()
+    const signals = []
+    bus.on(TOOL_STARTED, (payload) => signals.push(['started', payload]))
+    bus.on(TOOL_COMPLETED, (payload) => signals.push(['completed', payload]))
+
+    await executeToolCalls([{ id: 'call_1', name: 'echo', input: { msg: 'hi' } }], createRegistry(echoTool), {
+      logger,
+      context: { chatId: '42', userId: 'u1', channel: 'api' },
+      bus
+    })
+
+    expect(signals).toEqual([
+      ['started', { chatId: '42', channel: 'api', id: 'call_1', name: 'echo', input: { msg: 'hi' } }],
+      ['completed', { chatId: '42', channel: 'api', id: 'call_1', name: 'echo', result: 'echoed: hi', isError: false }]
+    ])
+  })
+
+  it('does not fire tool signals nobody listens to', async () => {
+    const bus = new NervousSystem()
+    const fire = vi.spyOn(bus, 'fire')
+    const registry = createRegistry({
+      definition: { name: 'noop', description: 'Nothing', input_schema: { type: 'object', properties: {} } },
+      execute: async () => 'ok'
+    })
+
+    await executeToolCalls([{ id: 'call_1', name: 'noop', input: {} }], registry, { logger, bus })
+
+    expect(fire).not.toHaveBeenCalled()
+  })
+
+  describe('concurrency', () => {
+    // Tool that records start/end order and resolves when released
+    function createGatedTool(name, hints, log) {
+      const gates = new Map()
+      return {
+        gates,
+        tool: {
+          definition: { name, description: name, input_schema: { type: 'object', properties: {} } },
+          ...hints,
+          execute: async ({ key }) => {
+            log.push(`start ${key}`)
+            await new Promise(resolve => gates.set(key, resolve))
+            log.push(`end ${key}`)
+            return `${name} ${key}`
+          }
+        }
+      }
+    }
+
+    const flush = () => new Promise(resolve => setImmediate(resolve))
+
+    it('runs read-only calls at once and keeps the call order in results', async () => {
+      const log = []
+      const { tool, gates } = createGatedTool('read', { readOnly: true }, log)
+      const calls = ['a', 'b', 'c'].map(key => ({ id: key, name: 'read', input: { key } }))
+
+      const pending = executeToolCalls(calls, createRegistry(tool), { logger, concurrency: 4 })
+      await flush()
+      expect(log).toEqual(['start a', 'start b', 'start c'])
+
+      gates.get('c')(); gates.get('a')(); gates.get('b')()
+      const results = await pending
+
+      expect(results.map(r => r.result)).toEqual(['read a', 'read b', 'read c'])
+    })
+
+    it('never runs more than the concurrency limit', async () => {
+      const log = []
+      const { tool, gates } = createGatedTool('read', { readOnly: true }, log)
+      const calls = ['a', 'b', 'c'].map(key => ({ id: key, name: 'read', input: { key } }))
+
+      const pending = executeToolCalls(calls, createRegistry(tool), { logger, concurrency: 2 })
+      await flush()
+      expect(log).toEqual(['start a', 'start b'])
+
+      gates.get('a')()
+      await flush()
+      expect(log).toEqual(['start a', 'start b', 'end a', 'start c'])
+
+      gates.get('b')(); gates.get('c')()
+      await pending
+    })
+
+    it('serializes writes per workspace and lets reads wait for earlier writes', async () => {
+      const log = []
+      const writer = createGatedTool('write', { workspace: input => input.repo }, log)
+      const reader = createGatedTool('read', { readOnly: true, workspace: input => input.repo }, log)
+      const calls = [
+        { id: '1', name: 'write', input: { repo: 'me/x', key: 'w1' } },
+        { id: '2', name: 'write', input: { repo: 'me/y', key: 'w2' } },
+        { id: '3', name: 'read', input: { repo: 'me/x', key: 'r1' } },
+        { id: '4', name: 'write', input: { repo: 'me/x', key: 'w3' } }
+      ]
+
+      const pending = executeToolCalls(calls, createRegistry(writer.tool, reader.tool), { logger, concurrency: 4 })
+      await flush()
+      expect(log).toEqual(['start w1', 'start w2'])
+
+      writer.gates.get('w1')()
+      await flush()
+      expect(log.slice(2)).toEqual(['end w1', 'start r1'])
+
+      reader.gates.get('r1')()
+      await flush()
+      expect(log.slice(4)).toEqual(['end r1', 'start w3'])
+
+      writer.gates.get('w2')(); writer.gates.get('w3')()
+      const results = await pending
+
+      expect(results.map(r => r.id)).toEqual(['1', '2', '3', '4'])
+    })
+
+    it('runs tools without hints alone', async () => {
+      const log = []
+      const legacy = createGatedTool('legacy', {}, log)
+      const reader = createGatedTool('read', { readOnly: true }, log)
+      const calls = [
+        { id: '1', name: 'read', input: { key: 'r1' } },
+        { id: '2', name: 'legacy', input: { key: 'l1' } },
+        { id: '3', name: 'read', input: { key: 'r2' } }
+      ]
+
+      const pending = executeToolCalls(calls, createRegistry(legacy.tool, reader.tool), { logger, concurrency: 4 })
+      await flush()
+      expect(log).toEqual(['start r1'])
+
+      reader.gates.get('r1')()
+      await flush()
+      expect(log.slice(1)).toEqual(['end r1', 'start l1'])
+
+      legacy.gates.get('l1')()
+      await flush()
+      expect(log.slice(3)).toEqual(['end l1', 'start r2'])
+
+      reader.gates.get('r2')()
+      await pending
+    })
+  })
+
   it('handles empty toolCalls array', async () => {
     const registry = createRegistry()
 
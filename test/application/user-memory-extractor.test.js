@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { extractUserMemories } from '../../src/application/extractors/user-memory.js'
+
+describe('extractUserMemories', () => {
+  it('should return original text when no user-memory tags present', () => {
+    const { cleanText, userMemories } = extractUserMemories('Hello, how are you?')
+
+    expect(cleanText).toBe('Hello, how are you?')
+    expect(userMemories).toEqual([])
+  })
+
+  it('should extract user-memory tags', () => {
+    const input = 'Noted!\n\n<user-memory>Vegetarian</user-memory>\n<user-memory>Lives in Lisbon</user-memory>'
+    const { cleanText, userMemories } = extractUserMemories(input)
+
+    expect(cleanText).toBe('Noted!')
+    expect(userMemories).toEqual(['Vegetarian', 'Lives in Lisbon'])
+  })
+
+  it('should skip empty tags and trim content', () => {
+    const { userMemories } = extractUserMemories('<user-memory>  </user-memory><user-memory> Has a cat </user-memory>')
+
+    expect(userMemories).toEqual(['Has a cat'])
+  })
+
+  it('should leave other tags alone', () => {
+    const { cleanText, userMemories } = extractUserMemories('OK <user>Prefers Spanish</user>')
+
+    expect(cleanText).toBe('OK <user>Prefers Spanish</user>')
+    expect(userMemories).toEqual([])
+  })
+})
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, mkdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+function makePaths(home) {
+  return {
+    home,
+    data: join(home, 'data'),
+    config: join(home, 'config'),
+    envFile: join(home, 'config', '.env'),
+  }
+}
+
+function captureConsole() {
+  const logs = []
+  const origLog = console.log
+  console.log = (...args) => logs.push(args.join(' '))
+  return {
+    logs,
+    restore: () => { console.log = origLog }
+  }
+}
+
+async function run(args, paths) {
+  const { default: scheduler } = await import('../../src/cli/scheduler.js')
+  const { logs, restore } = captureConsole()
+  try {
+    await scheduler(args, paths)
+  } finally {
+    restore()
+  }
+  return logs.join('\n')
+}
+
+describe('scheduler CLI command', () => {
+  let tmpDir, paths
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'kenobot-scheduler-cli-test-'))
+    paths = makePaths(tmpDir)
+    await mkdir(join(paths.data, 'scheduler'), { recursive: true })
+    await writeFile(join(paths.data, 'scheduler', 'tasks.json'), JSON.stringify([
+      {
+        id: 'abcd1234-0000-0000-0000-000000000000', cronExpr: '0 9 * * *', message: 'Standup',
+        description: 'Daily standup', chatId: '123', channel: 'telegram', catchUp: 'once',
+        lastRunAt: 1700000000000, lastStatus: 'late',
+        runs: [
+          { scheduledFor: 1699900000000, status: 'skipped', missed: 2 },
+          { scheduledFor: 1700000000000, ranAt: 1700000000000, status: 'late' }
+        ]
+      },
+      {
+        id: 'ffff0000-0000-0000-0000-000000000000', runAt: 1900000000000, message: 'Renew',
+        description: 'Renew passport', chatId: '123', channel: 'telegram'
+      },
+      {
+        id: '99990000-0000-0000-0000-000000000000', cronExpr: '*/5 * * * *', description: 'Status page',
+        chatId: '123', channel: 'telegram', tool: 'fetch_url', toolInput: { url: 'https://example.com' },
+        trigger: 'match', pattern: 'down', action: 'notify'
+      }
+    ]))
+  })
+
+  afterEach(async () => {
+    vi.unstubAllGlobals()
+    await rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should list tasks with their schedule and last run', async () => {
+    const output = await run([], paths)
+
+    expect(output).toContain('abcd1234')
+    expect(output).toContain('Daily standup')
+    expect(output).toContain('cron "0 9 * * *"')
+    expect(output).toContain('catch-up: once')
+    expect(output).toContain('late')
+    expect(output).toContain('Renew passport')
+    expect(output).toContain('once at')
+  })
+
+  it('should show the tool, trigger and action of tool jobs', async () => {
+    const output = await run([], paths)
+
+    expect(output).toContain('tool fetch_url | on match /down/ | notify chat')
+  })
+
+  it('should show run history by ID prefix', async () => {
+    const output = await run(['runs', 'abcd'], paths)
+
+    expect(output).toContain('Run History')
+    expect(output).toContain('skipped')
+    expect(output).toContain('2 missed')
+    expect(output).toContain('late')
+  })
+
+  it('should say when there are no tasks', async () => {
+    await rm(join(paths.data, 'scheduler', 'tasks.json'))
+
+    expect(await run([], paths)).toContain('No scheduled tasks')
+  })
+
+  it('should reject unknown task IDs', async () => {
+    await expect(run(['runs', 'zzz'], paths)).rejects.toThrow('Scheduled task not found: zzz')
+  })
+
+  describe('pause, resume and edit', () => {
+    let fetchMock
+
+    beforeEach(async () => {
+      await mkdir(paths.config, { recursive: true })
+      await writeFile(paths.envFile, 'HTTP_PORT=4321\nAPI_ENABLED=true\nAPI_KEY=kb-test\n')
+      fetchMock = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: { task: { id: 'abcd1234-0000-0000-0000-000000000000', description: 'Daily standup' }, nextRun: 1800000000000 } })
+      })
+      vi.stubGlobal('fetch', fetchMock)
+    })
+
+    it('should pause a task through the API', async () => {
+      const output = await run(['pause', 'abcd'], paths)
+
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe('http://localhost:4321/api/v1/scheduler/abcd1234-0000-0000-0000-000000000000')
+      expect(init.method).toBe('PATCH')
+      expect(init.headers.Authorization).toBe('Bearer kb-test')
+      expect(JSON.parse(init.body)).toEqual({ paused: true })
+      expect(output).toContain('Paused')
+    })
+
+    it('should resume a task through the API', async () => {
+      await run(['resume', 'abcd'], paths)
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ paused: false })
+    })
+
+    it('should map edit flags to task fields', async () => {
+      const output = await run(['edit', 'abcd', '--cron', '0 10 * * *', '--timezone', 'Europe/Madrid'], paths)
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ cronExpr: '0 10 * * *', timezone: 'Europe/Madrid' })
+      expect(output).toContain('Updated')
+      expect(output).toContain('next run')
+    })
+
+    it('should reject unknown edit flags', async () => {
+      await expect(run(['edit', 'abcd', '--chat', '1'], paths)).rejects.toThrow('Unknown option: --chat')
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('should surface API errors', async () => {
+      fetchMock.mockResolvedValue({ ok: false, status: 400, json: async () => ({ error: { message: 'Invalid cron expression: nope' } }) })
+
+      await expect(run(['edit', 'abcd', '--cron', 'nope'], paths)).rejects.toThrow('Invalid cron expression')
+    })
+
+    it('should explain when the API is not enabled', async () => {
+      await writeFile(paths.envFile, 'HTTP_PORT=4321\n')
+
+      await expect(run(['pause', 'abcd'], paths)).rejects.toThrow('needs the REST API')
+    })
+  })
+})
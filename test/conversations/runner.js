@@ -11,9 +11,11 @@ import { createInspector } from './inspect.js'
  * @param {string} scenario.name - Unique scenario name (used as chatId slug)
  * @param {Function} [scenario.setup] - Pre-start hook: async ({ dataDir, identityDir, sessionsDir }) => {}
  * @param {Object} [scenario.config] - Config overrides for createTestApp
+ * @param {string} [scenario.fixtures] - Recorded fixtures directory: replayed offline, or
+ *   recorded against a real provider when KENOBOT_RECORD=1 (PROVIDER/MODEL from the environment)
  * @param {Array} scenario.turns - Array of turn definitions
  * @param {string} scenario.turns[].user - User message text
- * @param {string} [scenario.turns[].response] - Mock provider response (scripted)
+ * @param {string} [scenario.turns[].response] - Mock provider response (scripted, MockProvider only)
  * @param {string} [scenario.turns[].chatId] - Override chatId for this turn (multi-chat scenarios)
  * @param {Function} [scenario.turns[].assert] - Assertion callback: async ({ result, state, provider, sessionId }) => {}
  * @param {Object} [options] - Runner options
@@ -23,7 +25,8 @@ import { createInspector } from './inspect.js'
 export async function runScenario(scenario, options = {}) {
   const defaultChatId = options.chatId || slugify(scenario.name)
 
-  const harness = await createTestApp(scenario.config || {}, {
+  const fixtures = scenario.fixtures ? fixtureConfig(scenario.fixtures) : {}
+  const harness = await createTestApp({ ...fixtures, ...scenario.config }, {
     setup: scenario.setup
   })
 
@@ -33,7 +36,7 @@ export async function runScenario(scenario, options = {}) {
   try {
     for (const turn of scenario.turns) {
       // Script the mock provider response for this turn
-      if (turn.response) {
+      if (turn.response && !scenario.fixtures) {
         harness.provider.setNextResponse(turn.response)
       }
 
@@ -63,6 +66,22 @@ export async function runScenario(scenario, options = {}) {
   return { turns: results }
 }
 
+/**
+ * Provider config for a recorded scenario.
+ * @param {string} dir - Fixtures directory
+ */
+function fixtureConfig(dir) {
+  if (process.env.KENOBOT_RECORD === '1') {
+    return {
+      PROVIDER: process.env.PROVIDER || 'claude-api',
+      MODEL: process.env.MODEL || 'sonnet',
+      PROVIDER_RECORD: 'true',
+      PROVIDER_FIXTURES_DIR: dir
+    }
+  }
+  return { PROVIDER: 'replay', PROVIDER_FIXTURES_DIR: dir }
+}
+
 function slugify(str) {
   return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
 }
@@ -194,6 +194,8 @@ describe('SelfImprover — Motor System integration', () => {
       expect(fired[0].proposalCount).toBeGreaterThan(0)
       expect(fired[0].priorities).toContain('high')
       expect(fired[0].prUrl).toBeNull()
+      expect(fired[0].id).toMatch(/^[0-9a-f]{8}$/)
+      expect(fired[0].proposals).toHaveLength(fired[0].proposalCount)
     })
 
     it('should include PR URL in approval signal when PR is created', async () => {
@@ -244,6 +246,51 @@ describe('SelfImprover — Motor System integration', () => {
     })
   })
 
+  describe('apply', () => {
+    const proposals = [{ observation: 'o', suggestion: 'Add retries to flaky calls', evidence: 'e', priority: 'high' }]
+
+    it('should merge the PR when the Motor System and repo are available', async () => {
+      const toolRegistry = createMockToolRegistry()
+      const improver = new SelfImprover(mockMemory, { toolRegistry, repo: 'owner/repo' })
+
+      const result = await improver.apply({ proposals, prUrl: 'https://github.com/owner/repo/pull/42' })
+
+      expect(result).toEqual({ applied: 'merged', count: 1 })
+      expect(toolRegistry.calls).toEqual([{
+        name: 'run_command',
+        input: { repo: 'owner/repo', command: 'gh pr merge https://github.com/owner/repo/pull/42 --squash --delete-branch' }
+      }])
+    })
+
+    it('should save suggestions to long-term memory when no self repo is configured', async () => {
+      const memory = { addFact: vi.fn().mockResolvedValue(undefined) }
+      const improver = new SelfImprover(memory, { dataDir: tempDir })
+
+      const result = await improver.apply({ proposals, prUrl: null })
+
+      expect(result).toEqual({ applied: 'memory', count: 1 })
+      expect(memory.addFact).toHaveBeenCalledWith('Approved self-improvement: Add retries to flaky calls')
+    })
+
+    it('should refuse PR URLs that are not plain GitHub pull request links', async () => {
+      const toolRegistry = createMockToolRegistry()
+      const improver = new SelfImprover(mockMemory, { toolRegistry, repo: 'owner/repo' })
+
+      for (const prUrl of ['https://github.com/owner/repo/pull/42; rm -rf ~', '$(whoami)', 'https://evil.example/owner/repo/pull/1']) {
+        await expect(improver.apply({ proposals, prUrl })).rejects.toThrow('Refusing to merge invalid PR URL')
+      }
+      expect(toolRegistry.calls).toEqual([])
+    })
+
+    it('should throw when the merge fails', async () => {
+      const toolRegistry = { executeTool: vi.fn().mockResolvedValue({ result: 'not mergeable', isError: true }) }
+      const improver = new SelfImprover(mockMemory, { toolRegistry, repo: 'owner/repo' })
+
+      await expect(improver.apply({ proposals, prUrl: 'https://github.com/owner/repo/pull/42' }))
+        .rejects.toThrow('Could not merge')
+    })
+  })
+
   describe('_slugify', () => {
     it('should create URL-safe slug', () => {
       const improver = new SelfImprover(mockMemory, {})
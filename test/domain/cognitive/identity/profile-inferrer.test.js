@@ -101,6 +101,31 @@ describe('ProfileInferrer', () => {
       expect(profile).toHaveProperty('confidence', 0.0)
     })
 
+    it('should request the profile schema and use validated data', async () => {
+      mockProvider.chat.mockResolvedValue({
+        content: '{}',
+        data: { tone: 'direct', verbosity: 'concise', language: 'en', emojiUsage: 'none', techContext: 'Go', confidence: 0.7 }
+      })
+
+      const profile = await inferrer.inferProfile([{ role: 'user', content: 'Test' }])
+
+      expect(mockProvider.chat.mock.calls[0][1].responseSchema).toMatchObject({
+        type: 'object',
+        required: ['tone', 'verbosity', 'language', 'emojiUsage', 'techContext', 'confidence']
+      })
+      expect(profile.tone).toBe('direct')
+    })
+
+    it('should fall back to the default profile for values outside the schema', async () => {
+      mockProvider.chat.mockResolvedValue({
+        content: JSON.stringify({ tone: 'sarcastic', verbosity: 'concise', language: 'en', emojiUsage: 'none', techContext: '', confidence: 0.9 })
+      })
+
+      const profile = await inferrer.inferProfile([{ role: 'user', content: 'Test' }])
+
+      expect(profile.confidence).toBe(0.0)
+    })
+
     it('should extract JSON from text response', async () => {
       mockProvider.chat.mockResolvedValue({
         content: `Here is the analysis:
@@ -94,6 +94,22 @@ describe('MemorySystem', () => {
     })
   })
 
+  describe('thread sessions', () => {
+    it('should share chat memory across the threads of a chat', async () => {
+      await memorySystem.addChatFact('telegram--100~topic-9', 'Deploys on Fridays')
+      await memorySystem.getChatRecentDays('telegram--100~reply-5', 3)
+
+      expect(mockStore.appendChatDaily).toHaveBeenCalledWith('telegram--100', 'Deploys on Fridays')
+      expect(mockStore.getChatRecentDays).toHaveBeenCalledWith('telegram--100', 3)
+    })
+
+    it('should keep working memory per thread', async () => {
+      await memorySystem.replaceWorkingMemory('telegram--100~topic-9', 'Topic notes')
+
+      expect(mockStore.writeWorkingMemory).toHaveBeenCalledWith('telegram--100~topic-9', 'Topic notes')
+    })
+  })
+
   describe('working memory delegation', () => {
     it('should delegate getWorkingMemory to working', async () => {
       const result = await memorySystem.getWorkingMemory('session-123')
@@ -82,4 +82,51 @@ describe('SemanticMemory', () => {
       expect(mockStore.writeLongTermMemory).toHaveBeenCalledWith('')
     })
   })
+
+  describe('removeFact', () => {
+    beforeEach(() => {
+      mockStore.readLongTermMemory.mockResolvedValue('# Facts\n\n- Adrian prefers Spanish\n- Adrian lives in Mexico\n')
+      mockStore.listDailyLogs = vi.fn().mockResolvedValue(['2026-10-17.md'])
+      mockStore.readDailyLog = vi.fn().mockResolvedValue('## 09:00 — Adrian has a cat named Luna\n\n## 10:00 — Deploys run on Fridays\n\n')
+      mockStore.writeDailyLog = vi.fn().mockResolvedValue(undefined)
+    })
+
+    it('should remove matching facts from long-term memory', async () => {
+      const result = await semanticMemory.removeFact('spanish')
+
+      expect(result.removed).toEqual(['Adrian prefers Spanish'])
+      expect(mockStore.writeLongTermMemory).toHaveBeenCalledWith('# Facts\n\n- Adrian lives in Mexico\n')
+      expect(mockStore.writeDailyLog).not.toHaveBeenCalled()
+    })
+
+    it('should remove matching entries from daily logs', async () => {
+      const result = await semanticMemory.removeFact('Luna')
+
+      expect(result.removed).toEqual(['Adrian has a cat named Luna'])
+      expect(mockStore.writeDailyLog).toHaveBeenCalledWith('2026-10-17.md', '## 10:00 — Deploys run on Fridays\n\n')
+      expect(mockStore.writeLongTermMemory).not.toHaveBeenCalled()
+    })
+
+    it('should not match headings', async () => {
+      const result = await semanticMemory.removeFact('facts')
+
+      expect(result.matches).toEqual([])
+    })
+
+    it('should remove nothing when too many facts match', async () => {
+      const result = await semanticMemory.removeFact('adrian', { maxMatches: 2 })
+
+      expect(result.removed).toEqual([])
+      expect(result.matches).toHaveLength(3)
+      expect(mockStore.writeLongTermMemory).not.toHaveBeenCalled()
+      expect(mockStore.writeDailyLog).not.toHaveBeenCalled()
+    })
+
+    it('should ignore an empty query', async () => {
+      const result = await semanticMemory.removeFact('   ')
+
+      expect(result).toEqual({ removed: [], matches: [] })
+      expect(mockStore.readLongTermMemory).not.toHaveBeenCalled()
+    })
+  })
 })
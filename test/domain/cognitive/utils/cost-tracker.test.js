@@ -1,4 +1,7 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 
 vi.mock('../../../../src/infrastructure/logger.js', () => ({
   default: {
@@ -98,8 +101,148 @@ describe('CostTracker', () => {
       expect(tracker.normalizeModel('haiku')).toBe('claude-3-haiku')
     })
 
-    it('should default to Sonnet for unknown models', () => {
-      expect(tracker.normalizeModel('unknown-model')).toBe('claude-3-5-sonnet')
+    it('should match current model IDs by their longest known prefix', () => {
+      expect(tracker.normalizeModel('claude-sonnet-4-5-20250929')).toBe('claude-sonnet-4')
+      expect(tracker.normalizeModel('claude-opus-4-5-20251101')).toBe('claude-opus-4-5')
+      expect(tracker.normalizeModel('gemini-2.5-flash-lite')).toBe('gemini-2.5-flash-lite')
+    })
+
+    it('should have no price for unknown models', () => {
+      expect(tracker.normalizeModel('unknown-model')).toBeNull()
+      expect(tracker.normalizeModel(undefined)).toBeNull()
+    })
+  })
+
+  describe('pricing', () => {
+    it('should use configured prices over the defaults', () => {
+      tracker = new CostTracker({ pricing: { 'qwen2.5:7b': { input: 0, output: 0 }, 'gemini-2.5-pro': { input: 2, output: 12 } } })
+
+      expect(tracker.record({ model: 'qwen2.5:7b', inputTokens: 1000, outputTokens: 1000 }).totalCost).toBe(0)
+      expect(tracker.record({ model: 'gemini-2.5-pro', inputTokens: 1_000_000, outputTokens: 0 }).totalCost).toBeCloseTo(2)
+      expect(logger.warn).not.toHaveBeenCalledWith('cost-tracker', 'unknown_model', expect.any(Object))
+    })
+
+    it('should count unpriced models at zero cost and warn once', () => {
+      tracker.record({ model: 'local-model', inputTokens: 100, outputTokens: 50 })
+      tracker.record({ model: 'local-model', inputTokens: 100, outputTokens: 50 })
+
+      const stats = tracker.getStats()
+      expect(stats.daily).toMatchObject({ calls: 2, tokens: 300, cost: 0 })
+      expect(logger.warn).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('recordResponse', () => {
+    it('should record provider usage by context and model', () => {
+      const response = { content: 'hi', usage: { input_tokens: 1000, output_tokens: 1000 } }
+
+      tracker.recordResponse(response, { model: 'claude-sonnet-4-5-20250929', provider: 'claude-api', context: 'chat' })
+      tracker.recordResponse(response, { model: 'claude-sonnet-4-5-20250929', provider: 'claude-api', context: 'task' })
+
+      const { daily } = tracker.getStats()
+      expect(daily.calls).toBe(2)
+      expect(daily.byContext).toEqual({ chat: expect.closeTo(0.018), task: expect.closeTo(0.018) })
+      expect(daily.byModel['claude-sonnet-4-5-20250929']).toBeCloseTo(0.036)
+    })
+
+    it('should price prompt-cache writes and reads off the input price', () => {
+      const cost = tracker.recordResponse({
+        usage: { input_tokens: 0, output_tokens: 1_000_000, cache_creation_input_tokens: 1_000_000, cache_read_input_tokens: 1_000_000 }
+      }, { model: 'claude-sonnet-4-5-20250929', context: 'chat' })
+
+      // output $15 + write 1.25 × $3 + read 0.1 × $3
+      expect(cost.cacheCost).toBeCloseTo(4.05)
+      expect(cost.totalCost).toBeCloseTo(19.05)
+      expect(tracker.getStats().daily).toMatchObject({ tokens: 3_000_000, cacheReadTokens: 1_000_000, cacheWriteTokens: 1_000_000 })
+    })
+
+    it('should use configured cache prices', () => {
+      tracker = new CostTracker({ pricing: { 'my-model': { input: 1, output: 1, cacheRead: 0.5 } } })
+
+      const cost = tracker.record({ model: 'my-model', cacheReadTokens: 1_000_000 })
+
+      expect(cost.totalCost).toBeCloseTo(0.5)
+    })
+
+    it('should skip responses without usage', () => {
+      expect(tracker.recordResponse({ content: 'hi' }, { model: 'sonnet', context: 'chat' })).toBeNull()
+      expect(tracker.recordResponse({ usage: { input_tokens: 0, output_tokens: 0 } }, { model: 'sonnet', context: 'chat' })).toBeNull()
+      expect(tracker.getStats().daily.calls).toBe(0)
+    })
+  })
+
+  describe('budgetAction', () => {
+    const overspend = t => t.record({ model: 'claude-3-opus', inputTokens: 0, outputTokens: 20000, context: 'chat' })
+
+    it('should allow everything within budget', () => {
+      tracker = new CostTracker({ policy: 'refuse' })
+
+      expect(tracker.budgetAction()).toEqual({ action: 'allow' })
+    })
+
+    it('should only log with the warn policy', () => {
+      overspend(tracker)
+
+      expect(tracker.budgetAction()).toEqual({ action: 'allow' })
+    })
+
+    it('should downgrade to the cheaper model', () => {
+      tracker = new CostTracker({ policy: 'downgrade', downgradeModel: 'haiku' })
+      overspend(tracker)
+
+      expect(tracker.budgetAction({ owner: true })).toEqual({ action: 'downgrade', model: 'haiku' })
+    })
+
+    it('should refuse non-owners and let the owner through', () => {
+      tracker = new CostTracker({ policy: 'refuse' })
+      overspend(tracker)
+
+      expect(tracker.budgetAction()).toMatchObject({ action: 'refuse', reason: expect.stringContaining('daily spending limit') })
+      expect(tracker.budgetAction({ owner: true })).toEqual({ action: 'allow' })
+    })
+  })
+
+  describe('persistence', () => {
+    let dataDir
+
+    beforeEach(async () => {
+      dataDir = await mkdtemp(join(tmpdir(), 'cost-test-'))
+    })
+
+    afterEach(async () => {
+      await rm(dataDir, { recursive: true, force: true })
+    })
+
+    it('should keep totals across restarts', async () => {
+      tracker = new CostTracker({ dataDir })
+      tracker.record({ model: 'claude-3-5-sonnet', inputTokens: 1000, outputTokens: 1000, context: 'chat' })
+      await tracker.save()
+
+      const restarted = new CostTracker({ dataDir })
+      await restarted.load()
+
+      expect(restarted.getStats().daily).toMatchObject({ calls: 1, tokens: 2000, byContext: { chat: expect.closeTo(0.018) } })
+      expect(JSON.parse(await readFile(join(dataDir, 'cost', 'usage.json'), 'utf8')).monthly.calls).toBe(1)
+    })
+
+    it('should start a new day fresh', async () => {
+      tracker = new CostTracker({ dataDir })
+      tracker.record({ model: 'claude-3-5-sonnet', inputTokens: 1000, outputTokens: 1000 })
+      tracker.usage.daily.date = '2000-01-01'
+      await tracker.save()
+
+      const restarted = new CostTracker({ dataDir })
+      await restarted.load()
+
+      expect(restarted.getStats().daily.calls).toBe(0)
+      expect(restarted.getStats().monthly.calls).toBe(1)
+    })
+
+    it('should start empty without a saved file', async () => {
+      tracker = new CostTracker({ dataDir })
+      await tracker.load()
+
+      expect(tracker.getStats().daily.calls).toBe(0)
     })
   })
 
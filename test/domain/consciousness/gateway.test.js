@@ -152,6 +152,42 @@ describe('ConsciousnessGateway', () => {
 
       expect(result).toEqual({ category: 'external', confidence: 0.9 })
     })
+
+    it('passes a schema derived from outputFormat to the adapter', async () => {
+      mockAdapter.call.mockResolvedValue('{"expanded": ["a"]}')
+
+      await gateway.evaluate('semantic-analyst', 'expand_keywords', { keywords: 'test', chatContext: '' })
+
+      expect(mockAdapter.call.mock.calls[0][2]).toEqual({
+        responseSchema: {
+          type: 'object',
+          properties: { expanded: { type: 'array', items: { type: 'string' } } },
+          required: ['expanded']
+        }
+      })
+    })
+
+    it('retries once with the violations when the reply does not match the schema', async () => {
+      mockAdapter.call
+        .mockResolvedValueOnce('{"category": "external"}')
+        .mockResolvedValueOnce('{"category": "external", "confidence": 0.7}')
+
+      const result = await gateway.evaluate('reliability-engineer', 'classify_error', { errorMessage: 'ECONNREFUSED' })
+
+      expect(result).toEqual({ category: 'external', confidence: 0.7 })
+      expect(mockAdapter.call).toHaveBeenCalledTimes(2)
+      expect(mockAdapter.call.mock.calls[1][1]).toContain('$.confidence: is required')
+      expect(gateway.getStats()).toMatchObject({ calls: 1, successes: 1, failures: 0 })
+    })
+
+    it('returns null when the retry still does not match', async () => {
+      mockAdapter.call.mockResolvedValue('{"expanded": "not a list"}')
+
+      const result = await gateway.evaluate('semantic-analyst', 'expand_keywords', { keywords: 'test', chatContext: '' })
+
+      expect(result).toBeNull()
+      expect(mockAdapter.call).toHaveBeenCalledTimes(2)
+    })
   })
 
   describe('getStats', () => {
@@ -28,6 +28,16 @@ describe('ToolRegistry', () => {
     })
   })
 
+  describe('has', () => {
+    it('should report whether a tool is registered', () => {
+      const registry = new ToolRegistry()
+      registry.register(makeTool('greet', 'hello'))
+
+      expect(registry.has('greet')).toBe(true)
+      expect(registry.has('missing')).toBe(false)
+    })
+  })
+
   describe('executeTool', () => {
     it('should call the right tool and return { result, isError: false }', async () => {
       const registry = new ToolRegistry()
@@ -69,4 +79,27 @@ describe('ToolRegistry', () => {
       expect(outcome.isError).toBe(false)
     })
   })
+
+  describe('getConcurrency', () => {
+    it('should classify tools by their hints', () => {
+      const registry = new ToolRegistry()
+      registry.register({ ...makeTool('read', ''), readOnly: true, workspace: input => input.repo })
+      registry.register({ ...makeTool('write', ''), workspace: input => input.repo })
+      registry.register({ ...makeTool('notify', ''), parallelSafe: true })
+      registry.register(makeTool('legacy', ''))
+
+      expect(registry.getConcurrency('read', { repo: 'a/b' })).toEqual({ mode: 'read', workspace: 'a/b' })
+      expect(registry.getConcurrency('write', { repo: 'a/b' })).toEqual({ mode: 'write', workspace: 'a/b' })
+      expect(registry.getConcurrency('notify', {})).toEqual({ mode: 'parallel', workspace: null })
+      expect(registry.getConcurrency('legacy', {})).toEqual({ mode: 'exclusive', workspace: null })
+      expect(registry.getConcurrency('nonexistent', {})).toEqual({ mode: 'parallel', workspace: null })
+    })
+
+    it('should treat a workspace write without a workspace as exclusive', () => {
+      const registry = new ToolRegistry()
+      registry.register({ ...makeTool('write', ''), workspace: input => input.repo })
+
+      expect(registry.getConcurrency('write', {})).toEqual({ mode: 'exclusive', workspace: null })
+    })
+  })
 })
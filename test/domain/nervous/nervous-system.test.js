@@ -173,6 +173,48 @@ describe('NervousSystem', () => {
     })
   })
 
+  describe('taps', () => {
+    it('should receive the signal envelope before listeners', () => {
+      const events = []
+      nervous.tap((signal) => events.push(`tap:${signal.type}:${signal.source}`))
+      nervous.on('message:in', () => events.push('handler'))
+
+      nervous.fire('message:in', { text: 'hi' }, { source: 'telegram' })
+
+      expect(events).toEqual(['tap:message:in:telegram', 'handler'])
+    })
+
+    it('should not see inhibited signals', () => {
+      const tap = vi.fn()
+      nervous.use(() => false)
+      nervous.tap(tap)
+
+      nervous.fire('test', {})
+
+      expect(tap).not.toHaveBeenCalled()
+    })
+
+    it('should stop after the returned function is called', () => {
+      const tap = vi.fn()
+      const untap = nervous.tap(tap)
+
+      untap()
+      nervous.fire('test', {})
+
+      expect(tap).not.toHaveBeenCalled()
+    })
+
+    it('should keep delivering when a tap throws', () => {
+      const handler = vi.fn()
+      nervous.tap(() => { throw new Error('broken client') })
+      nervous.on('test', handler)
+
+      nervous.fire('test', { ok: true })
+
+      expect(handler).toHaveBeenCalledWith({ ok: true })
+    })
+  })
+
   describe('audit trail', () => {
     it('should return null when no dataDir configured', () => {
       expect(nervous.getAuditTrail()).toBeNull()
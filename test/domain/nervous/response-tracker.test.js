@@ -97,6 +97,16 @@ describe('ResponseTracker', () => {
     expect(tracker._buffer[0].timestamp).toBeLessThanOrEqual(after)
   })
 
+  it('should count recent answers per provider', () => {
+    const tracker = new ResponseTracker()
+    tracker.record({ durationMs: 100, provider: 'claude-api' })
+    tracker.record({ durationMs: 100, provider: 'gemini-api' })
+    tracker.record({ durationMs: 100, provider: 'claude-api' })
+    tracker.record({ durationMs: 100, error: true })
+
+    expect(tracker.getStats().providers).toEqual({ 'claude-api': 2, 'gemini-api': 1 })
+  })
+
   it('should keep totals accurate after overflow', () => {
     const tracker = new ResponseTracker({ capacity: 2 })
 
@@ -6,6 +6,12 @@ import http from 'node:http'
 import { createConfig } from '../../src/infrastructure/config.js'
 import { createApp } from '../../src/app.js'
 import MockProvider from '../../src/adapters/providers/mock.js'
+import { createProvider } from '../../src/adapters/providers/registry.js'
+// Registered for recorded scenarios: PROVIDER=replay, or a real provider while recording
+import '../../src/adapters/providers/replay.js'
+import '../../src/adapters/providers/claude-api.js'
+import '../../src/adapters/providers/gemini-api.js'
+import '../../src/adapters/providers/openai-compatible.js'
 
 const WEBHOOK_SECRET = 'e2e-test-secret'
 
@@ -95,8 +101,8 @@ export async function createTestApp(overrides = {}, { setup } = {}) {
     ...overrides
   })
 
-  // Create mock provider and app
-  const provider = new MockProvider(config)
+  // Create provider (MockProvider unless overridden) and app
+  const provider = config.provider === 'mock' ? new MockProvider(config) : createProvider(config.provider, config)
   const app = createApp(config, provider, { homePath: dataDir })
 
   // Start the app
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest'
+import { createConfig } from '../../src/infrastructure/config-factory.js'
+
+describe('createConfig', () => {
+  describe('PROVIDER_FALLBACKS', () => {
+    it('should default to no fallbacks', () => {
+      expect(createConfig({}).config.providerFallbacks).toEqual([])
+    })
+
+    it('should parse provider[:model] entries in order', () => {
+      const { config, errors } = createConfig({ PROVIDER_FALLBACKS: 'gemini-api:gemini-2.5-flash, cerebras-api ,gemini-cli:pro' })
+
+      expect(errors).toEqual([])
+      expect(config.providerFallbacks).toEqual([
+        { provider: 'gemini-api', model: 'gemini-2.5-flash' },
+        { provider: 'cerebras-api', model: null },
+        { provider: 'gemini-cli', model: 'pro' }
+      ])
+    })
+
+    it('should reject CLI providers without a model', () => {
+      const { config, errors } = createConfig({ PROVIDER_FALLBACKS: 'claude-cli' })
+
+      expect(config.providerFallbacks).toEqual([])
+      expect(errors[0]).toMatchObject({ type: 'config_invalid', key: 'PROVIDER_FALLBACKS', value: 'claude-cli' })
+    })
+
+    it('should reject openai-compatible without a model', () => {
+      const { errors } = createConfig({ PROVIDER_FALLBACKS: 'openai-compatible,openai-compatible:qwen2.5:7b' })
+
+      expect(errors).toHaveLength(1)
+      expect(createConfig({ PROVIDER_FALLBACKS: 'openai-compatible:qwen2.5:7b' }).config.providerFallbacks)
+        .toEqual([{ provider: 'openai-compatible', model: 'qwen2.5:7b' }])
+    })
+  })
+
+  describe('OPENAI_COMPATIBLE_*', () => {
+    it('should default to the tools dialect with no key or headers', () => {
+      expect(createConfig({}).config.openaiCompatible).toEqual({ baseUrl: '', apiKey: '', headers: {}, toolDialect: 'tools', responseFormat: 'json_schema' })
+    })
+
+    it('should read base URL, key, headers and dialect', () => {
+      const { config, errors } = createConfig({
+        OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1',
+        OPENAI_COMPATIBLE_API_KEY: 'sk-local',
+        OPENAI_COMPATIBLE_HEADERS: '{"X-Team":"home"}',
+        OPENAI_COMPATIBLE_TOOL_DIALECT: 'functions',
+        OPENAI_COMPATIBLE_RESPONSE_FORMAT: 'none'
+      })
+
+      expect(errors).toEqual([])
+      expect(config.openaiCompatible).toEqual({
+        baseUrl: 'http://localhost:11434/v1',
+        apiKey: 'sk-local',
+        headers: { 'X-Team': 'home' },
+        toolDialect: 'functions',
+        responseFormat: 'none'
+      })
+    })
+
+    it('should report unknown response formats', () => {
+      const { config, errors } = createConfig({ OPENAI_COMPATIBLE_RESPONSE_FORMAT: 'grammar' })
+      expect(errors.map(e => e.key)).toEqual(['OPENAI_COMPATIBLE_RESPONSE_FORMAT'])
+      expect(config.openaiCompatible.responseFormat).toBe('json_schema')
+    })
+
+    it('should report invalid headers and dialects', () => {
+      const { config, errors } = createConfig({ OPENAI_COMPATIBLE_HEADERS: '["x"]', OPENAI_COMPATIBLE_TOOL_DIALECT: 'xml' })
+
+      expect(errors.map(e => e.key)).toEqual(['OPENAI_COMPATIBLE_HEADERS', 'OPENAI_COMPATIBLE_TOOL_DIALECT'])
+      expect(config.openaiCompatible).toMatchObject({ headers: {}, toolDialect: 'tools' })
+    })
+  })
+
+  describe('COST_*', () => {
+    it('should default to warn with the first allowed user as owner', () => {
+      const { config, errors } = createConfig({ TELEGRAM_ALLOWED_USERS: '42, 7' })
+
+      expect(errors).toEqual([])
+      expect(config.cost).toEqual({
+        dailyBudget: 1, monthlyBudget: 30, policy: 'warn', downgradeModel: null, pricing: {}, owners: ['42']
+      })
+    })
+
+    it('should read budgets, policy, pricing and owners', () => {
+      const { config, errors } = createConfig({
+        COST_DAILY_BUDGET: '0.5',
+        COST_BUDGET_POLICY: 'downgrade',
+        COST_DOWNGRADE_MODEL: 'haiku',
+        COST_PRICING: '{"qwen2.5:7b":{"input":0,"output":0}}',
+        COST_BUDGET_OWNERS: '1,2'
+      })
+
+      expect(errors).toEqual([])
+      expect(config.cost).toMatchObject({
+        dailyBudget: 0.5, policy: 'downgrade', downgradeModel: 'haiku',
+        pricing: { 'qwen2.5:7b': { input: 0, output: 0 } }, owners: ['1', '2']
+      })
+    })
+
+    it('should report invalid pricing and policies', () => {
+      const { config, errors } = createConfig({ COST_PRICING: '{"x":{"input":"cheap"}}', COST_BUDGET_POLICY: 'downgrade' })
+
+      expect(errors.map(e => e.key)).toEqual(['COST_PRICING', 'COST_DOWNGRADE_MODEL'])
+      expect(config.cost.pricing).toEqual({})
+      expect(createConfig({ COST_BUDGET_POLICY: 'panic' }).errors[0].key).toBe('COST_BUDGET_POLICY')
+      expect(createConfig({ COST_PRICING: '{"x":{"input":1,"output":2,"cacheRead":"free"}}' }).errors[0].key).toBe('COST_PRICING')
+      expect(createConfig({ COST_PRICING: '{"x":{"input":1,"output":2,"cacheRead":0.1}}' }).errors).toEqual([])
+    })
+  })
+
+  describe('PROVIDER_RECORD / PROVIDER_FIXTURES_DIR', () => {
+    it('should keep fixtures under DATA_DIR and not record by default', () => {
+      expect(createConfig({ DATA_DIR: '/srv/kenobot' }).config.fixtures).toEqual({ dir: '/srv/kenobot/fixtures', record: false })
+    })
+
+    it('should read the recording switch and directory', () => {
+      const { config } = createConfig({ PROVIDER_RECORD: 'true', PROVIDER_FIXTURES_DIR: 'test/fixtures/tools' })
+
+      expect(config.fixtures).toEqual({ dir: 'test/fixtures/tools', record: true })
+    })
+  })
+
+  describe('ROUTER_*', () => {
+    it('should be off by default with every tier on MODEL', () => {
+      const { config } = createConfig({ MODEL: 'opus' })
+
+      expect(config.router).toEqual({
+        enabled: false,
+        models: { fast: 'opus', standard: 'opus', deep: 'opus' },
+        shortChars: 80,
+        longChars: 1500,
+        classify: false
+      })
+    })
+
+    it('should read tier models, thresholds and keywords', () => {
+      const { config, errors } = createConfig({
+        ROUTER_ENABLED: 'true',
+        ROUTER_MODELS: 'fast:haiku, deep:claude-opus-4-5',
+        ROUTER_SHORT_CHARS: '40',
+        ROUTER_CLASSIFY: 'true',
+        ROUTER_TASK_KEYWORDS: 'migrate, pull request',
+        ROUTER_TOOL_KEYWORDS: ''
+      })
+
+      expect(errors).toEqual([])
+      expect(config.router).toMatchObject({
+        enabled: true,
+        models: { fast: 'haiku', standard: 'sonnet', deep: 'claude-opus-4-5' },
+        shortChars: 40,
+        classify: true,
+        taskKeywords: ['migrate', 'pull request'],
+        toolKeywords: []
+      })
+    })
+
+    it('should report unknown tiers in ROUTER_MODELS', () => {
+      const { config, errors } = createConfig({ ROUTER_MODELS: 'turbo:haiku,deep' })
+
+      expect(errors.map(e => e.value)).toEqual(['turbo:haiku', 'deep'])
+      expect(config.router.models).toEqual({ fast: 'sonnet', standard: 'sonnet', deep: 'sonnet' })
+    })
+  })
+
+  describe('CONTEXT_*', () => {
+    it('should budget 32k tokens with consciousness summaries by default', () => {
+      const { config } = createConfig({})
+
+      expect(config.context).toEqual({
+        maxTokens: 32000,
+        reserveTokens: 4096,
+        historyMessages: 100,
+        windows: {},
+        summary: 'consciousness',
+        summaryMinMessages: 10,
+        summaryModel: null
+      })
+    })
+
+    it('should read context windows split at the last colon', () => {
+      const { config, errors } = createConfig({ CONTEXT_WINDOWS: 'llama3.1-8b:8192, qwen2.5:7b:32768', CONTEXT_MAX_TOKENS: '0' })
+
+      expect(errors).toEqual([])
+      expect(config.context.windows).toEqual({ 'llama3.1-8b': 8192, 'qwen2.5:7b': 32768 })
+      expect(config.context.maxTokens).toBe(0)
+    })
+
+    it('should report invalid windows and summary modes', () => {
+      const { config, errors } = createConfig({ CONTEXT_WINDOWS: 'big,llama:lots', CONTEXT_SUMMARY: 'magic' })
+
+      expect(errors.map(e => [e.key, e.value])).toEqual([
+        ['CONTEXT_WINDOWS', 'big'],
+        ['CONTEXT_WINDOWS', 'llama:lots'],
+        ['CONTEXT_SUMMARY', 'magic']
+      ])
+      expect(config.context.summary).toBe('consciousness')
+    })
+  })
+})
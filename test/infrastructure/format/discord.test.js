@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { markdownToDiscord, splitMessage } from '../../../src/infrastructure/format/discord.js'
+
+describe('markdownToDiscord', () => {
+  it('should leave markdown Discord renders untouched', () => {
+    const input = '# Title\n**bold** *italic* ~~gone~~ [link](https://example.com)\n- item'
+    expect(markdownToDiscord(input)).toBe(input)
+  })
+
+  it('should convert h4-h6 headers to bold', () => {
+    expect(markdownToDiscord('### Kept\n#### Small\n###### Tiny')).toBe('### Kept\n**Small**\n**Tiny**')
+  })
+
+  it('should convert horizontal rules to a separator', () => {
+    expect(markdownToDiscord('above\n---\nbelow')).toBe('above\n———\nbelow')
+  })
+
+  it('should replace images with their URL', () => {
+    expect(markdownToDiscord('see ![chart](https://example.com/a.png)')).toBe('see https://example.com/a.png')
+  })
+
+  it('should convert __bold__ so Discord does not underline it', () => {
+    expect(markdownToDiscord('__important__ but snake_case_name')).toBe('**important** but snake_case_name')
+  })
+
+  it('should wrap tables in a code block', () => {
+    const table = '| a | b |\n|---|---|\n| 1 | 2 |'
+    expect(markdownToDiscord(`Results:\n${table}\nDone`)).toBe(`Results:\n\`\`\`\n${table}\n\`\`\`\nDone`)
+  })
+
+  it('should not touch code blocks or inline code', () => {
+    const input = '```md\n#### not a header\n---\n```\nand `__init__`'
+    expect(markdownToDiscord(input)).toBe(input)
+  })
+})
+
+describe('splitMessage', () => {
+  it('should return short text as one message', () => {
+    expect(splitMessage('Hello', 2000)).toEqual(['Hello'])
+  })
+
+  it('should split on line boundaries within the limit', () => {
+    const text = Array(50).fill('Line of text').join('\n')
+    const chunks = splitMessage(text, 100)
+
+    expect(chunks.length).toBeGreaterThan(1)
+    for (const chunk of chunks) expect(chunk.length).toBeLessThanOrEqual(100)
+    expect(chunks.join('\n')).toBe(text)
+  })
+
+  it('should hard cut lines longer than the limit', () => {
+    const chunks = splitMessage('A'.repeat(4500))
+
+    expect(chunks.map(c => c.length)).toEqual([2000, 2000, 500])
+  })
+
+  it('should close and reopen a code block cut between messages', () => {
+    const code = Array(20).fill('const x = 1').join('\n')
+    const chunks = splitMessage(`Intro\n\`\`\`js\n${code}\n\`\`\`\nOutro`, 120)
+
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(120)
+      // Every message has balanced fences
+      expect((chunk.match(/```/g) || []).length % 2).toBe(0)
+    }
+    expect(chunks[1].startsWith('```js\n')).toBe(true)
+    expect(chunks.at(-1).endsWith('Outro')).toBe(true)
+  })
+})
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { markdownToANSI } from '../../../src/infrastructure/format/terminal.js'
+
+describe('markdownToANSI', () => {
+  it('should style bold, italic and inline code', () => {
+    expect(markdownToANSI('**bold** *italic* `code`'))
+      .toBe('\x1b[1mbold\x1b[22m \x1b[3mitalic\x1b[23m \x1b[36mcode\x1b[39m')
+  })
+
+  it('should render headers bold and bullets as dots', () => {
+    expect(markdownToANSI('## Plan\n- one\n  * two')).toBe('\x1b[1mPlan\x1b[22m\n• one\n  • two')
+  })
+
+  it('should show link targets next to their label', () => {
+    expect(markdownToANSI('[docs](https://example.com)', { color: false })).toBe('docs (https://example.com)')
+  })
+
+  it('should frame code blocks and leave their contents alone', () => {
+    const input = 'Run:\n```sh\n# not a header\nnpm **test**\n```'
+    expect(markdownToANSI(input, { color: false })).toBe('Run:\n┌ sh\n│ # not a header\n│ npm **test**\n└')
+  })
+
+  it('should not treat snake_case as emphasis', () => {
+    expect(markdownToANSI('use my_var_name or a*b*c', { color: false })).toBe('use my_var_name or a*b*c')
+  })
+
+  it('should strip markers without color', () => {
+    expect(markdownToANSI('# Title\n> quoted **bold** ~~old~~\n---', { color: false }))
+      .toBe(`Title\n│ quoted bold old\n${'─'.repeat(40)}`)
+  })
+})
@@ -183,6 +183,20 @@ describe('Logger', () => {
     })
   })
 
+  describe('console: false', () => {
+    it('should write to the file but not the console', async () => {
+      const quiet = new Logger({ console: false })
+      quiet.configure({ dataDir: '/tmp/test-logs' })
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      quiet.error('system', 'hidden')
+
+      expect(stdoutSpy).not.toHaveBeenCalled()
+      expect(stderrSpy).not.toHaveBeenCalled()
+      expect(appendFile).toHaveBeenCalledWith(expect.any(String), expect.stringContaining('"event":"hidden"'), 'utf8')
+    })
+  })
+
   describe('debug level', () => {
     it('should output debug to stdout when logLevel is debug', () => {
       logger.configure({ dataDir: '/tmp/test-logs', logLevel: 'debug' })
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { sessionIdFor, parseSessionId, chatSessionId } from '../../src/infrastructure/session-id.js'
+
+describe('session IDs', () => {
+  it('should key a chat by channel and chatId', () => {
+    expect(sessionIdFor({ channel: 'telegram', chatId: '-100123' })).toBe('telegram--100123')
+  })
+
+  it('should append the thread to the chat session', () => {
+    expect(sessionIdFor({ channel: 'telegram', chatId: '-100123', threadId: 'topic-42' })).toBe('telegram--100123~topic-42')
+  })
+
+  it('should parse composite and plain session IDs', () => {
+    expect(parseSessionId('telegram--100123~reply-7')).toEqual({ chatSessionId: 'telegram--100123', threadId: 'reply-7' })
+    expect(parseSessionId('api-abc')).toEqual({ chatSessionId: 'api-abc', threadId: null })
+    expect(chatSessionId('telegram--100123~topic-42')).toBe('telegram--100123')
+  })
+})
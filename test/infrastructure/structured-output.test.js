@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseJSON, validateSchema, parseStructured, schemaFromExample, schemaName, retryInstruction, SchemaValidationError
+} from '../../src/infrastructure/structured-output.js'
+
+const profile = {
+  type: 'object',
+  properties: {
+    tone: { type: 'string', enum: ['casual', 'formal'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+  },
+  required: ['tone', 'confidence'],
+  additionalProperties: false
+}
+
+describe('structured-output', () => {
+  describe('parseJSON', () => {
+    it('should parse plain and fenced JSON', () => {
+      expect(parseJSON('{"a":1}')).toEqual({ a: 1 })
+      expect(parseJSON('```json\n{"a":1}\n```')).toEqual({ a: 1 })
+    })
+
+    it('should find JSON wrapped in prose', () => {
+      expect(parseJSON('Here you go:\n{"a":[1,2]}\nHope this helps!')).toEqual({ a: [1, 2] })
+    })
+
+    it('should throw when there is no JSON', () => {
+      expect(() => parseJSON('no json here')).toThrow(SyntaxError)
+    })
+  })
+
+  describe('validateSchema', () => {
+    it('should accept a matching value', () => {
+      expect(validateSchema({ tone: 'casual', confidence: 0.5, tags: ['a'] }, profile)).toEqual([])
+    })
+
+    it('should report every violation with its path', () => {
+      const errors = validateSchema({ tone: 'rude', confidence: 2, tags: ['a', 3, 'c'], extra: true }, profile)
+
+      expect(errors).toEqual([
+        '$.tone: must be one of casual, formal',
+        '$.confidence: must be <= 1',
+        '$.tags: must have at most 2 items',
+        '$.tags[1]: must be string',
+        '$.extra: is not allowed'
+      ])
+    })
+
+    it('should report missing required keys and wrong types', () => {
+      expect(validateSchema({ tone: 'casual' }, profile)).toEqual(['$.confidence: is required'])
+      expect(validateSchema([], profile)).toEqual(['$: must be object'])
+      expect(validateSchema(1.5, { type: 'integer' })).toEqual(['$: must be integer'])
+      expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([])
+    })
+  })
+
+  describe('parseStructured', () => {
+    it('should parse and validate text', () => {
+      expect(parseStructured('{"tone":"formal","confidence":1}', profile)).toEqual({ tone: 'formal', confidence: 1 })
+    })
+
+    it('should validate an already parsed value', () => {
+      expect(parseStructured({ tone: 'formal', confidence: 0 }, profile)).toEqual({ tone: 'formal', confidence: 0 })
+    })
+
+    it('should throw SchemaValidationError with the errors and the reply', () => {
+      try {
+        parseStructured('{"tone":"formal"}', profile)
+        expect.unreachable()
+      } catch (error) {
+        expect(error).toBeInstanceOf(SchemaValidationError)
+        expect(error.errors).toEqual(['$.confidence: is required'])
+        expect(error.content).toBe('{"tone":"formal"}')
+        expect(retryInstruction(error)).toContain('- $.confidence: is required')
+      }
+    })
+
+    it('should reject a reply that is not JSON', () => {
+      expect(() => parseStructured('sorry, I cannot', profile)).toThrow('Response is not valid JSON')
+    })
+  })
+
+  describe('schemaFromExample', () => {
+    it('should turn an example-shaped outputFormat into a schema', () => {
+      expect(schemaFromExample({ patterns: [{ trigger: 'string', confidence: 'number' }], duplicate: 'boolean' })).toEqual({
+        type: 'object',
+        properties: {
+          patterns: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { trigger: { type: 'string' }, confidence: { type: 'number' } },
+              required: ['trigger', 'confidence']
+            }
+          },
+          duplicate: { type: 'boolean' }
+        },
+        required: ['patterns', 'duplicate']
+      })
+    })
+  })
+
+  describe('schemaName', () => {
+    it('should use a sanitized title, else a default', () => {
+      expect(schemaName({ title: 'user profile' })).toBe('user_profile')
+      expect(schemaName({ type: 'object' })).toBe('response')
+    })
+  })
+})